@@ -1,16 +1,94 @@
 /**
  * Basic Development Server for Task Management Starter Project
- * 
+ *
  * This is a minimal static file server that serves HTML, CSS, and JavaScript files.
  * Students will build upon this foundation throughout the 5-day course.
+ *
+ * It also exposes a versioned JSON API (/api/v1) on top of the same
+ * repositories and controllers the browser app uses.
  */
 
 const express = require('express');
 const path = require('path');
 
+// Models are loaded as globals, in the same order as the <script> tags in index.html
+global.User = require('./src/models/User');
+global.EnhancedTask = require('./src/models/EnhancedTask');
+global.SavedView = require('./src/models/SavedView');
+global.PermissionService = require('./src/services/PermissionService');
+global.CsvFormat = require('./src/utils/CsvFormat');
+global.TaskQuery = require('./src/utils/TaskQuery');
+global.TimesheetService = require('./src/services/TimesheetService');
+global.CalendarService = require('./src/services/CalendarService');
+global.ICalendarFormat = require('./src/utils/ICalendarFormat');
+global.TaskCsvService = require('./src/services/TaskCsvService');
+global.ExternalImportService = require('./src/services/ExternalImportService');
+
+const EnhancedStorageManager = require('./src/utils/EnhancedStorageManager');
+const FileSystemStorageAdapter = require('./src/utils/FileSystemStorageAdapter');
+const UserRepository = require('./src/repositories/UserRepository');
+const TaskRepository = require('./src/repositories/TaskRepository');
+const PasswordHasher = require('./src/utils/PasswordHasher');
+const TokenService = require('./src/utils/TokenService');
+const { createTaskRoutes } = require('./src/routes/taskRoutes');
+const { createUserRoutes, createSessionRoutes } = require('./src/routes/userRoutes');
+const { createCalendarRoutes } = require('./src/routes/calendarRoutes');
+const { handleApiErrors } = require('./src/routes/middleware');
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Shared repositories for the API. There is no localStorage in Node, so each
+// entity is persisted as <DATA_DIR>/<entity>.json (tasks.json, users.json, ...)
+// Run a single server process per DATA_DIR: repositories write back their whole
+// in-memory cache, so a second process would overwrite the first one's changes
+const APP_NAME = 'taskAppServer';
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+// A failed write throws, so the API answers 500 instead of reporting unsaved data as saved
+const storage = new EnhancedStorageManager(APP_NAME, '2.0', new FileSystemStorageAdapter(DATA_DIR, { keyPrefix: `${APP_NAME}_` }), {
+    throwOnSaveError: true
+});
+const userRepository = new UserRepository(storage);
+// Deleted tasks stay in the trash for TRASH_RETENTION_DAYS (default 30) before being purged
+const taskRepository = new TaskRepository(storage, {
+    trashRetentionDays: process.env.TRASH_RETENTION_DAYS ? Number(process.env.TRASH_RETENTION_DAYS) : undefined
+});
+
+// Session tokens are signed with SESSION_SECRET; without it a random secret is
+// generated, which means sessions do not survive a restart
+const tokenService = new TokenService(
+    process.env.SESSION_SECRET || PasswordHasher.generateToken(),
+    { ttlMinutes: Number(process.env.SESSION_TTL_MINUTES) || 60 * 24 }
+);
+const authOptions = { passwordHasher: PasswordHasher, tokenService };
+
+// JSON API
+// Import endpoints receive whole export files (Trello boards can be several MB)
+app.use('/api', express.json({ limit: '10mb' }));
+app.use('/api/v1/tasks', createTaskRoutes(taskRepository, userRepository, authOptions));
+app.use('/api/v1/users', createUserRoutes(userRepository, {
+    ...authOptions,
+    // No mail service yet: only a server started with NODE_ENV=development prints
+    // the reset token, anywhere else the token would let anyone with log access
+    // take over the account
+    onPasswordResetRequested: ({ email, token }) => {
+        if (process.env.NODE_ENV === 'development') {
+            console.log(`🔑 Password reset token for ${email}: ${token}`);
+        }
+    }
+}));
+app.use('/api/v1/session', createSessionRoutes(userRepository, authOptions));
+
+// Unknown API routes get a JSON 404 instead of index.html
+app.use('/api', (req, res) => {
+    res.status(404).json({ success: false, error: 'Endpoint tidak ditemukan' });
+});
+// Malformed JSON bodies and unexpected errors also get a JSON envelope, never an HTML stack trace
+app.use('/api', handleApiErrors());
+
+// iCalendar feed per user, token-protected so calendar apps can subscribe without logging in
+app.use('/calendar', createCalendarRoutes(taskRepository, userRepository));
+
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, 'public')));
 
@@ -22,18 +100,21 @@ app.get('*', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// Start the server
-app.listen(PORT, () => {
-    console.log(`🚀 Development server running at http://localhost:${PORT}`);
-    console.log(`📁 Serving files from: ${path.join(__dirname, 'public')}`);
-    console.log('\n📖 Ready for development!');
-    console.log('\n🛑 Press Ctrl+C to stop the server');
-});
+// Start the server only when run directly (not when required by tests)
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`🚀 Development server running at http://localhost:${PORT}`);
+        console.log(`📁 Serving files from: ${path.join(__dirname, 'public')}`);
+        console.log(`🔌 API available at http://localhost:${PORT}/api/v1`);
+        console.log('\n📖 Ready for development!');
+        console.log('\n🛑 Press Ctrl+C to stop the server');
+    });
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-    console.log('\n👋 Shutting down server...');
-    process.exit(0);
-});
+    // Graceful shutdown
+    process.on('SIGINT', () => {
+        console.log('\n👋 Shutting down server...');
+        process.exit(0);
+    });
+}
 
-module.exports = app;
\ No newline at end of file
+module.exports = app;
@@ -8,6 +8,7 @@
  * - Views
  * - User Authentication
  */
+/* global EnhancedStorageManager, UserRepository, TaskRepository, UserController, TaskController, TaskView, TaskImportView */
 
 // Global application state
 let app = {
@@ -17,6 +18,7 @@ let app = {
     userController: null,
     taskController: null,
     taskView: null,
+    taskImportView: null,
     currentUser: null
 };
 
@@ -43,6 +45,7 @@ function initializeApp() {
         
         // Initialize view
         app.taskView = new TaskView(app.taskController, app.userController);
+        app.taskImportView = new TaskImportView(app.taskController, app.taskView);
         console.log('✅ Views initialized');
         
         // Setup authentication event listeners
@@ -328,6 +331,9 @@ function initializeApp() {
     const showOverdueBtn = document.getElementById('showOverdueBtn');
     const showDueSoonBtn = document.getElementById('showDueSoonBtn');
     const exportDataBtn = document.getElementById('exportDataBtn');
+    const exportIcsBtn = document.getElementById('exportIcsBtn');
+    const exportCsvBtn = document.getElementById('exportCsvBtn');
+    const importCsvBtn = document.getElementById('importCsvBtn');
     const refreshTasks = document.getElementById('refreshTasks');
     
     if (showOverdueBtn) {
@@ -339,6 +345,15 @@ function initializeApp() {
     if (exportDataBtn) {
         exportDataBtn.addEventListener('click', exportAppData);
     }
+    if (exportIcsBtn) {
+        exportIcsBtn.addEventListener('click', exportCalendarIcs);
+    }
+    if (exportCsvBtn) {
+        exportCsvBtn.addEventListener('click', exportTasksCsv);
+    }
+    if (importCsvBtn) {
+        importCsvBtn.addEventListener('click', () => app.taskImportView.open());
+    }
     if (refreshTasks) {
         refreshTasks.addEventListener('click', () => app.taskView.refresh());
     }
@@ -581,6 +596,53 @@ function exportAppData() {
     }
 }
 
+/**
+ * Export task yang punya due date sebagai file iCalendar (.ics)
+ */
+function exportCalendarIcs() {
+    const response = app.taskController.exportCalendar();
+    
+    if (!response.success) {
+        showMessage(response.error, 'error');
+        return;
+    }
+    
+    if (response.count === 0) {
+        showMessage('Tidak ada task dengan due date untuk diekspor', 'info');
+        return;
+    }
+    
+    const dataBlob = new Blob([response.data], { type: 'text/calendar' });
+    
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(dataBlob);
+    link.download = `task-app-calendar-${new Date().toISOString().split('T')[0]}.ics`;
+    link.click();
+    
+    showMessage(`${response.count} task berhasil diekspor ke kalender`, 'success');
+}
+
+/**
+ * Export task sebagai CSV (bisa dibuka di Excel/Google Sheets)
+ */
+function exportTasksCsv() {
+    const response = app.taskController.exportTasksCsv();
+    
+    if (!response.success) {
+        showMessage(response.error, 'error');
+        return;
+    }
+    
+    const dataBlob = new Blob([response.data], { type: 'text/csv' });
+    
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(dataBlob);
+    link.download = `task-app-tasks-${new Date().toISOString().split('T')[0]}.csv`;
+    link.click();
+    
+    showMessage(`${response.count} task berhasil diekspor ke CSV`, 'success');
+}
+
 /**
  * Create demo user jika belum ada
  */
@@ -6,7 +6,12 @@
  * - Memproses dengan bantuan Model dan Repository
  * - Mengirim response kembali ke View
  * - Tidak mengandung business logic (itu ada di Model/Service)
+ *
+ * Setiap operasi yang mengubah task (create, update, delete, toggle status,
+ * bulk) dicatat sebagai command berisi state toJSON task sebelum dan sesudah,
+ * sehingga bisa di-undo/redo.
  */
+/* global EnhancedTask, PermissionService, TimesheetService, CalendarService, ICalendarFormat, TaskCsvService, ExternalImportService, TaskQuery, SavedView */
 class TaskController {
     // Tambahkan methods ini di class TaskController
 
@@ -114,11 +119,9 @@ updateTaskCategory(taskId, newCategory) {
         }
         
         // Check permission
-        if (task.ownerId !== this.currentUser.id) {
-            return {
-                success: false,
-                error: 'Hanya owner yang bisa mengubah kategori task'
-            };
+        const denied = PermissionService.authorize(this.currentUser, 'changeCategory', task);
+        if (denied) {
+            return denied;
         }
         
         // Validate category
@@ -131,7 +134,9 @@ updateTaskCategory(taskId, newCategory) {
         }
         
         // Update category
-        const updatedTask = this.taskRepository.update(taskId, { category: newCategory });
+        const before = this._captureTaskStates([taskId]);
+        const updatedTask = this.taskRepository.update(taskId, { category: newCategory }, this.currentUser.id);
+        this._recordCommand(`Ubah kategori task "${updatedTask.title}"`, before);
         
         return {
             success: true,
@@ -171,10 +176,22 @@ getAvailableCategories() {
         };
     }
 }
-    constructor(taskRepository, userRepository) {
+    /**
+     * @param {TaskRepository} taskRepository - Repository task
+     * @param {UserRepository} userRepository - Repository user
+     * @param {Object} options - { undo } (default true); API membuat controller baru
+     *   per request, jadi state task untuk undo tidak perlu disimpan di sana
+     */
+    constructor(taskRepository, userRepository, options = {}) {
         this.taskRepository = taskRepository;
         this.userRepository = userRepository;
         this.currentUser = null; // User yang sedang login
+        
+        // Undo/redo: command terakhir ada di akhir array
+        this.undoEnabled = options.undo !== false;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.maxUndoSteps = 50;
     }
     
     /**
@@ -186,6 +203,10 @@ getAvailableCategories() {
         if (!this.currentUser) {
             throw new Error('User tidak ditemukan');
         }
+        
+        // Undo history milik user sebelumnya tidak boleh terbawa
+        this.undoStack = [];
+        this.redoStack = [];
     }
     
     /**
@@ -203,8 +224,14 @@ getAvailableCategories() {
                 };
             }
             
+            // Cek permission: viewer tidak bisa membuat task
+            const denied = PermissionService.authorize(this.currentUser, 'createTask');
+            if (denied) {
+                return denied;
+            }
+            
             // Validasi input
-            if (!taskData.title || taskData.title.trim() === '') {
+            if (typeof taskData.title !== 'string' || taskData.title.trim() === '') {
                 return {
                     success: false,
                     error: 'Judul task wajib diisi'
@@ -229,8 +256,31 @@ getAvailableCategories() {
                 }
             }
             
+            // Subtask hanya bisa dibuat di task yang boleh diubah user
+            if (taskToCreate.parentId) {
+                const parent = this.taskRepository.findById(taskToCreate.parentId);
+                if (!parent) {
+                    return {
+                        success: false,
+                        error: 'Parent task tidak ditemukan'
+                    };
+                }
+                
+                const deniedParent = PermissionService.authorize(this.currentUser, 'edit', parent);
+                if (deniedParent) {
+                    return deniedParent;
+                }
+            }
+            
+            const deniedDependency = this._authorizeDependencies(taskToCreate.dependsOn || []);
+            if (deniedDependency) {
+                return deniedDependency;
+            }
+            
             // Buat task melalui repository
+            const before = this._captureTaskStates();
             const task = this.taskRepository.create(taskToCreate);
+            this._recordCommand(`Buat task "${task.title}"`, before);
             
             return {
                 success: true,
@@ -248,8 +298,11 @@ getAvailableCategories() {
     
     /**
      * Ambil semua task user
+     * 
+     * filters.viewId memakai saved view (milik sendiri atau yang dibagikan) sebagai
+     * dasar filter dan sort; filter lain yang diisi menimpa isi view.
      * @param {Object} filters - Filter options
-     * @returns {Object} - Response dengan array task
+     * @returns {Object} - Response dengan array task (+ view dan groups jika memakai view)
      */
     getTasks(filters = {}) {
         try {
@@ -260,9 +313,30 @@ getAvailableCategories() {
                 };
             }
             
+            let viewEntry = null;
+            let requestedFilters = filters;
+            
+            if (filters.viewId) {
+                viewEntry = this.userRepository.findAccessibleView(this.currentUser.id, filters.viewId);
+                if (!viewEntry) {
+                    return {
+                        success: false,
+                        error: 'View tidak ditemukan'
+                    };
+                }
+                
+                const view = viewEntry.view;
+                requestedFilters = { ...view.filters, sortBy: view.sortBy, sortOrder: view.sortOrder };
+                Object.keys(filters)
+                    .filter(field => field !== 'viewId' && filters[field] !== undefined)
+                    .forEach(field => {
+                        requestedFilters[field] = filters[field];
+                    });
+            }
+            
             // Set filter untuk current user
             const userFilters = {
-                ...filters,
+                ...this._parseQueryFilter(requestedFilters),
                 ownerId: this.currentUser.id
             };
             
@@ -270,10 +344,20 @@ getAvailableCategories() {
             let tasks = this.taskRepository.filter(userFilters);
             
             // Sort berdasarkan parameter
-            const sortBy = filters.sortBy || 'createdAt';
-            const sortOrder = filters.sortOrder || 'desc';
+            const sortBy = requestedFilters.sortBy || 'createdAt';
+            const sortOrder = requestedFilters.sortOrder || 'desc';
             tasks = this.taskRepository.sort(tasks, sortBy, sortOrder);
             
+            if (viewEntry) {
+                return {
+                    success: true,
+                    data: tasks,
+                    count: tasks.length,
+                    view: this._presentView(viewEntry),
+                    groups: viewEntry.view.groupTasks(tasks)
+                };
+            }
+            
             return {
                 success: true,
                 data: tasks,
@@ -311,12 +395,10 @@ getAvailableCategories() {
                 };
             }
             
-            // Cek permission: hanya owner atau assignee yang bisa lihat
-            if (task.ownerId !== this.currentUser.id && task.assigneeId !== this.currentUser.id) {
-                return {
-                    success: false,
-                    error: 'Anda tidak memiliki akses ke task ini'
-                };
+            // Cek permission berdasarkan role (owner, assignee, manager, admin)
+            const denied = PermissionService.authorize(this.currentUser, 'read', task);
+            if (denied) {
+                return denied;
             }
             
             return {
@@ -356,27 +438,15 @@ getAvailableCategories() {
                 };
             }
             
-            // Cek permission: hanya owner yang bisa update
-            if (task.ownerId !== this.currentUser.id) {
-                return {
-                    success: false,
-                    error: 'Hanya owner yang bisa mengubah task'
-                };
-            }
-            
-            // Validasi assignee jika ada update
-            if (updates.assigneeId) {
-                const assignee = this.userRepository.findById(updates.assigneeId);
-                if (!assignee) {
-                    return {
-                        success: false,
-                        error: 'User yang di-assign tidak ditemukan'
-                    };
-                }
+            const denied = this._authorizeTaskUpdate(task, updates);
+            if (denied) {
+                return denied;
             }
             
             // Update task melalui repository
-            const updatedTask = this.taskRepository.update(taskId, updates);
+            const before = this._captureTaskStates([taskId]);
+            const updatedTask = this.taskRepository.update(taskId, this._stampTimeTrackingUser(updates), this.currentUser.id);
+            this._recordCommand(`Update task "${updatedTask.title}"`, before);
             
             return {
                 success: true,
@@ -415,21 +485,21 @@ getAvailableCategories() {
                 };
             }
             
-            // Cek permission: hanya owner yang bisa hapus
-            if (task.ownerId !== this.currentUser.id) {
-                return {
-                    success: false,
-                    error: 'Hanya owner yang bisa menghapus task'
-                };
+            // Cek permission untuk hapus task
+            const denied = PermissionService.authorize(this.currentUser, 'delete', task);
+            if (denied) {
+                return denied;
             }
             
             // Hapus task melalui repository
-            const deleted = this.taskRepository.delete(taskId);
+            const before = this._captureTaskStates([taskId]);
+            const deleted = this.taskRepository.delete(taskId, this.currentUser.id);
             
             if (deleted) {
+                this._recordCommand(`Hapus task "${task.title}"`, before);
                 return {
                     success: true,
-                    message: `Task "${task.title}" berhasil dihapus`
+                    message: `Task "${task.title}" berhasil dihapus dan dipindahkan ke trash`
                 };
             } else {
                 return {
@@ -453,6 +523,13 @@ getAvailableCategories() {
      */
     toggleTaskStatus(taskId) {
         try {
+            if (!this.currentUser) {
+                return {
+                    success: false,
+                    error: 'User harus login terlebih dahulu'
+                };
+            }
+            
             const task = this.taskRepository.findById(taskId);
             
             if (!task) {
@@ -463,15 +540,15 @@ getAvailableCategories() {
             }
             
             // Assignee juga bisa toggle status
-            if (task.ownerId !== this.currentUser.id && task.assigneeId !== this.currentUser.id) {
-                return {
-                    success: false,
-                    error: 'Anda tidak memiliki akses ke task ini'
-                };
+            const denied = PermissionService.authorize(this.currentUser, 'updateStatus', task);
+            if (denied) {
+                return denied;
             }
             
             const newStatus = task.isCompleted ? 'pending' : 'completed';
-            const updatedTask = this.taskRepository.update(taskId, { status: newStatus });
+            const before = this._captureTaskStates([taskId]);
+            const updatedTask = this.taskRepository.update(taskId, { status: newStatus }, this.currentUser.id);
+            this._recordCommand(`Ubah status task "${updatedTask.title}"`, before);
             
             return {
                 success: true,
@@ -488,11 +565,12 @@ getAvailableCategories() {
     }
     
     /**
-     * Search task
-     * @param {string} query - Search query
-     * @returns {Object} - Response dengan hasil search
+     * Hapus semua task milik current user (bisa di-undo sebagai satu langkah)
+     * 
+     * Task user lain tidak ikut terhapus walaupun current user admin.
+     * @returns {Object} - Response dengan jumlah task yang dihapus
      */
-    searchTasks(query) {
+    clearAllTasks() {
         try {
             if (!this.currentUser) {
                 return {
@@ -501,24 +579,26 @@ getAvailableCategories() {
                 };
             }
             
-            if (!query || query.trim() === '') {
+            const deletable = this.taskRepository.findByOwner(this.currentUser.id)
+                .filter(task => PermissionService.can(this.currentUser, 'delete', task));
+            
+            if (deletable.length === 0) {
                 return {
                     success: false,
-                    error: 'Query pencarian tidak boleh kosong'
+                    error: 'Tidak ada task yang bisa dihapus'
                 };
             }
             
-            // Search semua task, lalu filter untuk current user
-            const allResults = this.taskRepository.search(query);
-            const userResults = allResults.filter(task => 
-                task.ownerId === this.currentUser.id || task.assigneeId === this.currentUser.id
-            );
+            const before = this._captureTaskStates(deletable.map(task => task.id));
+            this.taskRepository.runInBatch(() => {
+                deletable.forEach(task => this.taskRepository.delete(task.id, this.currentUser.id));
+            });
+            this._recordCommand(`Hapus ${deletable.length} task`, before);
             
             return {
                 success: true,
-                data: userResults,
-                count: userResults.length,
-                query: query
+                data: { count: deletable.length },
+                message: `${deletable.length} task berhasil dihapus`
             };
             
         } catch (error) {
@@ -530,10 +610,105 @@ getAvailableCategories() {
     }
     
     /**
-     * Get task statistics
-     * @returns {Object} - Response dengan statistik task
+     * Update banyak task sekaligus
+     * @param {Object} selection - { ids: string[] } atau { filter: Object } (filter TaskRepository.filter)
+     * @param {Object} updates - Data update (sama dengan updateTask)
+     * @returns {Object} - Response dengan { results, succeeded, failed }
      */
-    getTaskStats() {
+    bulkUpdateTasks(selection, updates) {
+        if (!updates || Object.keys(updates).length === 0) {
+            return {
+                success: false,
+                error: 'Data update wajib diisi'
+            };
+        }
+        
+        return this._runBulkOperation(selection, {
+            label: 'Update',
+            verb: 'diupdate',
+            authorize: task => this._authorizeTaskUpdate(task, updates),
+            execute: ids => this.taskRepository.bulkUpdate(ids, this._stampTimeTrackingUser(updates), this.currentUser.id)
+        });
+    }
+    
+    /**
+     * Hapus (pindahkan ke trash) banyak task sekaligus
+     * @param {Object} selection - { ids } atau { filter }
+     * @returns {Object} - Response dengan { results, succeeded, failed }
+     */
+    bulkDeleteTasks(selection) {
+        return this._runBulkOperation(selection, {
+            label: 'Hapus',
+            verb: 'dihapus',
+            authorize: task => PermissionService.authorize(this.currentUser, 'delete', task),
+            execute: ids => this.taskRepository.bulkDelete(ids, this.currentUser.id)
+        });
+    }
+    
+    /**
+     * Assign banyak task ke satu user
+     * @param {Object} selection - { ids } atau { filter }
+     * @param {string} assigneeId - User ID tujuan
+     * @returns {Object} - Response dengan { results, succeeded, failed }
+     */
+    bulkAssignTasks(selection, assigneeId) {
+        if (!assigneeId) {
+            return {
+                success: false,
+                error: 'User yang di-assign wajib diisi'
+            };
+        }
+        
+        return this.bulkUpdateTasks(selection, { assigneeId });
+    }
+    
+    /**
+     * Tambah dan/atau hapus tag di banyak task
+     * @param {Object} selection - { ids } atau { filter }
+     * @param {Object} tags - { add: string[], remove: string[] }
+     * @returns {Object} - Response dengan { results, succeeded, failed }
+     */
+    bulkTagTasks(selection, tags = {}) {
+        const updates = {};
+        if (tags.add && tags.add.length > 0) {
+            updates.addTag = tags.add;
+        }
+        if (tags.remove && tags.remove.length > 0) {
+            updates.removeTag = tags.remove;
+        }
+        
+        if (Object.keys(updates).length === 0) {
+            return {
+                success: false,
+                error: 'Tag yang ditambah atau dihapus wajib diisi'
+            };
+        }
+        
+        return this.bulkUpdateTasks(selection, updates);
+    }
+    
+    /**
+     * Ubah status banyak task
+     * @param {Object} selection - { ids } atau { filter }
+     * @param {string} status - Status baru
+     * @returns {Object} - Response dengan { results, succeeded, failed }
+     */
+    bulkUpdateStatus(selection, status) {
+        if (!status) {
+            return {
+                success: false,
+                error: 'Status wajib diisi'
+            };
+        }
+        
+        return this.bulkUpdateTasks(selection, { status });
+    }
+    
+    /**
+     * Ambil saved view current user: milik sendiri lalu yang dibagikan user lain
+     * @returns {Object} - Response dengan array view ({ ...view, ownerId, isOwner, pinned })
+     */
+    getSavedViews() {
         try {
             if (!this.currentUser) {
                 return {
@@ -542,11 +717,15 @@ getAvailableCategories() {
                 };
             }
             
-            const stats = this.taskRepository.getStats(this.currentUser.id);
+            const own = this.userRepository.findViews(this.currentUser.id)
+                .map(view => ({ ownerId: this.currentUser.id, view }));
+            const views = [...own, ...this.userRepository.findViewsSharedWith(this.currentUser.id)]
+                .map(entry => this._presentView(entry));
             
             return {
                 success: true,
-                data: stats
+                data: views,
+                count: views.length
             };
             
         } catch (error) {
@@ -558,10 +737,12 @@ getAvailableCategories() {
     }
     
     /**
-     * Get overdue tasks
-     * @returns {Object} - Response dengan task yang overdue
+     * Simpan kombinasi filter, sort dan grouping sebagai view baru
+     * @param {Object} viewData - { name, filters, sortBy, sortOrder, groupBy, sharedWith, pinned }
+     *   sharedWith berisi user ID atau username
+     * @returns {Object} - Response dengan view yang disimpan
      */
-    getOverdueTasks() {
+    saveView(viewData = {}) {
         try {
             if (!this.currentUser) {
                 return {
@@ -570,13 +751,16 @@ getAvailableCategories() {
                 };
             }
             
-            const overdueTasks = this.taskRepository.findOverdue()
-                .filter(task => task.ownerId === this.currentUser.id || task.assigneeId === this.currentUser.id);
+            const view = new SavedView(this._prepareViewData(viewData));
+            this.userRepository.saveView(this.currentUser.id, view);
+            if (viewData.pinned) {
+                this.userRepository.setViewPinned(this.currentUser.id, view.id, true);
+            }
             
             return {
                 success: true,
-                data: overdueTasks,
-                count: overdueTasks.length
+                data: this._presentView({ ownerId: this.currentUser.id, view }),
+                message: `View "${view.name}" berhasil disimpan`
             };
             
         } catch (error) {
@@ -588,11 +772,119 @@ getAvailableCategories() {
     }
     
     /**
-     * Get tasks due soon
-     * @param {number} days - Jumlah hari ke depan
-     * @returns {Object} - Response dengan task yang akan due
+     * Ubah view milik current user (termasuk daftar user yang dibagikan)
+     * @param {string} viewId - View ID
+     * @param {Object} changes - { name, filters, sortBy, sortOrder, groupBy, sharedWith }
+     * @returns {Object} - Response dengan view yang diupdate
      */
-    getTasksDueSoon(days = 3) {
+    updateView(viewId, changes = {}) {
+        return this._handleOwnView(viewId, view => {
+            const updated = view.withChanges(this._prepareViewData(changes));
+            this.userRepository.saveView(this.currentUser.id, updated);
+            
+            return {
+                success: true,
+                data: this._presentView({ ownerId: this.currentUser.id, view: updated }),
+                message: `View "${updated.name}" berhasil diupdate`
+            };
+        });
+    }
+    
+    /**
+     * Hapus view milik current user (juga hilang untuk user yang menerima share)
+     * @param {string} viewId - View ID
+     * @returns {Object} - Response success atau error
+     */
+    deleteView(viewId) {
+        return this._handleOwnView(viewId, view => {
+            this.userRepository.deleteView(this.currentUser.id, viewId);
+            
+            return {
+                success: true,
+                message: `View "${view.name}" berhasil dihapus`
+            };
+        });
+    }
+    
+    /**
+     * Pin / unpin view di sidebar current user
+     * @param {string} viewId - View ID (milik sendiri atau yang dibagikan)
+     * @param {boolean} pinned - True untuk pin
+     * @returns {Object} - Response dengan view
+     */
+    pinView(viewId, pinned = true) {
+        if (!this.currentUser) {
+            return {
+                success: false,
+                error: 'User harus login terlebih dahulu'
+            };
+        }
+        
+        const entry = this.userRepository.findAccessibleView(this.currentUser.id, viewId);
+        if (!entry) {
+            return {
+                success: false,
+                error: 'View tidak ditemukan'
+            };
+        }
+        
+        this.userRepository.setViewPinned(this.currentUser.id, viewId, pinned);
+        
+        return {
+            success: true,
+            data: this._presentView(entry),
+            message: `View "${entry.view.name}" ${pinned ? 'di-pin' : 'tidak di-pin lagi'}`
+        };
+    }
+
+    /**
+     * Ambil task user sebagai board Kanban, satu kolom per status
+     *
+     * Filter sama dengan getTasks (termasuk viewId). Kartu di setiap kolom
+     * diurutkan sesuai urutan manual (boardRank), dan kolom ditandai overLimit
+     * jika jumlah kartunya melebihi batas WIP di preferences user.
+     * @param {Object} filters - Filter options
+     * @returns {Object} - Response dengan { columns: [{ status, tasks, count, wipLimit, overLimit }], wipLimits }
+     */
+    getBoard(filters = {}) {
+        const response = this.getTasks(filters);
+        if (!response.success) {
+            return response;
+        }
+        
+        const wipLimits = this._getWipLimits();
+        const columns = EnhancedTask.getStatuses().map(status => {
+            const tasks = this.taskRepository.sortByBoardRank(response.data.filter(task => task.status === status));
+            const wipLimit = wipLimits[status] || null;
+            
+            return {
+                status,
+                tasks,
+                count: tasks.length,
+                wipLimit,
+                overLimit: wipLimit !== null && tasks.length > wipLimit
+            };
+        });
+        
+        return {
+            success: true,
+            data: { columns, wipLimits },
+            count: response.data.length
+        };
+    }
+    
+    /**
+     * Pindahkan kartu task di board: ke kolom status lain dan/atau ke posisi lain di kolom
+     *
+     * Perubahan status dan urutan dijalankan lewat updateTask. Jika rank di antara
+     * dua kartu tidak bisa dihitung (kartu belum pernah diurutkan), kartu lain di
+     * kolom tujuan diberi rank ulang dalam langkah undo yang sama.
+     * @param {string} taskId - Task ID
+     * @param {string} status - Status kolom tujuan
+     * @param {string|null} beforeTaskId - Kartu yang berada tepat di bawah posisi baru (null = paling bawah)
+     * @returns {Object} - Response dengan task yang dipindah atau error
+     */
+    moveTaskOnBoard(taskId, status, beforeTaskId = null) {
         try {
             if (!this.currentUser) {
                 return {
@@ -601,13 +893,149 @@ getAvailableCategories() {
                 };
             }
             
-            const dueSoonTasks = this.taskRepository.findDueSoon(days)
-                .filter(task => task.ownerId === this.currentUser.id || task.assigneeId === this.currentUser.id);
+            const task = this.taskRepository.findById(taskId);
+            if (!task) {
+                return {
+                    success: false,
+                    error: 'Task tidak ditemukan'
+                };
+            }
+            
+            if (!EnhancedTask.getStatuses().includes(status)) {
+                return {
+                    success: false,
+                    error: `Status tidak valid: ${status}. Harus salah satu dari: ${EnhancedTask.getStatuses().join(', ')}`
+                };
+            }
+            
+            const column = this.taskRepository.sortByBoardRank(
+                this.taskRepository.filter({ ownerId: this.currentUser.id, status })
+                    .filter(candidate => candidate.id !== taskId)
+            );
+            
+            let index = column.length;
+            if (beforeTaskId) {
+                index = column.findIndex(candidate => candidate.id === beforeTaskId);
+                if (index === -1) {
+                    return {
+                        success: false,
+                        error: `Task tujuan tidak ada di kolom ${status}`
+                    };
+                }
+            }
+            
+            let boardRank = this._getRankBetween(column[index - 1], column[index]);
+            const reranked = [];
+            if (boardRank === null) {
+                column.splice(index, 0, task);
+                column.forEach((candidate, position) => {
+                    const rank = (position + 1) * 1000;
+                    if (candidate === task) {
+                        boardRank = rank;
+                    } else if (candidate.boardRank !== rank) {
+                        reranked.push({ id: candidate.id, boardRank: rank });
+                    }
+                });
+            }
+            
+            const updates = { boardRank };
+            if (task.status !== status) {
+                updates.status = status;
+            }
+            
+            const before = this._captureTaskStates([taskId, ...reranked.map(({ id }) => id)]);
+            const undoSteps = this.undoStack.length;
+            const response = this.updateTask(taskId, updates);
+            if (!response.success || reranked.length === 0) {
+                return response;
+            }
+            
+            this.taskRepository.runInBatch(() => {
+                reranked.forEach(({ id, boardRank: rank }) => this.taskRepository.update(id, { boardRank: rank }, this.currentUser.id));
+            });
+            
+            // Satukan dengan command dari updateTask supaya undo juga mengembalikan urutan lama
+            if (this.undoStack.length > undoSteps) {
+                this.undoStack.pop();
+            }
+            this._recordCommand(`Pindah task "${task.title}"`, before);
+            
+            return response;
+        
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    /**
+     * Simpan batas WIP (work in progress) kolom board di preferences current user
+     * @param {Object} limits - { status: jumlah maksimal kartu }, null/0 menghapus batas
+     * @returns {Object} - Response dengan semua batas WIP user
+     */
+    setBoardWipLimits(limits = {}) {
+        try {
+            if (!this.currentUser) {
+                return {
+                    success: false,
+                    error: 'User harus login terlebih dahulu'
+                };
+            }
+            
+            const wipLimits = this._getWipLimits();
+            Object.keys(limits).forEach(status => {
+                if (!EnhancedTask.getStatuses().includes(status)) {
+                    throw new Error(`Status tidak valid: ${status}. Harus salah satu dari: ${EnhancedTask.getStatuses().join(', ')}`);
+                }
+                
+                const limit = limits[status];
+                if (limit === null || limit === undefined || limit === '' || Number(limit) === 0) {
+                    delete wipLimits[status];
+                } else if (Number.isInteger(Number(limit)) && Number(limit) > 0) {
+                    wipLimits[status] = Number(limit);
+                } else {
+                    throw new Error('Batas WIP harus bilangan bulat positif');
+                }
+            });
+            
+            this.userRepository.update(this.currentUser.id, { preferences: { boardWipLimits: wipLimits } });
             
             return {
                 success: true,
-                data: dueSoonTasks,
-                count: dueSoonTasks.length
+                data: wipLimits,
+                message: 'Batas WIP berhasil disimpan'
+            };
+        
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    /**
+     * Ambil task user dalam tampilan kalender (month, week atau agenda) berdasarkan due date
+     * 
+     * Filter sama dengan getTasks (termasuk viewId). Hari pertama minggu mengikuti
+     * preferences.weekStart current user.
+     * @param {Object} options - { mode, date, days, ...filters }
+     * @returns {Object} - Response dengan kalender dari CalendarService.build
+     */
+    getCalendar(options = {}) {
+        const { mode, date, days, ...filters } = options;
+        
+        const response = this.getTasks(filters);
+        if (!response.success) {
+            return response;
+        }
+        
+        try {
+            return {
+                success: true,
+                data: this._createCalendarService().build(response.data, { mode, date, days })
             };
             
         } catch (error) {
@@ -617,6 +1045,1165 @@ getAvailableCategories() {
             };
         }
     }
+    
+    /**
+     * Pindahkan due date task ke hari lain (drag di kalender), jam due date tetap
+     * @param {string} taskId - Task ID
+     * @param {string} date - Hari tujuan (YYYY-MM-DD)
+     * @returns {Object} - Response dengan task yang diupdate atau error
+     */
+    rescheduleTask(taskId, date) {
+        try {
+            if (!this.currentUser) {
+                return {
+                    success: false,
+                    error: 'User harus login terlebih dahulu'
+                };
+            }
+            
+            const task = this.taskRepository.findById(taskId);
+            if (!task) {
+                return {
+                    success: false,
+                    error: 'Task tidak ditemukan'
+                };
+            }
+            
+            const response = this.updateTask(taskId, { dueDate: CalendarService.moveToDay(task.dueDate, date) });
+            if (!response.success) {
+                return response;
+            }
+            
+            return {
+                ...response,
+                message: `Due date task dipindah ke ${CalendarService.getDateKey(response.data.dueDate)}`
+            };
+            
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    /**
+     * Export task yang punya due date sebagai file iCalendar (.ics)
+     * 
+     * Tanpa filter ownerId/assigneeId yang diekspor adalah task milik current user;
+     * dengan assigneeId (boleh "me") task milik orang lain yang di-assign ikut
+     * diekspor selama current user boleh membacanya. Filter lain sama dengan getTasks.
+     * @param {Object} options - { type: 'todo' | 'event', name, ...filters }
+     * @returns {Object} - Response dengan isi file .ics di data dan jumlah task
+     */
+    exportCalendar(options = {}) {
+        try {
+            if (!this.currentUser) {
+                return {
+                    success: false,
+                    error: 'User harus login terlebih dahulu'
+                };
+            }
+            
+            const { type, name, ...filters } = options;
+            if (filters.assigneeId === 'me') {
+                filters.assigneeId = this.currentUser.id;
+            }
+            if (!filters.ownerId && !filters.assigneeId) {
+                filters.ownerId = this.currentUser.id;
+            }
+            
+            const tasks = this.taskRepository.sort(
+                this.taskRepository.filter(this._parseQueryFilter(filters))
+                    .filter(task => task.dueDate && PermissionService.can(this.currentUser, 'read', task)),
+                'dueDate',
+                'asc'
+            );
+            
+            return {
+                success: true,
+                data: ICalendarFormat.fromTasks(tasks, { type, name: name || `Tasks ${this.currentUser.username}` }),
+                count: tasks.length
+            };
+            
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    /**
+     * Export task user sebagai CSV (semua field, termasuk tags, checklist dan notes)
+     * @param {Object} filters - Sama dengan getTasks
+     * @returns {Object} - Response dengan CSV string di data dan jumlah task
+     */
+    exportTasksCsv(filters = {}) {
+        const response = this.getTasks(filters);
+        if (!response.success) {
+            return response;
+        }
+        
+        return {
+            success: true,
+            data: this._createTaskCsvService().toCsv(response.data),
+            count: response.count
+        };
+    }
+    
+    /**
+     * Preview import CSV: petakan kolom ke field task dan validasi setiap baris
+     * tanpa menyimpan apa pun
+     * @param {string} csvText - Isi file CSV
+     * @param {Object|null} mapping - { header kolom: field }, null untuk tebakan otomatis
+     * @returns {Object} - Response dengan hasil TaskCsvService.preview
+     */
+    previewTaskImport(csvText, mapping = null) {
+        try {
+            if (!this.currentUser) {
+                return {
+                    success: false,
+                    error: 'User harus login terlebih dahulu'
+                };
+            }
+            
+            return {
+                success: true,
+                data: this._createTaskCsvService().preview(csvText, mapping)
+            };
+            
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    /**
+     * Import task dari CSV
+     * 
+     * Semua baris divalidasi dulu (lihat previewTaskImport); jika ada satu saja
+     * baris yang error tidak ada task yang dibuat. Import bisa di-undo sekaligus.
+     * @param {string} csvText - Isi file CSV
+     * @param {Object|null} mapping - { header kolom: field }
+     * @returns {Object} - Response dengan task yang dibuat, atau preview di data jika ada error
+     */
+    importTasksCsv(csvText, mapping = null) {
+        try {
+            const response = this.previewTaskImport(csvText, mapping);
+            if (!response.success) {
+                return response;
+            }
+            
+            const denied = PermissionService.authorize(this.currentUser, 'createTask');
+            if (denied) {
+                return denied;
+            }
+            
+            const preview = response.data;
+            if (preview.errorCount > 0) {
+                return {
+                    success: false,
+                    data: preview,
+                    error: `Import dibatalkan: ${preview.errorCount} baris tidak valid`
+                };
+            }
+            
+            const before = this._captureTaskStates();
+            const tasks = this.taskRepository.runInBatch(() => preview.rows.map(row => this._createImportedTask(row.task)));
+            this._recordCommand(`Import ${tasks.length} task`, before);
+            
+            return {
+                success: true,
+                data: tasks,
+                count: tasks.length,
+                message: `${tasks.length} task berhasil diimport`
+            };
+            
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    /**
+     * Import task dari file export Trello, Todoist atau Jira
+     * 
+     * Item yang sudah pernah diimport current user (externalRef sama, termasuk
+     * yang sudah dihapus ke trash) dilewati, jadi file yang sama aman diimport ulang.
+     * Dengan dryRun tidak ada task yang dibuat, hanya laporan pemetaannya.
+     * @param {string} source - trello | todoist | jira
+     * @param {string} content - Isi file export
+     * @param {Object} options - { dryRun, category, statusMap, projectName } (lihat ExternalImportService)
+     * @returns {Object} - Response dengan laporan { source, dryRun, mapping, created, skipped, warnings }
+     */
+    importExternalTasks(source, content, options = {}) {
+        try {
+            if (!this.currentUser) {
+                return {
+                    success: false,
+                    error: 'User harus login terlebih dahulu'
+                };
+            }
+            
+            const denied = PermissionService.authorize(this.currentUser, 'createTask');
+            if (denied) {
+                return denied;
+            }
+            
+            const { dryRun = false, ...parseOptions } = options;
+            const result = new ExternalImportService(parseOptions).parse(source, content);
+            const created = [];
+            const skipped = [];
+            
+            // Lookup dibuat sekali, bukan mencari di semua task untuk setiap item
+            const importedTasks = this.taskRepository.findByExternalRefs(this.currentUser.id);
+            
+            const before = this._captureTaskStates();
+            this.taskRepository.runInBatch(() => {
+                result.items.forEach(item => {
+                    const existing = importedTasks.get(item.externalRef);
+                    if (existing) {
+                        skipped.push({ externalRef: item.externalRef, id: existing.id, title: item.title });
+                        return;
+                    }
+                    
+                    const task = dryRun ? null : this._createImportedTask(item);
+                    if (task) {
+                        importedTasks.set(item.externalRef, task);
+                    }
+                    created.push({ externalRef: item.externalRef, id: task ? task.id : null, title: item.title });
+                });
+            });
+            
+            if (!dryRun && created.length > 0) {
+                this._recordCommand(`Import ${created.length} task dari ${source}`, before);
+            }
+            
+            return {
+                success: true,
+                data: {
+                    source,
+                    dryRun,
+                    mapping: result.mapping,
+                    created,
+                    skipped,
+                    warnings: result.warnings
+                },
+                count: created.length,
+                message: `${created.length} task ${dryRun ? 'akan diimport' : 'berhasil diimport'}, ${skipped.length} dilewati karena sudah pernah diimport`
+            };
+            
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    /**
+     * Ambil task di trash yang bisa dilihat current user
+     * @returns {Object} - Response dengan array task di trash
+     */
+    getTrash() {
+        if (!this.currentUser) {
+            return {
+                success: false,
+                error: 'User harus login terlebih dahulu'
+            };
+        }
+        
+        const trash = this.taskRepository.findDeleted()
+            .filter(task => PermissionService.can(this.currentUser, 'read', task));
+        
+        return {
+            success: true,
+            data: trash,
+            count: trash.length
+        };
+    }
+    
+    /**
+     * Keluarkan task dari trash
+     * @param {string} taskId - Task ID
+     * @returns {Object} - Response dengan task yang di-restore
+     */
+    restoreTask(taskId) {
+        return this._handleTrashedTask(taskId, task => {
+            const restored = this.taskRepository.restore(taskId, this.currentUser.id);
+            return {
+                label: `Restore task "${task.title}"`,
+                response: {
+                    success: true,
+                    data: restored,
+                    message: `Task "${task.title}" berhasil di-restore`
+                }
+            };
+        });
+    }
+    
+    /**
+     * Hapus permanen task dari trash
+     * @param {string} taskId - Task ID
+     * @returns {Object} - Response success atau error
+     */
+    purgeTask(taskId) {
+        return this._handleTrashedTask(taskId, task => {
+            this.taskRepository.hardDelete(taskId, this.currentUser.id);
+            return {
+                label: `Hapus permanen task "${task.title}"`,
+                response: {
+                    success: true,
+                    message: `Task "${task.title}" dihapus permanen`
+                }
+            };
+        });
+    }
+    
+    /**
+     * Batalkan operasi terakhir
+     * @returns {Object} - Response dengan label operasi yang dibatalkan
+     */
+    undo() {
+        return this._replayCommand(this.undoStack, this.redoStack, 'before', 'Undo');
+    }
+    
+    /**
+     * Ulangi operasi yang terakhir di-undo
+     * @returns {Object} - Response dengan label operasi yang diulang
+     */
+    redo() {
+        return this._replayCommand(this.redoStack, this.undoStack, 'after', 'Redo');
+    }
+    
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+    
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+    
+    /**
+     * Mulai atau lanjutkan timer current user di task
+     * @param {string} taskId - Task ID
+     * @param {string} note - Catatan (opsional)
+     * @returns {Object} - Response dengan task yang diupdate
+     */
+    startTimer(taskId, note = undefined) {
+        return this._updateTimeTracking(taskId, { startTimer: { note } }, 'Timer dimulai');
+    }
+    
+    /**
+     * Pause timer current user di task
+     * @param {string} taskId - Task ID
+     * @returns {Object} - Response dengan task yang diupdate
+     */
+    pauseTimer(taskId) {
+        return this._updateTimeTracking(taskId, { pauseTimer: true }, 'Timer di-pause');
+    }
+    
+    /**
+     * Stop timer current user di task
+     * @param {string} taskId - Task ID
+     * @returns {Object} - Response dengan task yang diupdate
+     */
+    stopTimer(taskId) {
+        return this._updateTimeTracking(taskId, { stopTimer: true }, 'Timer dihentikan');
+    }
+    
+    /**
+     * Tambah time entry manual atas nama current user
+     * @param {string} taskId - Task ID
+     * @param {Object} entryData - { startedAt, endedAt, note }
+     * @returns {Object} - Response dengan task yang diupdate
+     */
+    addTimeEntry(taskId, entryData) {
+        return this._updateTimeTracking(taskId, { addTimeEntry: entryData || {} }, 'Time entry berhasil ditambahkan');
+    }
+    
+    /**
+     * Ubah time entry (milik sendiri, atau milik siapa saja jika boleh edit task)
+     * @param {string} taskId - Task ID
+     * @param {string} entryId - Time entry ID
+     * @param {Object} updates - { startedAt, endedAt, note }
+     * @returns {Object} - Response dengan task yang diupdate
+     */
+    updateTimeEntry(taskId, entryId, updates) {
+        return this._updateTimeTracking(taskId, { updateTimeEntry: { ...updates, id: entryId } }, 'Time entry berhasil diupdate');
+    }
+    
+    /**
+     * Hapus time entry (milik sendiri, atau milik siapa saja jika boleh edit task)
+     * @param {string} taskId - Task ID
+     * @param {string} entryId - Time entry ID
+     * @returns {Object} - Response dengan task yang diupdate
+     */
+    deleteTimeEntry(taskId, entryId) {
+        return this._updateTimeTracking(taskId, { removeTimeEntry: entryId }, 'Time entry berhasil dihapus');
+    }
+    
+    /**
+     * Ambil timer current user yang sedang berjalan
+     * @returns {Object} - Response dengan { task, entry } atau null
+     */
+    getRunningTimer() {
+        if (!this.currentUser) {
+            return {
+                success: false,
+                error: 'User harus login terlebih dahulu'
+            };
+        }
+        
+        return {
+            success: true,
+            data: this.taskRepository.findRunningTimer(this.currentUser.id)
+        };
+    }
+    
+    /**
+     * Ambil audit history task (terbaru dulu)
+     * @param {string} taskId - Task ID
+     * @returns {Object} - Response dengan array history entry
+     */
+    getTaskHistory(taskId) {
+        try {
+            if (!this.currentUser) {
+                return {
+                    success: false,
+                    error: 'User harus login terlebih dahulu'
+                };
+            }
+            
+            const task = this.taskRepository.findById(taskId);
+            
+            if (!task) {
+                return {
+                    success: false,
+                    error: 'Task tidak ditemukan'
+                };
+            }
+            
+            const denied = PermissionService.authorize(this.currentUser, 'read', task);
+            if (denied) {
+                return denied;
+            }
+            
+            const history = this.taskRepository.findHistory(taskId);
+            
+            return {
+                success: true,
+                data: history,
+                count: history.length
+            };
+            
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    /**
+     * Ambil perubahan yang dilakukan satu user, hanya di task yang boleh dibaca current user
+     * @param {string} actorId - User ID (default current user)
+     * @param {Object} options - { from, to }
+     * @returns {Object} - Response dengan array history entry (dengan taskId dan taskTitle)
+     */
+    getUserHistory(actorId = null, options = {}) {
+        try {
+            if (!this.currentUser) {
+                return {
+                    success: false,
+                    error: 'User harus login terlebih dahulu'
+                };
+            }
+            
+            const history = this.taskRepository.findHistoryByActor(actorId || this.currentUser.id, {
+                from: options.from,
+                to: options.to,
+                taskFilter: task => PermissionService.can(this.currentUser, 'read', task)
+            });
+            
+            return {
+                success: true,
+                data: history,
+                count: history.length
+            };
+            
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    /**
+     * Laporan timesheet dari task yang boleh dibaca current user
+     * @param {Object} options - { from, to, ownerId, assigneeId, userId }
+     * @returns {Object} - Response dengan report (lihat TimesheetService.generateReport)
+     */
+    getTimesheet(options = {}) {
+        try {
+            if (!this.currentUser) {
+                return {
+                    success: false,
+                    error: 'User harus login terlebih dahulu'
+                };
+            }
+            
+            const report = this._createTimesheetService().generateReport({
+                from: options.from,
+                to: options.to,
+                ownerId: options.ownerId,
+                assigneeId: options.assigneeId,
+                userId: options.userId,
+                taskFilter: task => PermissionService.can(this.currentUser, 'read', task)
+            });
+            
+            return {
+                success: true,
+                data: report
+            };
+            
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    /**
+     * Export timesheet sebagai CSV (satu baris per time entry)
+     * @param {Object} options - Sama dengan getTimesheet
+     * @returns {Object} - Response dengan CSV string di data
+     */
+    exportTimesheetCsv(options = {}) {
+        const response = this.getTimesheet(options);
+        if (!response.success) {
+            return response;
+        }
+        
+        return {
+            success: true,
+            data: this._createTimesheetService().toCsv(response.data)
+        };
+    }
+    
+    /**
+     * Search task
+     * @param {string} query - Search query
+     * @returns {Object} - Response dengan hasil search
+     */
+    searchTasks(query) {
+        try {
+            if (!this.currentUser) {
+                return {
+                    success: false,
+                    error: 'User harus login terlebih dahulu'
+                };
+            }
+            
+            if (!query || query.trim() === '') {
+                return {
+                    success: false,
+                    error: 'Query pencarian tidak boleh kosong'
+                };
+            }
+            
+            // Search semua task dengan query language, lalu filter yang boleh dilihat current user
+            const allResults = this.taskRepository.filter({ query: this._createTaskQuery(query) });
+            const userResults = allResults.filter(task => 
+                PermissionService.can(this.currentUser, 'read', task)
+            );
+            
+            return {
+                success: true,
+                data: userResults,
+                count: userResults.length,
+                query: query
+            };
+            
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    /**
+     * Get task statistics
+     * @returns {Object} - Response dengan statistik task
+     */
+    getTaskStats() {
+        try {
+            if (!this.currentUser) {
+                return {
+                    success: false,
+                    error: 'User harus login terlebih dahulu'
+                };
+            }
+            
+            const stats = this.taskRepository.getStats(this.currentUser.id);
+            
+            return {
+                success: true,
+                data: stats
+            };
+            
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    /**
+     * Get overdue tasks
+     * @returns {Object} - Response dengan task yang overdue
+     */
+    getOverdueTasks() {
+        try {
+            if (!this.currentUser) {
+                return {
+                    success: false,
+                    error: 'User harus login terlebih dahulu'
+                };
+            }
+            
+            const overdueTasks = this.taskRepository.findOverdue()
+                .filter(task => task.ownerId === this.currentUser.id || task.assigneeId === this.currentUser.id);
+            
+            return {
+                success: true,
+                data: overdueTasks,
+                count: overdueTasks.length
+            };
+            
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    /**
+     * Get tasks due soon
+     * @param {number} days - Jumlah hari ke depan
+     * @returns {Object} - Response dengan task yang akan due
+     */
+    getTasksDueSoon(days = 3) {
+        try {
+            if (!this.currentUser) {
+                return {
+                    success: false,
+                    error: 'User harus login terlebih dahulu'
+                };
+            }
+            
+            const dueSoonTasks = this.taskRepository.findDueSoon(days)
+                .filter(task => task.ownerId === this.currentUser.id || task.assigneeId === this.currentUser.id);
+            
+            return {
+                success: true,
+                data: dueSoonTasks,
+                count: dueSoonTasks.length
+            };
+            
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    // Private methods
+    _handleTrashedTask(taskId, operation) {
+        try {
+            if (!this.currentUser) {
+                return {
+                    success: false,
+                    error: 'User harus login terlebih dahulu'
+                };
+            }
+            
+            const task = this.taskRepository.findDeletedById(taskId);
+            
+            if (!task) {
+                return {
+                    success: false,
+                    error: 'Task tidak ditemukan di trash'
+                };
+            }
+            
+            // Restore dan hapus permanen butuh izin yang sama dengan menghapus
+            const denied = PermissionService.authorize(this.currentUser, 'delete', task);
+            if (denied) {
+                return denied;
+            }
+            
+            const before = this._captureTaskStates([task.id]);
+            const { label, response } = operation(task);
+            this._recordCommand(label, before);
+            
+            return response;
+            
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    _captureTaskStates(taskIds = []) {
+        if (!this.undoEnabled) return null;
+        
+        // Hanya task yang akan ditulis (dan yang bisa ikut berubah) yang diserialisasi;
+        // task baru dikenali dari ID yang belum ada sebelumnya
+        const states = new Map();
+        taskIds.forEach(taskId => {
+            this.taskRepository.findAffectedTaskIds(taskId).forEach(id => {
+                if (!states.has(id)) {
+                    states.set(id, this._serializeTaskState(id));
+                }
+            });
+        });
+        
+        return { ids: this._getAllTaskIds(), states };
+    }
+    
+    _recordCommand(label, before) {
+        if (!before) return;
+        
+        const ids = new Set(before.states.keys());
+        this._getAllTaskIds().forEach(id => {
+            if (!before.ids.has(id)) ids.add(id);
+        });
+        const changes = [];
+        
+        ids.forEach(id => {
+            const previous = before.states.has(id) ? before.states.get(id) : null;
+            const current = this._serializeTaskState(id);
+            if (previous === current) return;
+            changes.push({
+                id,
+                before: previous ? JSON.parse(previous) : null,
+                after: current ? JSON.parse(current) : null
+            });
+        });
+        
+        if (changes.length === 0) return;
+        
+        this.undoStack.push({ label, changes });
+        if (this.undoStack.length > this.maxUndoSteps) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+    
+    _getAllTaskIds() {
+        // Termasuk task di trash supaya undo delete/restore/purge lengkap
+        return new Set([...this.taskRepository.findAll(), ...this.taskRepository.findDeleted()].map(task => task.id));
+    }
+    
+    _serializeTaskState(id) {
+        const task = this.taskRepository.findById(id) || this.taskRepository.findDeletedById(id);
+        return task ? JSON.stringify(task.toJSON()) : null;
+    }
+    
+    _replayCommand(fromStack, toStack, stateKey, actionName) {
+        try {
+            if (!this.currentUser) {
+                return {
+                    success: false,
+                    error: 'User harus login terlebih dahulu'
+                };
+            }
+            
+            if (fromStack.length === 0) {
+                return {
+                    success: false,
+                    error: `Tidak ada operasi untuk di-${actionName.toLowerCase()}`
+                };
+            }
+            
+            const command = fromStack.pop();
+            this.taskRepository.restoreStates(
+                command.changes.map(change => ({ id: change.id, state: change[stateKey] })),
+                this.currentUser.id
+            );
+            toStack.push(command);
+            
+            return {
+                success: true,
+                data: { label: command.label },
+                message: `${actionName}: ${command.label}`
+            };
+            
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    /**
+     * Cek permission dan validasi sebuah update task
+     * @param {EnhancedTask} task - Task target
+     * @param {Object} updates - Data update
+     * @returns {Object|null} - null jika boleh, response error jika ditolak
+     */
+    _authorizeTaskUpdate(task, updates) {
+        // Cek permission untuk setiap jenis perubahan (edit, status, assign, kategori)
+        for (const action of PermissionService.getRequiredTaskActions(updates)) {
+            const denied = PermissionService.authorize(this.currentUser, action, task);
+            if (denied) {
+                return denied;
+            }
+        }
+        
+        // Validasi assignee jika ada update
+        if (updates.assigneeId) {
+            const assignee = this.userRepository.findById(updates.assigneeId);
+            if (!assignee) {
+                return {
+                    success: false,
+                    error: 'User yang di-assign tidak ditemukan'
+                };
+            }
+        }
+        
+        const dependencyIds = [].concat(updates.dependsOn || [], updates.addDependency || []);
+        const deniedDependency = this._authorizeDependencies(dependencyIds);
+        if (deniedDependency) {
+            return deniedDependency;
+        }
+        
+        return this._authorizeTimeEntryChange(task, updates);
+    }
+    
+    /**
+     * Jalankan operasi bulk: pilih task, cek permission per task, lalu
+     * jalankan task yang diizinkan dengan satu kali write (satu langkah undo)
+     * @param {Object} selection - { ids } atau { filter }
+     * @param {Object} operation - { verb, authorize(task), execute(ids) }
+     * @returns {Object} - Response dengan hasil per task
+     */
+    _runBulkOperation(selection, operation) {
+        try {
+            if (!this.currentUser) {
+                return {
+                    success: false,
+                    error: 'User harus login terlebih dahulu'
+                };
+            }
+            
+            const selected = this._resolveBulkSelection(selection);
+            if (selected.error) {
+                return { success: false, error: selected.error };
+            }
+            
+            const results = new Map();
+            const allowedIds = [];
+            selected.ids.forEach(id => {
+                const task = this.taskRepository.findById(id);
+                const denied = task ? operation.authorize(task) : { error: 'Task tidak ditemukan' };
+                if (denied) {
+                    results.set(id, { id, success: false, error: denied.error });
+                } else {
+                    allowedIds.push(id);
+                }
+            });
+            
+            const before = this._captureTaskStates(allowedIds);
+            const applied = allowedIds.length > 0 ? operation.execute(allowedIds) : [];
+            applied.forEach(({ id, success, task, error }) => {
+                results.set(id, success ? { id, success, data: task || null } : { id, success, error });
+            });
+            
+            const ordered = selected.ids.map(id => results.get(id));
+            const succeeded = ordered.filter(result => result.success).length;
+            if (succeeded > 0) {
+                this._recordCommand(`${operation.label} ${succeeded} task`, before);
+            }
+            
+            return {
+                success: true,
+                data: {
+                    results: ordered,
+                    succeeded,
+                    failed: ordered.length - succeeded
+                },
+                count: ordered.length,
+                message: `${succeeded} dari ${ordered.length} task berhasil ${operation.verb}`
+            };
+            
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    _resolveBulkSelection(selection = {}) {
+        let ids;
+        
+        if (Array.isArray(selection.ids)) {
+            ids = selection.ids;
+        } else if (selection.filter && typeof selection.filter === 'object') {
+            ids = this.taskRepository.filter(this._parseQueryFilter(selection.filter))
+                .filter(task => PermissionService.can(this.currentUser, 'read', task))
+                .map(task => task.id);
+        } else {
+            return { error: 'Pilih task dengan ids atau filter' };
+        }
+        
+        ids = Array.from(new Set(ids.map(String)));
+        if (ids.length === 0) {
+            return { error: 'Tidak ada task yang dipilih' };
+        }
+        return { ids };
+    }
+    
+    /**
+     * Parse query (lihat TaskQuery) dengan username dan "me" sesuai current user
+     * @param {string} text - Query
+     * @returns {TaskQuery} - Query yang siap dipakai di TaskRepository.filter
+     */
+    _createTaskQuery(text) {
+        return new TaskQuery(text, {
+            currentUserId: this.currentUser.id,
+            resolveUser: name => this._resolveUserId(name)
+        });
+    }
+    
+    _resolveUserId(name) {
+        const user = this.userRepository.findByUsername(name) || this.userRepository.findById(name);
+        return user ? user.id : null;
+    }
+    
+    _parseQueryFilter(filters) {
+        if (typeof filters.query !== 'string') {
+            return filters;
+        }
+        return { ...filters, query: this._createTaskQuery(filters.query) };
+    }
+    
+    _getPreferences() {
+        // Ambil dari repository supaya perubahan lewat UserController ikut terbaca
+        const user = this.userRepository.findById(this.currentUser.id) || this.currentUser;
+        return user.preferences;
+    }
+    
+    _getWipLimits() {
+        return { ...(this._getPreferences().boardWipLimits || {}) };
+    }
+    
+    /**
+     * Hitung rank untuk kartu yang disisipkan di antara dua kartu board
+     * @param {EnhancedTask|undefined} previous - Kartu di atas posisi baru
+     * @param {EnhancedTask|undefined} next - Kartu di bawah posisi baru
+     * @returns {number|null} - Rank baru, null jika kolom harus diberi rank ulang
+     */
+    _getRankBetween(previous, next) {
+        if ((previous && previous.boardRank === null) || (next && next.boardRank === null)) {
+            return null;
+        }
+        if (!previous && !next) return 1000;
+        if (!previous) return next.boardRank - 1000;
+        if (!next) return previous.boardRank + 1000;
+        
+        // Rank habis dibagi (angka terlalu rapat) -> beri rank ulang
+        const rank = (previous.boardRank + next.boardRank) / 2;
+        return rank > previous.boardRank && rank < next.boardRank ? rank : null;
+    }
+    
+    _handleOwnView(viewId, operation) {
+        try {
+            if (!this.currentUser) {
+                return {
+                    success: false,
+                    error: 'User harus login terlebih dahulu'
+                };
+            }
+            
+            const entry = this.userRepository.findAccessibleView(this.currentUser.id, viewId);
+            if (!entry) {
+                return {
+                    success: false,
+                    error: 'View tidak ditemukan'
+                };
+            }
+            if (entry.ownerId !== this.currentUser.id) {
+                return {
+                    success: false,
+                    error: 'Hanya owner view yang bisa mengubah view ini'
+                };
+            }
+            
+            return operation(entry.view);
+            
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    /**
+     * Validasi query dan ubah sharedWith (ID atau username) menjadi user ID
+     * @param {Object} viewData - Data view dari form / API
+     * @returns {Object} - Data untuk SavedView
+     */
+    _prepareViewData(viewData) {
+        const prepared = { ...viewData };
+        delete prepared.pinned;
+        
+        // Query dicek sekarang supaya error tidak baru muncul saat view dibuka
+        if (prepared.filters && prepared.filters.query) {
+            this._createTaskQuery(prepared.filters.query);
+        }
+        
+        if (prepared.sharedWith !== undefined) {
+            prepared.sharedWith = [].concat(prepared.sharedWith).map(name => {
+                const user = this.userRepository.findById(name) || this.userRepository.findByUsername(String(name));
+                if (!user) {
+                    throw new Error(`User tidak ditemukan: ${name}`);
+                }
+                return user.id;
+            }).filter(userId => userId !== this.currentUser.id);
+        }
+        
+        return prepared;
+    }
+    
+    _presentView({ ownerId, view }) {
+        const pinnedViewIds = this.currentUser.preferences.pinnedViewIds || [];
+        
+        return {
+            ...view.toJSON(),
+            ownerId,
+            isOwner: ownerId === this.currentUser.id,
+            pinned: pinnedViewIds.includes(view.id)
+        };
+    }
+    
+    _createTimesheetService() {
+        return new TimesheetService(this.taskRepository, this.userRepository);
+    }
+    
+    _createCalendarService() {
+        return new CalendarService({ weekStart: this._getPreferences().weekStart });
+    }
+    
+    _createTaskCsvService() {
+        return new TaskCsvService({
+            resolveUser: name => this._resolveUserId(name)
+        });
+    }
+    
+    _createImportedTask(taskData) {
+        // Status, checklist dan catatan ikut dibuat sekaligus (completedAt terisi
+        // dari status awal), jadi satu baris import hanya satu kali create
+        return this.taskRepository.create({
+            ...taskData,
+            ownerId: this.currentUser.id,
+            assigneeId: taskData.assigneeId || this.currentUser.id
+        });
+    }
+    
+    _updateTimeTracking(taskId, updates, message) {
+        const response = this.updateTask(taskId, updates);
+        if (response.success) {
+            response.message = message;
+        }
+        return response;
+    }
+    
+    _authorizeTimeEntryChange(task, updates) {
+        const entryId = updates.updateTimeEntry !== undefined
+            ? (updates.updateTimeEntry || {}).id
+            : updates.removeTimeEntry;
+        if (entryId === undefined) return null;
+        
+        const entry = task.timeEntries.find(candidate => candidate.id === entryId);
+        if (!entry) {
+            return {
+                success: false,
+                error: 'Time entry tidak ditemukan'
+            };
+        }
+        
+        if (entry.userId !== this.currentUser.id && !PermissionService.can(this.currentUser, 'edit', task)) {
+            return {
+                success: false,
+                error: 'Anda tidak memiliki izin untuk mengubah time entry user lain'
+            };
+        }
+        
+        return null;
+    }
+    
+    _stampTimeTrackingUser(updates) {
+        // Waktu kerja selalu dicatat atas nama user yang login
+        const userId = this.currentUser.id;
+        const stamped = { ...updates };
+        
+        if (updates.addTimeSpent !== undefined) {
+            const timeSpent = typeof updates.addTimeSpent === 'object' ? updates.addTimeSpent : { hours: updates.addTimeSpent };
+            stamped.addTimeSpent = { ...timeSpent, userId };
+        }
+        if (updates.startTimer !== undefined) {
+            stamped.startTimer = { note: (updates.startTimer || {}).note, userId };
+        }
+        if (updates.pauseTimer !== undefined) {
+            stamped.pauseTimer = userId;
+        }
+        if (updates.stopTimer !== undefined) {
+            stamped.stopTimer = userId;
+        }
+        if (updates.addTimeEntry !== undefined) {
+            stamped.addTimeEntry = { ...updates.addTimeEntry, userId };
+        }
+        
+        return stamped;
+    }
+    
+    _authorizeDependencies(dependencyIds) {
+        // User hanya boleh bergantung pada task yang bisa dia lihat
+        for (const dependencyId of dependencyIds) {
+            const dependency = this.taskRepository.findById(dependencyId);
+            if (!dependency) {
+                return {
+                    success: false,
+                    error: 'Task dependency tidak ditemukan'
+                };
+            }
+            
+            const denied = PermissionService.authorize(this.currentUser, 'read', dependency);
+            if (denied) {
+                return denied;
+            }
+        }
+        
+        return null;
+    }
 }
 
 // Export untuk digunakan di file lain
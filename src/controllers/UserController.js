@@ -5,17 +5,35 @@
  * - User registration dan login
  * - Profile management
  * - User preferences
- * - Authentication simulation
+ * - Password authentication (lockout, ganti password, reset token)
+ * - API key per user dengan scope
+ *
+ * Password hasher di-inject dari luar (PasswordHasher di server).
+ * Tanpa hasher (app browser), login tetap berupa simulasi username-only
+ * dan akun yang punya password tidak bisa login dari sana.
  */
+/* global PermissionService */
+
+// Hash pengganti untuk username yang tidak ada: verify tetap menjalankan scrypt,
+// jadi waktu respons tidak membedakan username yang ada dan yang tidak
+const LOGIN_DUMMY_PASSWORD_HASH = `scrypt$${'0'.repeat(32)}$${'0'.repeat(128)}`;
+
 class UserController {
-    constructor(userRepository) {
+    constructor(userRepository, passwordHasher = null, authOptions = {}) {
         this.userRepository = userRepository;
+        this.passwordHasher = passwordHasher;
+        this.authOptions = {
+            maxFailedLogins: 5,
+            lockoutMinutes: 15,
+            resetTokenMinutes: 60,
+            ...authOptions
+        };
         this.currentUser = null;
     }
     
     /**
      * Register user baru
-     * @param {Object} userData - Data user (username, email, fullName)
+     * @param {Object} userData - Data user (username, email, fullName, password)
      * @returns {Object} - Response dengan user yang dibuat atau error
      */
     register(userData) {
@@ -35,8 +53,25 @@ class UserController {
                 };
             }
             
+            // Hanya field profile yang diambil, role tidak bisa di-set saat register
+            const profileData = {
+                username: userData.username,
+                email: userData.email,
+                fullName: userData.fullName
+            };
+            
+            // User pertama di sistem otomatis menjadi admin
+            if (this.userRepository.findAll().length === 0) {
+                profileData.role = 'admin';
+            }
+            
+            // Hash password jika auth dengan password aktif
+            if (this.passwordHasher) {
+                profileData.passwordHash = this.passwordHasher.hash(userData.password);
+            }
+            
             // Buat user baru
-            const user = this.userRepository.create(userData);
+            const user = this.userRepository.create(profileData);
             
             return {
                 success: true,
@@ -44,7 +79,8 @@ class UserController {
                     id: user.id,
                     username: user.username,
                     email: user.email,
-                    fullName: user.fullName
+                    fullName: user.fullName,
+                    role: user.role
                 },
                 message: `User ${user.username} berhasil didaftarkan`
             };
@@ -58,11 +94,12 @@ class UserController {
     }
     
     /**
-     * Login user (simulasi)
+     * Login user
      * @param {string} username - Username
+     * @param {string} password - Password (wajib jika ada password hasher)
      * @returns {Object} - Response dengan user data atau error
      */
-    login(username) {
+    login(username, password) {
         try {
             if (!username || username.trim() === '') {
                 return {
@@ -71,8 +108,26 @@ class UserController {
                 };
             }
             
+            // Dicek sebelum mencari user, supaya jawabannya sama untuk semua username
+            if (this.passwordHasher && !password) {
+                return {
+                    success: false,
+                    error: 'Password wajib diisi'
+                };
+            }
+            
             const user = this.userRepository.findByUsername(username);
             
+            // Dengan password, username yang tidak ada dan akun nonaktif mendapat error
+            // (dan waktu respons) yang sama dengan password salah supaya username tidak bisa ditebak
+            if (this.passwordHasher && (!user || !user.isActive)) {
+                this.passwordHasher.verify(password, LOGIN_DUMMY_PASSWORD_HASH);
+                return {
+                    success: false,
+                    error: 'Username atau password salah'
+                };
+            }
+            
             if (!user) {
                 return {
                     success: false,
@@ -87,6 +142,11 @@ class UserController {
                 };
             }
             
+            const credentialCheck = this._checkCredentials(user, password);
+            if (!credentialCheck.success) {
+                return credentialCheck;
+            }
+            
             // Record login
             this.userRepository.recordLogin(user.id);
             this.currentUser = user;
@@ -112,12 +172,335 @@ class UserController {
         }
     }
     
+    /**
+     * Ganti password user yang sedang login
+     * @param {string} currentPassword - Password lama
+     * @param {string} newPassword - Password baru
+     * @returns {Object} - Response success atau error
+     */
+    changePassword(currentPassword, newPassword) {
+        try {
+            if (!this.currentUser) {
+                return {
+                    success: false,
+                    error: 'User harus login terlebih dahulu'
+                };
+            }
+            
+            if (!this.passwordHasher) {
+                return {
+                    success: false,
+                    error: 'Autentikasi password tidak tersedia'
+                };
+            }
+            
+            if (!this.passwordHasher.verify(currentPassword, this.currentUser.passwordHash)) {
+                return {
+                    success: false,
+                    error: 'Password lama salah'
+                };
+            }
+            
+            const passwordHash = this.passwordHasher.hash(newPassword);
+            this.currentUser = this.userRepository.updatePasswordHash(this.currentUser.id, passwordHash);
+            
+            return {
+                success: true,
+                message: 'Password berhasil diubah'
+            };
+            
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    /**
+     * Minta token reset password
+     * 
+     * Token asli hanya dikembalikan di response ini (untuk dikirim ke user),
+     * yang disimpan di repository hanya hash-nya.
+     * @param {string} identifier - Username atau email
+     * @returns {Object} - Response dengan token reset atau error
+     */
+    requestPasswordReset(identifier) {
+        try {
+            if (!this.passwordHasher) {
+                return {
+                    success: false,
+                    error: 'Autentikasi password tidak tersedia'
+                };
+            }
+            
+            if (!identifier || identifier.trim() === '') {
+                return {
+                    success: false,
+                    error: 'Username atau email wajib diisi'
+                };
+            }
+            
+            const user = this.userRepository.findByUsername(identifier) ||
+                this.userRepository.findByEmail(identifier);
+            
+            if (!user || !user.isActive) {
+                return {
+                    success: false,
+                    error: 'User tidak ditemukan'
+                };
+            }
+            
+            const token = this.passwordHasher.generateToken();
+            const expiresAt = new Date(Date.now() + this.authOptions.resetTokenMinutes * 60 * 1000);
+            this.userRepository.setPasswordResetToken(user.id, this.passwordHasher.hashToken(token), expiresAt);
+            
+            return {
+                success: true,
+                data: {
+                    userId: user.id,
+                    email: user.email,
+                    token: token,
+                    expiresAt: expiresAt
+                },
+                message: 'Token reset password berhasil dibuat'
+            };
+            
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    /**
+     * Reset password memakai token dari requestPasswordReset
+     * @param {string} token - Token reset
+     * @param {string} newPassword - Password baru
+     * @returns {Object} - Response success atau error
+     */
+    resetPassword(token, newPassword) {
+        try {
+            if (!this.passwordHasher) {
+                return {
+                    success: false,
+                    error: 'Autentikasi password tidak tersedia'
+                };
+            }
+            
+            const user = this.userRepository.findByPasswordResetToken(this.passwordHasher.hashToken(token || ''));
+            
+            if (!user) {
+                return {
+                    success: false,
+                    error: 'Token reset tidak valid atau sudah kedaluwarsa'
+                };
+            }
+            
+            // setPasswordHash juga membuka lockout dan menghapus token
+            this.userRepository.updatePasswordHash(user.id, this.passwordHasher.hash(newPassword));
+            
+            return {
+                success: true,
+                message: 'Password berhasil direset'
+            };
+            
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    /**
+     * Buat API key baru untuk user yang login
+     * 
+     * Key asli hanya dikembalikan sekali di response ini,
+     * yang disimpan hanya hash-nya.
+     * @param {string} name - Nama/label API key
+     * @param {string[]} scopes - Scope (boleh 'read-only' sebagai singkatan)
+     * @returns {Object} - Response dengan API key atau error
+     */
+    createApiKey(name, scopes) {
+        try {
+            if (!this.currentUser) {
+                return {
+                    success: false,
+                    error: 'User harus login terlebih dahulu'
+                };
+            }
+            
+            if (!this.passwordHasher) {
+                return {
+                    success: false,
+                    error: 'API key hanya tersedia di server'
+                };
+            }
+            
+            const normalizedScopes = this._normalizeScopes(scopes);
+            const key = UserController.getApiKeyPrefix() + this.passwordHasher.generateToken();
+            const apiKey = {
+                id: 'key_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+                name: name && name.trim() ? name.trim() : 'API key',
+                keyHash: this.passwordHasher.hashToken(key),
+                prefix: key.substring(0, 10),
+                scopes: normalizedScopes
+            };
+            
+            this.userRepository.addApiKey(this.currentUser.id, apiKey);
+            
+            return {
+                success: true,
+                data: {
+                    id: apiKey.id,
+                    name: apiKey.name,
+                    prefix: apiKey.prefix,
+                    scopes: apiKey.scopes,
+                    key: key
+                },
+                message: 'API key berhasil dibuat, simpan key ini karena tidak akan ditampilkan lagi'
+            };
+            
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    /**
+     * List API key milik user yang login (tanpa hash)
+     * @returns {Object} - Response dengan list API key
+     */
+    listApiKeys() {
+        if (!this.currentUser) {
+            return {
+                success: false,
+                error: 'User harus login terlebih dahulu'
+            };
+        }
+        
+        const apiKeys = this.currentUser.apiKeys.map(apiKey => ({
+            id: apiKey.id,
+            name: apiKey.name,
+            prefix: apiKey.prefix,
+            scopes: apiKey.scopes,
+            createdAt: apiKey.createdAt,
+            lastUsedAt: apiKey.lastUsedAt,
+            revokedAt: apiKey.revokedAt
+        }));
+        
+        return {
+            success: true,
+            data: apiKeys,
+            count: apiKeys.length
+        };
+    }
+    
+    /**
+     * Cabut API key milik user yang login
+     * @param {string} keyId - ID API key
+     * @returns {Object} - Response success atau error
+     */
+    revokeApiKey(keyId) {
+        if (!this.currentUser) {
+            return {
+                success: false,
+                error: 'User harus login terlebih dahulu'
+            };
+        }
+        
+        const revoked = this.userRepository.revokeApiKey(this.currentUser.id, keyId);
+        
+        if (!revoked) {
+            return {
+                success: false,
+                error: 'API key tidak ditemukan'
+            };
+        }
+        
+        return {
+            success: true,
+            message: 'API key berhasil dicabut'
+        };
+    }
+    
+    /**
+     * Buat (atau ganti) token feed kalender untuk user yang login
+     * 
+     * Feed bisa di-subscribe aplikasi kalender di /calendar/<token>.ics tanpa login,
+     * jadi token hanya dikembalikan sekali dan token lama otomatis tidak berlaku.
+     * @returns {Object} - Response dengan token dan path feed
+     */
+    createCalendarFeed() {
+        if (!this.currentUser) {
+            return {
+                success: false,
+                error: 'User harus login terlebih dahulu'
+            };
+        }
+        
+        if (!this.passwordHasher) {
+            return {
+                success: false,
+                error: 'Feed kalender hanya tersedia di server'
+            };
+        }
+        
+        const token = this.passwordHasher.generateToken();
+        this.userRepository.setCalendarFeedToken(this.currentUser.id, this.passwordHasher.hashToken(token));
+        
+        return {
+            success: true,
+            data: {
+                token: token,
+                path: `/calendar/${token}.ics`
+            },
+            message: 'Feed kalender berhasil dibuat, simpan URL ini karena tidak akan ditampilkan lagi'
+        };
+    }
+    
+    /**
+     * Matikan feed kalender user yang login
+     * @returns {Object} - Response success atau error
+     */
+    revokeCalendarFeed() {
+        if (!this.currentUser) {
+            return {
+                success: false,
+                error: 'User harus login terlebih dahulu'
+            };
+        }
+        
+        if (!this.currentUser.hasCalendarFeed) {
+            return {
+                success: false,
+                error: 'Feed kalender tidak ditemukan'
+            };
+        }
+        
+        this.userRepository.setCalendarFeedToken(this.currentUser.id, null);
+        
+        return {
+            success: true,
+            message: 'Feed kalender berhasil dicabut'
+        };
+    }
+    
     /**
      * Logout user
      * @returns {Object} - Response success
      */
     logout() {
         const username = this.currentUser ? this.currentUser.username : 'User';
+        
+        // Cabut session token yang sudah dibuat untuk user ini
+        if (this.currentUser) {
+            this.userRepository.revokeSessions(this.currentUser.id);
+        }
         this.currentUser = null;
         
         return {
@@ -166,7 +549,14 @@ class UserController {
                 };
             }
             
-            const updatedUser = this.userRepository.update(this.currentUser.id, updates);
+            // Role dan status akun tidak boleh diubah lewat update profile
+            const profileUpdates = {
+                fullName: updates.fullName,
+                email: updates.email,
+                preferences: this._filterPreferences(updates.preferences)
+            };
+            
+            const updatedUser = this.userRepository.update(this.currentUser.id, profileUpdates);
             
             if (!updatedUser) {
                 return {
@@ -213,7 +603,7 @@ class UserController {
             }
             
             const updatedUser = this.userRepository.update(this.currentUser.id, {
-                preferences: preferences
+                preferences: this._filterPreferences(preferences)
             });
             
             if (!updatedUser) {
@@ -239,6 +629,64 @@ class UserController {
         }
     }
     
+    /**
+     * Ubah role user (khusus admin)
+     * @param {string} userId - User ID target
+     * @param {string} newRole - Role baru (admin, manager, user, viewer)
+     * @returns {Object} - Response dengan user yang diupdate atau error
+     */
+    changeUserRole(userId, newRole) {
+        try {
+            if (!this.currentUser) {
+                return {
+                    success: false,
+                    error: 'User harus login terlebih dahulu'
+                };
+            }
+            
+            const denied = PermissionService.authorize(this.currentUser, 'manageRoles');
+            if (denied) {
+                return denied;
+            }
+            
+            const user = this.userRepository.findById(userId);
+            
+            if (!user) {
+                return {
+                    success: false,
+                    error: 'User tidak ditemukan'
+                };
+            }
+            
+            // Jangan sampai sistem tidak punya admin sama sekali
+            const activeAdmins = this.userRepository.findActive().filter(u => u.role === 'admin');
+            if (user.role === 'admin' && newRole !== 'admin' && activeAdmins.length <= 1) {
+                return {
+                    success: false,
+                    error: 'Minimal harus ada satu admin aktif'
+                };
+            }
+            
+            const updatedUser = this.userRepository.update(userId, { role: newRole });
+            
+            return {
+                success: true,
+                data: {
+                    id: updatedUser.id,
+                    username: updatedUser.username,
+                    role: updatedUser.role
+                },
+                message: `Role ${updatedUser.username} berhasil diubah ke ${updatedUser.role}`
+            };
+            
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
     /**
      * Get all users (untuk assign task)
      * @returns {Object} - Response dengan list user
@@ -337,6 +785,13 @@ class UserController {
      */
     getUserById(userId) {
         try {
+            if (!this.currentUser) {
+                return {
+                    success: false,
+                    error: 'User harus login terlebih dahulu'
+                };
+            }
+            
             const user = this.userRepository.findById(userId);
             
             if (!user) {
@@ -362,6 +817,110 @@ class UserController {
             };
         }
     }
+    
+    /**
+     * Prefix untuk API key, dipakai middleware untuk membedakan dari session token
+     * @returns {string} - Prefix API key
+     */
+    static getApiKeyPrefix() {
+        return 'tk_';
+    }
+    
+    /**
+     * Scope yang bisa diberikan ke API key
+     * @returns {string[]} - Array scope yang valid
+     */
+    static getAvailableApiKeyScopes() {
+        return ['tasks:read', 'tasks:write', 'users:read', 'users:write'];
+    }
+    
+    // Private methods
+    
+    /**
+     * Validasi scope API key, 'read-only' diubah jadi semua scope :read
+     * @param {string[]} scopes - Scope yang diminta
+     * @returns {string[]} - Scope yang valid
+     */
+    _normalizeScopes(scopes) {
+        const requested = Array.isArray(scopes) ? scopes : [];
+        const validScopes = UserController.getAvailableApiKeyScopes();
+        const normalized = new Set();
+        
+        requested.forEach(scope => {
+            if (scope === 'read-only') {
+                validScopes.filter(s => s.endsWith(':read')).forEach(s => normalized.add(s));
+            } else if (validScopes.includes(scope)) {
+                normalized.add(scope);
+            } else {
+                throw new Error(`Scope tidak valid: ${scope}. Harus salah satu dari: read-only, ${validScopes.join(', ')}`);
+            }
+        });
+        
+        if (normalized.size === 0) {
+            throw new Error('Minimal satu scope wajib dipilih');
+        }
+        
+        return Array.from(normalized);
+    }
+    
+    /**
+     * Buang preference saved view, view hanya boleh diubah lewat
+     * TaskController.saveView/deleteView/pinView yang memvalidasinya
+     * @param {Object|undefined} preferences - Preferences dari request
+     * @returns {Object|undefined} - Preferences tanpa savedViews dan pinnedViewIds
+     */
+    _filterPreferences(preferences) {
+        if (!preferences) return preferences;
+        
+        const filtered = { ...preferences };
+        delete filtered.savedViews;
+        delete filtered.pinnedViewIds;
+        return filtered;
+    }
+    
+    /**
+     * Verifikasi password + lockout
+     * @param {User} user - User yang mencoba login
+     * @param {string} password - Password yang dikirim
+     * @returns {Object} - {success: true} atau response error
+     */
+    _checkCredentials(user, password) {
+        if (!this.passwordHasher) {
+            // Mode simulasi (browser): akun dengan password harus login lewat server
+            if (user.hasPassword) {
+                return {
+                    success: false,
+                    error: 'Akun ini membutuhkan login dengan password'
+                };
+            }
+            return { success: true };
+        }
+        
+        const passwordMatches = this.passwordHasher.verify(password, user.passwordHash);
+        
+        // Akun terkunci mendapat error yang sama dengan password salah: pesan
+        // "terkunci" hanya mungkin untuk username yang ada
+        if (user.isLocked) {
+            return {
+                success: false,
+                error: 'Username atau password salah'
+            };
+        }
+        
+        if (!passwordMatches) {
+            this.userRepository.recordFailedLogin(
+                user.id,
+                this.authOptions.maxFailedLogins,
+                this.authOptions.lockoutMinutes
+            );
+            return {
+                success: false,
+                error: 'Username atau password salah'
+            };
+        }
+        
+        return { success: true };
+    }
 }
 
 // Export untuk digunakan di file lain
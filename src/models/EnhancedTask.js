@@ -6,8 +6,19 @@
  * - Categories dan tags
  * - Due dates dengan overdue detection
  * - Status yang lebih detail
- * - Time tracking
+ * - Time tracking: time entry per user (timer start/pause/stop atau entry manual),
+ *   actualHours dihitung dari total durasi entry yang sudah selesai
+ * - Recurring tasks (aturan pengulangan ada di RecurrenceRule)
+ * - Subtask (task lain dengan parentId) dan checklist item di dalam task
+ * - Dependency antar task (dependsOn), status blocked otomatis diatur TaskRepository
+ * - Riwayat perubahan field (append-only), dicatat oleh TaskRepository.update
+ * - Soft delete ke trash (deletedAt/deletedBy), bisa di-restore
+ * - Urutan manual di kolom board Kanban (boardRank)
  */
+/* global RecurrenceRule */
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
 class EnhancedTask {
     /**
  * Update task category
@@ -54,10 +65,14 @@ isInCategory(category) {
 }
     constructor(title, description, ownerId, options = {}) {
         // Validasi input
-        if (!title || title.trim() === '') {
+        if (typeof title !== 'string' || title.trim() === '') {
             throw new Error('Judul task wajib diisi');
         }
         
+        if (description && typeof description !== 'string') {
+            throw new Error('Deskripsi task tidak valid');
+        }
+        
         if (!ownerId) {
             throw new Error('Owner ID wajib diisi');
         }
@@ -76,18 +91,61 @@ isInCategory(category) {
         this._status = this._validateStatus(options.status || 'pending');
         
         // Date properties
-        this._dueDate = options.dueDate ? new Date(options.dueDate) : null;
+        this._dueDate = this._validateDueDate(options.dueDate);
         this._createdAt = new Date();
         this._updatedAt = new Date();
-        this._completedAt = null;
+        this._completedAt = this._status === 'completed' ? new Date() : null;
         
         // Time tracking
-        this._estimatedHours = options.estimatedHours || 0;
-        this._actualHours = 0;
+        this._estimatedHours = options.estimatedHours ? this._validateEstimatedHours(options.estimatedHours) : 0;
+        this._timeEntries = [];
+        this._pausedTimers = []; // userId yang timer-nya sedang di-pause
         
         // Additional metadata
         this._notes = [];
         this._attachments = [];
+        
+        // Recurrence: semua occurrence dalam satu seri berbagi seriesId
+        this._recurrence = options.recurrence ? EnhancedTask._createRecurrenceRule(options.recurrence) : null;
+        this._seriesId = this._recurrence ? this._id : null;
+        this._occurrenceIndex = 1;
+        this._nextOccurrenceId = null;
+        
+        // Hierarchy: subtask adalah task biasa dengan parentId,
+        // checklist adalah langkah kecil di dalam task ini
+        this._parentId = options.parentId || null;
+        this._checklist = [];
+        this._subtaskProgress = []; // progress tiap subtask, diisi oleh TaskRepository
+        
+        // Dependency: task ini baru bisa dikerjakan setelah semua task di dependsOn selesai
+        this._dependsOn = Array.isArray(options.dependsOn) ? Array.from(new Set(options.dependsOn)) : [];
+        if (this._dependsOn.includes(this._id)) {
+            throw new Error('Task tidak bisa bergantung pada dirinya sendiri');
+        }
+        this._statusBeforeBlocked = null; // terisi jika status blocked di-set otomatis
+        
+        // Audit history: hanya bisa ditambah, tidak pernah diubah/dihapus
+        this._history = [];
+        
+        // Trash: task yang dihapus tetap disimpan sampai di-purge
+        this._deletedAt = null;
+        this._deletedBy = null;
+        
+        // Board Kanban: urutan manual di kolom status (kecil = atas), null = belum diurutkan
+        this._boardRank = null;
+        
+        // Import dari aplikasi lain: "<sumber>:<id di sumber>", mis. "trello:5f1a...",
+        // supaya import ulang file yang sama tidak membuat task duplikat
+        this._externalRef = options.externalRef || null;
+        
+        // Checklist ({ text, done }) dan catatan awal, mis. dari import
+        this._validateList(options.checklist, 'Checklist', item => item && typeof item.text === 'string').forEach(item => {
+            const added = this.addChecklistItem(item.text);
+            if (item.done) {
+                this.toggleChecklistItem(added.id, true);
+            }
+        });
+        this._validateList(options.notes, 'Catatan', note => typeof note === 'string').forEach(note => this.addNote(note));
     }
     
     // Getter methods
@@ -105,11 +163,27 @@ isInCategory(category) {
     get updatedAt() { return this._updatedAt; }
     get completedAt() { return this._completedAt; }
     get estimatedHours() { return this._estimatedHours; }
-    get actualHours() { return this._actualHours; }
+    get timeEntries() { return this._timeEntries.map(entry => ({ ...entry })); }
     get notes() { return [...this._notes]; }
     get attachments() { return [...this._attachments]; }
+    get recurrence() { return this._recurrence; }
+    get seriesId() { return this._seriesId; }
+    get occurrenceIndex() { return this._occurrenceIndex; }
+    get nextOccurrenceId() { return this._nextOccurrenceId; }
+    get parentId() { return this._parentId; }
+    get checklist() { return this._checklist.map(item => ({ ...item })); }
+    get dependsOn() { return [...this._dependsOn]; }
+    get history() { return this._history.map(entry => ({ ...entry })); }
+    get deletedAt() { return this._deletedAt; }
+    get deletedBy() { return this._deletedBy; }
+    get boardRank() { return this._boardRank; }
+    get externalRef() { return this._externalRef; }
     
     // Computed properties (properties yang dihitung)
+    get isRecurring() {
+        return this._recurrence !== null;
+    }
+    
     get isCompleted() {
         return this._status === 'completed';
     }
@@ -126,14 +200,55 @@ isInCategory(category) {
         return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
     }
     
+    get actualHours() {
+        const totalMs = this._timeEntries
+            .filter(entry => entry.endedAt !== null)
+            .reduce((sum, entry) => sum + (new Date(entry.endedAt) - new Date(entry.startedAt)), 0);
+        return totalMs / MS_PER_HOUR;
+    }
+    
+    get isDeleted() {
+        return this._deletedAt !== null;
+    }
+    
+    get isFinished() {
+        return this._status === 'completed' || this._status === 'cancelled';
+    }
+    
+    get isBlockedByDependencies() {
+        return this._status === 'blocked' && this._statusBeforeBlocked !== null;
+    }
+    
+    get isSubtask() {
+        return this._parentId !== null;
+    }
+    
+    get hasSubtasks() {
+        return this._subtaskProgress.length > 0;
+    }
+    
+    /**
+     * Progress task (0-100)
+     * - Punya subtask/checklist: rata-rata progress subtask + checklist item (selesai = 100)
+     * - Tidak punya: actual vs estimated hours
+     */
     get progressPercentage() {
+        const parts = [
+            ...this._subtaskProgress,
+            ...this._checklist.map(item => (item.done ? 100 : 0))
+        ];
+        
+        if (parts.length > 0) {
+            return parts.reduce((sum, value) => sum + value, 0) / parts.length;
+        }
+        
         if (this._estimatedHours === 0) return 0;
-        return Math.min(100, (this._actualHours / this._estimatedHours) * 100);
+        return Math.min(100, (this.actualHours / this._estimatedHours) * 100);
     }
     
     // Public methods untuk operasi task
     updateTitle(newTitle) {
-        if (!newTitle || newTitle.trim() === '') {
+        if (typeof newTitle !== 'string' || newTitle.trim() === '') {
             throw new Error('Judul task tidak boleh kosong');
         }
         this._title = newTitle.trim();
@@ -141,6 +256,9 @@ isInCategory(category) {
     }
     
     updateDescription(newDescription) {
+        if (newDescription && typeof newDescription !== 'string') {
+            throw new Error('Deskripsi task tidak valid');
+        }
         this._description = newDescription ? newDescription.trim() : '';
         this._updateTimestamp();
     }
@@ -181,11 +299,16 @@ isInCategory(category) {
             this._completedAt = null;
         }
         
+        // Keluar dari blocked (manual atau otomatis) -> lupakan status sebelum blocked
+        if (this._status !== 'blocked') {
+            this._statusBeforeBlocked = null;
+        }
+        
         this._updateTimestamp();
     }
     
     setDueDate(dueDate) {
-        this._dueDate = dueDate ? new Date(dueDate) : null;
+        this._dueDate = this._validateDueDate(dueDate);
         this._updateTimestamp();
     }
     
@@ -193,16 +316,177 @@ isInCategory(category) {
         this._assigneeId = userId;
         this._updateTimestamp();
     }
+
+    /**
+     * Set urutan manual task di kolom board Kanban
+     *
+     * Mengurutkan kartu tidak mengubah isi task, jadi updatedAt tidak ikut berubah.
+     * @param {number|null} rank - Rank (kecil = atas), null untuk menghapus urutan manual
+     */
+    setBoardRank(rank) {
+        if (rank !== null && (typeof rank !== 'number' || !isFinite(rank))) {
+            throw new Error('Rank board harus berupa angka');
+        }
+        this._boardRank = rank;
+    }
     
-    addTimeSpent(hours) {
+    /**
+     * Catat waktu kerja yang baru selesai sebagai entry manual (berakhir sekarang)
+     * @param {number} hours - Jumlah jam
+     * @param {string} userId - User yang bekerja (default assignee)
+     * @param {string} note - Catatan (opsional)
+     */
+    addTimeSpent(hours, userId = this._assigneeId, note = '') {
         if (hours > 0) {
-            this._actualHours += hours;
-            this._updateTimestamp();
+            const endedAt = new Date();
+            this.addTimeEntry({
+                userId,
+                startedAt: new Date(endedAt.getTime() - hours * MS_PER_HOUR),
+                endedAt,
+                note
+            });
+        }
+    }
+    
+    /**
+     * Status timer user di task ini
+     * @param {string} userId - User ID
+     * @returns {string} - 'running', 'paused' atau 'idle'
+     */
+    getTimerState(userId) {
+        if (this.getRunningTimeEntry(userId)) return 'running';
+        if (this._pausedTimers.includes(userId)) return 'paused';
+        return 'idle';
+    }
+    
+    /**
+     * Ambil entry yang timer-nya masih berjalan untuk user
+     * @param {string} userId - User ID
+     * @returns {Object|null} - Copy time entry atau null
+     */
+    getRunningTimeEntry(userId) {
+        const entry = this._timeEntries.find(candidate => candidate.userId === userId && candidate.endedAt === null);
+        return entry ? { ...entry } : null;
+    }
+    
+    /**
+     * Mulai (atau lanjutkan setelah pause) timer untuk user.
+     * Satu user hanya boleh punya satu timer berjalan; pengecekan lintas task ada di TaskRepository.
+     * @param {string} userId - User ID
+     * @param {string} note - Catatan (opsional, default catatan sebelum pause)
+     * @returns {Object} - Time entry yang dibuat
+     */
+    startTimer(userId, note = undefined) {
+        if (!userId) {
+            throw new Error('User ID wajib diisi');
+        }
+        if (this.getRunningTimeEntry(userId)) {
+            throw new Error('Timer sudah berjalan untuk user ini');
+        }
+        
+        if (note === undefined && this._pausedTimers.includes(userId)) {
+            const lastEntry = this._timeEntries.filter(entry => entry.userId === userId).pop();
+            note = lastEntry ? lastEntry.note : '';
+        }
+        
+        const entry = this._createTimeEntry(userId, new Date(), null, note, false);
+        this._pausedTimers = this._pausedTimers.filter(id => id !== userId);
+        this._timeEntries.push(entry);
+        this._updateTimestamp();
+        return { ...entry };
+    }
+    
+    /**
+     * Pause timer user: entry yang berjalan ditutup, startTimer berikutnya melanjutkan sesi
+     * @param {string} userId - User ID
+     * @returns {Object} - Time entry yang ditutup
+     */
+    pauseTimer(userId) {
+        const entry = this._closeRunningEntry(userId);
+        if (!entry) {
+            throw new Error('Tidak ada timer yang berjalan');
+        }
+        this._pausedTimers.push(userId);
+        return entry;
+    }
+    
+    /**
+     * Stop timer user (berjalan atau sedang di-pause)
+     * @param {string} userId - User ID
+     * @returns {Object|null} - Time entry yang ditutup, null jika timer sedang di-pause
+     */
+    stopTimer(userId) {
+        if (this.getTimerState(userId) === 'idle') {
+            throw new Error('Tidak ada timer yang berjalan');
+        }
+        
+        const entry = this._closeRunningEntry(userId);
+        this._pausedTimers = this._pausedTimers.filter(id => id !== userId);
+        this._updateTimestamp();
+        return entry;
+    }
+    
+    /**
+     * Tambah time entry manual
+     * @param {Object} entryData - { userId, startedAt, endedAt, note }
+     * @returns {Object} - Time entry yang dibuat
+     */
+    addTimeEntry(entryData = {}) {
+        if (!entryData.userId) {
+            throw new Error('User ID wajib diisi');
+        }
+        
+        const { startedAt, endedAt } = this._validateTimeRange(entryData.startedAt, entryData.endedAt);
+        const entry = this._createTimeEntry(entryData.userId, startedAt, endedAt, entryData.note, true);
+        
+        this._timeEntries.push(entry);
+        this._updateTimestamp();
+        return { ...entry };
+    }
+    
+    /**
+     * Ubah waktu dan/atau catatan time entry.
+     * Waktu entry yang timer-nya masih berjalan tidak bisa diubah.
+     * @param {string} entryId - Time entry ID
+     * @param {Object} updates - { startedAt, endedAt, note }
+     * @returns {Object} - Time entry setelah diubah
+     */
+    updateTimeEntry(entryId, updates = {}) {
+        const entry = this._findTimeEntry(entryId);
+        
+        if (updates.startedAt !== undefined || updates.endedAt !== undefined) {
+            if (entry.endedAt === null) {
+                throw new Error('Waktu timer yang masih berjalan tidak bisa diubah');
+            }
+            
+            const range = this._validateTimeRange(
+                updates.startedAt !== undefined ? updates.startedAt : entry.startedAt,
+                updates.endedAt !== undefined ? updates.endedAt : entry.endedAt
+            );
+            entry.startedAt = range.startedAt.toISOString();
+            entry.endedAt = range.endedAt.toISOString();
+        }
+        
+        if (updates.note !== undefined) {
+            entry.note = updates.note ? String(updates.note).trim() : '';
         }
+        
+        this._updateTimestamp();
+        return { ...entry };
+    }
+    
+    /**
+     * Hapus time entry
+     * @param {string} entryId - Time entry ID
+     */
+    removeTimeEntry(entryId) {
+        const entry = this._findTimeEntry(entryId);
+        this._timeEntries.splice(this._timeEntries.indexOf(entry), 1);
+        this._updateTimestamp();
     }
     
     setEstimatedHours(hours) {
-        this._estimatedHours = Math.max(0, hours);
+        this._estimatedHours = Math.max(0, this._validateEstimatedHours(hours));
         this._updateTimestamp();
     }
     
@@ -217,6 +501,232 @@ isInCategory(category) {
         }
     }
     
+    /**
+     * Set atau hapus aturan pengulangan
+     * @param {Object|RecurrenceRule|null} rule - Aturan baru, null untuk berhenti mengulang
+     */
+    setRecurrence(rule) {
+        this._recurrence = rule ? EnhancedTask._createRecurrenceRule(rule) : null;
+        if (this._recurrence && !this._seriesId) {
+            this._seriesId = this._id;
+        }
+        this._updateTimestamp();
+    }
+    
+    /**
+     * Buat occurrence berikutnya dari task berulang
+     * 
+     * Hanya dibuat sekali per occurrence; setelah itu nextOccurrenceId terisi.
+     * Tanggal berikutnya dihitung dari dueDate (atau completedAt jika tidak ada due date).
+     * @returns {EnhancedTask|null} - Task baru, atau null jika tidak berulang / seri sudah selesai
+     */
+    createNextOccurrence() {
+        if (!this.isRecurring || this._nextOccurrenceId) {
+            return null;
+        }
+        
+        const baseDate = this._dueDate || this._completedAt || new Date();
+        const nextDate = this._recurrence.getNextDate(baseDate);
+        const nextIndex = this._occurrenceIndex + 1;
+        
+        if (!this._recurrence.allowsOccurrence(nextDate, nextIndex)) {
+            return null;
+        }
+        
+        const next = new EnhancedTask(this._title, this._description, this._ownerId, {
+            assigneeId: this._assigneeId,
+            category: this._category,
+            tags: [...this._tags],
+            priority: this._priority,
+            dueDate: nextDate,
+            estimatedHours: this._estimatedHours,
+            recurrence: this._recurrence.toJSON(),
+            parentId: this._parentId
+        });
+        next._seriesId = this._seriesId;
+        next._occurrenceIndex = nextIndex;
+        this._checklist.forEach(item => next.addChecklistItem(item.text));
+        
+        this._nextOccurrenceId = next.id;
+        return next;
+    }
+    
+    /**
+     * Pindahkan task ke parent lain (validasi cycle dilakukan di TaskRepository)
+     * @param {string|null} parentId - ID parent, null untuk menjadi root task
+     */
+    setParent(parentId) {
+        if (parentId && parentId === this._id) {
+            throw new Error('Task tidak bisa menjadi subtask dari dirinya sendiri');
+        }
+        this._parentId = parentId || null;
+        this._updateTimestamp();
+    }
+    
+    /**
+     * Set progress subtask untuk perhitungan progressPercentage
+     * (dipanggil TaskRepository, tidak disimpan ke storage)
+     * @param {number[]} progressValues - Progress tiap subtask (0-100)
+     */
+    setSubtaskProgress(progressValues) {
+        this._subtaskProgress = Array.isArray(progressValues) ? [...progressValues] : [];
+    }
+    
+    /**
+     * Tambah checklist item
+     * @param {string} text - Isi checklist item
+     * @returns {Object} - Checklist item yang dibuat
+     */
+    addChecklistItem(text) {
+        if (!text || !text.trim()) {
+            throw new Error('Checklist item tidak boleh kosong');
+        }
+        
+        const item = {
+            id: 'check_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+            text: text.trim(),
+            done: false,
+            createdAt: new Date().toISOString(),
+            completedAt: null
+        };
+        
+        this._checklist.push(item);
+        this._updateTimestamp();
+        return { ...item };
+    }
+    
+    /**
+     * Toggle (atau set) status checklist item
+     * @param {string} itemId - Checklist item ID
+     * @param {boolean} done - Status baru (opsional, default kebalikan status sekarang)
+     */
+    toggleChecklistItem(itemId, done = undefined) {
+        const item = this._findChecklistItem(itemId);
+        item.done = done === undefined ? !item.done : Boolean(done);
+        item.completedAt = item.done ? new Date().toISOString() : null;
+        this._updateTimestamp();
+    }
+    
+    /**
+     * Ubah isi checklist item
+     * @param {string} itemId - Checklist item ID
+     * @param {string} text - Isi baru
+     */
+    renameChecklistItem(itemId, text) {
+        if (!text || !text.trim()) {
+            throw new Error('Checklist item tidak boleh kosong');
+        }
+        this._findChecklistItem(itemId).text = text.trim();
+        this._updateTimestamp();
+    }
+    
+    /**
+     * Hapus checklist item
+     * @param {string} itemId - Checklist item ID
+     */
+    removeChecklistItem(itemId) {
+        const item = this._findChecklistItem(itemId);
+        this._checklist.splice(this._checklist.indexOf(item), 1);
+        this._updateTimestamp();
+    }
+    
+    /**
+     * Tambah dependency (validasi cycle dilakukan di TaskRepository)
+     * @param {string} taskId - ID task yang harus selesai lebih dulu
+     */
+    addDependency(taskId) {
+        if (!taskId) {
+            throw new Error('ID task dependency wajib diisi');
+        }
+        if (taskId === this._id) {
+            throw new Error('Task tidak bisa bergantung pada dirinya sendiri');
+        }
+        if (!this._dependsOn.includes(taskId)) {
+            this._dependsOn.push(taskId);
+            this._updateTimestamp();
+        }
+    }
+    
+    /**
+     * Hapus dependency
+     * @param {string} taskId - ID task dependency
+     */
+    removeDependency(taskId) {
+        const index = this._dependsOn.indexOf(taskId);
+        if (index > -1) {
+            this._dependsOn.splice(index, 1);
+            this._updateTimestamp();
+        }
+    }
+    
+    /**
+     * Set status blocked karena dependency belum selesai.
+     * Status sebelumnya disimpan untuk dikembalikan oleh unblockFromDependencies().
+     */
+    blockByDependencies() {
+        if (this.isFinished || this._status === 'blocked') {
+            return;
+        }
+        this._statusBeforeBlocked = this._status;
+        this.updateStatus('blocked');
+    }
+    
+    /**
+     * Kembalikan status sebelum di-block otomatis.
+     * Status blocked yang di-set manual oleh user tidak diubah.
+     */
+    unblockFromDependencies() {
+        if (!this.isBlockedByDependencies) {
+            return;
+        }
+        const previousStatus = this._statusBeforeBlocked;
+        this._statusBeforeBlocked = null;
+        this.updateStatus(previousStatus);
+    }
+    
+    /**
+     * Pindahkan task ke trash
+     * @param {string|null} userId - User yang menghapus
+     */
+    moveToTrash(userId = null) {
+        if (this.isDeleted) return;
+        this._deletedAt = new Date();
+        this._deletedBy = userId || null;
+        this._updateTimestamp();
+    }
+    
+    /**
+     * Keluarkan task dari trash
+     */
+    restoreFromTrash() {
+        if (!this.isDeleted) return;
+        this._deletedAt = null;
+        this._deletedBy = null;
+        this._updateTimestamp();
+    }
+    
+    /**
+     * Catat perubahan field ke audit history
+     * @param {string} field - Nama field (lihat getTrackedFields)
+     * @param {*} oldValue - Nilai lama (format toJSON)
+     * @param {*} newValue - Nilai baru (format toJSON)
+     * @param {string|null} actorId - User yang mengubah (null = sistem)
+     * @returns {Object} - History entry yang dicatat
+     */
+    recordChange(field, oldValue, newValue, actorId = null) {
+        const entry = {
+            id: 'hist_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+            field,
+            oldValue: oldValue === undefined ? null : oldValue,
+            newValue: newValue === undefined ? null : newValue,
+            actorId: actorId || null,
+            changedAt: new Date().toISOString()
+        };
+        
+        this._history.push(entry);
+        return { ...entry };
+    }
+    
     // Convert ke JSON untuk penyimpanan
     toJSON() {
         return {
@@ -234,9 +744,24 @@ isInCategory(category) {
             updatedAt: this._updatedAt.toISOString(),
             completedAt: this._completedAt ? this._completedAt.toISOString() : null,
             estimatedHours: this._estimatedHours,
-            actualHours: this._actualHours,
+            actualHours: this.actualHours,
+            timeEntries: this._timeEntries,
+            pausedTimers: this._pausedTimers,
             notes: this._notes,
-            attachments: this._attachments
+            attachments: this._attachments,
+            recurrence: this._recurrence ? this._recurrence.toJSON() : null,
+            seriesId: this._seriesId,
+            occurrenceIndex: this._occurrenceIndex,
+            nextOccurrenceId: this._nextOccurrenceId,
+            parentId: this._parentId,
+            checklist: this._checklist,
+            dependsOn: this._dependsOn,
+            statusBeforeBlocked: this._statusBeforeBlocked,
+            history: this._history,
+            deletedAt: this._deletedAt ? this._deletedAt.toISOString() : null,
+            deletedBy: this._deletedBy,
+            boardRank: this._boardRank,
+            externalRef: this._externalRef
         };
     }
     
@@ -249,20 +774,90 @@ isInCategory(category) {
             priority: data.priority,
             status: data.status,
             dueDate: data.dueDate,
-            estimatedHours: data.estimatedHours
+            estimatedHours: data.estimatedHours,
+            recurrence: data.recurrence,
+            parentId: data.parentId,
+            dependsOn: data.dependsOn,
+            externalRef: data.externalRef
         });
         
         task._id = data.id;
         task._createdAt = new Date(data.createdAt);
         task._updatedAt = new Date(data.updatedAt);
         task._completedAt = data.completedAt ? new Date(data.completedAt) : null;
-        task._actualHours = data.actualHours || 0;
+        task._timeEntries = Array.isArray(data.timeEntries)
+            ? data.timeEntries.map(entry => ({ ...entry }))
+            : EnhancedTask._legacyTimeEntries(task, data.actualHours);
+        task._pausedTimers = Array.isArray(data.pausedTimers) ? [...data.pausedTimers] : [];
         task._notes = data.notes || [];
         task._attachments = data.attachments || [];
+        task._seriesId = data.seriesId || (task._recurrence ? task._id : null);
+        task._occurrenceIndex = data.occurrenceIndex || 1;
+        task._nextOccurrenceId = data.nextOccurrenceId || null;
+        task._checklist = Array.isArray(data.checklist) ? data.checklist.map(item => ({ ...item })) : [];
+        task._statusBeforeBlocked = data.status === 'blocked' ? data.statusBeforeBlocked || null : null;
+        task._history = Array.isArray(data.history) ? data.history.map(entry => ({ ...entry })) : [];
+        task._deletedAt = data.deletedAt ? new Date(data.deletedAt) : null;
+        task._deletedBy = task._deletedAt ? data.deletedBy || null : null;
+        task._boardRank = typeof data.boardRank === 'number' ? data.boardRank : null;
         
         return task;
     }
     
+    /**
+     * Field yang perubahannya dicatat di audit history (nama sesuai toJSON)
+     * @returns {string[]} - Array nama field
+     */
+    static getTrackedFields() {
+        return [
+            'title', 'description', 'category', 'tags', 'priority', 'status', 'dueDate',
+            'assigneeId', 'estimatedHours', 'actualHours', 'parentId', 'dependsOn', 'recurrence', 'checklist',
+            'deletedAt'
+        ];
+    }
+    
+    /**
+     * Status task, sesuai urutan kolom di board Kanban
+     * @returns {string[]} - Array status
+     */
+    static getStatuses() {
+        return ['pending', 'in-progress', 'blocked', 'completed', 'cancelled'];
+    }
+    
+    /**
+     * Validasi nilai category, priority atau status tanpa membuat task
+     * (mis. untuk memeriksa baris import CSV sebelum disimpan)
+     * @param {string} field - 'category', 'priority' atau 'status'
+     * @param {string} value - Nilai yang dicek
+     * @returns {string} - Nilai yang valid, throw Error jika tidak valid
+     */
+    static validateField(field, value) {
+        if (field === 'category') {
+            return EnhancedTask.prototype._validateCategory(value);
+        }
+        if (field === 'priority') {
+            return EnhancedTask.prototype._validatePriority(value);
+        }
+        if (field === 'status') {
+            return EnhancedTask.prototype._validateStatus(value);
+        }
+        throw new Error(`Field tidak bisa divalidasi: ${field}`);
+    }
+    
+    // Data lama hanya punya angka actualHours: jadikan satu entry manual atas nama assignee
+    static _legacyTimeEntries(task, actualHours) {
+        if (!(actualHours > 0)) return [];
+        
+        const startedAt = task._createdAt;
+        const endedAt = new Date(startedAt.getTime() + actualHours * MS_PER_HOUR);
+        return [task._createTimeEntry(task._assigneeId, startedAt, endedAt, 'Tercatat sebelum time tracking', true)];
+    }
+    
+    static _createRecurrenceRule(rule) {
+        const Rule = typeof RecurrenceRule !== 'undefined' ? RecurrenceRule : require('./RecurrenceRule');
+        return rule instanceof Rule ? rule : new Rule(rule);
+    }
+    
     // Private helper methods
     _generateId() {
         return 'task_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
@@ -272,6 +867,56 @@ isInCategory(category) {
         this._updatedAt = new Date();
     }
     
+    _createTimeEntry(userId, startedAt, endedAt, note, manual) {
+        return {
+            id: 'time_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+            userId,
+            startedAt: new Date(startedAt).toISOString(),
+            endedAt: endedAt ? new Date(endedAt).toISOString() : null,
+            note: note ? String(note).trim() : '',
+            manual
+        };
+    }
+    
+    _closeRunningEntry(userId) {
+        const entry = this._timeEntries.find(candidate => candidate.userId === userId && candidate.endedAt === null);
+        if (!entry) return null;
+        
+        entry.endedAt = new Date().toISOString();
+        this._updateTimestamp();
+        return { ...entry };
+    }
+    
+    _findTimeEntry(entryId) {
+        const entry = this._timeEntries.find(candidate => candidate.id === entryId);
+        if (!entry) {
+            throw new Error('Time entry tidak ditemukan');
+        }
+        return entry;
+    }
+    
+    _validateTimeRange(startedAt, endedAt) {
+        const start = new Date(startedAt);
+        const end = new Date(endedAt);
+        
+        if (!startedAt || !endedAt || isNaN(start.getTime()) || isNaN(end.getTime())) {
+            throw new Error('Waktu mulai dan selesai wajib diisi dengan tanggal yang valid');
+        }
+        if (end <= start) {
+            throw new Error('Waktu selesai harus setelah waktu mulai');
+        }
+        
+        return { startedAt: start, endedAt: end };
+    }
+    
+    _findChecklistItem(itemId) {
+        const item = this._checklist.find(entry => entry.id === itemId);
+        if (!item) {
+            throw new Error('Checklist item tidak ditemukan');
+        }
+        return item;
+    }
+    
     _validateCategory(category) {
         const validCategories = ['work', 'personal', 'study', 'health', 'finance', 'other'];
         if (!validCategories.includes(category)) {
@@ -288,8 +933,32 @@ isInCategory(category) {
         return priority;
     }
     
+    _validateDueDate(dueDate) {
+        const date = dueDate ? new Date(dueDate) : null;
+        if (date && isNaN(date.getTime())) {
+            throw new Error(`Due date tidak valid: ${dueDate}`);
+        }
+        return date;
+    }
+    
+    _validateEstimatedHours(hours) {
+        if (typeof hours !== 'number' || !isFinite(hours)) {
+            throw new Error(`Estimasi jam tidak valid: ${hours}`);
+        }
+        return hours;
+    }
+    
+    // Daftar awal opsional (checklist, notes): harus array dan setiap item lolos isValid
+    _validateList(items, label, isValid) {
+        if (items === undefined || items === null) return [];
+        if (!Array.isArray(items) || !items.every(isValid)) {
+            throw new Error(`${label} tidak valid`);
+        }
+        return items;
+    }
+    
     _validateStatus(status) {
-        const validStatuses = ['pending', 'in-progress', 'blocked', 'completed', 'cancelled'];
+        const validStatuses = EnhancedTask.getStatuses();
         if (!validStatuses.includes(status)) {
             throw new Error(`Status tidak valid: ${status}. Harus salah satu dari: ${validStatuses.join(', ')}`);
         }
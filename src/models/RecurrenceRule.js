@@ -0,0 +1,253 @@
+/**
+ * Recurrence Rule Model - Aturan pengulangan untuk task berulang
+ *
+ * Frekuensi yang didukung:
+ * - daily   : setiap N hari
+ * - weekly  : setiap N minggu pada hari tertentu (weekdays, 0 = Minggu ... 6 = Sabtu)
+ * - monthly : setiap N bulan pada tanggal tertentu (dayOfMonth)
+ *             atau pada hari ke-n dalam bulan (weekOfMonth 1-4 atau -1 = terakhir, + weekday)
+ *
+ * Pengulangan bisa dibatasi dengan endDate dan/atau count (jumlah total occurrence).
+ */
+class RecurrenceRule {
+    /**
+     * @param {Object} options - { frequency, interval, weekdays, dayOfMonth, weekOfMonth, weekday, endDate, count }
+     */
+    constructor(options = {}) {
+        this._frequency = this._validateFrequency(options.frequency);
+        this._interval = this._validatePositiveInteger(options.interval ?? 1, 'Interval');
+        this._weekdays = [];
+        this._dayOfMonth = null;
+        this._weekOfMonth = null;
+        this._weekday = null;
+
+        if (this._frequency === 'weekly') {
+            this._weekdays = this._validateWeekdays(options.weekdays);
+        }
+
+        if (this._frequency === 'monthly') {
+            if (options.weekOfMonth !== undefined && options.weekOfMonth !== null) {
+                this._weekOfMonth = this._validateWeekOfMonth(options.weekOfMonth);
+                this._weekday = this._validateWeekday(options.weekday);
+            } else {
+                this._dayOfMonth = this._validateDayOfMonth(options.dayOfMonth);
+            }
+        }
+
+        this._endDate = options.endDate ? new Date(options.endDate) : null;
+        if (this._endDate && isNaN(this._endDate.getTime())) {
+            throw new Error('Tanggal akhir pengulangan tidak valid');
+        }
+
+        this._count = options.count ? this._validatePositiveInteger(options.count, 'Jumlah pengulangan') : null;
+    }
+
+    // Getter methods
+    get frequency() { return this._frequency; }
+    get interval() { return this._interval; }
+    get weekdays() { return [...this._weekdays]; }
+    get dayOfMonth() { return this._dayOfMonth; }
+    get weekOfMonth() { return this._weekOfMonth; }
+    get weekday() { return this._weekday; }
+    get endDate() { return this._endDate; }
+    get count() { return this._count; }
+
+    /**
+     * Hitung tanggal occurrence berikutnya setelah tanggal tertentu
+     * (jam dari tanggal acuan dipertahankan)
+     * @param {Date} fromDate - Tanggal occurrence sekarang
+     * @returns {Date} - Tanggal occurrence berikutnya
+     */
+    getNextDate(fromDate) {
+        const from = new Date(fromDate);
+
+        if (this._frequency === 'daily') {
+            return this._addDays(from, this._interval);
+        }
+
+        if (this._frequency === 'weekly') {
+            return this._getNextWeeklyDate(from);
+        }
+
+        return this._getNextMonthlyDate(from);
+    }
+
+    /**
+     * Cek apakah occurrence berikutnya masih boleh dibuat
+     * @param {Date} nextDate - Tanggal occurrence berikutnya
+     * @param {number} nextOccurrence - Nomor urut occurrence berikutnya (mulai dari 1)
+     * @returns {boolean} - True jika masih dalam batas endDate/count
+     */
+    allowsOccurrence(nextDate, nextOccurrence) {
+        if (this._count !== null && nextOccurrence > this._count) return false;
+        if (this._endDate && nextDate > this._endDate) return false;
+        return true;
+    }
+
+    /**
+     * Deskripsi singkat untuk ditampilkan di UI
+     * @returns {string} - Mis. "Setiap 2 minggu (Sen, Rab)"
+     */
+    describe() {
+        const dayNames = RecurrenceRule.getWeekdayNames();
+        const every = this._interval > 1 ? `Setiap ${this._interval} ` : 'Setiap ';
+        let text;
+
+        if (this._frequency === 'daily') {
+            text = `${every}hari`;
+        } else if (this._frequency === 'weekly') {
+            text = `${every}minggu (${this._weekdays.map(day => dayNames[day]).join(', ')})`;
+        } else if (this._weekOfMonth !== null) {
+            const position = this._weekOfMonth === -1 ? 'terakhir' : `ke-${this._weekOfMonth}`;
+            text = `${every}bulan (${dayNames[this._weekday]} ${position})`;
+        } else {
+            text = `${every}bulan (tanggal ${this._dayOfMonth})`;
+        }
+
+        if (this._count !== null) {
+            text += `, ${this._count}x`;
+        }
+        if (this._endDate) {
+            text += `, sampai ${this._endDate.toLocaleDateString('id-ID')}`;
+        }
+
+        return text;
+    }
+
+    toJSON() {
+        return {
+            frequency: this._frequency,
+            interval: this._interval,
+            weekdays: this._weekdays,
+            dayOfMonth: this._dayOfMonth,
+            weekOfMonth: this._weekOfMonth,
+            weekday: this._weekday,
+            endDate: this._endDate ? this._endDate.toISOString() : null,
+            count: this._count
+        };
+    }
+
+    static fromJSON(data) {
+        return new RecurrenceRule(data);
+    }
+
+    /**
+     * Get available frequencies (static method)
+     * @returns {string[]} - Array of valid frequencies
+     */
+    static getFrequencies() {
+        return ['daily', 'weekly', 'monthly'];
+    }
+
+    /**
+     * Nama hari singkat, index 0 = Minggu (sama dengan Date.getDay())
+     * @returns {string[]} - Array nama hari
+     */
+    static getWeekdayNames() {
+        return ['Min', 'Sen', 'Sel', 'Rab', 'Kam', 'Jum', 'Sab'];
+    }
+
+    // Private helper methods
+    _getNextWeeklyDate(from) {
+        // Hari berikutnya di minggu yang sama
+        const laterThisWeek = this._weekdays.find(day => day > from.getDay());
+        if (laterThisWeek !== undefined) {
+            return this._addDays(from, laterThisWeek - from.getDay());
+        }
+
+        // Hari pertama di minggu berikutnya sesuai interval (minggu dimulai hari Minggu)
+        const startOfWeek = this._addDays(from, -from.getDay());
+        return this._addDays(startOfWeek, this._interval * 7 + this._weekdays[0]);
+    }
+
+    _getNextMonthlyDate(from) {
+        // Occurrence di bulan yang sama bisa jadi masih di depan (mis. task pertama)
+        const sameMonth = this._getMonthlyDate(from, from.getFullYear(), from.getMonth());
+        if (sameMonth > from) {
+            return sameMonth;
+        }
+
+        return this._getMonthlyDate(from, from.getFullYear(), from.getMonth() + this._interval);
+    }
+
+    _getMonthlyDate(from, year, month) {
+        const firstOfMonth = new Date(year, month, 1, from.getHours(), from.getMinutes(), from.getSeconds(), from.getMilliseconds());
+        const daysInMonth = new Date(firstOfMonth.getFullYear(), firstOfMonth.getMonth() + 1, 0).getDate();
+
+        if (this._dayOfMonth !== null) {
+            // Tanggal 31 di bulan pendek -> hari terakhir bulan itu
+            firstOfMonth.setDate(Math.min(this._dayOfMonth, daysInMonth));
+            return firstOfMonth;
+        }
+
+        if (this._weekOfMonth === -1) {
+            const lastOfMonth = this._addDays(firstOfMonth, daysInMonth - 1);
+            return this._addDays(lastOfMonth, -((lastOfMonth.getDay() - this._weekday + 7) % 7));
+        }
+
+        const firstMatch = (this._weekday - firstOfMonth.getDay() + 7) % 7;
+        return this._addDays(firstOfMonth, firstMatch + (this._weekOfMonth - 1) * 7);
+    }
+
+    _addDays(date, days) {
+        const result = new Date(date);
+        result.setDate(result.getDate() + days);
+        return result;
+    }
+
+    _validateFrequency(frequency) {
+        const validFrequencies = RecurrenceRule.getFrequencies();
+        if (!validFrequencies.includes(frequency)) {
+            throw new Error(`Frekuensi tidak valid: ${frequency}. Harus salah satu dari: ${validFrequencies.join(', ')}`);
+        }
+        return frequency;
+    }
+
+    _validatePositiveInteger(value, label) {
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < 1) {
+            throw new Error(`${label} harus bilangan bulat positif`);
+        }
+        return number;
+    }
+
+    _validateWeekdays(weekdays) {
+        if (!Array.isArray(weekdays) || weekdays.length === 0) {
+            throw new Error('Pilih minimal satu hari untuk pengulangan mingguan');
+        }
+
+        const unique = Array.from(new Set(weekdays.map(day => this._validateWeekday(day))));
+        return unique.sort((a, b) => a - b);
+    }
+
+    _validateWeekday(weekday) {
+        const day = Number(weekday);
+        if (!Number.isInteger(day) || day < 0 || day > 6) {
+            throw new Error(`Hari tidak valid: ${weekday}. Harus 0 (Minggu) sampai 6 (Sabtu)`);
+        }
+        return day;
+    }
+
+    _validateDayOfMonth(dayOfMonth) {
+        const day = Number(dayOfMonth);
+        if (!Number.isInteger(day) || day < 1 || day > 31) {
+            throw new Error(`Tanggal tidak valid: ${dayOfMonth}. Harus 1 sampai 31`);
+        }
+        return day;
+    }
+
+    _validateWeekOfMonth(weekOfMonth) {
+        const week = Number(weekOfMonth);
+        if (![1, 2, 3, 4, -1].includes(week)) {
+            throw new Error(`Minggu ke- tidak valid: ${weekOfMonth}. Harus 1-4 atau -1 (terakhir)`);
+        }
+        return week;
+    }
+}
+
+// Export untuk digunakan di file lain
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecurrenceRule;
+} else {
+    window.RecurrenceRule = RecurrenceRule;
+}
@@ -0,0 +1,187 @@
+/**
+ * Saved View Model - Kombinasi filter, sort dan grouping task yang disimpan user
+ *
+ * View disimpan di preferences.savedViews milik pemiliknya. View bisa dibagikan
+ * ke user lain (sharedWith): mereka bisa memakai dan mem-pin view tersebut,
+ * tapi hanya pemilik yang bisa mengubah atau menghapusnya.
+ *
+ * filters memakai format yang sama dengan TaskRepository.filter, termasuk
+ * filters.query (lihat TaskQuery).
+ */
+
+const VIEW_FILTER_FIELDS = ['status', 'category', 'priority', 'assigneeId', 'parentId', 'tags', 'overdue', 'dueSoon', 'query'];
+
+class SavedView {
+    /**
+     * @param {Object} options - { id, name, filters, sortBy, sortOrder, groupBy, sharedWith, createdAt, updatedAt }
+     */
+    constructor(options = {}) {
+        this._id = options.id || this._generateId();
+        this._name = this._validateName(options.name);
+        this._filters = this._validateFilters(options.filters || {});
+        this._sortBy = this._validateChoice(options.sortBy || 'createdAt', SavedView.getSortFields(), 'Sort');
+        this._sortOrder = this._validateChoice(options.sortOrder || 'desc', ['asc', 'desc'], 'Urutan sort');
+        this._groupBy = options.groupBy ? this._validateChoice(options.groupBy, SavedView.getGroupByFields(), 'Grouping') : null;
+        this._sharedWith = Array.from(new Set(options.sharedWith || []));
+        this._createdAt = options.createdAt ? new Date(options.createdAt) : new Date();
+        this._updatedAt = options.updatedAt ? new Date(options.updatedAt) : new Date(this._createdAt);
+    }
+
+    // Getter methods
+    get id() { return this._id; }
+    get name() { return this._name; }
+    get filters() { return JSON.parse(JSON.stringify(this._filters)); }
+    get sortBy() { return this._sortBy; }
+    get sortOrder() { return this._sortOrder; }
+    get groupBy() { return this._groupBy; }
+    get sharedWith() { return [...this._sharedWith]; }
+    get createdAt() { return this._createdAt; }
+    get updatedAt() { return this._updatedAt; }
+
+    /**
+     * Cek apakah view boleh dipakai user lain
+     * @param {string} userId - User ID
+     * @returns {boolean} - True jika view dibagikan ke user ini
+     */
+    isSharedWith(userId) {
+        return this._sharedWith.includes(userId);
+    }
+
+    /**
+     * Buat salinan view dengan perubahan (id dan createdAt dipertahankan)
+     * @param {Object} changes - { name, filters, sortBy, sortOrder, groupBy, sharedWith }
+     * @returns {SavedView} - View baru
+     */
+    withChanges(changes) {
+        return new SavedView({
+            ...this.toJSON(),
+            ...changes,
+            id: this._id,
+            createdAt: this._createdAt,
+            updatedAt: new Date()
+        });
+    }
+
+    /**
+     * Kelompokkan task sesuai groupBy view
+     * @param {EnhancedTask[]} tasks - Task yang sudah di-filter dan di-sort
+     * @returns {Object[]|null} - Array { key, tasks }, null jika view tidak di-group
+     */
+    groupTasks(tasks) {
+        return this._groupBy ? SavedView.groupTasks(tasks, this._groupBy) : null;
+    }
+
+    toJSON() {
+        return {
+            id: this._id,
+            name: this._name,
+            filters: this.filters,
+            sortBy: this._sortBy,
+            sortOrder: this._sortOrder,
+            groupBy: this._groupBy,
+            sharedWith: this.sharedWith,
+            createdAt: this._createdAt.toISOString(),
+            updatedAt: this._updatedAt.toISOString()
+        };
+    }
+
+    static fromJSON(data) {
+        return new SavedView(data);
+    }
+
+    /**
+     * Field yang bisa dipakai untuk sort (sama dengan TaskRepository.sort)
+     * @returns {string[]} - Array field
+     */
+    static getSortFields() {
+        return ['createdAt', 'updatedAt', 'dueDate', 'priority', 'title'];
+    }
+
+    /**
+     * Field yang bisa dipakai untuk grouping
+     * @returns {string[]} - Array field
+     */
+    static getGroupByFields() {
+        return ['status', 'priority', 'category', 'assigneeId', 'dueDate'];
+    }
+
+    /**
+     * Kelompokkan task berdasarkan field (urutan task di dalam group dipertahankan)
+     * @param {EnhancedTask[]} tasks - Task
+     * @param {string} groupBy - Field grouping
+     * @returns {Object[]} - Array { key, tasks } sesuai urutan kemunculan
+     */
+    static groupTasks(tasks, groupBy) {
+        const groups = new Map();
+        tasks.forEach(task => {
+            const key = SavedView.getGroupKey(task, groupBy);
+            if (!groups.has(key)) {
+                groups.set(key, { key, tasks: [] });
+            }
+            groups.get(key).tasks.push(task);
+        });
+
+        return Array.from(groups.values());
+    }
+
+    /**
+     * Key group sebuah task, dueDate di-group per tanggal (YYYY-MM-DD)
+     * @param {EnhancedTask} task - Task
+     * @param {string} groupBy - Field grouping
+     * @returns {string} - Key group ('none' jika kosong)
+     */
+    static getGroupKey(task, groupBy) {
+        if (groupBy === 'dueDate') {
+            const dueDate = task.dueDate;
+            if (!dueDate) return 'none';
+            return `${dueDate.getFullYear()}-${String(dueDate.getMonth() + 1).padStart(2, '0')}-${String(dueDate.getDate()).padStart(2, '0')}`;
+        }
+        return task[groupBy] || 'none';
+    }
+
+    // Private helper methods
+    _generateId() {
+        return 'view_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    _validateName(name) {
+        if (!name || String(name).trim() === '') {
+            throw new Error('Nama view wajib diisi');
+        }
+        if (String(name).trim().length > 50) {
+            throw new Error('Nama view maksimal 50 karakter');
+        }
+        return String(name).trim();
+    }
+
+    _validateFilters(filters) {
+        const result = {};
+
+        Object.keys(filters).forEach(field => {
+            if (!VIEW_FILTER_FIELDS.includes(field)) {
+                throw new Error(`Filter tidak dikenal: ${field}. Harus salah satu dari: ${VIEW_FILTER_FIELDS.join(', ')}`);
+            }
+            const value = filters[field];
+            if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+                return;
+            }
+            result[field] = Array.isArray(value) ? [...value] : value;
+        });
+
+        return result;
+    }
+
+    _validateChoice(value, choices, label) {
+        if (!choices.includes(value)) {
+            throw new Error(`${label} tidak valid: ${value}. Harus salah satu dari: ${choices.join(', ')}`);
+        }
+        return value;
+    }
+}
+
+// Export untuk digunakan di file lain
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SavedView;
+} else {
+    window.SavedView = SavedView;
+}
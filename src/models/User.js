@@ -29,8 +29,22 @@ class User {
         this._preferences = {
             theme: 'light',
             defaultCategory: 'personal',
-            emailNotifications: true
+            emailNotifications: true,
+            weekStart: 1 // hari pertama minggu di kalender: 0 = Minggu, 1 = Senin
         };
+        
+        // Credential - hanya hash yang disimpan, tidak pernah password asli
+        this._passwordHash = null;
+        this._passwordChangedAt = null;
+        this._failedLoginAttempts = 0;
+        this._lockedUntil = null;
+        this._passwordResetTokenHash = null;
+        this._passwordResetExpiresAt = null;
+        
+        // Session & API key - session token yang dibuat sebelum waktu ini tidak berlaku
+        this._sessionsRevokedAt = null;
+        this._apiKeys = [];
+        this._calendarFeedTokenHash = null;
     }
     
     // Getter methods - untuk akses read-only
@@ -43,6 +57,22 @@ class User {
     get createdAt() { return this._createdAt; }
     get lastLoginAt() { return this._lastLoginAt; }
     get preferences() { return { ...this._preferences }; } // return copy
+    get passwordHash() { return this._passwordHash; }
+    get passwordChangedAt() { return this._passwordChangedAt; }
+    get failedLoginAttempts() { return this._failedLoginAttempts; }
+    get lockedUntil() { return this._lockedUntil; }
+    get sessionsRevokedAt() { return this._sessionsRevokedAt; }
+    get apiKeys() { return this._apiKeys.map(key => ({ ...key, scopes: [...key.scopes] })); }
+    get hasCalendarFeed() { return this._calendarFeedTokenHash !== null; }
+    
+    // Computed properties
+    get hasPassword() {
+        return this._passwordHash !== null;
+    }
+    
+    get isLocked() {
+        return this._lockedUntil !== null && new Date() < this._lockedUntil;
+    }
     
     // Public methods untuk operasi user
     updateProfile(fullName, email) {
@@ -55,6 +85,11 @@ class User {
     }
     
     updatePreferences(newPreferences) {
+        const weekStart = newPreferences.weekStart;
+        if (weekStart !== undefined && (!Number.isInteger(weekStart) || weekStart < 0 || weekStart > 6)) {
+            throw new Error('Hari pertama minggu harus angka 0 (Minggu) sampai 6 (Sabtu)');
+        }
+        
         // Merge preferences baru dengan yang lama
         this._preferences = {
             ...this._preferences,
@@ -64,6 +99,7 @@ class User {
     
     recordLogin() {
         this._lastLoginAt = new Date();
+        this.resetFailedLogins();
     }
     
     deactivate() {
@@ -74,6 +110,168 @@ class User {
         this._isActive = true;
     }
     
+    changeRole(newRole) {
+        this._role = this._validateRole(newRole);
+    }
+    
+    /**
+     * Set password hash baru (hash dibuat oleh PasswordHasher)
+     * Sekalian reset lockout dan token reset yang masih ada
+     * @param {string} passwordHash - Hash password
+     */
+    setPasswordHash(passwordHash) {
+        if (!passwordHash) {
+            throw new Error('Password hash wajib diisi');
+        }
+        
+        this._passwordHash = passwordHash;
+        this._passwordChangedAt = new Date();
+        this.resetFailedLogins();
+        this.clearPasswordResetToken();
+    }
+    
+    /**
+     * Catat login gagal, kunci akun jika sudah mencapai batas
+     * @param {number} maxAttempts - Batas percobaan gagal
+     * @param {number} lockMinutes - Lama akun dikunci (menit)
+     */
+    recordFailedLogin(maxAttempts, lockMinutes) {
+        this._failedLoginAttempts++;
+        
+        if (this._failedLoginAttempts >= maxAttempts) {
+            this._lockedUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+            this._failedLoginAttempts = 0;
+        }
+    }
+    
+    resetFailedLogins() {
+        this._failedLoginAttempts = 0;
+        this._lockedUntil = null;
+    }
+    
+    /**
+     * Simpan hash token reset password beserta waktu kedaluwarsa
+     * @param {string} tokenHash - Hash dari token reset
+     * @param {Date} expiresAt - Waktu token kedaluwarsa
+     */
+    setPasswordResetToken(tokenHash, expiresAt) {
+        this._passwordResetTokenHash = tokenHash;
+        this._passwordResetExpiresAt = new Date(expiresAt);
+    }
+    
+    clearPasswordResetToken() {
+        this._passwordResetTokenHash = null;
+        this._passwordResetExpiresAt = null;
+    }
+    
+    /**
+     * Cek apakah token reset cocok dan belum kedaluwarsa
+     * @param {string} tokenHash - Hash dari token yang dikirim user
+     * @returns {boolean} - True jika valid
+     */
+    isPasswordResetTokenValid(tokenHash) {
+        if (!this._passwordResetTokenHash || !tokenHash) return false;
+        if (this._passwordResetTokenHash !== tokenHash) return false;
+        return new Date() < this._passwordResetExpiresAt;
+    }
+    
+    /**
+     * Cabut semua session token yang sudah pernah dibuat
+     */
+    revokeSessions() {
+        this._sessionsRevokedAt = new Date();
+    }
+    
+    /**
+     * Cek apakah session token yang dibuat pada waktu tertentu masih berlaku
+     * @param {Date} issuedAt - Waktu token dibuat
+     * @returns {boolean} - True jika belum dicabut
+     */
+    isSessionValid(issuedAt) {
+        if (!this._sessionsRevokedAt) return true;
+        return new Date(issuedAt) >= this._sessionsRevokedAt;
+    }
+    
+    /**
+     * Tambah API key (key asli tidak disimpan, hanya hash-nya)
+     * @param {Object} apiKey - { id, name, keyHash, prefix, scopes }
+     */
+    addApiKey(apiKey) {
+        if (!apiKey.id || !apiKey.keyHash) {
+            throw new Error('API key tidak valid');
+        }
+        
+        this._apiKeys.push({
+            id: apiKey.id,
+            name: apiKey.name || 'API key',
+            keyHash: apiKey.keyHash,
+            prefix: apiKey.prefix || '',
+            scopes: [...(apiKey.scopes || [])],
+            createdAt: new Date().toISOString(),
+            lastUsedAt: null,
+            revokedAt: null
+        });
+    }
+    
+    /**
+     * Cabut API key
+     * @param {string} keyId - ID API key
+     * @returns {boolean} - True jika key ditemukan dan dicabut
+     */
+    revokeApiKey(keyId) {
+        const apiKey = this._apiKeys.find(key => key.id === keyId && !key.revokedAt);
+        if (!apiKey) return false;
+        
+        apiKey.revokedAt = new Date().toISOString();
+        return true;
+    }
+    
+    /**
+     * Cari API key aktif berdasarkan hash
+     * @param {string} keyHash - Hash API key
+     * @returns {Object|null} - API key atau null
+     */
+    findActiveApiKey(keyHash) {
+        const apiKey = this._apiKeys.find(key => key.keyHash === keyHash && !key.revokedAt);
+        return apiKey ? { ...apiKey, scopes: [...apiKey.scopes] } : null;
+    }
+    
+    /**
+     * Catat waktu pemakaian terakhir API key
+     * @param {string} keyId - ID API key
+     * @param {number} minIntervalMs - Lewati jika pemakaian terakhir lebih baru dari ini
+     * @returns {boolean} - True jika lastUsedAt diperbarui
+     */
+    recordApiKeyUse(keyId, minIntervalMs = 0) {
+        const apiKey = this._apiKeys.find(key => key.id === keyId);
+        if (!apiKey) return false;
+        
+        const now = Date.now();
+        if (apiKey.lastUsedAt && now - new Date(apiKey.lastUsedAt).getTime() < minIntervalMs) {
+            return false;
+        }
+        
+        apiKey.lastUsedAt = new Date(now).toISOString();
+        return true;
+    }
+    
+    /**
+     * Simpan hash token feed kalender (null untuk mematikan feed)
+     * @param {string|null} tokenHash - Hash dari token feed
+     */
+    setCalendarFeedToken(tokenHash) {
+        this._calendarFeedTokenHash = tokenHash || null;
+    }
+    
+    /**
+     * Cek apakah token feed kalender cocok
+     * @param {string} tokenHash - Hash dari token di URL feed
+     * @returns {boolean} - True jika cocok
+     */
+    isCalendarFeedTokenValid(tokenHash) {
+        return Boolean(this._calendarFeedTokenHash && tokenHash) && this._calendarFeedTokenHash === tokenHash;
+    }
+    
     // Convert ke JSON untuk penyimpanan
     toJSON() {
         return {
@@ -85,7 +283,16 @@ class User {
             isActive: this._isActive,
             createdAt: this._createdAt.toISOString(),
             lastLoginAt: this._lastLoginAt ? this._lastLoginAt.toISOString() : null,
-            preferences: this._preferences
+            preferences: this._preferences,
+            passwordHash: this._passwordHash,
+            passwordChangedAt: this._passwordChangedAt ? this._passwordChangedAt.toISOString() : null,
+            failedLoginAttempts: this._failedLoginAttempts,
+            lockedUntil: this._lockedUntil ? this._lockedUntil.toISOString() : null,
+            passwordResetTokenHash: this._passwordResetTokenHash,
+            passwordResetExpiresAt: this._passwordResetExpiresAt ? this._passwordResetExpiresAt.toISOString() : null,
+            sessionsRevokedAt: this._sessionsRevokedAt ? this._sessionsRevokedAt.toISOString() : null,
+            apiKeys: this._apiKeys,
+            calendarFeedTokenHash: this._calendarFeedTokenHash
         };
     }
     
@@ -93,19 +300,44 @@ class User {
     static fromJSON(data) {
         const user = new User(data.username, data.email, data.fullName);
         user._id = data.id;
-        user._role = data.role;
+        user._role = user._validateRole(data.role || 'user');
         user._isActive = data.isActive;
         user._createdAt = new Date(data.createdAt);
         user._lastLoginAt = data.lastLoginAt ? new Date(data.lastLoginAt) : null;
         user._preferences = data.preferences || user._preferences;
+        user._passwordHash = data.passwordHash || null;
+        user._passwordChangedAt = data.passwordChangedAt ? new Date(data.passwordChangedAt) : null;
+        user._failedLoginAttempts = data.failedLoginAttempts || 0;
+        user._lockedUntil = data.lockedUntil ? new Date(data.lockedUntil) : null;
+        user._passwordResetTokenHash = data.passwordResetTokenHash || null;
+        user._passwordResetExpiresAt = data.passwordResetExpiresAt ? new Date(data.passwordResetExpiresAt) : null;
+        user._sessionsRevokedAt = data.sessionsRevokedAt ? new Date(data.sessionsRevokedAt) : null;
+        user._apiKeys = Array.isArray(data.apiKeys) ? data.apiKeys : [];
+        user._calendarFeedTokenHash = data.calendarFeedTokenHash || null;
         return user;
     }
     
+    /**
+     * Get available roles (static method)
+     * @returns {string[]} - Array of valid roles
+     */
+    static getAvailableRoles() {
+        return ['admin', 'manager', 'user', 'viewer'];
+    }
+    
     // Private helper methods
     _generateId() {
         return 'user_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
     }
     
+    _validateRole(role) {
+        const validRoles = User.getAvailableRoles();
+        if (!validRoles.includes(role)) {
+            throw new Error(`Role tidak valid: ${role}. Harus salah satu dari: ${validRoles.join(', ')}`);
+        }
+        return role;
+    }
+    
     _isValidEmail(email) {
         const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
         return emailRegex.test(email);
@@ -6,7 +6,10 @@
  * - Query methods (filter, search, sort)
  * - User-specific operations
  * - Statistics dan reporting
+ * - Trash: delete() hanya memindahkan task ke trash (soft delete), task di trash
+ *   tidak ikut di query apa pun dan di-purge otomatis setelah trashRetentionDays
  */
+/* global EnhancedTask, TaskQuery */
 
 class TaskRepository {
     // Tambahkan method ini di class TaskRepository
@@ -80,13 +83,23 @@ getMostUsedCategories(userId = null, limit = 5) {
             displayName: EnhancedTask.prototype.getCategoryDisplayName.call({ _category: category })
         }));
 }
-    constructor(storageManager) {
+    /**
+     * @param {Object} storageManager - Storage manager
+     * @param {Object} options - { trashRetentionDays } (default 30, null = tidak pernah purge otomatis)
+     */
+    constructor(storageManager, options = {}) {
         this.storage = storageManager;
-        this.tasks = new Map(); // Cache in-memory
+        this.tasks = new Map(); // Cache in-memory, termasuk task di trash
         this.storageKey = 'tasks';
+        this.trashRetentionDays = options.trashRetentionDays !== undefined ? options.trashRetentionDays : 30;
+        
+        // Selama runInBatch, save ke storage ditunda sampai batch selesai
+        this._batchDepth = 0;
+        this._batchDirty = false;
         
         // Load existing tasks dari storage
         this._loadTasksFromStorage();
+        this.purgeExpiredTrash();
     }
     
     /**
@@ -96,6 +109,16 @@ getMostUsedCategories(userId = null, limit = 5) {
      */
     create(taskData) {
         try {
+            if (taskData.parentId && !this.findById(taskData.parentId)) {
+                throw new Error('Parent task tidak ditemukan');
+            }
+            
+            (taskData.dependsOn || []).forEach(dependencyId => {
+                if (!this.findById(dependencyId)) {
+                    throw new Error(`Task dependency tidak ditemukan: ${dependencyId}`);
+                }
+            });
+            
             const task = new EnhancedTask(
                 taskData.title,
                 taskData.description,
@@ -106,6 +129,13 @@ getMostUsedCategories(userId = null, limit = 5) {
             // Simpan ke cache
             this.tasks.set(task.id, task);
             
+            // Task baru tanpa parent dan dependency tidak mengubah status atau progress
+            // task lain, jadi import ratusan task tidak perlu refresh seluruh data per task
+            if (task.parentId || task.dependsOn.length > 0) {
+                this._refreshDependencyStatus();
+                this._refreshSubtaskProgress();
+            }
+            
             // Persist ke storage
             this._saveTasksToStorage();
             
@@ -122,7 +152,24 @@ getMostUsedCategories(userId = null, limit = 5) {
      * @returns {EnhancedTask|null} - Task atau null
      */
     findById(id) {
-        return this.tasks.get(id) || null;
+        const task = this.tasks.get(id);
+        return task && !task.isDeleted ? task : null;
+    }
+    
+    /**
+     * Ambil task hasil import milik owner per referensi sumbernya (termasuk yang di trash,
+     * supaya task yang sengaja dihapus tidak muncul lagi saat import ulang)
+     * @param {string} ownerId - Owner task
+     * @returns {Map<string, EnhancedTask>} - Map externalRef (mis. "trello:<card id>") -> task
+     */
+    findByExternalRefs(ownerId) {
+        const tasksByRef = new Map();
+        this.tasks.forEach(task => {
+            if (task.externalRef && task.ownerId === ownerId) {
+                tasksByRef.set(task.externalRef, task);
+            }
+        });
+        return tasksByRef;
     }
     
     /**
@@ -130,7 +177,7 @@ getMostUsedCategories(userId = null, limit = 5) {
      * @returns {EnhancedTask[]} - Array semua task
      */
     findAll() {
-        return Array.from(this.tasks.values());
+        return Array.from(this.tasks.values()).filter(task => !task.isDeleted);
     }
     
     /**
@@ -209,17 +256,27 @@ getMostUsedCategories(userId = null, limit = 5) {
     
     /**
      * Update task
+     * 
+     * Semua perubahan field (termasuk efek samping ke task lain, mis. status blocked
+     * otomatis) dicatat ke audit history atas nama actorId.
      * @param {string} id - Task ID
      * @param {Object} updates - Data yang akan diupdate
+     * @param {string|null} actorId - User yang melakukan perubahan (null = sistem)
      * @returns {EnhancedTask|null} - Task yang sudah diupdate
      */
-    update(id, updates) {
+    update(id, updates, actorId = null) {
         const task = this.findById(id);
         if (!task) {
             return null;
         }
         
+        // State awal untuk rollback jika salah satu field gagal divalidasi
+        const original = task.toJSON();
+        
         try {
+            const snapshots = this._snapshotTrackedFields(this.findAffectedTaskIds(task.id));
+            let completedNow = false;
+            
             // Apply updates berdasarkan property yang ada
             if (updates.title !== undefined) {
                 task.updateTitle(updates.title);
@@ -233,8 +290,43 @@ getMostUsedCategories(userId = null, limit = 5) {
             if (updates.priority !== undefined) {
                 task.updatePriority(updates.priority);
             }
+            if (updates.parentId !== undefined) {
+                this._validateParent(task, updates.parentId);
+                task.setParent(updates.parentId);
+            }
+            if (updates.dependsOn !== undefined) {
+                const dependencyIds = Array.isArray(updates.dependsOn) ? updates.dependsOn : [];
+                dependencyIds.forEach(dependencyId => this._validateDependency(task, dependencyId));
+                task.dependsOn.forEach(dependencyId => task.removeDependency(dependencyId));
+                dependencyIds.forEach(dependencyId => task.addDependency(dependencyId));
+            }
+            if (updates.addDependency !== undefined) {
+                this._validateDependency(task, updates.addDependency);
+                task.addDependency(updates.addDependency);
+            }
+            if (updates.removeDependency !== undefined) {
+                task.removeDependency(updates.removeDependency);
+            }
+            if (updates.addChecklistItem !== undefined) {
+                task.addChecklistItem(updates.addChecklistItem);
+            }
+            if (updates.toggleChecklistItem !== undefined) {
+                task.toggleChecklistItem(updates.toggleChecklistItem);
+            }
+            if (updates.removeChecklistItem !== undefined) {
+                task.removeChecklistItem(updates.removeChecklistItem);
+            }
+            if (updates.recurrence !== undefined) {
+                task.setRecurrence(updates.recurrence);
+            }
             if (updates.status !== undefined) {
+                this._validateStatusChange(task, updates.status);
+                const wasCompleted = task.isCompleted;
                 task.updateStatus(updates.status);
+                completedNow = task.isCompleted && !wasCompleted;
+            }
+            if (updates.boardRank !== undefined) {
+                task.setBoardRank(updates.boardRank);
             }
             if (updates.dueDate !== undefined) {
                 task.setDueDate(updates.dueDate);
@@ -246,40 +338,423 @@ getMostUsedCategories(userId = null, limit = 5) {
                 task.setEstimatedHours(updates.estimatedHours);
             }
             if (updates.addTimeSpent !== undefined) {
-                task.addTimeSpent(updates.addTimeSpent);
+                const timeSpent = typeof updates.addTimeSpent === 'object'
+                    ? updates.addTimeSpent
+                    : { hours: updates.addTimeSpent };
+                task.addTimeSpent(timeSpent.hours, timeSpent.userId, timeSpent.note);
+            }
+            if (updates.startTimer !== undefined) {
+                this._validateNoRunningTimer(updates.startTimer.userId, task.id);
+                task.startTimer(updates.startTimer.userId, updates.startTimer.note);
+            }
+            if (updates.pauseTimer !== undefined) {
+                task.pauseTimer(updates.pauseTimer);
+            }
+            if (updates.stopTimer !== undefined) {
+                task.stopTimer(updates.stopTimer);
+            }
+            if (updates.addTimeEntry !== undefined) {
+                task.addTimeEntry(updates.addTimeEntry);
+            }
+            if (updates.updateTimeEntry !== undefined) {
+                const { id: entryId, ...entryUpdates } = updates.updateTimeEntry;
+                task.updateTimeEntry(entryId, entryUpdates);
+            }
+            if (updates.removeTimeEntry !== undefined) {
+                task.removeTimeEntry(updates.removeTimeEntry);
             }
             if (updates.addTag !== undefined) {
-                task.addTag(updates.addTag);
+                [].concat(updates.addTag).forEach(tag => task.addTag(tag));
             }
             if (updates.removeTag !== undefined) {
-                task.removeTag(updates.removeTag);
+                [].concat(updates.removeTag).forEach(tag => task.removeTag(tag));
             }
             if (updates.addNote !== undefined) {
                 task.addNote(updates.addNote);
             }
             
+            // Task berulang selesai -> buat occurrence berikutnya, baru setelah semua field
+            // valid dan dari dueDate yang sudah diupdate
+            if (completedNow) {
+                const nextOccurrence = task.createNextOccurrence();
+                if (nextOccurrence) {
+                    this.tasks.set(nextOccurrence.id, nextOccurrence);
+                }
+            }
+            
+            this._refreshDependencyStatus();
+            this._refreshSubtaskProgress();
+            this._recordChanges(snapshots, actorId);
+            
             // Persist changes
             this._saveTasksToStorage();
             
             return task;
         } catch (error) {
+            // Jangan biarkan task setengah ter-update: kembalikan semua field (objek yang sama)
+            Object.assign(task, EnhancedTask.fromJSON(original));
+            this._refreshSubtaskProgress();
             console.error('Error updating task:', error);
             throw error;
         }
     }
     
     /**
-     * Hapus task
+     * Update banyak task sekaligus dengan satu kali write ke storage
+     * 
+     * Task yang gagal tidak membatalkan task lain; hasilnya dilaporkan per item.
+     * @param {string[]} ids - Task ID
+     * @param {Object} updates - Data update (sama dengan update())
+     * @param {string|null} actorId - User yang melakukan perubahan
+     * @returns {Object[]} - Array { id, success, task?, error? } sesuai urutan ids
+     */
+    bulkUpdate(ids, updates, actorId = null) {
+        return this.runInBatch(() => ids.map(id => this._runBulkItem(id, () => this.update(id, updates, actorId))));
+    }
+    
+    /**
+     * Hapus (pindahkan ke trash) banyak task sekaligus dengan satu kali write ke storage
+     * @param {string[]} ids - Task ID
+     * @param {string|null} actorId - User yang menghapus
+     * @returns {Object[]} - Array { id, success, error? } sesuai urutan ids
+     */
+    bulkDelete(ids, actorId = null) {
+        return this.runInBatch(() => ids.map(id => this._runBulkItem(id, () => this.delete(id, actorId))));
+    }
+    
+    /**
+     * Jalankan beberapa operasi repository dengan satu kali write ke storage di akhir
+     * @param {Function} operation - Callback yang memanggil method repository
+     * @returns {*} - Hasil callback
+     */
+    runInBatch(operation) {
+        this._batchDepth++;
+        try {
+            return operation();
+        } finally {
+            this._batchDepth--;
+            if (this._batchDepth === 0 && this._batchDirty) {
+                this._batchDirty = false;
+                this._saveTasksToStorage();
+            }
+        }
+    }
+    
+    /**
+     * Hapus task (soft delete - pindahkan ke trash)
+     * @param {string} id - Task ID
+     * @param {string|null} actorId - User yang menghapus
+     * @returns {boolean} - Success status
+     */
+    delete(id, actorId = null) {
+        const task = this.findById(id);
+        if (!task) {
+            return false;
+        }
+        
+        const snapshots = this._snapshotTrackedFields(this.findAffectedTaskIds(task.id));
+        
+        this._detachTask(task);
+        task.moveToTrash(actorId);
+        
+        this._refreshDependencyStatus();
+        this._refreshSubtaskProgress();
+        this._recordChanges(snapshots, actorId);
+        this.purgeExpiredTrash();
+        this._saveTasksToStorage();
+        return true;
+    }
+    
+    /**
+     * Hapus task permanen (dari trash maupun yang masih aktif)
      * @param {string} id - Task ID
+     * @param {string|null} actorId - User yang menghapus (untuk history task yang terdampak)
      * @returns {boolean} - Success status
      */
-    delete(id) {
-        if (this.tasks.has(id)) {
-            this.tasks.delete(id);
+    hardDelete(id, actorId = null) {
+        const task = this.tasks.get(id);
+        if (!task) {
+            return false;
+        }
+        
+        const snapshots = this._snapshotTrackedFields(this.findAffectedTaskIds(task.id));
+        
+        if (!task.isDeleted) {
+            this._detachTask(task);
+        }
+        this.tasks.delete(id);
+        
+        this._refreshDependencyStatus();
+        this._refreshSubtaskProgress();
+        this._recordChanges(snapshots, actorId);
+        this._saveTasksToStorage();
+        return true;
+    }
+    
+    /**
+     * Keluarkan task dari trash.
+     * Parent yang sudah tidak ada dilepas (task menjadi root task).
+     * @param {string} id - Task ID
+     * @param {string|null} actorId - User yang me-restore
+     * @returns {EnhancedTask|null} - Task yang di-restore
+     */
+    restore(id, actorId = null) {
+        const task = this.findDeletedById(id);
+        if (!task) {
+            return null;
+        }
+        
+        const snapshots = this._snapshotTrackedFields(this.findAffectedTaskIds(task.id));
+        
+        task.restoreFromTrash();
+        if (task.parentId && !this.findById(task.parentId)) {
+            task.setParent(null);
+        }
+        task.dependsOn
+            .filter(dependencyId => !this.findById(dependencyId))
+            .forEach(dependencyId => task.removeDependency(dependencyId));
+        
+        this._refreshDependencyStatus();
+        this._refreshSubtaskProgress();
+        this._recordChanges(snapshots, actorId);
+        this._saveTasksToStorage();
+        return task;
+    }
+    
+    /**
+     * Ambil semua task di trash (yang terakhir dihapus dulu)
+     * @returns {EnhancedTask[]} - Array task yang dihapus
+     */
+    findDeleted() {
+        return Array.from(this.tasks.values())
+            .filter(task => task.isDeleted)
+            .sort((a, b) => b.deletedAt - a.deletedAt);
+    }
+    
+    /**
+     * Ambil task di trash berdasarkan ID
+     * @param {string} id - Task ID
+     * @returns {EnhancedTask|null} - Task di trash atau null
+     */
+    findDeletedById(id) {
+        const task = this.tasks.get(id);
+        return task && task.isDeleted ? task : null;
+    }
+    
+    /**
+     * Purge task yang sudah lebih lama dari masa retensi di trash
+     * @param {Date} now - Waktu acuan (default sekarang)
+     * @returns {number} - Jumlah task yang di-purge
+     */
+    purgeExpiredTrash(now = new Date()) {
+        if (this.trashRetentionDays === null) return 0;
+        
+        const cutoff = now.getTime() - this.trashRetentionDays * 24 * 60 * 60 * 1000;
+        const expired = this.findDeleted().filter(task => task.deletedAt.getTime() <= cutoff);
+        
+        expired.forEach(task => this.tasks.delete(task.id));
+        if (expired.length > 0) {
             this._saveTasksToStorage();
-            return true;
         }
-        return false;
+        return expired.length;
+    }
+    
+    /**
+     * Kembalikan task ke state toJSON tertentu (dipakai undo/redo)
+     * 
+     * state null berarti task dihapus. Audit history tidak ikut dikembalikan:
+     * history yang sudah ada dipertahankan dan perubahan hasil restore dicatat atas nama actorId.
+     * @param {Object[]} states - Array { id, state }
+     * @param {string|null} actorId - User yang melakukan undo/redo
+     */
+    restoreStates(states, actorId = null) {
+        const snapshots = this._snapshotTrackedFields(states.map(({ id }) => id));
+        
+        states.forEach(({ id, state }) => {
+            const current = this.tasks.get(id);
+            
+            if (!state) {
+                this.tasks.delete(id);
+                return;
+            }
+            
+            const history = current ? current.toJSON().history : state.history;
+            this.tasks.set(id, EnhancedTask.fromJSON({ ...state, history }));
+        });
+        
+        this._refreshSubtaskProgress();
+        this._recordChanges(snapshots, actorId);
+        this._saveTasksToStorage();
+    }
+    
+    /**
+     * Ambil subtask langsung dari sebuah task
+     * @param {string} parentId - Parent task ID
+     * @returns {EnhancedTask[]} - Array subtask
+     */
+    findChildren(parentId) {
+        return this.findAll().filter(task => task.parentId === parentId);
+    }
+    
+    /**
+     * ID task yang bisa ikut berubah saat task ini ditulis: task itu sendiri (termasuk
+     * yang di trash), subtask langsung (parent dipindah saat task dihapus) dan
+     * dependent-nya (dependency dilepas atau status blocked berubah)
+     * @param {string} taskId - Task ID
+     * @returns {string[]} - Array task ID
+     */
+    findAffectedTaskIds(taskId) {
+        if (!this.tasks.has(taskId)) return [];
+        return [
+            taskId,
+            ...this.findChildren(taskId).map(child => child.id),
+            ...this.findDependents(taskId).map(dependent => dependent.id)
+        ];
+    }
+    
+    /**
+     * Ambil semua turunan (subtask, sub-subtask, ...) dari sebuah task
+     * @param {string} parentId - Parent task ID
+     * @returns {EnhancedTask[]} - Array turunan (depth-first)
+     */
+    findDescendants(parentId) {
+        return this.findChildren(parentId).reduce(
+            (descendants, child) => descendants.concat(child, this.findDescendants(child.id)),
+            []
+        );
+    }
+    
+    /**
+     * Ambil task paling atas (tanpa parent, atau parent-nya sudah tidak ada)
+     * @returns {EnhancedTask[]} - Array root task
+     */
+    findRoots() {
+        return this.findAll().filter(task => !task.parentId || !this.findById(task.parentId));
+    }
+    
+    /**
+     * Ambil task yang harus selesai sebelum task ini (prerequisite langsung)
+     * @param {string} taskId - Task ID
+     * @returns {EnhancedTask[]} - Array prerequisite
+     */
+    findDependencies(taskId) {
+        const task = this.findById(taskId);
+        if (!task) return [];
+        return task.dependsOn.map(id => this.findById(id)).filter(Boolean);
+    }
+    
+    /**
+     * Ambil task yang menunggu task ini selesai
+     * @param {string} taskId - Task ID
+     * @returns {EnhancedTask[]} - Array dependent
+     */
+    findDependents(taskId) {
+        return this.findAll().filter(task => task.dependsOn.includes(taskId));
+    }
+    
+    /**
+     * Ambil prerequisite yang belum selesai (completed/cancelled)
+     * @param {string} taskId - Task ID
+     * @returns {EnhancedTask[]} - Array prerequisite yang masih menahan task
+     */
+    findUnfinishedDependencies(taskId) {
+        return this.findDependencies(taskId).filter(dependency => !dependency.isFinished);
+    }
+    
+    /**
+     * Urutkan semua task sehingga setiap task muncul setelah semua prerequisite-nya
+     * (topological sort, Kahn's algorithm; task yang setara diurutkan dari yang paling lama dibuat)
+     * @returns {EnhancedTask[]} - Array task dalam urutan pengerjaan
+     */
+    getTopologicalOrder() {
+        const tasks = this.findAll();
+        const remainingDependencies = new Map(tasks.map(task => [
+            task.id,
+            task.dependsOn.filter(id => this.findById(id)).length
+        ]));
+        const byCreatedAt = (a, b) => a.createdAt - b.createdAt;
+        const ready = tasks.filter(task => remainingDependencies.get(task.id) === 0).sort(byCreatedAt);
+        const ordered = [];
+        
+        while (ready.length > 0) {
+            const task = ready.shift();
+            ordered.push(task);
+            
+            this.findDependents(task.id).forEach(dependent => {
+                const remaining = remainingDependencies.get(dependent.id) - 1;
+                remainingDependencies.set(dependent.id, remaining);
+                if (remaining === 0) {
+                    ready.push(dependent);
+                    ready.sort(byCreatedAt);
+                }
+            });
+        }
+        
+        if (ordered.length !== tasks.length) {
+            throw new Error('Dependency task mengandung cycle');
+        }
+        
+        return ordered;
+    }
+    
+    /**
+     * Ambil audit history satu task (terbaru dulu)
+     * @param {string} taskId - Task ID
+     * @returns {Object[]} - Array history entry
+     */
+    findHistory(taskId) {
+        const task = this.findById(taskId);
+        if (!task) return [];
+        return task.history.reverse();
+    }
+    
+    /**
+     * Ambil semua perubahan yang dilakukan satu user di semua task (terbaru dulu)
+     * @param {string} actorId - User ID
+     * @param {Object} options - { from, to, taskFilter }
+     * @returns {Object[]} - Array history entry dengan taskId dan taskTitle
+     */
+    findHistoryByActor(actorId, options = {}) {
+        const from = options.from ? new Date(options.from) : null;
+        const to = options.to ? new Date(options.to) : null;
+        const taskFilter = options.taskFilter || (() => true);
+        
+        return this.findAll()
+            .filter(task => taskFilter(task))
+            .reduce((entries, task) => entries.concat(
+                task.history
+                    .filter(entry => entry.actorId === actorId)
+                    .map(entry => ({ ...entry, taskId: task.id, taskTitle: task.title }))
+            ), [])
+            .filter(entry => !from || new Date(entry.changedAt) >= from)
+            .filter(entry => !to || new Date(entry.changedAt) <= to)
+            .sort((a, b) => new Date(b.changedAt) - new Date(a.changedAt));
+    }
+    
+    /**
+     * Cari timer yang sedang berjalan milik user (maksimal satu di semua task)
+     * @param {string} userId - User ID
+     * @returns {Object|null} - { task, entry } atau null
+     */
+    findRunningTimer(userId) {
+        for (const task of this.findAll()) {
+            const entry = task.getRunningTimeEntry(userId);
+            if (entry) {
+                return { task, entry };
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Ambil semua occurrence dari satu seri task berulang
+     * @param {string} seriesId - Series ID
+     * @returns {EnhancedTask[]} - Array task urut berdasarkan occurrence
+     */
+    findBySeries(seriesId) {
+        return this.findAll()
+            .filter(task => task.seriesId === seriesId)
+            .sort((a, b) => a.occurrenceIndex - b.occurrenceIndex);
     }
     
     /**
@@ -298,6 +773,9 @@ getMostUsedCategories(userId = null, limit = 5) {
     
     /**
      * Filter task dengan multiple criteria
+     * 
+     * filters.query bisa berupa string atau TaskQuery (lihat TaskQuery untuk sintaks).
+     * String query tidak bisa mencari berdasarkan username; pakai TaskQuery dengan resolveUser.
      * @param {Object} filters - Filter criteria
      * @returns {EnhancedTask[]} - Array task yang match filter
      */
@@ -312,6 +790,11 @@ getMostUsedCategories(userId = null, limit = 5) {
             results = results.filter(task => task.assigneeId === filters.assigneeId);
         }
         
+        // parentId: 'root' untuk task tanpa parent, atau ID parent untuk subtask-nya
+        if (filters.parentId) {
+            results = results.filter(task => filters.parentId === 'root' ? !task.parentId : task.parentId === filters.parentId);
+        }
+        
         if (filters.category) {
             results = results.filter(task => task.category === filters.category);
         }
@@ -341,6 +824,11 @@ getMostUsedCategories(userId = null, limit = 5) {
             );
         }
         
+        if (filters.query) {
+            const query = typeof filters.query === 'string' ? new TaskQuery(filters.query) : filters.query;
+            results = results.filter(task => query.matches(task));
+        }
+        
         return results;
     }
     
@@ -387,6 +875,26 @@ getMostUsedCategories(userId = null, limit = 5) {
         });
     }
     
+    /**
+     * Urutkan task sesuai urutan manual di board Kanban
+     * 
+     * Task tanpa boardRank ditaruh di bawah task yang sudah diurutkan,
+     * dari yang paling lama dibuat.
+     * @param {EnhancedTask[]} tasks - Array task
+     * @returns {EnhancedTask[]} - Array task yang sudah di-sort
+     */
+    sortByBoardRank(tasks) {
+        return tasks.sort((a, b) => {
+            if (a.boardRank !== null && b.boardRank !== null && a.boardRank !== b.boardRank) {
+                return a.boardRank - b.boardRank;
+            }
+            if ((a.boardRank === null) !== (b.boardRank === null)) {
+                return a.boardRank === null ? 1 : -1;
+            }
+            return a.createdAt - b.createdAt;
+        });
+    }
+    
     /**
      * Get task statistics
      * @param {string} userId - User ID (optional, untuk stats per user)
@@ -440,18 +948,164 @@ getMostUsedCategories(userId = null, limit = 5) {
                 }
             });
             
+            this._refreshSubtaskProgress();
             console.log(`Loaded ${this.tasks.size} tasks from storage`);
         } catch (error) {
             console.error('Error loading tasks from storage:', error);
         }
     }
     
+    _detachTask(task) {
+        // Subtask tidak ikut terhapus, tapi naik ke parent dari task yang dihapus
+        this.findChildren(task.id).forEach(child => child.setParent(task.parentId));
+        
+        // Task yang bergantung pada task ini tidak lagi menunggu
+        this.findDependents(task.id).forEach(dependent => dependent.removeDependency(task.id));
+    }
+    
+    _validateParent(task, parentId) {
+        if (!parentId) return;
+        
+        if (!this.findById(parentId)) {
+            throw new Error('Parent task tidak ditemukan');
+        }
+        
+        if (parentId === task.id || this.findDescendants(task.id).some(descendant => descendant.id === parentId)) {
+            throw new Error('Task tidak bisa menjadi subtask dari dirinya sendiri atau turunannya');
+        }
+    }
+    
+    _snapshotTrackedFields(ids) {
+        const fields = EnhancedTask.getTrackedFields();
+        const snapshots = new Map();
+        
+        ids.forEach(id => {
+            const task = this.tasks.get(id);
+            if (!task || snapshots.has(id)) return;
+            
+            const json = task.toJSON();
+            snapshots.set(id, fields.reduce((snapshot, field) => {
+                snapshot[field] = JSON.stringify(json[field]);
+                return snapshot;
+            }, {}));
+        });
+        
+        return snapshots;
+    }
+    
+    _recordChanges(snapshots, actorId) {
+        const fields = EnhancedTask.getTrackedFields();
+        
+        snapshots.forEach((before, id) => {
+            const task = this.tasks.get(id);
+            if (!task) return;
+            
+            const json = task.toJSON();
+            fields.forEach(field => {
+                if (JSON.stringify(json[field]) !== before[field]) {
+                    task.recordChange(field, JSON.parse(before[field]), json[field], actorId);
+                }
+            });
+        });
+    }
+    
+    _validateDependency(task, dependencyId) {
+        if (!this.findById(dependencyId)) {
+            throw new Error(`Task dependency tidak ditemukan: ${dependencyId}`);
+        }
+        
+        if (dependencyId === task.id || this._dependsTransitivelyOn(dependencyId, task.id)) {
+            throw new Error('Dependency ditolak karena membentuk cycle');
+        }
+    }
+    
+    _dependsTransitivelyOn(fromId, targetId, visited = new Set()) {
+        if (visited.has(fromId)) return false;
+        visited.add(fromId);
+        
+        const task = this.findById(fromId);
+        if (!task) return false;
+        
+        return task.dependsOn.some(id => id === targetId || this._dependsTransitivelyOn(id, targetId, visited));
+    }
+    
+    _validateNoRunningTimer(userId, taskId) {
+        const running = this.findRunningTimer(userId);
+        if (running && running.task.id !== taskId) {
+            throw new Error(`User masih punya timer berjalan di task "${running.task.title}"`);
+        }
+    }
+    
+    _validateStatusChange(task, newStatus) {
+        // Task yang masih menunggu hanya boleh tetap blocked atau dibatalkan
+        if (['blocked', 'cancelled'].includes(newStatus)) return;
+        
+        const unfinished = this.findUnfinishedDependencies(task.id);
+        if (unfinished.length > 0) {
+            throw new Error(`Task masih menunggu task lain selesai: ${unfinished.map(dependency => dependency.title).join(', ')}`);
+        }
+    }
+    
+    _refreshDependencyStatus() {
+        this.findAll().forEach(task => {
+            if (this.findUnfinishedDependencies(task.id).length > 0) {
+                task.blockByDependencies();
+            } else {
+                task.unblockFromDependencies();
+            }
+        });
+    }
+    
+    _refreshSubtaskProgress() {
+        // Map parentId -> subtask dibuat sekali, supaya refresh tetap O(N) setiap write
+        const tasks = this.findAll();
+        const childrenByParent = new Map();
+        tasks.forEach(task => {
+            if (!task.parentId || task.status === 'cancelled') return;
+            if (!childrenByParent.has(task.parentId)) {
+                childrenByParent.set(task.parentId, []);
+            }
+            childrenByParent.get(task.parentId).push(task);
+        });
+        
+        // Hitung dari bawah ke atas supaya progress subtask yang punya subtask ikut ter-roll up
+        const visited = new Set();
+        const refresh = task => {
+            if (visited.has(task.id)) return;
+            visited.add(task.id);
+            
+            const children = childrenByParent.get(task.id) || [];
+            children.forEach(refresh);
+            task.setSubtaskProgress(children.map(child => (child.isCompleted ? 100 : child.progressPercentage)));
+        };
+        
+        tasks.forEach(refresh);
+    }
+    
+    _runBulkItem(id, operation) {
+        try {
+            const result = operation();
+            if (!result) {
+                return { id, success: false, error: 'Task tidak ditemukan' };
+            }
+            return result === true ? { id, success: true } : { id, success: true, task: result };
+        } catch (error) {
+            return { id, success: false, error: error.message };
+        }
+    }
+    
     _saveTasksToStorage() {
+        if (this._batchDepth > 0) {
+            this._batchDirty = true;
+            return;
+        }
+        
         try {
             const tasksData = Array.from(this.tasks.values()).map(task => task.toJSON());
             this.storage.save(this.storageKey, tasksData);
         } catch (error) {
             console.error('Error saving tasks to storage:', error);
+            throw error;
         }
     }
 }
@@ -6,6 +6,9 @@
  * - Memisahkan business logic dari storage logic
  * - Mudah untuk testing dan switching storage
  */
+/* global SavedView */
+
+const API_KEY_USE_SAVE_INTERVAL_MS = 60 * 1000;
 
 class UserRepository {
     constructor(storageManager) {
@@ -19,7 +22,7 @@ class UserRepository {
     
     /**
      * Buat user baru
-     * @param {Object} userData - Data user (username, email, fullName)
+     * @param {Object} userData - Data user (username, email, fullName, passwordHash)
      * @returns {User} - User yang baru dibuat
      */
     create(userData) {
@@ -37,6 +40,15 @@ class UserRepository {
             // Buat user baru
             const user = new User(userData.username, userData.email, userData.fullName);
             
+            if (userData.role) {
+                user.changeRole(userData.role);
+            }
+            
+            // Password sudah di-hash oleh controller, repository hanya menyimpan hash
+            if (userData.passwordHash) {
+                user.setPasswordHash(userData.passwordHash);
+            }
+            
             // Simpan ke cache
             this.users.set(user.id, user);
             
@@ -128,6 +140,11 @@ class UserRepository {
                 user.updatePreferences(updates.preferences);
             }
             
+            // Update role jika ada (permission dicek di controller)
+            if (updates.role !== undefined) {
+                user.changeRole(updates.role);
+            }
+            
             // Update status jika ada
             if (updates.isActive !== undefined) {
                 if (updates.isActive) {
@@ -191,6 +208,269 @@ class UserRepository {
         return user;
     }
     
+    /**
+     * Catat login gagal (untuk lockout)
+     * @param {string} id - User ID
+     * @param {number} maxAttempts - Batas percobaan gagal
+     * @param {number} lockMinutes - Lama akun dikunci (menit)
+     * @returns {User|null} - User yang diupdate
+     */
+    recordFailedLogin(id, maxAttempts, lockMinutes) {
+        const user = this.findById(id);
+        if (user) {
+            user.recordFailedLogin(maxAttempts, lockMinutes);
+            this._saveUsersToStorage();
+        }
+        return user;
+    }
+    
+    /**
+     * Ganti password hash user (semua session lama ikut dicabut)
+     * @param {string} id - User ID
+     * @param {string} passwordHash - Hash password baru
+     * @returns {User|null} - User yang diupdate
+     */
+    updatePasswordHash(id, passwordHash) {
+        const user = this.findById(id);
+        if (user) {
+            user.setPasswordHash(passwordHash);
+            user.revokeSessions();
+            this._saveUsersToStorage();
+        }
+        return user;
+    }
+    
+    /**
+     * Simpan token reset password user
+     * @param {string} id - User ID
+     * @param {string} tokenHash - Hash token reset
+     * @param {Date} expiresAt - Waktu token kedaluwarsa
+     * @returns {User|null} - User yang diupdate
+     */
+    setPasswordResetToken(id, tokenHash, expiresAt) {
+        const user = this.findById(id);
+        if (user) {
+            user.setPasswordResetToken(tokenHash, expiresAt);
+            this._saveUsersToStorage();
+        }
+        return user;
+    }
+    
+    /**
+     * Cari user berdasarkan token reset password yang masih valid
+     * @param {string} tokenHash - Hash token reset
+     * @returns {User|null} - User atau null
+     */
+    findByPasswordResetToken(tokenHash) {
+        for (const user of this.users.values()) {
+            if (user.isPasswordResetTokenValid(tokenHash)) {
+                return user;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Cabut semua session token user (logout)
+     * @param {string} id - User ID
+     * @returns {User|null} - User yang diupdate
+     */
+    revokeSessions(id) {
+        const user = this.findById(id);
+        if (user) {
+            user.revokeSessions();
+            this._saveUsersToStorage();
+        }
+        return user;
+    }
+    
+    /**
+     * Tambah API key untuk user
+     * @param {string} id - User ID
+     * @param {Object} apiKey - { id, name, keyHash, prefix, scopes }
+     * @returns {User|null} - User yang diupdate
+     */
+    addApiKey(id, apiKey) {
+        const user = this.findById(id);
+        if (user) {
+            user.addApiKey(apiKey);
+            this._saveUsersToStorage();
+        }
+        return user;
+    }
+    
+    /**
+     * Cabut API key user
+     * @param {string} id - User ID
+     * @param {string} keyId - ID API key
+     * @returns {boolean} - Success status
+     */
+    revokeApiKey(id, keyId) {
+        const user = this.findById(id);
+        if (!user || !user.revokeApiKey(keyId)) {
+            return false;
+        }
+        
+        this._saveUsersToStorage();
+        return true;
+    }
+    
+    /**
+     * Cari user pemilik API key aktif
+     * @param {string} keyHash - Hash API key
+     * @returns {Object|null} - { user, apiKey } atau null
+     */
+    findByApiKeyHash(keyHash) {
+        for (const user of this.users.values()) {
+            const apiKey = user.findActiveApiKey(keyHash);
+            if (apiKey) {
+                return { user, apiKey };
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Catat pemakaian API key. Dipanggil di setiap request API key, jadi
+     * lastUsedAt paling sering disimpan sekali per menit per key.
+     * @param {string} id - User ID
+     * @param {string} keyId - ID API key
+     */
+    recordApiKeyUse(id, keyId) {
+        const user = this.findById(id);
+        if (user && user.recordApiKeyUse(keyId, API_KEY_USE_SAVE_INTERVAL_MS)) {
+            this._saveUsersToStorage();
+        }
+    }
+    
+    /**
+     * Simpan hash token feed kalender user (null untuk mematikan feed)
+     * @param {string} id - User ID
+     * @param {string|null} tokenHash - Hash token feed
+     * @returns {User|null} - User yang diupdate
+     */
+    setCalendarFeedToken(id, tokenHash) {
+        const user = this.findById(id);
+        if (user) {
+            user.setCalendarFeedToken(tokenHash);
+            this._saveUsersToStorage();
+        }
+        return user;
+    }
+    
+    /**
+     * Cari user pemilik token feed kalender
+     * @param {string} tokenHash - Hash token feed
+     * @returns {User|null} - User atau null
+     */
+    findByCalendarFeedToken(tokenHash) {
+        for (const user of this.users.values()) {
+            if (user.isCalendarFeedTokenValid(tokenHash)) {
+                return user;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Ambil saved view milik user
+     * @param {string} id - User ID
+     * @returns {SavedView[]} - Array view
+     */
+    findViews(id) {
+        const user = this.findById(id);
+        return user ? this._loadViews(user) : [];
+    }
+    
+    /**
+     * Ambil view milik user lain yang dibagikan ke user ini
+     * @param {string} id - User ID
+     * @returns {Object[]} - Array { ownerId, view }
+     */
+    findViewsSharedWith(id) {
+        const shared = [];
+        this.findActive()
+            .filter(user => user.id !== id)
+            .forEach(user => {
+                this._loadViews(user)
+                    .filter(view => view.isSharedWith(id))
+                    .forEach(view => shared.push({ ownerId: user.id, view }));
+            });
+        return shared;
+    }
+    
+    /**
+     * Cari view yang boleh dipakai user (milik sendiri atau dibagikan)
+     * @param {string} id - User ID
+     * @param {string} viewId - View ID
+     * @returns {Object|null} - { ownerId, view } atau null
+     */
+    findAccessibleView(id, viewId) {
+        const own = this.findViews(id).find(view => view.id === viewId);
+        if (own) {
+            return { ownerId: id, view: own };
+        }
+        return this.findViewsSharedWith(id).find(entry => entry.view.id === viewId) || null;
+    }
+    
+    /**
+     * Simpan view baru atau ganti view dengan ID yang sama
+     * @param {string} id - User ID pemilik view
+     * @param {SavedView} view - View
+     * @returns {SavedView|null} - View yang disimpan
+     */
+    saveView(id, view) {
+        const user = this.findById(id);
+        if (!user) return null;
+        
+        const views = (user.preferences.savedViews || []).filter(existing => existing.id !== view.id);
+        user.updatePreferences({ savedViews: [...views, view.toJSON()] });
+        this._saveUsersToStorage();
+        return view;
+    }
+    
+    /**
+     * Hapus view milik user
+     * @param {string} id - User ID pemilik view
+     * @param {string} viewId - View ID
+     * @returns {boolean} - Success status
+     */
+    deleteView(id, viewId) {
+        const user = this.findById(id);
+        const views = user ? user.preferences.savedViews || [] : [];
+        if (!views.some(view => view.id === viewId)) {
+            return false;
+        }
+        
+        user.updatePreferences({
+            savedViews: views.filter(view => view.id !== viewId),
+            pinnedViewIds: (user.preferences.pinnedViewIds || []).filter(pinnedId => pinnedId !== viewId)
+        });
+        this._saveUsersToStorage();
+        return true;
+    }
+    
+    /**
+     * Pin / unpin view di sidebar user (view sendiri maupun yang dibagikan)
+     * @param {string} id - User ID
+     * @param {string} viewId - View ID
+     * @param {boolean} pinned - True untuk pin
+     * @returns {string[]} - Daftar ID view yang di-pin
+     */
+    setViewPinned(id, viewId, pinned) {
+        const user = this.findById(id);
+        if (!user) return [];
+        
+        const pinnedViewIds = (user.preferences.pinnedViewIds || []).filter(pinnedId => pinnedId !== viewId);
+        if (pinned) {
+            pinnedViewIds.push(viewId);
+        }
+        
+        user.updatePreferences({ pinnedViewIds });
+        this._saveUsersToStorage();
+        return pinnedViewIds;
+    }
+    
     /**
      * Cari user dengan query
      * @param {string} query - Search query
@@ -252,8 +532,22 @@ class UserRepository {
             this.storage.save(this.storageKey, usersData);
         } catch (error) {
             console.error('Error saving users to storage:', error);
+            throw error;
         }
     }
+    
+    _loadViews(user) {
+        // View yang tidak valid (mis. data lama) dilewati supaya tidak
+        // membuat daftar view user lain ikut gagal dibaca
+        return (user.preferences.savedViews || []).reduce((views, data) => {
+            try {
+                views.push(SavedView.fromJSON(data));
+            } catch (error) {
+                // Lewati view yang rusak
+            }
+            return views;
+        }, []);
+    }
 }
 
 // Export untuk digunakan di file lain
@@ -0,0 +1,44 @@
+/**
+ * API Response Helper - Menerjemahkan response controller ke HTTP
+ * 
+ * Controller selalu mengembalikan envelope {success, data, error}.
+ * Helper ini memilih HTTP status code yang sesuai berdasarkan
+ * error message dari controller, lalu mengirim envelope apa adanya.
+ */
+
+// Urutan penting: rule pertama yang match yang dipakai
+const ERROR_STATUS_RULES = [
+    // Storage server gagal menulis (mis. data directory dipegang proses lain): bukan salah client
+    { pattern: /gagal menyimpan data/i, status: 500 },
+    { pattern: /harus login|tidak ada user yang login|password salah|password lama salah|membutuhkan login/i, status: 401 },
+    { pattern: /tidak ditemukan/i, status: 404 },
+    { pattern: /tidak memiliki akses|tidak memiliki izin|hanya owner|tidak aktif/i, status: 403 },
+    { pattern: /sudah digunakan|timer berjalan|timer sudah berjalan/i, status: 409 }
+];
+
+/**
+ * Tentukan HTTP status untuk error message controller
+ * @param {string} errorMessage - Error dari response controller
+ * @returns {number} - HTTP status code
+ */
+function statusForError(errorMessage) {
+    const rule = ERROR_STATUS_RULES.find(r => r.pattern.test(errorMessage || ''));
+    return rule ? rule.status : 400;
+}
+
+/**
+ * Kirim response controller sebagai JSON
+ * @param {Object} res - Express response
+ * @param {Object} response - Response dari controller
+ * @param {number} successStatus - Status jika success (default 200)
+ */
+function sendResponse(res, response, successStatus = 200) {
+    const status = response.success ? successStatus : statusForError(response.error);
+    res.status(status).json(response);
+}
+
+module.exports = {
+    ERROR_STATUS_RULES,
+    statusForError,
+    sendResponse
+};
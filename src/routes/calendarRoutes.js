@@ -0,0 +1,61 @@
+/**
+ * Calendar Routes - Feed iCalendar per user (/calendar)
+ *
+ * Endpoint:
+ * - GET /calendar/:token.ics -> task user pemilik token sebagai file .ics
+ *                               (?type=todo|event, filter sama dengan GET /api/v1/tasks,
+ *                               mis. category=work, assigneeId=me, q=tag:meeting)
+ *
+ * Aplikasi kalender tidak bisa mengirim header Authorization, jadi feed
+ * dilindungi token di URL (dibuat lewat POST /api/v1/users/me/calendar-feed).
+ * Yang disimpan hanya hash token, sama seperti API key.
+ */
+const express = require('express');
+const TaskController = require('../controllers/TaskController');
+const PasswordHasher = require('../utils/PasswordHasher');
+const { sendResponse } = require('./apiResponse');
+const { parseTaskFilters } = require('./taskRoutes');
+
+/**
+ * Buat router untuk feed kalender
+ * @param {TaskRepository} taskRepository - Repository task
+ * @param {UserRepository} userRepository - Repository user
+ * @returns {express.Router} - Router yang siap di-mount di /calendar
+ */
+function createCalendarRoutes(taskRepository, userRepository) {
+    const router = express.Router();
+
+    router.get('/:token.ics', (req, res) => {
+        const user = userRepository.findByCalendarFeedToken(PasswordHasher.hashToken(req.params.token));
+
+        // User nonaktif diperlakukan sama dengan token yang tidak dikenal
+        if (!user || !user.isActive) {
+            return sendResponse(res, { success: false, error: 'Feed kalender tidak ditemukan' });
+        }
+
+        const taskController = new TaskController(taskRepository, userRepository, { undo: false });
+        taskController.currentUser = user;
+
+        // Feed selalu diurutkan per due date dan tidak memakai saved view
+        const filters = parseTaskFilters(req.query);
+        delete filters.viewId;
+        delete filters.sortBy;
+        delete filters.sortOrder;
+        if (req.query.q) {
+            filters.query = req.query.q;
+        }
+
+        const response = taskController.exportCalendar({ ...filters, type: req.query.type });
+        if (!response.success) {
+            return sendResponse(res, response);
+        }
+
+        res.type('text/calendar; charset=utf-8').send(response.data);
+    });
+
+    return router;
+}
+
+module.exports = {
+    createCalendarRoutes
+};
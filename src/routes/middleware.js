@@ -0,0 +1,151 @@
+/**
+ * API Middleware - Middleware bersama untuk semua route API
+ *
+ * Autentikasi lewat header "Authorization: Bearer <token>":
+ * - Session token (dari POST /session), berlaku untuk semua scope
+ * - API key (prefix "tk_"), hanya berlaku untuk scope yang diberikan
+ */
+const PasswordHasher = require('../utils/PasswordHasher');
+const UserController = require('../controllers/UserController');
+
+/**
+ * Ambil bearer token dari header Authorization
+ * @param {Object} req - Express request
+ * @returns {string|null} - Token atau null
+ */
+function getBearerToken(req) {
+    const header = req.get('Authorization') || '';
+    const [scheme, token] = header.split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+}
+
+/**
+ * Resolve bearer token ke req.currentUser dan req.auth
+ *
+ * Request tanpa token tetap diteruskan (req.currentUser = null),
+ * controller yang akan menolak jika endpoint butuh login.
+ * @param {UserRepository} userRepository - Repository user
+ * @param {TokenService} tokenService - Service untuk session token
+ * @returns {Function} - Express middleware
+ */
+function authenticate(userRepository, tokenService) {
+    return (req, res, next) => {
+        const token = getBearerToken(req);
+        req.currentUser = null;
+        req.auth = null;
+
+        if (!token) {
+            return next();
+        }
+
+        let user = null;
+
+        if (token.startsWith(UserController.getApiKeyPrefix())) {
+            const match = userRepository.findByApiKeyHash(PasswordHasher.hashToken(token));
+            if (!match) {
+                return res.status(401).json({ success: false, error: 'API key tidak valid' });
+            }
+
+            user = match.user;
+            userRepository.recordApiKeyUse(user.id, match.apiKey.id);
+            req.auth = { method: 'apiKey', apiKeyId: match.apiKey.id, scopes: match.apiKey.scopes };
+        } else {
+            const session = tokenService ? tokenService.verify(token) : null;
+            user = session ? userRepository.findById(session.userId) : null;
+
+            if (!user || !user.isSessionValid(session.issuedAt)) {
+                return res.status(401).json({ success: false, error: 'Sesi tidak valid atau sudah kedaluwarsa' });
+            }
+
+            req.auth = { method: 'session', scopes: ['*'] };
+        }
+
+        if (!user.isActive) {
+            return res.status(403).json({ success: false, error: 'Akun tidak aktif' });
+        }
+
+        req.currentUser = user;
+        next();
+    };
+}
+
+/**
+ * Cek apakah scope yang dimiliki mencakup scope yang dibutuhkan
+ * (scope ":write" juga mencakup ":read" untuk resource yang sama)
+ * @param {string[]} grantedScopes - Scope milik request
+ * @param {string} requiredScope - Scope yang dibutuhkan
+ * @returns {boolean} - True jika diizinkan
+ */
+function hasScope(grantedScopes, requiredScope) {
+    if (grantedScopes.includes('*') || grantedScopes.includes(requiredScope)) {
+        return true;
+    }
+
+    const [resource, action] = requiredScope.split(':');
+    return action === 'read' && grantedScopes.includes(`${resource}:write`);
+}
+
+/**
+ * Tolak request API key yang tidak punya scope yang dibutuhkan
+ * @param {string} scope - Scope yang dibutuhkan (mis. 'tasks:write')
+ * @returns {Function} - Express middleware
+ */
+function requireScope(scope) {
+    return (req, res, next) => {
+        if (req.auth && !hasScope(req.auth.scopes, scope)) {
+            return res.status(403).json({ success: false, error: `API key tidak memiliki scope ${scope}` });
+        }
+        next();
+    };
+}
+
+/**
+ * Tolak request yang tidak memakai session token (mis. kelola API key)
+ * @returns {Function} - Express middleware
+ */
+function requireSession() {
+    return (req, res, next) => {
+        if (req.auth && req.auth.method !== 'session') {
+            return res.status(403).json({ success: false, error: 'Endpoint ini membutuhkan login dengan session' });
+        }
+        next();
+    };
+}
+
+// Pesan untuk error body parser Express (error.type), selain itu pesan umum per status
+const BODY_ERROR_MESSAGES = {
+    'entity.parse.failed': 'Body request bukan JSON yang valid',
+    'entity.too.large': 'Body request terlalu besar'
+};
+
+/**
+ * Error handler terakhir untuk route API: body JSON yang rusak dan error tak terduga
+ * tetap dijawab dengan envelope JSON, tanpa halaman HTML atau stack trace
+ * @returns {Function} - Express error middleware
+ */
+function handleApiErrors() {
+    return (error, req, res, next) => {
+        // Response sudah terkirim sebagian: biarkan Express yang menutup koneksi
+        if (res.headersSent) {
+            return next(error);
+        }
+
+        const status = error.status >= 400 && error.status < 500 ? error.status : 500;
+        if (status === 500) {
+            console.error('Unexpected API error:', error);
+        }
+
+        res.status(status).json({
+            success: false,
+            error: BODY_ERROR_MESSAGES[error.type] || (status === 500 ? 'Terjadi kesalahan di server' : 'Request tidak valid')
+        });
+    };
+}
+
+module.exports = {
+    authenticate,
+    handleApiErrors,
+    hasScope,
+    requireScope,
+    requireSession
+};
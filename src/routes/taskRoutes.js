@@ -0,0 +1,310 @@
+/**
+ * Task Routes - REST API untuk task (/api/v1/tasks)
+ *
+ * Endpoint:
+ * - GET    /           -> list task (filter via query string, atau ?q= dengan
+ *                         query language TaskQuery, mis. q=status:pending tag:meeting;
+ *                         ?view=<viewId> memakai saved view)
+ * - GET    /:id        -> detail task
+ * - POST   /           -> buat task baru
+ * - PATCH  /:id        -> update sebagian field task
+ * - DELETE /:id        -> hapus task (pindah ke trash)
+ * - GET    /trash      -> task di trash
+ * - POST   /trash/:id/restore -> keluarkan task dari trash
+ * - DELETE /trash/:id  -> hapus permanen task di trash
+ * - GET    /history    -> perubahan oleh satu user (?actorId, default current user; from, to)
+ * - GET    /:id/history -> audit history task
+ * - GET    /timer      -> timer current user yang sedang berjalan
+ * - GET    /timesheet  -> laporan jam kerja (?from&to&ownerId&assigneeId&userId,
+ *                         format=csv untuk file CSV payroll)
+ * - POST   /:id/timer/start|pause|stop        -> kontrol timer current user
+ * - POST   /:id/time-entries                  -> tambah time entry manual
+ * - PATCH  /:id/time-entries/:entryId         -> ubah time entry
+ * - DELETE /:id/time-entries/:entryId         -> hapus time entry
+ * - GET    /views      -> saved view milik user + yang dibagikan ke user
+ * - POST   /views      -> simpan view baru
+ * - PATCH  /views/:viewId -> ubah view (nama, filter, sort, grouping, sharedWith)
+ * - DELETE /views/:viewId -> hapus view
+ * - PUT    /views/:viewId/pin -> pin view di sidebar (DELETE untuk unpin)
+ * - POST   /bulk/update|delete|assign|tag|status -> operasi banyak task sekaligus;
+ *                         body { ids } atau { filter } + { updates | assigneeId |
+ *                         tags: { add, remove } | status }, hasil per task
+ * - GET    /board      -> board Kanban, satu kolom per status (filter sama dengan GET /)
+ * - PUT    /board/wip-limits -> simpan batas WIP per kolom, body { status: limit }
+ * - POST   /:id/move   -> pindahkan kartu board, body { status, beforeTaskId }
+ * - GET    /calendar   -> task per hari berdasarkan due date (?mode=month|week|agenda,
+ *                         date=YYYY-MM-DD, days untuk agenda; filter sama dengan GET /)
+ * - POST   /:id/reschedule -> pindahkan due date ke hari lain, body { date }
+ * - GET    /export     -> file CSV semua field task (filter sama dengan GET /)
+ * - POST   /import/preview -> petakan kolom CSV dan validasi setiap baris tanpa menyimpan,
+ *                         body { csv, mapping } (mapping { header kolom: field }, opsional)
+ * - POST   /import     -> buat task dari CSV, body sama; ditolak jika ada baris yang error
+ * - POST   /import/trello|todoist|jira -> import file export aplikasi lain, body { content,
+ *                         dryRun, category, statusMap, projectName }; item yang sudah
+ *                         pernah diimport dilewati, response berisi laporan pemetaan
+ *
+ * Route hanya membungkus TaskController, semua validasi dan
+ * permission check tetap ada di controller. User diambil dari
+ * bearer token (session atau API key dengan scope tasks:*).
+ */
+const express = require('express');
+const TaskController = require('../controllers/TaskController');
+const { sendResponse } = require('./apiResponse');
+const { authenticate, requireScope } = require('./middleware');
+
+/**
+ * Ubah query string menjadi filter untuk TaskController.getTasks
+ * @param {Object} query - req.query
+ * @returns {Object} - Filter object
+ */
+function parseTaskFilters(query) {
+    const filters = {};
+
+    ['status', 'category', 'priority', 'assigneeId', 'parentId', 'sortBy', 'sortOrder'].forEach(field => {
+        if (query[field]) {
+            filters[field] = query[field];
+        }
+    });
+
+    if (query.overdue === 'true') {
+        filters.overdue = true;
+    }
+
+    if (query.dueSoon === 'true') {
+        filters.dueSoon = true;
+    }
+
+    if (query.tags) {
+        filters.tags = String(query.tags).split(',').map(tag => tag.trim()).filter(Boolean);
+    }
+
+    if (query.view) {
+        filters.viewId = query.view;
+    }
+
+    return filters;
+}
+
+/**
+ * Ambil pilihan task untuk operasi bulk dari body request
+ * @param {Object} body - req.body
+ * @returns {Object} - { ids } atau { filter }
+ */
+function getBulkSelection(body) {
+    return body.ids !== undefined ? { ids: body.ids } : { filter: body.filter };
+}
+
+/**
+ * Buat router untuk task API
+ * @param {TaskRepository} taskRepository - Repository task
+ * @param {UserRepository} userRepository - Repository user
+ * @param {Object} options - { tokenService }
+ * @returns {express.Router} - Router yang siap di-mount
+ */
+function createTaskRoutes(taskRepository, userRepository, options = {}) {
+    const router = express.Router();
+    const canRead = requireScope('tasks:read');
+    const canWrite = requireScope('tasks:write');
+
+    router.use(authenticate(userRepository, options.tokenService));
+
+    // Setiap request punya controller sendiri supaya currentUser tidak tercampur.
+    // Undo tidak tersedia lewat API, jadi state task untuk undo tidak perlu dicatat
+    router.use((req, res, next) => {
+        req.taskController = new TaskController(taskRepository, userRepository, { undo: false });
+        req.taskController.currentUser = req.currentUser;
+        next();
+    });
+
+    router.get('/', canRead, (req, res) => {
+        if (req.query.q) {
+            return sendResponse(res, req.taskController.searchTasks(req.query.q));
+        }
+        sendResponse(res, req.taskController.getTasks(parseTaskFilters(req.query)));
+    });
+
+    router.get('/trash', canRead, (req, res) => {
+        sendResponse(res, req.taskController.getTrash());
+    });
+
+    router.post('/trash/:id/restore', canWrite, (req, res) => {
+        sendResponse(res, req.taskController.restoreTask(req.params.id));
+    });
+
+    router.delete('/trash/:id', canWrite, (req, res) => {
+        sendResponse(res, req.taskController.purgeTask(req.params.id));
+    });
+
+    router.get('/views', canRead, (req, res) => {
+        sendResponse(res, req.taskController.getSavedViews());
+    });
+
+    router.post('/views', canWrite, (req, res) => {
+        sendResponse(res, req.taskController.saveView(req.body || {}), 201);
+    });
+
+    router.patch('/views/:viewId', canWrite, (req, res) => {
+        sendResponse(res, req.taskController.updateView(req.params.viewId, req.body || {}));
+    });
+
+    router.delete('/views/:viewId', canWrite, (req, res) => {
+        sendResponse(res, req.taskController.deleteView(req.params.viewId));
+    });
+
+    router.put('/views/:viewId/pin', canWrite, (req, res) => {
+        sendResponse(res, req.taskController.pinView(req.params.viewId, true));
+    });
+
+    router.delete('/views/:viewId/pin', canWrite, (req, res) => {
+        sendResponse(res, req.taskController.pinView(req.params.viewId, false));
+    });
+
+    router.post('/bulk/update', canWrite, (req, res) => {
+        const body = req.body || {};
+        sendResponse(res, req.taskController.bulkUpdateTasks(getBulkSelection(body), body.updates));
+    });
+
+    router.post('/bulk/delete', canWrite, (req, res) => {
+        sendResponse(res, req.taskController.bulkDeleteTasks(getBulkSelection(req.body || {})));
+    });
+
+    router.post('/bulk/assign', canWrite, (req, res) => {
+        const body = req.body || {};
+        sendResponse(res, req.taskController.bulkAssignTasks(getBulkSelection(body), body.assigneeId));
+    });
+
+    router.post('/bulk/tag', canWrite, (req, res) => {
+        const body = req.body || {};
+        sendResponse(res, req.taskController.bulkTagTasks(getBulkSelection(body), body.tags || {}));
+    });
+
+    router.post('/bulk/status', canWrite, (req, res) => {
+        const body = req.body || {};
+        sendResponse(res, req.taskController.bulkUpdateStatus(getBulkSelection(body), body.status));
+    });
+
+    router.get('/board', canRead, (req, res) => {
+        sendResponse(res, req.taskController.getBoard(parseTaskFilters(req.query)));
+    });
+
+    router.put('/board/wip-limits', canWrite, (req, res) => {
+        sendResponse(res, req.taskController.setBoardWipLimits(req.body || {}));
+    });
+
+    router.get('/calendar', canRead, (req, res) => {
+        const { mode, date, days } = req.query;
+        sendResponse(res, req.taskController.getCalendar({ ...parseTaskFilters(req.query), mode, date, days }));
+    });
+
+    router.get('/history', canRead, (req, res) => {
+        const { actorId, from, to } = req.query;
+        sendResponse(res, req.taskController.getUserHistory(actorId, { from, to }));
+    });
+
+    router.get('/timer', canRead, (req, res) => {
+        sendResponse(res, req.taskController.getRunningTimer());
+    });
+
+    router.get('/timesheet', canRead, (req, res) => {
+        const options = {};
+        ['from', 'to', 'ownerId', 'assigneeId', 'userId'].forEach(field => {
+            if (req.query[field]) {
+                options[field] = req.query[field];
+            }
+        });
+
+        if (req.query.format !== 'csv') {
+            return sendResponse(res, req.taskController.getTimesheet(options));
+        }
+
+        const response = req.taskController.exportTimesheetCsv(options);
+        if (!response.success) {
+            return sendResponse(res, response);
+        }
+        res.attachment('timesheet.csv').type('text/csv').send(response.data);
+    });
+
+    router.get('/export', canRead, (req, res) => {
+        const response = req.taskController.exportTasksCsv(parseTaskFilters(req.query));
+        if (!response.success) {
+            return sendResponse(res, response);
+        }
+        res.attachment('tasks.csv').type('text/csv').send(response.data);
+    });
+
+    router.post('/import/preview', canWrite, (req, res) => {
+        const { csv, mapping } = req.body || {};
+        sendResponse(res, req.taskController.previewTaskImport(csv, mapping || null));
+    });
+
+    router.post('/import', canWrite, (req, res) => {
+        const { csv, mapping } = req.body || {};
+        sendResponse(res, req.taskController.importTasksCsv(csv, mapping || null), 201);
+    });
+
+    router.post('/import/:source', canWrite, (req, res) => {
+        const { content, ...options } = req.body || {};
+        const response = req.taskController.importExternalTasks(req.params.source, content, options);
+        sendResponse(res, response, options.dryRun ? 200 : 201);
+    });
+
+    router.get('/:id', canRead, (req, res) => {
+        sendResponse(res, req.taskController.getTask(req.params.id));
+    });
+
+    router.get('/:id/history', canRead, (req, res) => {
+        sendResponse(res, req.taskController.getTaskHistory(req.params.id));
+    });
+
+    router.post('/', canWrite, (req, res) => {
+        sendResponse(res, req.taskController.createTask(req.body || {}), 201);
+    });
+
+    router.patch('/:id', canWrite, (req, res) => {
+        sendResponse(res, req.taskController.updateTask(req.params.id, req.body || {}));
+    });
+
+    router.delete('/:id', canWrite, (req, res) => {
+        sendResponse(res, req.taskController.deleteTask(req.params.id));
+    });
+
+    router.post('/:id/move', canWrite, (req, res) => {
+        const body = req.body || {};
+        sendResponse(res, req.taskController.moveTaskOnBoard(req.params.id, body.status, body.beforeTaskId || null));
+    });
+
+    router.post('/:id/reschedule', canWrite, (req, res) => {
+        sendResponse(res, req.taskController.rescheduleTask(req.params.id, (req.body || {}).date));
+    });
+
+    router.post('/:id/timer/start', canWrite, (req, res) => {
+        sendResponse(res, req.taskController.startTimer(req.params.id, (req.body || {}).note));
+    });
+
+    router.post('/:id/timer/pause', canWrite, (req, res) => {
+        sendResponse(res, req.taskController.pauseTimer(req.params.id));
+    });
+
+    router.post('/:id/timer/stop', canWrite, (req, res) => {
+        sendResponse(res, req.taskController.stopTimer(req.params.id));
+    });
+
+    router.post('/:id/time-entries', canWrite, (req, res) => {
+        sendResponse(res, req.taskController.addTimeEntry(req.params.id, req.body || {}), 201);
+    });
+
+    router.patch('/:id/time-entries/:entryId', canWrite, (req, res) => {
+        sendResponse(res, req.taskController.updateTimeEntry(req.params.id, req.params.entryId, req.body || {}));
+    });
+
+    router.delete('/:id/time-entries/:entryId', canWrite, (req, res) => {
+        sendResponse(res, req.taskController.deleteTimeEntry(req.params.id, req.params.entryId));
+    });
+
+    return router;
+}
+
+module.exports = {
+    createTaskRoutes,
+    parseTaskFilters
+};
@@ -0,0 +1,182 @@
+/**
+ * User Routes - REST API untuk user (/api/v1/users) dan session (/api/v1/session)
+ *
+ * Users:
+ * - POST   /users                  -> register user baru
+ * - GET    /users                  -> list user aktif
+ * - GET    /users/search?q=        -> cari user
+ * - GET    /users/:id              -> detail user (data minimal)
+ * - PATCH  /users/me               -> update profile user yang login
+ * - PATCH  /users/me/preferences   -> update preferences user yang login
+ * - PUT    /users/me/password      -> ganti password
+ * - POST   /users/password-reset   -> minta token reset password
+ * - POST   /users/password-reset/confirm -> set password baru dengan token
+ * - GET    /users/me/api-keys      -> list API key
+ * - POST   /users/me/api-keys      -> buat API key baru (key hanya tampil sekali)
+ * - DELETE /users/me/api-keys/:keyId -> cabut API key
+ * - POST   /users/me/calendar-feed -> buat URL feed kalender .ics (token hanya tampil sekali)
+ * - DELETE /users/me/calendar-feed -> matikan feed kalender
+ * - PUT    /users/:id/role         -> ubah role user (khusus admin)
+ *
+ * Session:
+ * - POST   /session                -> login (username + password), mengembalikan session token
+ * - GET    /session                -> user yang sedang login
+ * - DELETE /session                -> logout (semua session token user dicabut)
+ */
+const express = require('express');
+const UserController = require('../controllers/UserController');
+const { sendResponse } = require('./apiResponse');
+const { authenticate, requireScope, requireSession } = require('./middleware');
+
+/**
+ * Middleware untuk membuat UserController per request
+ * @param {UserRepository} userRepository - Repository user
+ * @param {Object} options - { passwordHasher, authOptions }
+ * @returns {Function} - Express middleware
+ */
+function attachUserController(userRepository, options) {
+    return (req, res, next) => {
+        req.userController = new UserController(userRepository, options.passwordHasher, options.authOptions);
+        req.userController.currentUser = req.currentUser;
+        next();
+    };
+}
+
+/**
+ * Buat router untuk user API
+ * @param {UserRepository} userRepository - Repository user
+ * @param {Object} options - { passwordHasher, authOptions, tokenService, onPasswordResetRequested }
+ * @returns {express.Router} - Router yang siap di-mount di /users
+ */
+function createUserRoutes(userRepository, options = {}) {
+    const router = express.Router();
+    const onPasswordResetRequested = options.onPasswordResetRequested || (() => {});
+    const canRead = requireScope('users:read');
+    const canWrite = requireScope('users:write');
+
+    router.use(authenticate(userRepository, options.tokenService));
+    router.use(attachUserController(userRepository, options));
+
+    router.post('/', (req, res) => {
+        sendResponse(res, req.userController.register(req.body || {}), 201);
+    });
+
+    router.get('/', canRead, (req, res) => {
+        sendResponse(res, req.userController.getAllUsers());
+    });
+
+    router.get('/search', canRead, (req, res) => {
+        sendResponse(res, req.userController.searchUsers(req.query.q));
+    });
+
+    router.patch('/me', canWrite, (req, res) => {
+        sendResponse(res, req.userController.updateProfile(req.body || {}));
+    });
+
+    router.patch('/me/preferences', canWrite, (req, res) => {
+        sendResponse(res, req.userController.updatePreferences(req.body || {}));
+    });
+
+    // Password, API key dan feed kalender hanya bisa dikelola dengan session, bukan API key
+    router.get('/me/api-keys', requireSession(), (req, res) => {
+        sendResponse(res, req.userController.listApiKeys());
+    });
+
+    router.post('/me/api-keys', requireSession(), (req, res) => {
+        const { name, scopes } = req.body || {};
+        sendResponse(res, req.userController.createApiKey(name, scopes), 201);
+    });
+
+    router.delete('/me/api-keys/:keyId', requireSession(), (req, res) => {
+        sendResponse(res, req.userController.revokeApiKey(req.params.keyId));
+    });
+
+    router.post('/me/calendar-feed', requireSession(), (req, res) => {
+        sendResponse(res, req.userController.createCalendarFeed(), 201);
+    });
+
+    router.delete('/me/calendar-feed', requireSession(), (req, res) => {
+        sendResponse(res, req.userController.revokeCalendarFeed());
+    });
+
+    router.put('/me/password', requireSession(), (req, res) => {
+        const { currentPassword, newPassword } = req.body || {};
+        sendResponse(res, req.userController.changePassword(currentPassword, newPassword));
+    });
+
+    router.post('/password-reset', (req, res) => {
+        const { identifier } = req.body || {};
+        const response = req.userController.requestPasswordReset(identifier);
+
+        // Token tidak pernah dikirim lewat response API, hanya lewat callback
+        // (mis. email). Response juga sama untuk user yang ada/tidak ada.
+        if (response.success) {
+            onPasswordResetRequested(response.data);
+        } else if (response.error !== 'User tidak ditemukan') {
+            return sendResponse(res, response);
+        }
+
+        res.status(202).json({
+            success: true,
+            message: 'Jika akun ditemukan, instruksi reset password akan dikirim'
+        });
+    });
+
+    router.post('/password-reset/confirm', (req, res) => {
+        const { token, newPassword } = req.body || {};
+        sendResponse(res, req.userController.resetPassword(token, newPassword));
+    });
+
+    router.put('/:id/role', canWrite, (req, res) => {
+        const { role } = req.body || {};
+        sendResponse(res, req.userController.changeUserRole(req.params.id, role));
+    });
+
+    router.get('/:id', canRead, (req, res) => {
+        sendResponse(res, req.userController.getUserById(req.params.id));
+    });
+
+    return router;
+}
+
+/**
+ * Buat router untuk session API
+ * @param {UserRepository} userRepository - Repository user
+ * @param {Object} options - { passwordHasher, authOptions, tokenService }
+ * @returns {express.Router} - Router yang siap di-mount di /session
+ */
+function createSessionRoutes(userRepository, options = {}) {
+    const router = express.Router();
+
+    router.use(authenticate(userRepository, options.tokenService));
+    router.use(attachUserController(userRepository, options));
+
+    router.post('/', (req, res) => {
+        const { username, password } = req.body || {};
+        const response = req.userController.login(username, password);
+
+        // Login berhasil -> tambahkan session token ke data response
+        if (response.success && options.tokenService) {
+            const session = options.tokenService.issue(response.data.id);
+            response.data.token = session.token;
+            response.data.expiresAt = session.expiresAt;
+        }
+
+        sendResponse(res, response, 201);
+    });
+
+    router.get('/', (req, res) => {
+        sendResponse(res, req.userController.getCurrentUser());
+    });
+
+    router.delete('/', requireSession(), (req, res) => {
+        sendResponse(res, req.userController.logout());
+    });
+
+    return router;
+}
+
+module.exports = {
+    createUserRoutes,
+    createSessionRoutes
+};
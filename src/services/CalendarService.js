@@ -0,0 +1,217 @@
+/**
+ * Calendar Service - Menempatkan task di kalender berdasarkan due date
+ *
+ * Tampilan:
+ * - month  : minggu-minggu penuh yang mencakup satu bulan (hari di luar bulan
+ *            ditandai inMonth: false)
+ * - week   : tujuh hari mulai dari hari pertama minggu
+ * - agenda : hanya hari yang punya task dalam rentang N hari, ditambah task
+ *            overdue sebelum rentang tersebut
+ *
+ * Hari pertama minggu mengikuti preferences.weekStart user (0 = Minggu,
+ * 1 = Senin, ... 6 = Sabtu). Semua tanggal memakai waktu lokal dan setiap hari
+ * diwakili key YYYY-MM-DD. Task tanpa due date tidak tampil di kalender.
+ */
+
+const CALENDAR_MODES = ['month', 'week', 'agenda'];
+const DEFAULT_AGENDA_DAYS = 14;
+
+class CalendarService {
+    /**
+     * @param {Object} options - { weekStart, now }
+     */
+    constructor(options = {}) {
+        this.weekStart = Number.isInteger(options.weekStart) ? options.weekStart : 1;
+        this.now = options.now || new Date();
+    }
+
+    /**
+     * Susun task ke tampilan kalender
+     * @param {EnhancedTask[]} tasks - Task yang akan ditampilkan
+     * @param {Object} options - { mode, date, days }
+     *   date: tanggal acuan (default hari ini), days: panjang agenda (default 14)
+     * @returns {Object} - { mode, weekStart, range: { from, to }, ... } sesuai tampilan
+     */
+    build(tasks, options = {}) {
+        const mode = options.mode || 'month';
+        if (!CALENDAR_MODES.includes(mode)) {
+            throw new Error(`Tampilan kalender tidak valid: ${mode}. Harus salah satu dari: ${CALENDAR_MODES.join(', ')}`);
+        }
+
+        const date = CalendarService.parseDate(options.date || this.now);
+        const scheduled = tasks
+            .filter(task => task.dueDate)
+            .sort((a, b) => a.dueDate - b.dueDate);
+
+        if (mode === 'month') {
+            return this._buildMonth(scheduled, date);
+        }
+        if (mode === 'week') {
+            return this._buildWeek(scheduled, date);
+        }
+        return this._buildAgenda(scheduled, date, options.days);
+    }
+
+    /**
+     * Hari pertama minggu yang berisi tanggal ini
+     * @param {Date} date - Tanggal
+     * @returns {Date} - Tanggal (jam 00:00) hari pertama minggu
+     */
+    getStartOfWeek(date) {
+        const start = CalendarService.parseDate(date);
+        start.setDate(start.getDate() - ((start.getDay() - this.weekStart + 7) % 7));
+        return start;
+    }
+
+    /**
+     * Tanggal acuan berikutnya/sebelumnya untuk navigasi kalender
+     * @param {Date|string} date - Tanggal acuan sekarang
+     * @param {string} mode - month | week | agenda
+     * @param {number} step - 1 untuk maju, -1 untuk mundur
+     * @param {number} days - Panjang agenda
+     * @returns {Date} - Tanggal acuan baru
+     */
+    static shift(date, mode, step, days = DEFAULT_AGENDA_DAYS) {
+        const result = CalendarService.parseDate(date);
+
+        if (mode === 'month') {
+            return new Date(result.getFullYear(), result.getMonth() + step, 1);
+        }
+        result.setDate(result.getDate() + step * (mode === 'week' ? 7 : days));
+        return result;
+    }
+
+    /**
+     * Pindahkan due date ke hari lain dengan jam yang sama
+     * @param {Date|null} dueDate - Due date sekarang (null = jam 00:00)
+     * @param {string} dayKey - Hari tujuan (YYYY-MM-DD)
+     * @returns {Date} - Due date baru
+     */
+    static moveToDay(dueDate, dayKey) {
+        const day = CalendarService.parseDate(dayKey);
+        if (dueDate) {
+            day.setHours(dueDate.getHours(), dueDate.getMinutes(), dueDate.getSeconds(), dueDate.getMilliseconds());
+        }
+        return day;
+    }
+
+    /**
+     * Ubah input tanggal menjadi Date jam 00:00 waktu lokal
+     *
+     * String YYYY-MM-DD dibaca sebagai tanggal lokal (bukan UTC seperti new Date()).
+     * @param {Date|string} value - Tanggal
+     * @returns {Date} - Tanggal baru
+     */
+    static parseDate(value) {
+        const match = typeof value === 'string' && /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+        const date = match
+            ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]))
+            : new Date(value);
+
+        if (isNaN(date.getTime()) || (match && date.getDate() !== Number(match[3]))) {
+            throw new Error(`Tanggal tidak valid: ${value}`);
+        }
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    }
+
+    /**
+     * Key hari YYYY-MM-DD (waktu lokal)
+     * @param {Date} date - Tanggal
+     * @returns {string} - Day key
+     */
+    static getDateKey(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    // Private methods
+    _buildMonth(tasks, date) {
+        const firstDay = new Date(date.getFullYear(), date.getMonth(), 1);
+        const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0);
+        const start = this.getStartOfWeek(firstDay);
+        const end = this.getStartOfWeek(lastDay);
+        end.setDate(end.getDate() + 6);
+
+        const days = this._createDays(tasks, start, end)
+            .map(day => ({ ...day, inMonth: CalendarService.parseDate(day.date).getMonth() === firstDay.getMonth() }));
+
+        const weeks = [];
+        for (let index = 0; index < days.length; index += 7) {
+            weeks.push(days.slice(index, index + 7));
+        }
+
+        return {
+            mode: 'month',
+            weekStart: this.weekStart,
+            weekdays: this._getWeekdays(),
+            year: firstDay.getFullYear(),
+            month: firstDay.getMonth() + 1,
+            range: { from: CalendarService.getDateKey(start), to: CalendarService.getDateKey(end) },
+            weeks
+        };
+    }
+
+    _buildWeek(tasks, date) {
+        const start = this.getStartOfWeek(date);
+        const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 6);
+
+        return {
+            mode: 'week',
+            weekStart: this.weekStart,
+            weekdays: this._getWeekdays(),
+            range: { from: CalendarService.getDateKey(start), to: CalendarService.getDateKey(end) },
+            days: this._createDays(tasks, start, end)
+        };
+    }
+
+    _buildAgenda(tasks, date, days = DEFAULT_AGENDA_DAYS) {
+        const length = Number(days);
+        if (!Number.isInteger(length) || length < 1 || length > 366) {
+            throw new Error('Panjang agenda harus 1 sampai 366 hari');
+        }
+
+        const end = new Date(date.getFullYear(), date.getMonth(), date.getDate() + length - 1);
+
+        return {
+            mode: 'agenda',
+            weekStart: this.weekStart,
+            range: { from: CalendarService.getDateKey(date), to: CalendarService.getDateKey(end) },
+            days: this._createDays(tasks, date, end).filter(day => day.tasks.length > 0),
+            overdue: tasks.filter(task => task.dueDate < date && task.isOverdue)
+        };
+    }
+
+    _createDays(tasks, start, end) {
+        const tasksByDay = new Map();
+        tasks.forEach(task => {
+            const key = CalendarService.getDateKey(task.dueDate);
+            if (!tasksByDay.has(key)) {
+                tasksByDay.set(key, []);
+            }
+            tasksByDay.get(key).push(task);
+        });
+
+        const todayKey = CalendarService.getDateKey(this.now);
+        const days = [];
+        for (let day = new Date(start); day <= end; day.setDate(day.getDate() + 1)) {
+            const key = CalendarService.getDateKey(day);
+            days.push({
+                date: key,
+                weekday: day.getDay(),
+                isToday: key === todayKey,
+                tasks: tasksByDay.get(key) || []
+            });
+        }
+        return days;
+    }
+
+    _getWeekdays() {
+        return Array.from({ length: 7 }, (_, index) => (this.weekStart + index) % 7);
+    }
+}
+
+// Export untuk digunakan di file lain
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CalendarService;
+} else {
+    window.CalendarService = CalendarService;
+}
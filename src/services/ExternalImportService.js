@@ -0,0 +1,372 @@
+/**
+ * External Import Service - Membaca file export Trello, Todoist dan Jira
+ *
+ * Sumber yang didukung:
+ * - trello  : export JSON board (Menu > Print, export, and share > Export as JSON)
+ * - todoist : export CSV project (TYPE, CONTENT, DESCRIPTION, PRIORITY, DATE, ...)
+ * - jira    : export CSV issue (Export > Export Excel CSV (all fields))
+ *
+ * Pemetaan ke EnhancedTask:
+ * - board / project   -> category (options.category, atau nama board jika sama
+ *                        dengan kategori yang valid, selain itu 'work')
+ * - list / section / status Jira -> status (options.statusMap, atau ditebak dari nama)
+ * - label / issue type -> tags (huruf kecil, spasi menjadi '-')
+ * - checklist Trello  -> checklist
+ * - due date          -> dueDate
+ * - komentar / note   -> notes
+ *
+ * Service ini hanya membaca file. Setiap item punya externalRef
+ * "<sumber>:<id>" yang dipakai TaskController.importExternalTasks untuk
+ * melewati item yang sudah pernah diimport. Todoist CSV tidak punya ID task,
+ * jadi ID-nya dibentuk dari project, section, judul dan urutan kemunculan.
+ */
+/* global CsvFormat, EnhancedTask */
+
+const EXTERNAL_IMPORT_SOURCES = ['trello', 'todoist', 'jira'];
+// Urutan penting: pola pertama yang cocok yang dipakai
+const IMPORT_STATUS_PATTERNS = [
+    { pattern: /cancel|batal|won'?t|declin|reject/i, status: 'cancelled' },
+    { pattern: /done|complete|selesai|finish|closed|resolved|released/i, status: 'completed' },
+    { pattern: /block|hold|waiting|menunggu|tertahan/i, status: 'blocked' },
+    { pattern: /progress|doing|review|testing|qa\b|dikerjakan|wip/i, status: 'in-progress' }
+];
+const TODOIST_PRIORITIES = { 1: 'urgent', 2: 'high', 3: 'medium', 4: 'low' };
+const JIRA_PRIORITIES = {
+    highest: 'urgent', blocker: 'urgent', critical: 'urgent',
+    high: 'high', major: 'high',
+    medium: 'medium',
+    low: 'low', minor: 'low', lowest: 'low', trivial: 'low'
+};
+const JIRA_STATUS_CATEGORIES = { 'to do': 'pending', 'in progress': 'in-progress', done: 'completed' };
+const JIRA_MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+class ExternalImportService {
+    /**
+     * @param {Object} options - { category, statusMap, projectName }
+     *   category: kategori untuk semua task (default ditebak dari nama board/project)
+     *   statusMap: { nama list/section/status: status task } untuk menimpa tebakan
+     *   projectName: nama project Todoist (CSV Todoist tidak menyimpan nama project)
+     */
+    constructor(options = {}) {
+        this.category = options.category ? EnhancedTask.validateField('category', options.category) : null;
+        this.statusMap = {};
+        Object.keys(options.statusMap || {}).forEach(name => {
+            this.statusMap[name.toLowerCase()] = EnhancedTask.validateField('status', options.statusMap[name]);
+        });
+        this.projectName = options.projectName || 'Todoist';
+    }
+
+    /**
+     * Baca file export
+     * @param {string} source - trello | todoist | jira
+     * @param {string} content - Isi file
+     * @returns {Object} - { source, items, mapping: { categories, statuses, tags }, warnings }
+     *   items: [{ externalRef, title, description, category, status, priority, dueDate, tags, checklist, notes }]
+     */
+    parse(source, content) {
+        if (!EXTERNAL_IMPORT_SOURCES.includes(source)) {
+            throw new Error(`Sumber import tidak dikenal: ${source}. Harus salah satu dari: ${EXTERNAL_IMPORT_SOURCES.join(', ')}`);
+        }
+
+        this.mapping = { categories: {}, statuses: {}, tags: {} };
+        this.warnings = [];
+
+        let items;
+        if (source === 'trello') {
+            items = this._parseTrello(content);
+        } else if (source === 'todoist') {
+            items = this._parseTodoist(content);
+        } else {
+            items = this._parseJira(content);
+        }
+
+        return {
+            source,
+            items: items
+                .filter(item => {
+                    if (item.title) return true;
+                    this.warnings.push(`Item tanpa judul dilewati: ${source}:${item.externalId}`);
+                    return false;
+                })
+                .map(({ externalId, container, ...item }) => ({
+                    ...item,
+                    externalRef: `${source}:${externalId}`,
+                    category: this._mapCategory(container)
+                })),
+            mapping: this.mapping,
+            warnings: this.warnings
+        };
+    }
+
+    /**
+     * Sumber import yang didukung
+     * @returns {string[]} - Array sumber
+     */
+    static getSources() {
+        return [...EXTERNAL_IMPORT_SOURCES];
+    }
+
+    // Private methods
+    _parseTrello(content) {
+        let board;
+        try {
+            board = JSON.parse(content);
+        } catch (error) {
+            board = null;
+        }
+        if (!board || !Array.isArray(board.cards) || !Array.isArray(board.lists)) {
+            throw new Error('File Trello tidak valid: harus file JSON export board');
+        }
+
+        const lists = new Map(board.lists.map(list => [list.id, list]));
+        const boardLabels = new Map((board.labels || []).map(label => [label.id, label]));
+        // Checklist dan komentar dikelompokkan per kartu sekali, board besar bisa berisi ribuan kartu
+        const checklistsByCard = this._groupBy(board.checklists || [], checklist => checklist.idCard);
+        const commentsByCard = this._groupBy((board.actions || [])
+            .filter(action => action.type === 'commentCard' && action.data && action.data.card)
+            .sort((a, b) => new Date(a.date) - new Date(b.date)), action => action.data.card.id);
+        const items = [];
+
+        board.cards.forEach(card => {
+            const list = lists.get(card.idList) || { name: '' };
+            if (card.closed || list.closed) {
+                this.warnings.push(`Kartu yang diarsipkan dilewati: ${card.name}`);
+                return;
+            }
+
+            const labels = (Array.isArray(card.labels) ? card.labels : (card.idLabels || []).map(id => boardLabels.get(id)))
+                .filter(Boolean)
+                .map(label => label.name || label.color)
+                .filter(Boolean);
+            // Label bernama prioritas (mis. "High") dipakai sebagai priority, bukan tag
+            const priorityLabel = labels.find(name => this._isValid('priority', name.toLowerCase()));
+
+            items.push({
+                externalId: card.id,
+                container: board.name || 'Trello',
+                title: card.name,
+                description: card.desc || '',
+                status: card.dueComplete ? 'completed' : this._mapStatus(list.name),
+                priority: priorityLabel ? priorityLabel.toLowerCase() : 'medium',
+                dueDate: this._parseDate(card.due, card.name),
+                tags: labels.filter(name => name !== priorityLabel).map(name => this._mapTag(name)),
+                checklist: (checklistsByCard.get(card.id) || [])
+                    .flatMap(checklist => [...(checklist.checkItems || [])]
+                        .sort((a, b) => a.pos - b.pos)
+                        .map(item => ({ text: item.name, done: item.state === 'complete' }))),
+                notes: (commentsByCard.get(card.id) || [])
+                    .map(action => this._formatComment(
+                        new Date(action.date),
+                        action.memberCreator ? action.memberCreator.fullName : '',
+                        action.data.text
+                    ))
+            });
+        });
+
+        return items;
+    }
+
+    _parseTodoist(content) {
+        const [header = [], ...rows] = CsvFormat.parse(content);
+        const columns = header.map(name => name.trim().toUpperCase());
+        if (!columns.includes('TYPE') || !columns.includes('CONTENT')) {
+            throw new Error('File Todoist tidak valid: kolom TYPE dan CONTENT wajib ada');
+        }
+
+        const items = [];
+        const occurrences = new Map();
+        let section = '';
+        let current = null;
+
+        rows.forEach(values => {
+            const get = name => (columns.includes(name) ? values[columns.indexOf(name)] || '' : '').trim();
+            const type = get('TYPE').toLowerCase();
+            const text = get('CONTENT');
+
+            if (type === 'section') {
+                section = text;
+                current = null;
+                return;
+            }
+            if (type === 'note') {
+                // Note di CSV Todoist adalah komentar untuk task di atasnya
+                if (current && text) {
+                    current.notes.push(this._formatComment(null, get('AUTHOR').replace(/\s*\(\d+\)$/, ''), text));
+                }
+                return;
+            }
+            if (type !== 'task' || !text) return;
+
+            const key = `${this.projectName}/${section}/${text}`;
+            const occurrence = (occurrences.get(key) || 0) + 1;
+            occurrences.set(key, occurrence);
+
+            // Label Todoist ditulis di judul sebagai @label
+            const labels = [];
+            const title = text.replace(/(^|\s)@([^\s@]+)/g, (match, space, label) => {
+                labels.push(label);
+                return space;
+            }).replace(/\s+/g, ' ').trim();
+
+            current = {
+                externalId: this._hash(`${key}#${occurrence}`),
+                container: this.projectName,
+                title: title || text,
+                description: get('DESCRIPTION'),
+                status: section ? this._mapStatus(section) : 'pending',
+                priority: TODOIST_PRIORITIES[get('PRIORITY')] || 'medium',
+                dueDate: this._parseDate(get('DATE'), title || text),
+                tags: labels.map(label => this._mapTag(label)),
+                checklist: [],
+                notes: []
+            };
+            items.push(current);
+        });
+
+        return items;
+    }
+
+    _parseJira(content) {
+        const [header = [], ...rows] = CsvFormat.parse(content);
+
+        // Kolom multi-nilai (Labels, Comment) muncul berulang dengan nama yang sama
+        const columns = new Map();
+        header.forEach((name, index) => {
+            const key = name.trim().toLowerCase();
+            columns.set(key, [...(columns.get(key) || []), index]);
+        });
+        if (!columns.has('summary') || !columns.has('issue key')) {
+            throw new Error('File Jira tidak valid: kolom Summary dan Issue key wajib ada');
+        }
+
+        const items = [];
+
+        rows.forEach(values => {
+            const all = name => (columns.get(name) || []).map(index => (values[index] || '').trim()).filter(Boolean);
+            const get = name => all(name)[0] || '';
+
+            const issueKey = get('issue key');
+            if (!issueKey) return;
+
+            const statusName = get('status');
+            const category = JIRA_STATUS_CATEGORIES[get('status category').toLowerCase()];
+            const status = /won'?t|duplicate|cannot reproduce|declined|rejected/i.test(get('resolution'))
+                ? 'cancelled'
+                : this._mapStatus(statusName, category);
+
+            items.push({
+                externalId: issueKey,
+                container: get('project name') || get('project key') || 'Jira',
+                title: get('summary'),
+                description: get('description'),
+                status,
+                priority: JIRA_PRIORITIES[get('priority').toLowerCase()] || 'medium',
+                dueDate: this._parseDate(get('due date'), get('summary')),
+                tags: [...all('labels'), ...all('issue type')].map(name => this._mapTag(name)),
+                checklist: [],
+                notes: all('comment').map(comment => {
+                    // Format komentar Jira: "<tanggal>;<account id>;<isi>"
+                    const match = /^([^;]*);[^;]*;([\s\S]*)$/.exec(comment);
+                    const date = match ? this._parseJiraDate(match[1]) : null;
+                    return date ? this._formatComment(date, '', match[2]) : comment;
+                })
+            });
+        });
+
+        return items;
+    }
+
+    _mapStatus(name, defaultStatus = null) {
+        if (!name) return defaultStatus || 'pending';
+
+        const rule = IMPORT_STATUS_PATTERNS.find(entry => entry.pattern.test(name));
+        const status = this.statusMap[name.toLowerCase()] || defaultStatus || (rule ? rule.status : 'pending');
+        this.mapping.statuses[name] = status;
+        return status;
+    }
+
+    _mapCategory(container) {
+        const category = this.category ||
+            (this._isValid('category', container.toLowerCase()) ? container.toLowerCase() : 'work');
+        this.mapping.categories[container] = category;
+        return category;
+    }
+
+    _mapTag(name) {
+        const tag = name.trim().toLowerCase().replace(/\s+/g, '-');
+        this.mapping.tags[name] = tag;
+        return tag;
+    }
+
+    _parseDate(value, title) {
+        if (!value) return null;
+
+        const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+        const date = dateOnly
+            ? new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]))
+            : this._parseJiraDate(value) || new Date(value);
+
+        if (isNaN(date.getTime())) {
+            this.warnings.push(`Due date "${value}" tidak dikenali, task "${title}" diimport tanpa due date`);
+            return null;
+        }
+        return date;
+    }
+
+    _parseJiraDate(value) {
+        // Format tanggal default Jira, mis. "15/May/24 3:30 PM"
+        const match = /^(\d{1,2})\/([A-Za-z]{3})\/(\d{2}|\d{4})(?:\s+(\d{1,2}):(\d{2})\s*([AP]M))?$/i.exec(value.trim());
+        const month = match ? JIRA_MONTHS.indexOf(match[2].toLowerCase()) : -1;
+        if (month < 0) return null;
+
+        const year = match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+        let hours = match[4] ? Number(match[4]) % 12 : 0;
+        if (match[6] && match[6].toUpperCase() === 'PM') {
+            hours += 12;
+        }
+        return new Date(year, month, Number(match[1]), hours, match[5] ? Number(match[5]) : 0);
+    }
+
+    _isValid(field, value) {
+        try {
+            EnhancedTask.validateField(field, value);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    _formatComment(date, author, text) {
+        const prefix = [date ? date.toISOString().split('T')[0] : '', author].filter(Boolean).join(' ');
+        return prefix ? `${prefix}: ${text}` : text;
+    }
+
+    _groupBy(values, getKey) {
+        const groups = new Map();
+        values.forEach(value => {
+            const key = getKey(value);
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(value);
+        });
+        return groups;
+    }
+
+    // FNV-1a 32-bit, cukup untuk ID stabil yang pendek
+    _hash(text) {
+        let hash = 0x811c9dc5;
+        for (let index = 0; index < text.length; index++) {
+            hash ^= text.charCodeAt(index);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(16).padStart(8, '0');
+    }
+}
+
+// Export untuk digunakan di file lain
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExternalImportService;
+} else {
+    window.ExternalImportService = ExternalImportService;
+}
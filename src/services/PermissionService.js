@@ -0,0 +1,122 @@
+/**
+ * Permission Service - Aturan role-based authorization
+ *
+ * Satu-satunya tempat yang memutuskan siapa boleh melakukan apa.
+ * Dipakai oleh TaskController, UserController dan (lewat controller) API routes.
+ *
+ * Role:
+ * - admin   : semua aksi di semua task + kelola role user
+ * - manager : baca/ubah/assign/ubah kategori semua task, hapus task sendiri
+ * - user    : semua aksi di task sendiri, baca + ubah status task yang di-assign
+ * - viewer  : hanya baca task sendiri / yang di-assign, tidak bisa membuat task
+ */
+
+const TASK_ACTIONS = ['read', 'edit', 'updateStatus', 'assign', 'changeCategory', 'delete'];
+
+// any = semua task, own = task milik sendiri, assigned = task yang di-assign ke user
+const TASK_PERMISSIONS = {
+    admin: { any: TASK_ACTIONS, own: [], assigned: [] },
+    manager: { any: ['read', 'edit', 'updateStatus', 'assign', 'changeCategory'], own: ['delete'], assigned: [] },
+    user: { any: [], own: TASK_ACTIONS, assigned: ['read', 'updateStatus'] },
+    viewer: { any: [], own: ['read'], assigned: ['read'] }
+};
+
+// Aksi yang tidak terkait task tertentu
+const GLOBAL_PERMISSIONS = {
+    admin: ['createTask', 'manageRoles'],
+    manager: ['createTask'],
+    user: ['createTask'],
+    viewer: []
+};
+
+// Update time tracking dan urutan kartu di board dianggap update status:
+// assignee boleh mencatat waktu kerjanya dan memindahkan kartunya
+const TIME_TRACKING_FIELDS = ['addTimeSpent', 'startTimer', 'pauseTimer', 'stopTimer', 'addTimeEntry', 'updateTimeEntry', 'removeTimeEntry'];
+
+// Error message per aksi (dipertahankan sama dengan pesan lama controller)
+const DENIED_MESSAGES = {
+    read: 'Anda tidak memiliki akses ke task ini',
+    edit: 'Hanya owner yang bisa mengubah task',
+    updateStatus: 'Anda tidak memiliki akses ke task ini',
+    assign: 'Anda tidak memiliki izin untuk meng-assign task ini',
+    changeCategory: 'Hanya owner yang bisa mengubah kategori task',
+    delete: 'Hanya owner yang bisa menghapus task',
+    createTask: 'Anda tidak memiliki izin untuk membuat task',
+    manageRoles: 'Anda tidak memiliki izin untuk mengubah role user'
+};
+
+class PermissionService {
+    /**
+     * Cek apakah user boleh melakukan aksi
+     * @param {User} user - User yang melakukan aksi
+     * @param {string} action - Nama aksi (read, edit, delete, createTask, ...)
+     * @param {EnhancedTask} task - Task target (wajib untuk aksi task)
+     * @returns {boolean} - True jika diizinkan
+     */
+    static can(user, action, task = null) {
+        if (!user || !user.isActive) return false;
+
+        const role = TASK_PERMISSIONS[user.role] ? user.role : 'viewer';
+
+        if (!TASK_ACTIONS.includes(action)) {
+            return GLOBAL_PERMISSIONS[role].includes(action);
+        }
+
+        if (!task) return false;
+
+        const rules = TASK_PERMISSIONS[role];
+        if (rules.any.includes(action)) return true;
+        if (task.ownerId === user.id && rules.own.includes(action)) return true;
+        if (task.assigneeId === user.id && rules.assigned.includes(action)) return true;
+
+        return false;
+    }
+
+    /**
+     * Versi can() yang mengembalikan response error controller jika ditolak
+     * @param {User} user - User yang melakukan aksi
+     * @param {string} action - Nama aksi
+     * @param {EnhancedTask} task - Task target (opsional)
+     * @returns {Object|null} - null jika diizinkan, {success: false, error} jika ditolak
+     */
+    static authorize(user, action, task = null) {
+        if (PermissionService.can(user, action, task)) {
+            return null;
+        }
+
+        return {
+            success: false,
+            error: DENIED_MESSAGES[action] || 'Anda tidak memiliki izin untuk aksi ini'
+        };
+    }
+
+    /**
+     * Tentukan aksi apa saja yang dibutuhkan untuk sebuah update task
+     * @param {Object} updates - Data update untuk TaskRepository.update
+     * @returns {string[]} - Array aksi yang harus diizinkan
+     */
+    static getRequiredTaskActions(updates) {
+        const actions = new Set();
+
+        Object.keys(updates).forEach(field => {
+            if (field === 'status' || field === 'boardRank' || field === 'toggleChecklistItem' || TIME_TRACKING_FIELDS.includes(field)) {
+                actions.add('updateStatus');
+            } else if (field === 'assigneeId') {
+                actions.add('assign');
+            } else if (field === 'category') {
+                actions.add('changeCategory');
+            } else {
+                actions.add('edit');
+            }
+        });
+
+        return Array.from(actions);
+    }
+}
+
+// Export untuk digunakan di file lain
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PermissionService;
+} else {
+    window.PermissionService = PermissionService;
+}
@@ -0,0 +1,238 @@
+/**
+ * Task CSV Service - Export task ke CSV dan import CSV dengan pemetaan kolom
+ *
+ * Export menulis semua field task satu baris per task. Field berisi daftar
+ * ditulis dalam satu sel: tags dan dependsOn dipisah koma, checklist dan notes
+ * satu item per baris (checklist diawali "[x] " atau "[ ] ").
+ *
+ * Import berjalan dua langkah: preview memetakan kolom CSV ke field task
+ * (mapping { header kolom: field }) dan memvalidasi setiap baris lewat
+ * EnhancedTask.validateField, baru setelah tidak ada error baris-baris itu
+ * disimpan (lihat TaskController.importTasksCsv). Nomor baris dihitung per
+ * record dengan header sebagai baris 1, seperti nomor baris di spreadsheet.
+ */
+/* global CsvFormat, EnhancedTask */
+
+const TASK_CSV_COLUMNS = [
+    { key: 'id', header: 'ID' },
+    { key: 'title', header: 'Judul' },
+    { key: 'description', header: 'Deskripsi' },
+    { key: 'status', header: 'Status' },
+    { key: 'priority', header: 'Prioritas' },
+    { key: 'category', header: 'Kategori' },
+    { key: 'tags', header: 'Tag' },
+    { key: 'dueDate', header: 'Due Date' },
+    { key: 'estimatedHours', header: 'Estimasi Jam' },
+    { key: 'actualHours', header: 'Jam Aktual' },
+    { key: 'ownerId', header: 'Owner ID' },
+    { key: 'assigneeId', header: 'Assignee ID' },
+    { key: 'parentId', header: 'Parent ID' },
+    { key: 'dependsOn', header: 'Depends On' },
+    { key: 'checklist', header: 'Checklist' },
+    { key: 'notes', header: 'Catatan' },
+    { key: 'createdAt', header: 'Dibuat' },
+    { key: 'updatedAt', header: 'Diupdate' },
+    { key: 'completedAt', header: 'Selesai' }
+];
+const TASK_IMPORT_FIELDS = [
+    'title', 'description', 'status', 'priority', 'category', 'tags',
+    'dueDate', 'estimatedHours', 'assigneeId', 'checklist', 'notes'
+];
+
+class TaskCsvService {
+    /**
+     * @param {Object} options - { resolveUser }
+     *   resolveUser: function(usernameAtauId) => userId|null untuk kolom assigneeId
+     */
+    constructor(options = {}) {
+        this.resolveUser = options.resolveUser || (id => id);
+    }
+
+    /**
+     * Export task sebagai CSV
+     * @param {EnhancedTask[]} tasks - Task
+     * @returns {string} - CSV string
+     */
+    toCsv(tasks) {
+        const records = tasks.map(task => ({
+            ...task.toJSON(),
+            tags: task.tags.join(', '),
+            dependsOn: task.dependsOn.join(', '),
+            checklist: task.checklist.map(item => `${item.done ? '[x]' : '[ ]'} ${item.text}`).join('\n'),
+            notes: task.notes.map(note => note.content).join('\n')
+        }));
+
+        return CsvFormat.fromRecords(records, TASK_CSV_COLUMNS);
+    }
+
+    /**
+     * Baca dan validasi CSV tanpa menyimpan apa pun
+     * @param {string} text - Isi file CSV
+     * @param {Object|null} mapping - { header kolom: field }, null untuk tebakan otomatis
+     * @returns {Object} - { headers, mapping, rows: [{ line, task, errors }], validCount, errorCount }
+     */
+    preview(text, mapping = null) {
+        const [headers, ...lines] = CsvFormat.parse(text);
+        if (!headers || lines.length === 0) {
+            throw new Error('File CSV kosong atau hanya berisi header');
+        }
+
+        const columnMapping = this._validateMapping(headers, mapping || TaskCsvService.suggestMapping(headers));
+        const rows = [];
+
+        lines.forEach((values, index) => {
+            // Baris kosong (mis. di akhir file dari spreadsheet) dilewati
+            if (values.every(value => value.trim() === '')) return;
+
+            const record = {};
+            headers.forEach((header, column) => {
+                const field = columnMapping[header];
+                if (field) {
+                    record[field] = CsvFormat.unescapeFormula((values[column] || '').trim());
+                }
+            });
+            rows.push({ line: index + 2, ...this._parseRow(record) });
+        });
+
+        const errorCount = rows.filter(row => row.errors.length > 0).length;
+        return {
+            headers,
+            mapping: columnMapping,
+            rows,
+            validCount: rows.length - errorCount,
+            errorCount
+        };
+    }
+
+    /**
+     * Field task yang bisa diisi dari kolom CSV, beserta label header export-nya
+     * @returns {Object[]} - Array { key, header }
+     */
+    static getImportFields() {
+        return TASK_CSV_COLUMNS
+            .filter(column => TASK_IMPORT_FIELDS.includes(column.key))
+            .map(column => ({ ...column }));
+    }
+
+    /**
+     * Tebak field untuk setiap kolom dari nama field atau header export
+     * (tidak peka huruf besar, spasi dan tanda baca)
+     * @param {string[]} headers - Header kolom CSV
+     * @returns {Object} - { header: field | null }
+     */
+    static suggestMapping(headers) {
+        const normalize = text => String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+        const used = new Set();
+        const mapping = {};
+
+        headers.forEach(header => {
+            const column = TASK_CSV_COLUMNS.find(entry =>
+                TASK_IMPORT_FIELDS.includes(entry.key) &&
+                [entry.key, entry.header].some(name => normalize(name) === normalize(header))
+            );
+            const field = column && !used.has(column.key) ? column.key : null;
+            if (field) used.add(field);
+            mapping[header] = field;
+        });
+
+        return mapping;
+    }
+
+    // Private methods
+    _validateMapping(headers, mapping) {
+        const result = {};
+        const used = new Set();
+
+        Object.keys(mapping).forEach(header => {
+            const field = mapping[header] || null;
+            if (!headers.includes(header)) {
+                throw new Error(`Kolom tidak ada di CSV: ${header}`);
+            }
+            if (field && !TASK_IMPORT_FIELDS.includes(field)) {
+                throw new Error(`Field import tidak dikenal: ${field}. Harus salah satu dari: ${TASK_IMPORT_FIELDS.join(', ')}`);
+            }
+            if (field && used.has(field)) {
+                throw new Error(`Field ${field} dipetakan ke lebih dari satu kolom`);
+            }
+            if (field) used.add(field);
+            result[header] = field;
+        });
+
+        if (!used.has('title')) {
+            throw new Error('Kolom judul (title) wajib dipetakan');
+        }
+        return result;
+    }
+
+    _parseRow(record) {
+        const errors = [];
+        const task = {
+            title: record.title || '',
+            description: record.description || '',
+            tags: this._splitList(record.tags, /[,;]/),
+            checklist: this._splitList(record.checklist, /\r?\n/).map(text => {
+                const match = /^\[( |x|X)\]\s*(.*)$/.exec(text);
+                return match ? { text: match[2], done: match[1] !== ' ' } : { text, done: false };
+            }).filter(item => item.text),
+            notes: this._splitList(record.notes, /\r?\n/)
+        };
+
+        if (!task.title) {
+            errors.push('Judul task wajib diisi');
+        }
+
+        ['category', 'priority', 'status'].forEach(field => {
+            if (!record[field]) return;
+            try {
+                task[field] = EnhancedTask.validateField(field, record[field].toLowerCase());
+            } catch (error) {
+                errors.push(error.message);
+            }
+        });
+
+        if (record.dueDate) {
+            // Tanggal tanpa jam (YYYY-MM-DD) dibaca sebagai tanggal lokal, bukan UTC
+            const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(record.dueDate);
+            const dueDate = dateOnly
+                ? new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]))
+                : new Date(record.dueDate);
+            if (isNaN(dueDate.getTime())) {
+                errors.push(`Due date tidak valid: ${record.dueDate}`);
+            } else {
+                task.dueDate = dueDate;
+            }
+        }
+
+        if (record.estimatedHours) {
+            const hours = Number(record.estimatedHours.replace(',', '.'));
+            if (!Number.isFinite(hours) || hours < 0) {
+                errors.push(`Estimasi jam tidak valid: ${record.estimatedHours}`);
+            } else {
+                task.estimatedHours = hours;
+            }
+        }
+
+        if (record.assigneeId) {
+            const assigneeId = this.resolveUser(record.assigneeId);
+            if (!assigneeId) {
+                errors.push(`User yang di-assign tidak ditemukan: ${record.assigneeId}`);
+            } else {
+                task.assigneeId = assigneeId;
+            }
+        }
+
+        return { task, errors };
+    }
+
+    _splitList(value, separator) {
+        if (!value) return [];
+        return value.split(separator).map(item => item.trim()).filter(Boolean);
+    }
+}
+
+// Export untuk digunakan di file lain
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TaskCsvService;
+} else {
+    window.TaskCsvService = TaskCsvService;
+}
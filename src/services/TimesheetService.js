@@ -0,0 +1,305 @@
+/**
+ * Timesheet Service - Laporan jam kerja dari time entry task
+ *
+ * Jam aktual dihitung dari time entry yang beririsan dengan rentang tanggal
+ * (entry yang melewati batas rentang dipotong). Estimasi tetap memakai
+ * estimatedHours task, dan task ditandai overEstimate jika total jam
+ * (di luar rentang juga) melebihi estimasinya.
+ *
+ * Tanggal tanpa jam (YYYY-MM-DD) di from/to dibaca sebagai awal/akhir hari
+ * lokal, dan semua key tanggal/minggu/bulan memakai waktu lokal.
+ *
+ * Pengelompokan:
+ * - owner / assignee : pembagian owner dan assignee di task
+ * - user             : user yang mencatat waktu (dasar payroll)
+ * - category / tag   : task dengan banyak tag dihitung di setiap tag-nya
+ * - week / month     : minggu (ISO, mis. 2024-W05) / bulan task selesai
+ */
+/* global CsvFormat */
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOT_COMPLETED_KEY = 'belum-selesai';
+const UNTAGGED_KEY = 'tanpa-tag';
+
+class TimesheetService {
+    /**
+     * @param {TaskRepository} taskRepository - Repository task
+     * @param {UserRepository} userRepository - Repository user (opsional, untuk nama user)
+     */
+    constructor(taskRepository, userRepository = null) {
+        this.taskRepository = taskRepository;
+        this.userRepository = userRepository;
+    }
+
+    /**
+     * Buat laporan timesheet
+     * @param {Object} options - { from, to, ownerId, assigneeId, userId, taskFilter }
+     *   taskFilter: function(task) => boolean, mis. untuk membatasi task yang boleh dibaca
+     * @returns {Object} - { range, summary, tasks, groups, entries }
+     */
+    generateReport(options = {}) {
+        const range = this._parseRange(options.from, options.to);
+        const taskFilter = options.taskFilter || (() => true);
+        const rows = [];
+        const entries = [];
+
+        this.taskRepository.findAll()
+            .filter(task => taskFilter(task))
+            .filter(task => !options.ownerId || task.ownerId === options.ownerId)
+            .filter(task => !options.assigneeId || task.assigneeId === options.assigneeId)
+            .forEach(task => {
+                const taskEntries = this._getEntriesInRange(task, range)
+                    .filter(entry => !options.userId || entry.userId === options.userId);
+                const completedInRange = task.completedAt && this._isInRange(task.completedAt, range);
+
+                // Task masuk laporan jika ada jam tercatat atau selesai di rentang ini
+                if (taskEntries.length === 0 && !(completedInRange && !options.userId)) {
+                    return;
+                }
+
+                const row = this._createTaskRow(task, taskEntries);
+                rows.push(row);
+                taskEntries.forEach(entry => entries.push(this._createEntryRow(task, entry)));
+            });
+
+        entries.sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt));
+
+        return {
+            range: {
+                from: range.from ? range.from.toISOString() : null,
+                to: range.to ? range.to.toISOString() : null
+            },
+            summary: this._summarize(rows),
+            tasks: rows,
+            groups: {
+                owner: this._groupBy(rows, row => [row.ownerId], id => this._getUserLabel(id)),
+                assignee: this._groupBy(rows, row => [row.assigneeId], id => this._getUserLabel(id)),
+                user: this._groupEntriesByUser(entries),
+                category: this._groupBy(rows, row => [row.category]),
+                tag: this._groupBy(rows, row => (row.tags.length > 0 ? row.tags : [UNTAGGED_KEY])),
+                week: this._groupBy(rows, row => [row.completedAt ? TimesheetService.getWeekKey(new Date(row.completedAt)) : NOT_COMPLETED_KEY]),
+                month: this._groupBy(rows, row => [row.completedAt ? TimesheetService.getMonthKey(new Date(row.completedAt)) : NOT_COMPLETED_KEY])
+            },
+            entries
+        };
+    }
+
+    /**
+     * Export time entry dari laporan sebagai CSV (satu baris per entry, untuk payroll)
+     * @param {Object} report - Hasil generateReport
+     * @returns {string} - CSV string
+     */
+    toCsv(report) {
+        return CsvFormat.fromRecords(report.entries, [
+            { key: 'date', header: 'Tanggal' },
+            { key: 'userId', header: 'User ID' },
+            { key: 'userName', header: 'User' },
+            { key: 'taskId', header: 'Task ID' },
+            { key: 'taskTitle', header: 'Task' },
+            { key: 'category', header: 'Kategori' },
+            { key: 'ownerId', header: 'Owner ID' },
+            { key: 'assigneeId', header: 'Assignee ID' },
+            { key: 'startedAt', header: 'Mulai' },
+            { key: 'endedAt', header: 'Selesai' },
+            { key: 'hours', header: 'Jam' },
+            { key: 'note', header: 'Catatan' }
+        ]);
+    }
+
+    /**
+     * Key minggu ISO 8601, mis. "2024-W05" (minggu dimulai hari Senin)
+     * @param {Date} date - Tanggal
+     * @returns {string} - Week key
+     */
+    static getWeekKey(date) {
+        const thursday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        thursday.setDate(thursday.getDate() + 3 - ((thursday.getDay() + 6) % 7));
+
+        const firstThursday = new Date(thursday.getFullYear(), 0, 4);
+        firstThursday.setDate(firstThursday.getDate() + 3 - ((firstThursday.getDay() + 6) % 7));
+
+        const week = 1 + Math.round((thursday - firstThursday) / (7 * 24 * HOUR_MS));
+        return `${thursday.getFullYear()}-W${String(week).padStart(2, '0')}`;
+    }
+
+    /**
+     * Key tanggal lokal, mis. "2024-02-05"
+     * @param {Date} date - Tanggal
+     * @returns {string} - Date key
+     */
+    static getDateKey(date) {
+        return `${TimesheetService.getMonthKey(date)}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    /**
+     * Key bulan, mis. "2024-02"
+     * @param {Date} date - Tanggal
+     * @returns {string} - Month key
+     */
+    static getMonthKey(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    }
+
+    // Private methods
+    _parseRange(from, to) {
+        const range = {
+            from: from ? this._parseDate(from, false) : null,
+            to: to ? this._parseDate(to, true) : null
+        };
+
+        if ((range.from && isNaN(range.from.getTime())) || (range.to && isNaN(range.to.getTime()))) {
+            throw new Error('Rentang tanggal tidak valid');
+        }
+        if (range.from && range.to && range.to < range.from) {
+            throw new Error('Tanggal akhir harus setelah tanggal awal');
+        }
+
+        return range;
+    }
+
+    _parseDate(value, endOfDay) {
+        // Tanggal tanpa jam dibaca sebagai hari lokal, bukan tengah malam UTC
+        const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+        if (!dateOnly) {
+            return new Date(value);
+        }
+
+        const date = new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]));
+        if (endOfDay) {
+            date.setHours(23, 59, 59, 999);
+        }
+        return date;
+    }
+
+    _isInRange(date, range) {
+        const time = new Date(date).getTime();
+        if (range.from && time < range.from.getTime()) return false;
+        if (range.to && time > range.to.getTime()) return false;
+        return true;
+    }
+
+    _getEntriesInRange(task, range) {
+        // Timer yang masih berjalan belum dihitung
+        return task.timeEntries
+            .filter(entry => entry.endedAt !== null)
+            .map(entry => {
+                const start = Math.max(new Date(entry.startedAt).getTime(), range.from ? range.from.getTime() : -Infinity);
+                const end = Math.min(new Date(entry.endedAt).getTime(), range.to ? range.to.getTime() : Infinity);
+                return { ...entry, hours: Math.max(0, end - start) / HOUR_MS };
+            })
+            .filter(entry => entry.hours > 0);
+    }
+
+    _createTaskRow(task, entries) {
+        const actualHours = entries.reduce((sum, entry) => sum + entry.hours, 0);
+
+        return {
+            taskId: task.id,
+            title: task.title,
+            ownerId: task.ownerId,
+            assigneeId: task.assigneeId,
+            category: task.category,
+            tags: task.tags,
+            status: task.status,
+            completedAt: task.completedAt ? task.completedAt.toISOString() : null,
+            estimatedHours: task.estimatedHours,
+            actualHours: this._roundHours(actualHours),
+            totalActualHours: this._roundHours(task.actualHours),
+            varianceHours: this._roundHours(task.actualHours - task.estimatedHours),
+            overEstimate: task.estimatedHours > 0 && task.actualHours > task.estimatedHours
+        };
+    }
+
+    _createEntryRow(task, entry) {
+        return {
+            entryId: entry.id,
+            date: TimesheetService.getDateKey(new Date(entry.startedAt)),
+            userId: entry.userId,
+            userName: this._getUserLabel(entry.userId),
+            taskId: task.id,
+            taskTitle: task.title,
+            category: task.category,
+            ownerId: task.ownerId,
+            assigneeId: task.assigneeId,
+            startedAt: entry.startedAt,
+            endedAt: entry.endedAt,
+            hours: this._roundHours(entry.hours),
+            note: entry.note,
+            manual: entry.manual
+        };
+    }
+
+    _summarize(rows) {
+        const estimatedHours = rows.reduce((sum, row) => sum + row.estimatedHours, 0);
+        const actualHours = rows.reduce((sum, row) => sum + row.actualHours, 0);
+
+        return {
+            taskCount: rows.length,
+            estimatedHours: this._roundHours(estimatedHours),
+            actualHours: this._roundHours(actualHours),
+            varianceHours: this._roundHours(actualHours - estimatedHours),
+            overEstimateCount: rows.filter(row => row.overEstimate).length
+        };
+    }
+
+    _groupBy(rows, getKeys, getLabel = key => key) {
+        const groups = new Map();
+
+        rows.forEach(row => {
+            getKeys(row).forEach(key => {
+                if (!groups.has(key)) {
+                    groups.set(key, { key, label: getLabel(key), rows: [] });
+                }
+                groups.get(key).rows.push(row);
+            });
+        });
+
+        return Array.from(groups.values())
+            .map(group => ({ key: group.key, label: group.label, ...this._summarize(group.rows) }))
+            .sort((a, b) => String(a.key).localeCompare(String(b.key)));
+    }
+
+    _groupEntriesByUser(entries) {
+        // Per user hanya jam yang dia catat; estimasi task tidak dibagi per user
+        const groups = new Map();
+
+        entries.forEach(entry => {
+            if (!groups.has(entry.userId)) {
+                groups.set(entry.userId, {
+                    key: entry.userId,
+                    label: entry.userName,
+                    taskIds: new Set(),
+                    actualHours: 0
+                });
+            }
+            const group = groups.get(entry.userId);
+            group.taskIds.add(entry.taskId);
+            group.actualHours += entry.hours;
+        });
+
+        return Array.from(groups.values())
+            .map(group => ({
+                key: group.key,
+                label: group.label,
+                taskCount: group.taskIds.size,
+                actualHours: this._roundHours(group.actualHours)
+            }))
+            .sort((a, b) => String(a.key).localeCompare(String(b.key)));
+    }
+
+    _getUserLabel(userId) {
+        const user = this.userRepository ? this.userRepository.findById(userId) : null;
+        return user ? user.fullName || user.username : userId;
+    }
+
+    _roundHours(hours) {
+        return Math.round(hours * 100) / 100;
+    }
+}
+
+// Export untuk digunakan di file lain
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimesheetService;
+} else {
+    window.TimesheetService = TimesheetService;
+}
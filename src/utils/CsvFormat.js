@@ -0,0 +1,133 @@
+/**
+ * CSV Format - Helper untuk menulis dan membaca data tabel sebagai CSV (RFC 4180)
+ *
+ * Field yang mengandung pemisah, tanda kutip atau baris baru dibungkus
+ * tanda kutip, dan tanda kutip di dalamnya digandakan. Baris dipisah CRLF
+ * supaya langsung terbaca di Excel/Google Sheets. Saat membaca, baris boleh
+ * dipisah CRLF atau LF dan BOM UTF-8 di awal file diabaikan.
+ *
+ * Teks yang diawali =, +, -, @, tab atau CR diberi awalan ' supaya tidak
+ * dijalankan sebagai formula saat dibuka di spreadsheet (CSV injection);
+ * unescapeFormula membuang awalan itu lagi saat import.
+ */
+class CsvFormat {
+    /**
+     * Ubah array baris menjadi string CSV
+     * @param {Array[]} rows - Array baris, setiap baris array nilai
+     * @param {Object} options - { delimiter }
+     * @returns {string} - CSV string
+     */
+    static stringify(rows, options = {}) {
+        const delimiter = options.delimiter || ',';
+
+        return rows
+            .map(row => row.map(value => CsvFormat.escapeField(value, delimiter)).join(delimiter))
+            .join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Ubah array object menjadi CSV dengan header dari daftar kolom
+     * @param {Object[]} records - Data
+     * @param {Object[]} columns - [{ key, header }]
+     * @param {Object} options - { delimiter }
+     * @returns {string} - CSV string
+     */
+    static fromRecords(records, columns, options = {}) {
+        const header = columns.map(column => column.header || column.key);
+        const rows = records.map(record => columns.map(column => record[column.key]));
+        return CsvFormat.stringify([header, ...rows], options);
+    }
+
+    /**
+     * Baca string CSV menjadi array baris
+     * @param {string} text - Isi file CSV
+     * @param {Object} options - { delimiter }
+     * @returns {Array[]} - Array baris, setiap baris array string
+     */
+    static parse(text, options = {}) {
+        const delimiter = options.delimiter || ',';
+        const input = String(text || '').replace(/^\uFEFF/, '');
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let index = 0; index < input.length; index++) {
+            const char = input[index];
+
+            if (quoted) {
+                if (char === '"' && input[index + 1] === '"') {
+                    field += '"';
+                    index++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\r' || char === '\n') {
+                if (char === '\r' && input[index + 1] === '\n') {
+                    index++;
+                }
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (quoted) {
+            throw new Error('CSV tidak valid: tanda kutip tidak ditutup');
+        }
+
+        // Baris terakhir tanpa line break
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows;
+    }
+
+    /**
+     * Escape satu nilai field
+     * @param {*} value - Nilai (null/undefined menjadi string kosong)
+     * @param {string} delimiter - Pemisah field
+     * @returns {string} - Field yang aman untuk CSV
+     */
+    static escapeField(value, delimiter = ',') {
+        if (value === null || value === undefined) return '';
+
+        let text = value instanceof Date ? value.toISOString() : String(value);
+        // Hanya teks, angka negatif tetap ditulis sebagai angka
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }
+
+    /**
+     * Buang awalan ' yang ditambahkan escapeField di depan formula
+     * @param {string} text - Nilai field hasil parse
+     * @returns {string} - Nilai asli
+     */
+    static unescapeFormula(text) {
+        return /^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text;
+    }
+}
+
+// Export untuk digunakan di file lain
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CsvFormat;
+} else {
+    window.CsvFormat = CsvFormat;
+}
@@ -6,12 +6,35 @@
  * - Better error handling
  * - Data migration support
  * - Backup dan restore functionality
+ * - Pluggable backend lewat storage adapter (lihat StorageAdapter.js),
+ *   default LocalStorageAdapter
+ * 
+ * Migration:
+ * Daftarkan migration berurutan (mis. 1.0 -> 2.0 -> 2.1) dengan registerMigration()
+ * SEBELUM repository dibuat. Saat load() menemukan data versi lama, semua
+ * migration dari versi itu sampai versi sekarang dijalankan, hasilnya disimpan
+ * ulang dan dicatat di _metadata. Gunakan migrate({ dryRun: true }) untuk
+ * melihat apa yang akan berubah tanpa menulis apa pun.
+ *
+ * Di browser save() yang gagal hanya mengembalikan false. Dengan opsi
+ * throwOnSaveError (dipakai server.js) error-nya di-throw ke repository dan controller.
  */
+/* global LocalStorageAdapter, EnhancedTask, User */
 class EnhancedStorageManager {
-    constructor(appName = 'taskManagementApp', version = '2.0') {
+    /**
+     * @param {string} appName - Prefix untuk semua key
+     * @param {string} version - Versi format data
+     * @param {StorageAdapter} adapter - Backend penyimpanan (default: localStorage)
+     * @param {Object} options - { throwOnSaveError }: di server, save yang gagal di-throw
+     *   supaya API tidak menjawab sukses untuk data yang tidak tersimpan
+     */
+    constructor(appName = 'taskManagementApp', version = '2.0', adapter = null, options = {}) {
         this.appName = appName;
         this.version = version;
+        this.adapter = adapter || this._createDefaultAdapter();
+        this.throwOnSaveError = options.throwOnSaveError === true;
         this.isAvailable = this._checkStorageAvailability();
+        this.migrations = [];
         
         // Initialize app metadata
         this._initializeApp();
@@ -25,7 +48,7 @@ class EnhancedStorageManager {
      */
     save(entity, data) {
         if (!this.isAvailable) {
-            console.warn('localStorage not available, data will not persist');
+            console.warn('Storage not available, data will not persist');
             return false;
         }
         
@@ -37,14 +60,21 @@ class EnhancedStorageManager {
                 version: this.version
             };
             
-            localStorage.setItem(key, JSON.stringify(dataToSave));
+            this.adapter.setItem(key, JSON.stringify(dataToSave));
             
-            // Update metadata
-            this._updateMetadata(entity, dataToSave.timestamp);
+            // Update metadata (kecuali saat menyimpan metadata itu sendiri,
+            // supaya tidak rekursif tanpa henti)
+            if (entity !== '_metadata') {
+                this._updateMetadata(entity, dataToSave.timestamp);
+            }
             
             return true;
         } catch (error) {
             console.error(`Failed to save ${entity}:`, error);
+            if (this.throwOnSaveError) {
+                // Detail error (mis. path file) hanya di log, tidak dikirim ke client
+                throw new Error(`Gagal menyimpan data ${entity}`);
+            }
             return false;
         }
     }
@@ -62,7 +92,7 @@ class EnhancedStorageManager {
         
         try {
             const key = this._getKey(entity);
-            const storedData = localStorage.getItem(key);
+            const storedData = this.adapter.getItem(key);
             
             if (!storedData) {
                 return defaultValue;
@@ -70,10 +100,9 @@ class EnhancedStorageManager {
             
             const parsedData = JSON.parse(storedData);
             
-            // Check version compatibility
-            if (parsedData.version && parsedData.version !== this.version) {
-                console.warn(`Version mismatch for ${entity}: stored=${parsedData.version}, current=${this.version}`);
-                // Bisa implement migration logic di sini
+            // Data versi lama -> jalankan migration
+            if (parsedData.version && parsedData.version !== this.version && entity !== '_metadata') {
+                return this._migrateStoredEntity(entity, parsedData);
             }
             
             return parsedData.data;
@@ -83,6 +112,134 @@ class EnhancedStorageManager {
         }
     }
     
+    /**
+     * Daftarkan migration dari satu versi ke versi berikutnya
+     * 
+     * Contoh:
+     * storage.registerMigration({
+     *     from: '2.0',
+     *     to: '2.1',
+     *     description: 'Tambah field estimatedHours',
+     *     transforms: {
+     *         tasks: task => ({ ...task, estimatedHours: task.estimatedHours || null })
+     *     }
+     * });
+     * 
+     * Transform untuk entity berupa array dipanggil per record,
+     * selain itu dipanggil sekali dengan seluruh data entity.
+     * @param {Object} migration - { from, to, description, transforms: { entity: fn } }
+     * @returns {EnhancedStorageManager} - this (chainable)
+     */
+    registerMigration(migration) {
+        const { from, to, transforms } = migration || {};
+        
+        if (!from || !to) {
+            throw new Error('Migration harus punya versi from dan to');
+        }
+        
+        if (EnhancedStorageManager.compareVersions(from, to) >= 0) {
+            throw new Error(`Versi tujuan migration harus lebih baru: ${from} -> ${to}`);
+        }
+        
+        if (!transforms || typeof transforms !== 'object') {
+            throw new Error(`Migration ${from} -> ${to} harus punya transforms`);
+        }
+        
+        if (this.migrations.some(existing => existing.from === from)) {
+            throw new Error(`Migration dari versi ${from} sudah terdaftar`);
+        }
+        
+        this.migrations.push(migration);
+        this.migrations.sort((a, b) => EnhancedStorageManager.compareVersions(a.from, b.from));
+        
+        return this;
+    }
+    
+    /**
+     * Cari urutan migration dari satu versi ke versi lain
+     * @param {string} fromVersion - Versi data tersimpan
+     * @param {string} toVersion - Versi tujuan (default: versi sekarang)
+     * @returns {Object[]|null} - Array migration berurutan, null jika tidak ada jalur
+     */
+    getMigrationPath(fromVersion, toVersion = this.version) {
+        const path = [];
+        let current = fromVersion;
+        
+        while (current !== toVersion) {
+            const next = this.migrations.find(migration => migration.from === current);
+            
+            if (!next || EnhancedStorageManager.compareVersions(next.to, toVersion) > 0) {
+                return null;
+            }
+            
+            path.push(next);
+            current = next.to;
+        }
+        
+        return path;
+    }
+    
+    /**
+     * Jalankan migration untuk semua entity yang tersimpan dengan versi lama
+     * @param {Object} options - { dryRun: true untuk hanya membuat laporan }
+     * @returns {Object} - Laporan { dryRun, targetVersion, entities: [...] }
+     */
+    migrate(options = {}) {
+        const dryRun = Boolean(options.dryRun);
+        const report = {
+            dryRun,
+            targetVersion: this.version,
+            entities: []
+        };
+        
+        if (!this.isAvailable) {
+            return report;
+        }
+        
+        this.getEntities().forEach(entity => {
+            let parsedData;
+            try {
+                parsedData = JSON.parse(this.adapter.getItem(this._getKey(entity)));
+            } catch (error) {
+                report.entities.push({ entity, status: 'error', error: error.message });
+                return;
+            }
+            
+            const fromVersion = parsedData.version;
+            if (!fromVersion || fromVersion === this.version) {
+                report.entities.push({ entity, fromVersion, status: 'up-to-date' });
+                return;
+            }
+            
+            try {
+                const result = this._applyMigrations(entity, parsedData.data, fromVersion);
+                
+                if (!result) {
+                    report.entities.push({ entity, fromVersion, status: 'no-migration-path' });
+                    return;
+                }
+                
+                if (!dryRun) {
+                    this._persistMigration(entity, fromVersion, result);
+                }
+                
+                report.entities.push({
+                    entity,
+                    fromVersion,
+                    toVersion: this.version,
+                    status: dryRun ? 'pending' : 'migrated',
+                    steps: result.steps,
+                    recordsTotal: result.recordsTotal,
+                    recordsChanged: result.recordsChanged
+                });
+            } catch (error) {
+                report.entities.push({ entity, fromVersion, status: 'error', error: error.message });
+            }
+        });
+        
+        return report;
+    }
+    
     /**
      * Remove data untuk entity tertentu
      * @param {string} entity - Entity name
@@ -95,7 +252,7 @@ class EnhancedStorageManager {
         
         try {
             const key = this._getKey(entity);
-            localStorage.removeItem(key);
+            this.adapter.removeItem(key);
             
             // Update metadata
             this._removeFromMetadata(entity);
@@ -120,15 +277,14 @@ class EnhancedStorageManager {
             const keysToRemove = [];
             
             // Find all keys yang belong ke app ini
-            for (let i = 0; i < localStorage.length; i++) {
-                const key = localStorage.key(i);
+            this.adapter.keys().forEach(key => {
                 if (key && key.startsWith(this.appName)) {
                     keysToRemove.push(key);
                 }
-            }
+            });
             
             // Remove all keys
-            keysToRemove.forEach(key => localStorage.removeItem(key));
+            keysToRemove.forEach(key => this.adapter.removeItem(key));
             
             return true;
         } catch (error) {
@@ -155,13 +311,12 @@ class EnhancedStorageManager {
             };
             
             // Get all app keys
-            for (let i = 0; i < localStorage.length; i++) {
-                const key = localStorage.key(i);
+            this.adapter.keys().forEach(key => {
                 if (key && key.startsWith(this.appName)) {
-                    const value = localStorage.getItem(key);
+                    const value = this.adapter.getItem(key);
                     exportData.data[key] = JSON.parse(value);
                 }
-            }
+            });
             
             return exportData;
         } catch (error) {
@@ -171,19 +326,46 @@ class EnhancedStorageManager {
     }
     
     /**
-     * Import data ke aplikasi
-     * @param {Object} importData - Data yang akan diimport
-     * @returns {boolean} - Success status
+     * Import data hasil exportData() ke aplikasi
+     * 
+     * Mode:
+     * - 'merge' (default): record baru ditambah, record dengan id sama diganti
+     *   kecuali data lokal lebih baru (updatedAt) -> dicatat sebagai konflik
+     * - 'replace': isi entity diganti seluruhnya dengan record yang valid
+     * - 'skip-existing': hanya tambah record baru, record lokal tidak diubah
+     * 
+     * Setiap record tasks/users divalidasi lewat EnhancedTask.fromJSON / User.fromJSON;
+     * record yang tidak valid ditolak tanpa menggagalkan record lain.
+     * Repository yang sudah dibuat perlu dibuat ulang supaya membaca data baru.
+     * @param {Object} importData - Data yang akan diimport (format exportData)
+     * @param {Object} options - { mode, dryRun }
+     * @returns {Object} - Laporan { success, mode, dryRun, summary, entities, error }
      */
-    importData(importData) {
+    importData(importData, options = {}) {
+        const mode = options.mode || 'merge';
+        const report = {
+            success: false,
+            mode,
+            dryRun: Boolean(options.dryRun),
+            summary: { added: 0, updated: 0, unchanged: 0, removed: 0, conflicts: 0, rejected: 0 },
+            entities: {},
+            error: null
+        };
+        
+        if (!EnhancedStorageManager.getImportModes().includes(mode)) {
+            report.error = `Mode import tidak valid: ${mode}`;
+            return report;
+        }
+        
         if (!this.isAvailable) {
-            return false;
+            report.error = 'Storage tidak tersedia';
+            return report;
         }
         
         try {
             // Validasi format import data
-            if (!importData.appName || !importData.data) {
-                throw new Error('Invalid import data format');
+            if (!importData || !importData.appName || !importData.data || typeof importData.data !== 'object') {
+                throw new Error('Format data import tidak valid');
             }
             
             // Warning jika app name berbeda
@@ -191,16 +373,44 @@ class EnhancedStorageManager {
                 console.warn(`Importing data from different app: ${importData.appName}`);
             }
             
-            // Import each key
-            Object.keys(importData.data).forEach(key => {
-                localStorage.setItem(key, JSON.stringify(importData.data[key]));
+            // Susun rencana untuk semua entity dulu, baru tulis jika bukan dry run
+            const prefix = `${importData.appName}_`;
+            const plans = Object.keys(importData.data)
+                .filter(key => key.startsWith(prefix) && key !== `${prefix}_metadata`)
+                .map(key => this._planEntityImport(key.substring(prefix.length), importData.data[key], mode));
+            
+            plans.forEach(plan => {
+                report.entities[plan.entity] = plan.report;
+                Object.keys(report.summary).forEach(field => {
+                    report.summary[field] += plan.report[field].length;
+                });
             });
             
-            return true;
+            if (!report.dryRun) {
+                plans.filter(plan => plan.changed).forEach(plan => {
+                    if (!this.save(plan.entity, plan.data)) {
+                        throw new Error(`Gagal menyimpan ${plan.entity}`);
+                    }
+                });
+            }
+            
+            report.success = true;
         } catch (error) {
             console.error('Failed to import data:', error);
-            return false;
+            report.error = error.message;
         }
+        
+        return report;
+    }
+    
+    /**
+     * Lihat laporan import tanpa mengubah data apa pun
+     * @param {Object} importData - Data yang akan diimport
+     * @param {Object} options - { mode }
+     * @returns {Object} - Laporan yang sama dengan importData()
+     */
+    previewImport(importData, options = {}) {
+        return this.importData(importData, { ...options, dryRun: true });
     }
     
     /**
@@ -217,9 +427,10 @@ class EnhancedStorageManager {
             let appSize = 0;
             let appKeys = 0;
             
-            for (let i = 0; i < localStorage.length; i++) {
-                const key = localStorage.key(i);
-                const value = localStorage.getItem(key);
+            const keys = this.adapter.keys();
+            
+            keys.forEach(key => {
+                const value = this.adapter.getItem(key);
                 const itemSize = key.length + value.length;
                 
                 totalSize += itemSize;
@@ -228,14 +439,14 @@ class EnhancedStorageManager {
                     appSize += itemSize;
                     appKeys++;
                 }
-            }
+            });
             
             return {
                 available: true,
                 totalSize,
                 appSize,
                 appKeys,
-                totalKeys: localStorage.length,
+                totalKeys: keys.length,
                 usagePercentage: totalSize > 0 ? (appSize / totalSize * 100).toFixed(2) : 0
             };
         } catch (error) {
@@ -267,7 +478,7 @@ class EnhancedStorageManager {
         }
         
         const key = this._getKey(entity);
-        return localStorage.getItem(key) !== null;
+        return this.adapter.getItem(key) !== null;
     }
     
     /**
@@ -282,30 +493,60 @@ class EnhancedStorageManager {
         const entities = [];
         const prefix = this.appName + '_';
         
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
+        this.adapter.keys().forEach(key => {
             if (key && key.startsWith(prefix)) {
                 const entity = key.substring(prefix.length);
                 if (entity !== '_metadata') {
                     entities.push(entity);
                 }
             }
-        }
+        });
         
         return entities;
     }
     
+    /**
+     * Mode yang didukung importData()
+     * @returns {string[]} - Array mode import
+     */
+    static getImportModes() {
+        return ['merge', 'replace', 'skip-existing'];
+    }
+    
+    /**
+     * Bandingkan dua versi bertitik (mis. '2.0' vs '2.10')
+     * @param {string} a - Versi pertama
+     * @param {string} b - Versi kedua
+     * @returns {number} - Negatif jika a < b, 0 jika sama, positif jika a > b
+     */
+    static compareVersions(a, b) {
+        const partsA = String(a).split('.').map(Number);
+        const partsB = String(b).split('.').map(Number);
+        const length = Math.max(partsA.length, partsB.length);
+        
+        for (let i = 0; i < length; i++) {
+            const diff = (partsA[i] || 0) - (partsB[i] || 0);
+            if (diff !== 0) {
+                return diff;
+            }
+        }
+        
+        return 0;
+    }
+    
     // Private methods
     _getKey(entity) {
         return `${this.appName}_${entity}`;
     }
     
+    _createDefaultAdapter() {
+        const Adapter = typeof LocalStorageAdapter !== 'undefined' ? LocalStorageAdapter : require('./LocalStorageAdapter');
+        return new Adapter();
+    }
+    
     _checkStorageAvailability() {
         try {
-            const testKey = '__storage_test__';
-            localStorage.setItem(testKey, 'test');
-            localStorage.removeItem(testKey);
-            return true;
+            return this.adapter.isAvailable();
         } catch (error) {
             return false;
         }
@@ -330,6 +571,205 @@ class EnhancedStorageManager {
         this.save('_metadata', metadata);
     }
     
+    _migrateStoredEntity(entity, parsedData) {
+        const result = this._applyMigrations(entity, parsedData.data, parsedData.version);
+        
+        if (!result) {
+            console.warn(`No migration path for ${entity}: stored=${parsedData.version}, current=${this.version}`);
+            return parsedData.data;
+        }
+        
+        this._persistMigration(entity, parsedData.version, result);
+        console.log(`Migrated ${entity} from ${parsedData.version} to ${this.version} (${result.recordsChanged} records changed)`);
+        
+        return result.data;
+    }
+    
+    _applyMigrations(entity, data, fromVersion) {
+        const path = this.getMigrationPath(fromVersion);
+        if (!path) {
+            return null;
+        }
+        
+        // Kerja di salinan supaya dry run tidak mengubah data asli
+        const original = JSON.parse(JSON.stringify(data));
+        let migrated = JSON.parse(JSON.stringify(data));
+        
+        path.forEach(migration => {
+            const transform = migration.transforms[entity];
+            if (!transform) return;
+            
+            migrated = Array.isArray(migrated)
+                ? migrated.map(record => transform(record))
+                : transform(migrated);
+        });
+        
+        const originalRecords = Array.isArray(original) ? original : [original];
+        const migratedRecords = Array.isArray(migrated) ? migrated : [migrated];
+        const recordsChanged = migratedRecords.filter((record, index) =>
+            JSON.stringify(record) !== JSON.stringify(originalRecords[index])
+        ).length;
+        
+        return {
+            data: migrated,
+            steps: path.map(migration => `${migration.from} -> ${migration.to}`),
+            recordsTotal: migratedRecords.length,
+            recordsChanged
+        };
+    }
+    
+    _persistMigration(entity, fromVersion, result) {
+        if (!this.save(entity, result.data)) {
+            throw new Error(`Gagal menyimpan hasil migration ${entity}`);
+        }
+        
+        const metadata = this.getMetadata();
+        metadata.version = this.version;
+        metadata.migrations = metadata.migrations || [];
+        metadata.migrations.push({
+            entity,
+            fromVersion,
+            toVersion: this.version,
+            steps: result.steps,
+            recordsChanged: result.recordsChanged,
+            migratedAt: new Date().toISOString()
+        });
+        this.save('_metadata', metadata);
+    }
+    
+    _planEntityImport(entity, storedEntity, mode) {
+        const report = { added: [], updated: [], unchanged: [], removed: [], conflicts: [], rejected: [] };
+        const plan = { entity, data: null, changed: false, report };
+        
+        if (!storedEntity || typeof storedEntity !== 'object' || !('data' in storedEntity)) {
+            report.rejected.push({ id: entity, error: 'Format entity tidak valid' });
+            return plan;
+        }
+        
+        // Backup dari versi lama ikut dimigrasi sebelum divalidasi
+        let data = storedEntity.data;
+        if (storedEntity.version && storedEntity.version !== this.version) {
+            const migrated = this._applyMigrations(entity, data, storedEntity.version);
+            if (migrated) {
+                data = migrated.data;
+            }
+        }
+        
+        const existing = this.load(entity, null);
+        
+        // Entity non-array (mis. settings) diperlakukan sebagai satu record
+        if (!Array.isArray(data)) {
+            if (JSON.stringify(existing) === JSON.stringify(data)) {
+                report.unchanged.push(entity);
+            } else if (existing !== null && mode === 'skip-existing') {
+                report.conflicts.push({ id: entity, reason: 'Data lokal dipertahankan' });
+            } else {
+                report[existing === null ? 'added' : 'updated'].push(entity);
+                plan.data = data;
+                plan.changed = true;
+            }
+            return plan;
+        }
+        
+        const existingRecords = Array.isArray(existing) ? existing : [];
+        const existingById = new Map(existingRecords.map(record => [record.id, record]));
+        const result = mode === 'replace' ? [] : existingRecords.slice();
+        const importedIds = new Set();
+        
+        data.forEach((rawRecord, index) => {
+            let record;
+            try {
+                record = this._normalizeImportRecord(entity, rawRecord);
+            } catch (error) {
+                report.rejected.push({ index, id: rawRecord && rawRecord.id, error: error.message });
+                return;
+            }
+            
+            if (importedIds.has(record.id)) {
+                report.rejected.push({ index, id: record.id, error: 'ID duplikat di data import' });
+                return;
+            }
+            importedIds.add(record.id);
+            
+            const duplicate = this._findUniqueFieldConflict(entity, record, result);
+            if (duplicate) {
+                report.conflicts.push({ id: record.id, reason: duplicate });
+                return;
+            }
+            
+            const current = existingById.get(record.id);
+            const position = result.findIndex(item => item.id === record.id);
+            
+            if (!current) {
+                result.push(record);
+                report.added.push(record.id);
+            } else if (JSON.stringify(current) === JSON.stringify(record)) {
+                if (position === -1) result.push(record);
+                report.unchanged.push(record.id);
+            } else if (mode === 'skip-existing') {
+                report.conflicts.push({ id: record.id, reason: 'Data lokal dipertahankan' });
+            } else if (mode === 'merge' && this._isNewerRecord(current, record)) {
+                report.conflicts.push({ id: record.id, reason: 'Data lokal lebih baru' });
+            } else {
+                if (position === -1) {
+                    result.push(record);
+                } else {
+                    result[position] = record;
+                }
+                report.updated.push(record.id);
+            }
+        });
+        
+        if (mode === 'replace') {
+            existingRecords
+                .filter(record => !result.some(item => item.id === record.id))
+                .forEach(record => report.removed.push(record.id));
+        }
+        
+        plan.data = result;
+        plan.changed = report.added.length + report.updated.length + report.removed.length > 0;
+        return plan;
+    }
+    
+    _normalizeImportRecord(entity, record) {
+        if (!record || typeof record !== 'object' || !record.id) {
+            throw new Error('Record harus berupa object dengan id');
+        }
+        
+        // Round-trip lewat model supaya data yang disimpan selalu valid
+        if (entity === 'tasks' && typeof EnhancedTask !== 'undefined') {
+            return EnhancedTask.fromJSON(record).toJSON();
+        }
+        
+        if (entity === 'users' && typeof User !== 'undefined') {
+            return User.fromJSON(record).toJSON();
+        }
+        
+        return record;
+    }
+    
+    _findUniqueFieldConflict(entity, record, records) {
+        if (entity !== 'users') {
+            return null;
+        }
+        
+        for (const field of ['username', 'email']) {
+            const other = records.find(item => item.id !== record.id && item[field] === record[field]);
+            if (other) {
+                return `${field} sudah digunakan oleh ${other.id}`;
+            }
+        }
+        
+        return null;
+    }
+    
+    _isNewerRecord(current, incoming) {
+        if (!current.updatedAt || !incoming.updatedAt) {
+            return false;
+        }
+        return new Date(current.updatedAt) > new Date(incoming.updatedAt);
+    }
+    
     _removeFromMetadata(entity) {
         const metadata = this.getMetadata();
         delete metadata.entities[entity];
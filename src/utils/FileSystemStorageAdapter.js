@@ -0,0 +1,220 @@
+/**
+ * File System Storage Adapter - Satu file JSON per key di data directory (Node.js)
+ *
+ * Dipakai server.js supaya data tetap ada setelah restart.
+ * Dengan keyPrefix 'taskAppServer_', key 'taskAppServer_tasks' disimpan
+ * sebagai <dataDir>/tasks.json.
+ *
+ * Hanya untuk satu proses server per data directory. Repository menyimpan
+ * seluruh cache in-memory-nya setiap write, jadi dua proses pada direktori
+ * yang sama akan saling menimpa perubahan walaupun setiap write ter-lock.
+ *
+ * Setiap write:
+ * 1. Ambil lock file (<file>.lock, dibuat dengan flag 'wx', berisi PID pemiliknya).
+ *    Lock yang masih dipegang berarti ada proses lain yang menulis: write langsung
+ *    gagal, tanpa menunggu dan memblokir event loop. Lock dianggap sisa crash jika
+ *    proses pemiliknya sudah tidak hidup (atau PID-nya sama dengan proses ini, mis.
+ *    server di container yang restart dengan PID yang sama), atau jika lebih tua
+ *    dari staleLockMs.
+ * 2. Tulis ke file temp di direktori yang sama lalu fsync
+ * 3. Rename file temp ke file tujuan (atomic di filesystem yang sama)
+ *
+ * Jadi crash di tengah save tidak pernah meninggalkan tasks.json setengah jadi:
+ * yang tersisa hanya file .tmp yang diabaikan.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const StorageAdapter = require('./StorageAdapter');
+
+const FILE_EXTENSION = '.json';
+
+class FileSystemStorageAdapter extends StorageAdapter {
+    /**
+     * @param {string} dataDir - Direktori data
+     * @param {Object} options - { keyPrefix, staleLockMs }
+     */
+    constructor(dataDir, options = {}) {
+        super();
+
+        if (!dataDir) {
+            throw new Error('Direktori data wajib diisi');
+        }
+
+        this.dataDir = path.resolve(dataDir);
+        this.keyPrefix = options.keyPrefix || '';
+        this.staleLockMs = options.staleLockMs || 30000;
+    }
+
+    isAvailable() {
+        try {
+            fs.mkdirSync(this.dataDir, { recursive: true });
+            fs.accessSync(this.dataDir, fs.constants.R_OK | fs.constants.W_OK);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    getItem(key) {
+        try {
+            return fs.readFileSync(this._getFilePath(key), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    setItem(key, value) {
+        const filePath = this._getFilePath(key);
+
+        this._withLock(filePath, () => {
+            const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+            try {
+                const fd = fs.openSync(tempPath, 'w');
+                try {
+                    fs.writeFileSync(fd, String(value));
+                    fs.fsyncSync(fd);
+                } finally {
+                    fs.closeSync(fd);
+                }
+
+                fs.renameSync(tempPath, filePath);
+            } catch (error) {
+                fs.rmSync(tempPath, { force: true });
+                throw error;
+            }
+
+            this._syncDirectory();
+        });
+    }
+
+    removeItem(key) {
+        const filePath = this._getFilePath(key);
+
+        this._withLock(filePath, () => {
+            fs.rmSync(filePath, { force: true });
+        });
+    }
+
+    keys() {
+        let files;
+        try {
+            files = fs.readdirSync(this.dataDir);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        return files
+            .filter(file => file.endsWith(FILE_EXTENSION))
+            .map(file => this.keyPrefix + decodeURIComponent(file.slice(0, -FILE_EXTENSION.length)));
+    }
+
+    // Private methods
+    _getFilePath(key) {
+        if (!key.startsWith(this.keyPrefix)) {
+            throw new Error(`Key "${key}" tidak diawali prefix "${this.keyPrefix}"`);
+        }
+
+        const name = encodeURIComponent(key.slice(this.keyPrefix.length));
+        return path.join(this.dataDir, name + FILE_EXTENSION);
+    }
+
+    _withLock(filePath, callback) {
+        const lockPath = `${filePath}.lock`;
+        fs.mkdirSync(this.dataDir, { recursive: true });
+        this._acquireLock(lockPath);
+
+        try {
+            return callback();
+        } finally {
+            fs.rmSync(lockPath, { force: true });
+        }
+    }
+
+    _acquireLock(lockPath) {
+        if (this._tryCreateLock(lockPath)) {
+            return;
+        }
+
+        if (this._isStaleLock(lockPath)) {
+            fs.rmSync(lockPath, { force: true });
+            if (this._tryCreateLock(lockPath)) {
+                return;
+            }
+        }
+
+        throw new Error(`Gagal mengambil lock ${lockPath}: data directory sedang dipakai proses lain`);
+    }
+
+    _tryCreateLock(lockPath) {
+        let fd;
+        try {
+            fd = fs.openSync(lockPath, 'wx');
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+            return false;
+        }
+
+        try {
+            fs.writeFileSync(fd, String(process.pid));
+        } finally {
+            fs.closeSync(fd);
+        }
+        return true;
+    }
+
+    _isStaleLock(lockPath) {
+        let content;
+        let modifiedAt;
+        try {
+            content = fs.readFileSync(lockPath, 'utf8');
+            modifiedAt = fs.statSync(lockPath).mtimeMs;
+        } catch (error) {
+            // Lock sudah dilepas di antara openSync dan pengecekan ini
+            return false;
+        }
+
+        const pid = Number(content);
+        if (Number.isInteger(pid) && pid > 0) {
+            // Write di proses ini sinkron, jadi lock dengan PID sendiri pasti sisa crash
+            return pid === process.pid || !FileSystemStorageAdapter._isProcessAlive(pid);
+        }
+        return Date.now() - modifiedAt > this.staleLockMs;
+    }
+
+    _syncDirectory() {
+        // Pastikan rename tercatat di disk; tidak didukung di semua platform (mis. Windows)
+        try {
+            const fd = fs.openSync(this.dataDir, 'r');
+            try {
+                fs.fsyncSync(fd);
+            } finally {
+                fs.closeSync(fd);
+            }
+        } catch (error) {
+            // Abaikan, rename tetap atomic
+        }
+    }
+
+    static _isProcessAlive(pid) {
+        try {
+            // Signal 0 hanya mengecek keberadaan proses, tidak mengirim apa pun
+            process.kill(pid, 0);
+            return true;
+        } catch (error) {
+            // EPERM: proses ada tapi milik user lain
+            return error.code === 'EPERM';
+        }
+    }
+}
+
+module.exports = FileSystemStorageAdapter;
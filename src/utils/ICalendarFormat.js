@@ -0,0 +1,170 @@
+/**
+ * iCalendar Format - Helper untuk menulis task sebagai file .ics (RFC 5545)
+ *
+ * Setiap task yang punya due date menjadi satu VTODO (default) atau VEVENT.
+ * VEVENT berakhir di due date dan dimulai estimatedHours sebelumnya (30 menit
+ * jika tidak ada estimasi). Waktu ditulis dalam UTC, teks di-escape, baris
+ * dipotong (folding) di 75 octet dan dipisah CRLF.
+ */
+
+const ICAL_COMPONENT_TYPES = ['todo', 'event'];
+const ICAL_PRIORITIES = { urgent: 1, high: 3, medium: 5, low: 9 };
+const ICAL_TODO_STATUSES = {
+    pending: 'NEEDS-ACTION',
+    'in-progress': 'IN-PROCESS',
+    blocked: 'NEEDS-ACTION',
+    completed: 'COMPLETED',
+    cancelled: 'CANCELLED'
+};
+const ICAL_LINE_OCTETS = 75;
+
+class ICalendarFormat {
+    /**
+     * Ubah task menjadi string iCalendar
+     * @param {EnhancedTask[]} tasks - Task (task tanpa due date dilewati)
+     * @param {Object} options - { type: 'todo' | 'event', name, now }
+     * @returns {string} - Isi file .ics
+     */
+    static fromTasks(tasks, options = {}) {
+        const type = options.type || 'todo';
+        if (!ICAL_COMPONENT_TYPES.includes(type)) {
+            throw new Error(`Tipe kalender tidak valid: ${type}. Harus salah satu dari: ${ICAL_COMPONENT_TYPES.join(', ')}`);
+        }
+
+        const stamp = ICalendarFormat.formatDate(options.now || new Date());
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Task Management//Task Export//ID',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${ICalendarFormat.escapeText(options.name || 'Tasks')}`
+        ];
+
+        tasks
+            .filter(task => task.dueDate)
+            .forEach(task => {
+                lines.push(...(type === 'event'
+                    ? ICalendarFormat._createEvent(task, stamp)
+                    : ICalendarFormat._createTodo(task, stamp)));
+            });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(line => ICalendarFormat.foldLine(line)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Format tanggal sebagai DATE-TIME UTC (YYYYMMDDTHHMMSSZ)
+     * @param {Date} date - Tanggal
+     * @returns {string} - Tanggal iCalendar
+     */
+    static formatDate(date) {
+        return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * Escape nilai TEXT (backslash, titik koma, koma dan baris baru)
+     * @param {*} value - Nilai
+     * @returns {string} - Teks yang aman untuk iCalendar
+     */
+    static escapeText(value) {
+        return String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r\n|\r|\n/g, '\\n');
+    }
+
+    /**
+     * Potong baris yang lebih dari 75 octet (UTF-8), lanjutan diawali spasi
+     * @param {string} line - Content line
+     * @returns {string} - Baris yang sudah di-fold
+     */
+    static foldLine(line) {
+        const parts = [];
+        let current = '';
+        let octets = 0;
+
+        for (const char of line) {
+            const size = ICalendarFormat._getOctets(char);
+            // Baris lanjutan memakai 1 octet untuk spasi di depannya
+            const limit = parts.length === 0 ? ICAL_LINE_OCTETS : ICAL_LINE_OCTETS - 1;
+            if (octets + size > limit) {
+                parts.push(current);
+                current = '';
+                octets = 0;
+            }
+            current += char;
+            octets += size;
+        }
+        parts.push(current);
+
+        return parts.join('\r\n ');
+    }
+
+    // Private methods
+    static _createTodo(task, stamp) {
+        const lines = [
+            'BEGIN:VTODO',
+            ...ICalendarFormat._createCommonProperties(task, stamp),
+            `DUE:${ICalendarFormat.formatDate(task.dueDate)}`,
+            `STATUS:${ICAL_TODO_STATUSES[task.status]}`
+        ];
+
+        if (task.status === 'completed' && task.completedAt) {
+            lines.push(`COMPLETED:${ICalendarFormat.formatDate(task.completedAt)}`);
+            lines.push('PERCENT-COMPLETE:100');
+        }
+
+        lines.push('END:VTODO');
+        return lines;
+    }
+
+    static _createEvent(task, stamp) {
+        const minutes = task.estimatedHours ? task.estimatedHours * 60 : 30;
+        const start = new Date(task.dueDate.getTime() - minutes * 60 * 1000);
+
+        return [
+            'BEGIN:VEVENT',
+            ...ICalendarFormat._createCommonProperties(task, stamp),
+            `DTSTART:${ICalendarFormat.formatDate(start)}`,
+            `DTEND:${ICalendarFormat.formatDate(task.dueDate)}`,
+            `STATUS:${task.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+            'END:VEVENT'
+        ];
+    }
+
+    static _createCommonProperties(task, stamp) {
+        const lines = [
+            `UID:${task.id}@task-management`,
+            `DTSTAMP:${stamp}`,
+            `CREATED:${ICalendarFormat.formatDate(task.createdAt)}`,
+            `LAST-MODIFIED:${ICalendarFormat.formatDate(task.updatedAt)}`,
+            `SUMMARY:${ICalendarFormat.escapeText(task.title)}`
+        ];
+
+        if (task.description) {
+            lines.push(`DESCRIPTION:${ICalendarFormat.escapeText(task.description)}`);
+        }
+
+        const categories = [task.category, ...task.tags].filter(Boolean);
+        lines.push(`CATEGORIES:${categories.map(category => ICalendarFormat.escapeText(category)).join(',')}`);
+        lines.push(`PRIORITY:${ICAL_PRIORITIES[task.priority]}`);
+        return lines;
+    }
+
+    static _getOctets(char) {
+        const codePoint = char.codePointAt(0);
+        if (codePoint < 0x80) return 1;
+        if (codePoint < 0x800) return 2;
+        if (codePoint < 0x10000) return 3;
+        return 4;
+    }
+}
+
+// Export untuk digunakan di file lain
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ICalendarFormat;
+} else {
+    window.ICalendarFormat = ICalendarFormat;
+}
@@ -0,0 +1,153 @@
+/**
+ * IndexedDB Storage Adapter - Storage adapter di atas IndexedDB (browser)
+ * 
+ * IndexedDB bersifat async, sedangkan kontrak adapter sync. Karena itu
+ * adapter ini menyimpan cache di memory:
+ * - Semua data dibaca ke cache sekali saat ready()/open()
+ * - getItem/keys dibaca dari cache
+ * - setItem/removeItem langsung update cache, lalu ditulis ke IndexedDB
+ *   di background (write-behind). Gunakan flush() untuk menunggu.
+ *
+ * Sebelum ready() selesai semua read dan write ditolak (throw): storage manager
+ * langsung membaca dan menulis _metadata di constructor, dan repository membaca
+ * datanya saat dibuat. Jadi buat adapter dengan
+ * `await IndexedDBStorageAdapter.open(...)` (atau `await adapter.ready()`)
+ * SEBELUM EnhancedStorageManager dan repository dibuat.
+ */
+/* global StorageAdapter */
+class IndexedDBStorageAdapter extends (typeof StorageAdapter !== 'undefined' ? StorageAdapter : require('./StorageAdapter')) {
+    /**
+     * @param {string} dbName - Nama database IndexedDB
+     * @param {Object} options - { storeName, indexedDB }
+     */
+    constructor(dbName = 'taskManagementApp', options = {}) {
+        super();
+        this.dbName = dbName;
+        this.storeName = options.storeName || 'keyValue';
+        this.indexedDB = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.cache = new Map();
+        this.db = null;
+        this._isReady = false; // true setelah cache terisi semua data yang tersimpan
+        this._readyPromise = null;
+        this._pendingWrites = Promise.resolve();
+    }
+    
+    /**
+     * Buka database dan tunggu cache terisi
+     * @param {string} dbName - Nama database
+     * @param {Object} options - { storeName, indexedDB }
+     * @returns {Promise<IndexedDBStorageAdapter>} - Adapter yang siap dipakai
+     */
+    static async open(dbName, options = {}) {
+        const adapter = new IndexedDBStorageAdapter(dbName, options);
+        await adapter.ready();
+        return adapter;
+    }
+    
+    isAvailable() {
+        return this.indexedDB !== null;
+    }
+    
+    ready() {
+        if (!this._readyPromise) {
+            this._readyPromise = this._openDatabase().then(db => {
+                this.db = db;
+                return this._loadAll();
+            }).then(() => {
+                this._isReady = true;
+            });
+        }
+        return this._readyPromise;
+    }
+    
+    getItem(key) {
+        this._assertReady();
+        return this.cache.has(key) ? this.cache.get(key) : null;
+    }
+    
+    setItem(key, value) {
+        this._assertReady();
+        this.cache.set(key, String(value));
+        this._queueWrite(store => store.put(String(value), key));
+    }
+    
+    removeItem(key) {
+        this._assertReady();
+        this.cache.delete(key);
+        this._queueWrite(store => store.delete(key));
+    }
+    
+    keys() {
+        this._assertReady();
+        return Array.from(this.cache.keys());
+    }
+    
+    /**
+     * Tunggu semua write yang tertunda selesai
+     * @returns {Promise<void>}
+     */
+    flush() {
+        return this._pendingWrites;
+    }
+    
+    // Private methods
+    _assertReady() {
+        if (!this._isReady) {
+            throw new Error(`IndexedDB ${this.dbName} belum siap: tunggu ready() sebelum storage dipakai`);
+        }
+    }
+    
+    _openDatabase() {
+        return new Promise((resolve, reject) => {
+            if (!this.isAvailable()) {
+                reject(new Error('IndexedDB tidak tersedia'));
+                return;
+            }
+            
+            const request = this.indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    _loadAll() {
+        return new Promise((resolve, reject) => {
+            const store = this.db.transaction(this.storeName, 'readonly').objectStore(this.storeName);
+            const request = store.openCursor();
+            
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    this.cache.set(cursor.key, cursor.value);
+                    cursor.continue();
+                } else {
+                    resolve();
+                }
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    _queueWrite(operation) {
+        this._pendingWrites = this._pendingWrites
+            .then(() => new Promise((resolve, reject) => {
+                const transaction = this.db.transaction(this.storeName, 'readwrite');
+                operation(transaction.objectStore(this.storeName));
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            }))
+            .catch(error => {
+                console.error(`Failed to write to IndexedDB ${this.dbName}:`, error);
+            });
+    }
+}
+
+// Export untuk digunakan di file lain
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IndexedDBStorageAdapter;
+} else {
+    window.IndexedDBStorageAdapter = IndexedDBStorageAdapter;
+}
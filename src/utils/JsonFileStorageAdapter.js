@@ -0,0 +1,73 @@
+/**
+ * JSON File Storage Adapter - Storage adapter di satu file JSON (Node.js)
+ * 
+ * Semua key disimpan sebagai satu object JSON di disk.
+ * File dibaca sekali saat constructor, lalu ditulis ulang setiap ada perubahan.
+ */
+const fs = require('fs');
+const path = require('path');
+const StorageAdapter = require('./StorageAdapter');
+
+class JsonFileStorageAdapter extends StorageAdapter {
+    /**
+     * @param {string} filePath - Lokasi file JSON
+     */
+    constructor(filePath) {
+        super();
+        
+        if (!filePath) {
+            throw new Error('Path file storage wajib diisi');
+        }
+        
+        this.filePath = path.resolve(filePath);
+        this.store = new Map(Object.entries(this._readFile()));
+    }
+    
+    isAvailable() {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.accessSync(path.dirname(this.filePath), fs.constants.W_OK);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    getItem(key) {
+        return this.store.has(key) ? this.store.get(key) : null;
+    }
+    
+    setItem(key, value) {
+        this.store.set(key, String(value));
+        this._writeFile();
+    }
+    
+    removeItem(key) {
+        if (this.store.delete(key)) {
+            this._writeFile();
+        }
+    }
+    
+    keys() {
+        return Array.from(this.store.keys());
+    }
+    
+    // Private methods
+    _readFile() {
+        try {
+            return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Failed to read storage file ${this.filePath}:`, error);
+            }
+            return {};
+        }
+    }
+    
+    _writeFile() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(this.filePath, JSON.stringify(Object.fromEntries(this.store), null, 2));
+    }
+}
+
+module.exports = JsonFileStorageAdapter;
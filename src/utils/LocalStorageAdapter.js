@@ -0,0 +1,45 @@
+/**
+ * LocalStorage Adapter - Storage adapter di atas window.localStorage
+ * 
+ * Backend default untuk app browser.
+ */
+/* global StorageAdapter */
+class LocalStorageAdapter extends (typeof StorageAdapter !== 'undefined' ? StorageAdapter : require('./StorageAdapter')) {
+    isAvailable() {
+        try {
+            const testKey = '__storage_test__';
+            localStorage.setItem(testKey, 'test');
+            localStorage.removeItem(testKey);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    getItem(key) {
+        return localStorage.getItem(key);
+    }
+    
+    setItem(key, value) {
+        localStorage.setItem(key, value);
+    }
+    
+    removeItem(key) {
+        localStorage.removeItem(key);
+    }
+    
+    keys() {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            keys.push(localStorage.key(i));
+        }
+        return keys;
+    }
+}
+
+// Export untuk digunakan di file lain
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LocalStorageAdapter;
+} else {
+    window.LocalStorageAdapter = LocalStorageAdapter;
+}
@@ -0,0 +1,39 @@
+/**
+ * Memory Storage Adapter - Storage adapter di memory (Map)
+ * 
+ * Data hilang saat proses selesai. Cocok untuk testing
+ * tanpa perlu mock global localStorage.
+ */
+/* global StorageAdapter */
+class MemoryStorageAdapter extends (typeof StorageAdapter !== 'undefined' ? StorageAdapter : require('./StorageAdapter')) {
+    /**
+     * @param {Object} initialData - Data awal { key: stringValue }
+     */
+    constructor(initialData = {}) {
+        super();
+        this.store = new Map(Object.entries(initialData));
+    }
+    
+    getItem(key) {
+        return this.store.has(key) ? this.store.get(key) : null;
+    }
+    
+    setItem(key, value) {
+        this.store.set(key, String(value));
+    }
+    
+    removeItem(key) {
+        this.store.delete(key);
+    }
+    
+    keys() {
+        return Array.from(this.store.keys());
+    }
+}
+
+// Export untuk digunakan di file lain
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MemoryStorageAdapter;
+} else {
+    window.MemoryStorageAdapter = MemoryStorageAdapter;
+}
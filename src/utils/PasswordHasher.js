@@ -0,0 +1,85 @@
+/**
+ * Password Hasher - Hashing password dengan Node.js crypto (scrypt)
+ *
+ * Format hash yang disimpan: scrypt$<salt hex>$<derived key hex>
+ * - Salt random per password, jadi password sama menghasilkan hash berbeda
+ * - Verifikasi memakai timingSafeEqual untuk mencegah timing attack
+ *
+ * Hanya berjalan di Node.js (server). Browser tidak memuat file ini.
+ */
+const crypto = require('crypto');
+
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+const MIN_PASSWORD_LENGTH = 8;
+
+class PasswordHasher {
+    /**
+     * Validasi aturan password
+     * @param {string} password - Password plain text
+     * @throws {Error} - Jika password tidak memenuhi aturan
+     */
+    static validate(password) {
+        if (typeof password !== 'string' || password.length === 0) {
+            throw new Error('Password wajib diisi');
+        }
+
+        if (password.length < MIN_PASSWORD_LENGTH) {
+            throw new Error(`Password minimal ${MIN_PASSWORD_LENGTH} karakter`);
+        }
+    }
+
+    /**
+     * Hash password baru
+     * @param {string} password - Password plain text
+     * @returns {string} - Hash dalam format scrypt$salt$key
+     */
+    static hash(password) {
+        PasswordHasher.validate(password);
+
+        const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+        const key = crypto.scryptSync(password, salt, KEY_LENGTH).toString('hex');
+        return `scrypt$${salt}$${key}`;
+    }
+
+    /**
+     * Cek apakah password cocok dengan hash yang tersimpan
+     * @param {string} password - Password plain text
+     * @param {string} storedHash - Hash dari PasswordHasher.hash
+     * @returns {boolean} - True jika cocok
+     */
+    static verify(password, storedHash) {
+        if (typeof password !== 'string' || typeof storedHash !== 'string') {
+            return false;
+        }
+
+        const [algorithm, salt, key] = storedHash.split('$');
+        if (algorithm !== 'scrypt' || !salt || !key) {
+            return false;
+        }
+
+        const expected = Buffer.from(key, 'hex');
+        const actual = crypto.scryptSync(password, salt, expected.length);
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    /**
+     * Generate token random (untuk reset password)
+     * @param {number} bytes - Panjang token dalam byte
+     * @returns {string} - Token hex
+     */
+    static generateToken(bytes = 32) {
+        return crypto.randomBytes(bytes).toString('hex');
+    }
+
+    /**
+     * Hash token supaya yang tersimpan bukan token aslinya
+     * @param {string} token - Token plain
+     * @returns {string} - SHA-256 hex
+     */
+    static hashToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+}
+
+module.exports = PasswordHasher;
@@ -0,0 +1,90 @@
+/**
+ * Storage Adapter - Kontrak untuk backend penyimpanan
+ * 
+ * EnhancedStorageManager dan StorageManager tidak lagi memanggil
+ * localStorage langsung, tapi lewat adapter dengan interface ini
+ * (mirip Web Storage API, value selalu berupa string):
+ * - isAvailable()       -> boolean
+ * - getItem(key)        -> string | null
+ * - setItem(key, value) -> void
+ * - removeItem(key)     -> void
+ * - keys()              -> string[]
+ * - ready()             -> Promise (untuk adapter async seperti IndexedDB)
+ * 
+ * Implementasi yang tersedia:
+ * - LocalStorageAdapter   (browser)
+ * - MemoryStorageAdapter  (testing, tanpa persistence)
+ * - JsonFileStorageAdapter (Node.js, satu file JSON)
+ * - IndexedDBStorageAdapter (browser, kapasitas lebih besar)
+ *
+ * Method base class tidak memakai parameternya: parameter kontrak
+ * didokumentasikan lewat @param saja.
+ */
+class StorageAdapter {
+    /**
+     * Cek apakah backend bisa dipakai di environment ini
+     * @returns {boolean} - Availability status
+     */
+    isAvailable() {
+        return true;
+    }
+    
+    /**
+     * Ambil value berdasarkan key
+     * @param {string} key - Storage key
+     * @returns {string|null} - Value atau null jika tidak ada
+     */
+    getItem() {
+        throw new Error(`${this.constructor.name}.getItem belum diimplementasikan`);
+    }
+    
+    /**
+     * Simpan value
+     * @param {string} key - Storage key
+     * @param {string} value - Value (string)
+     */
+    setItem() {
+        throw new Error(`${this.constructor.name}.setItem belum diimplementasikan`);
+    }
+    
+    /**
+     * Hapus value
+     * @param {string} key - Storage key
+     */
+    removeItem() {
+        throw new Error(`${this.constructor.name}.removeItem belum diimplementasikan`);
+    }
+    
+    /**
+     * Ambil semua key yang tersimpan
+     * @returns {string[]} - Array key
+     */
+    keys() {
+        throw new Error(`${this.constructor.name}.keys belum diimplementasikan`);
+    }
+    
+    /**
+     * Tunggu sampai adapter siap dipakai
+     * @returns {Promise<void>}
+     */
+    ready() {
+        return Promise.resolve();
+    }
+    
+    /**
+     * Cek apakah object memenuhi kontrak adapter (duck typing)
+     * @param {Object} adapter - Object yang dicek
+     * @returns {boolean} - True jika semua method ada
+     */
+    static isStorageAdapter(adapter) {
+        return Boolean(adapter) &&
+            ['isAvailable', 'getItem', 'setItem', 'removeItem', 'keys'].every(method => typeof adapter[method] === 'function');
+    }
+}
+
+// Export untuk digunakan di file lain
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StorageAdapter;
+} else {
+    window.StorageAdapter = StorageAdapter;
+}
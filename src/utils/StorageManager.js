@@ -1,33 +1,40 @@
 /**
- * StorageManager - Handles data persistence using localStorage
+ * StorageManager - Handles data persistence through a storage adapter
+ * (localStorage by default, see StorageAdapter.js)
  * 
  * Demonstrates:
  * - Separation of concerns: Data storage is separate from business logic
  * - Error handling: Graceful handling of storage failures
  * - Abstraction: Provides simple interface for complex operations
  */
+/* global LocalStorageAdapter */
 class StorageManager {
-    constructor(storageKey = 'taskManagementApp') {
+    /**
+     * @param {string} storageKey - Prefix for all keys
+     * @param {StorageAdapter} adapter - Storage backend (default: localStorage)
+     */
+    constructor(storageKey = 'taskManagementApp', adapter = null) {
         this.storageKey = storageKey;
+        this.adapter = adapter || this._createDefaultAdapter();
         this.isAvailable = this._checkStorageAvailability();
     }
     
     /**
-     * Save data to localStorage
+     * Save data to storage
      * @param {string} key - The key to store data under
      * @param {any} data - The data to store (will be JSON stringified)
      * @returns {boolean} - Success status
      */
     save(key, data) {
         if (!this.isAvailable) {
-            console.warn('localStorage not available, data will not persist');
+            console.warn('Storage not available, data will not persist');
             return false;
         }
         
         try {
             const fullKey = `${this.storageKey}_${key}`;
             const jsonData = JSON.stringify(data);
-            localStorage.setItem(fullKey, jsonData);
+            this.adapter.setItem(fullKey, jsonData);
             return true;
         } catch (error) {
             console.error('Failed to save data:', error);
@@ -36,7 +43,7 @@ class StorageManager {
     }
     
     /**
-     * Load data from localStorage
+     * Load data from storage
      * @param {string} key - The key to load data from
      * @param {any} defaultValue - Default value if key doesn't exist
      * @returns {any} - The loaded data or default value
@@ -48,7 +55,7 @@ class StorageManager {
         
         try {
             const fullKey = `${this.storageKey}_${key}`;
-            const jsonData = localStorage.getItem(fullKey);
+            const jsonData = this.adapter.getItem(fullKey);
             
             if (jsonData === null) {
                 return defaultValue;
@@ -62,7 +69,7 @@ class StorageManager {
     }
     
     /**
-     * Remove data from localStorage
+     * Remove data from storage
      * @param {string} key - The key to remove
      * @returns {boolean} - Success status
      */
@@ -73,7 +80,7 @@ class StorageManager {
         
         try {
             const fullKey = `${this.storageKey}_${key}`;
-            localStorage.removeItem(fullKey);
+            this.adapter.removeItem(fullKey);
             return true;
         } catch (error) {
             console.error('Failed to remove data:', error);
@@ -82,7 +89,7 @@ class StorageManager {
     }
     
     /**
-     * Clear all app data from localStorage
+     * Clear all app data from storage
      * @returns {boolean} - Success status
      */
     clear() {
@@ -93,14 +100,13 @@ class StorageManager {
         try {
             // Remove all keys that start with our storage key
             const keysToRemove = [];
-            for (let i = 0; i < localStorage.length; i++) {
-                const key = localStorage.key(i);
+            this.adapter.keys().forEach(key => {
                 if (key && key.startsWith(this.storageKey)) {
                     keysToRemove.push(key);
                 }
-            }
+            });
             
-            keysToRemove.forEach(key => localStorage.removeItem(key));
+            keysToRemove.forEach(key => this.adapter.removeItem(key));
             return true;
         } catch (error) {
             console.error('Failed to clear data:', error);
@@ -121,9 +127,10 @@ class StorageManager {
             let totalSize = 0;
             let appSize = 0;
             
-            for (let i = 0; i < localStorage.length; i++) {
-                const key = localStorage.key(i);
-                const value = localStorage.getItem(key);
+            const keys = this.adapter.keys();
+            
+            keys.forEach(key => {
+                const value = this.adapter.getItem(key);
                 const itemSize = key.length + value.length;
                 
                 totalSize += itemSize;
@@ -131,13 +138,13 @@ class StorageManager {
                 if (key.startsWith(this.storageKey)) {
                     appSize += itemSize;
                 }
-            }
+            });
             
             return {
                 available: true,
                 totalSize,
                 appSize,
-                itemCount: localStorage.length
+                itemCount: keys.length
             };
         } catch (error) {
             console.error('Failed to get storage info:', error);
@@ -145,13 +152,15 @@ class StorageManager {
         }
     }
     
-    // Private helper method
+    // Private helper methods
+    _createDefaultAdapter() {
+        const Adapter = typeof LocalStorageAdapter !== 'undefined' ? LocalStorageAdapter : require('./LocalStorageAdapter');
+        return new Adapter();
+    }
+    
     _checkStorageAvailability() {
         try {
-            const testKey = '__storage_test__';
-            localStorage.setItem(testKey, 'test');
-            localStorage.removeItem(testKey);
-            return true;
+            return this.adapter.isAvailable();
         } catch (error) {
             return false;
         }
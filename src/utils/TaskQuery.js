@@ -0,0 +1,389 @@
+/**
+ * Task Query - Bahasa query kecil untuk mencari dan memfilter task
+ *
+ * Contoh:
+ *   status:in-progress priority>=high tag:meeting due<2026-11-01 -tag:personal
+ *   assignee:john "quarterly report"
+ *   (tag:bug OR tag:incident) AND NOT status:completed
+ *
+ * Sintaks:
+ * - Kondisi yang ditulis berurutan digabung dengan AND (boleh ditulis eksplisit)
+ * - OR (huruf besar) prioritasnya lebih rendah dari AND, kurung untuk grouping
+ * - NOT atau prefix "-" untuk negasi
+ * - field:nilai, field=nilai, dan field<, <=, >, >= untuk priority, tanggal dan jam
+ * - Kata atau "frasa dalam kutip" tanpa field dicari di judul, deskripsi dan tag.
+ *   Kata dengan ":" yang bukan nama field (mis. "Note: beli susu") juga teks biasa
+ *
+ * Tanggal memakai format YYYY-MM-DD atau today/tomorrow/yesterday dan
+ * dibandingkan per hari (due<=2026-11-01 termasuk seluruh tanggal 1).
+ * due:none mencari task tanpa due date.
+ */
+
+const QUERY_EQUALITY_OPERATORS = [':', '='];
+
+// type menentukan operator yang boleh dipakai dan cara membaca nilai
+const QUERY_FIELDS = {
+    status: { type: 'choice', values: ['pending', 'in-progress', 'blocked', 'completed', 'cancelled'], get: task => task.status },
+    priority: { type: 'ordered', values: ['low', 'medium', 'high', 'urgent'], get: task => task.priority },
+    category: { type: 'keyword', get: task => [task.category] },
+    tag: { type: 'keyword', get: task => task.tags },
+    assignee: { type: 'user', get: task => task.assigneeId },
+    owner: { type: 'user', get: task => task.ownerId },
+    due: { type: 'date', get: task => task.dueDate },
+    created: { type: 'date', get: task => task.createdAt },
+    completed: { type: 'date', get: task => task.completedAt },
+    estimate: { type: 'number', get: task => task.estimatedHours },
+    actual: { type: 'number', get: task => task.actualHours },
+    title: { type: 'text', get: task => task.title },
+    description: { type: 'text', get: task => task.description },
+    is: {
+        type: 'flag',
+        values: {
+            overdue: task => task.isOverdue,
+            recurring: task => task.isRecurring,
+            subtask: task => Boolean(task.parentId)
+        }
+    }
+};
+
+class TaskQuery {
+    /**
+     * Parse query. Error sintaks dan nilai yang tidak valid langsung dilempar.
+     * @param {string} text - Query
+     * @param {Object} options - { currentUserId, resolveUser(name) => userId|null, now }
+     *   currentUserId dipakai untuk "assignee:me"; resolveUser mengubah username menjadi ID
+     */
+    constructor(text, options = {}) {
+        this._text = String(text || '').trim();
+        this._options = options;
+
+        const root = this._parse(this._tokenize(this._text));
+        this._isEmpty = root === null;
+        this._predicate = root ? this._compile(root) : () => true;
+    }
+
+    get text() { return this._text; }
+    get isEmpty() { return this._isEmpty; }
+
+    /**
+     * Cek apakah task cocok dengan query
+     * @param {EnhancedTask} task - Task
+     * @returns {boolean} - True jika cocok
+     */
+    matches(task) {
+        return this._predicate(task);
+    }
+
+    static parse(text, options = {}) {
+        return new TaskQuery(text, options);
+    }
+
+    /**
+     * Daftar field yang bisa dipakai di query
+     * @returns {string[]} - Nama field
+     */
+    static getFields() {
+        return Object.keys(QUERY_FIELDS);
+    }
+
+    // Private methods - tokenizer
+    _tokenize(text) {
+        const tokens = [];
+        let index = 0;
+
+        while (index < text.length) {
+            const char = text[index];
+            const position = index + 1;
+
+            if (/\s/.test(char)) {
+                index++;
+            } else if (char === '(' || char === ')') {
+                tokens.push({ type: char === '(' ? 'lparen' : 'rparen', position });
+                index++;
+            } else if (char === '-' && index + 1 < text.length && !/[\s()]/.test(text[index + 1])) {
+                tokens.push({ type: 'not', position });
+                index++;
+            } else if (char === '"') {
+                const quoted = this._readQuoted(text, index);
+                tokens.push({ type: 'text', value: quoted.value, position });
+                index = quoted.end;
+            } else {
+                const fieldMatch = /^([A-Za-z]+)(>=|<=|:|=|>|<)/.exec(text.slice(index));
+
+                if (fieldMatch && Object.prototype.hasOwnProperty.call(QUERY_FIELDS, fieldMatch[1].toLowerCase())) {
+                    index += fieldMatch[0].length;
+                    const value = text[index] === '"' ? this._readQuoted(text, index) : this._readWord(text, index);
+                    if (value.value === '') {
+                        this._fail(`nilai untuk "${fieldMatch[1]}" kosong`, position);
+                    }
+                    tokens.push({ type: 'term', field: fieldMatch[1].toLowerCase(), op: fieldMatch[2], value: value.value, position });
+                    index = value.end;
+                } else {
+                    const word = this._readWord(text, index);
+                    const keyword = { AND: 'and', OR: 'or', NOT: 'not' }[word.value];
+                    tokens.push(keyword ? { type: keyword, position } : { type: 'text', value: word.value, position });
+                    index = word.end;
+                }
+            }
+        }
+
+        return tokens;
+    }
+
+    _readQuoted(text, start) {
+        const end = text.indexOf('"', start + 1);
+        if (end === -1) {
+            this._fail('tanda kutip belum ditutup', start + 1);
+        }
+        return { value: text.slice(start + 1, end), end: end + 1 };
+    }
+
+    _readWord(text, start) {
+        let end = start;
+        while (end < text.length && !/[\s()"]/.test(text[end])) {
+            end++;
+        }
+        return { value: text.slice(start, end), end };
+    }
+
+    // Private methods - parser (OR < AND < NOT)
+    _parse(tokens) {
+        if (tokens.length === 0) return null;
+
+        const cursor = { tokens, index: 0 };
+        const node = this._parseOr(cursor);
+
+        const rest = cursor.tokens[cursor.index];
+        if (rest) {
+            this._fail('kurung tutup tanpa kurung buka', rest.position);
+        }
+        return node;
+    }
+
+    _parseOr(cursor) {
+        const children = [this._parseAnd(cursor)];
+
+        while (this._peekType(cursor) === 'or') {
+            cursor.index++;
+            children.push(this._parseAnd(cursor));
+        }
+
+        return children.length === 1 ? children[0] : { type: 'or', children };
+    }
+
+    _parseAnd(cursor) {
+        const children = [];
+
+        for (;;) {
+            const token = cursor.tokens[cursor.index];
+            if (!token || token.type === 'or' || token.type === 'rparen') break;
+
+            if (token.type === 'and') {
+                if (children.length === 0) {
+                    this._fail('"AND" harus berada di antara dua kondisi', token.position);
+                }
+                cursor.index++;
+                this._expectCondition(cursor, '"AND" harus diikuti kondisi', token.position);
+                continue;
+            }
+
+            children.push(this._parseUnary(cursor));
+        }
+
+        if (children.length === 0) {
+            const token = cursor.tokens[cursor.index];
+            if (!token) {
+                this._fail('query berakhir sebelum kondisi', this._text.length);
+            }
+            this._fail(token.type === 'or' ? '"OR" harus berada di antara dua kondisi' : 'kurung tidak berisi kondisi', token.position);
+        }
+
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    }
+
+    _parseUnary(cursor) {
+        const token = cursor.tokens[cursor.index];
+
+        if (token.type === 'not') {
+            cursor.index++;
+            this._expectCondition(cursor, 'NOT / "-" harus diikuti kondisi', token.position);
+            return { type: 'not', child: this._parseUnary(cursor) };
+        }
+
+        if (token.type === 'lparen') {
+            cursor.index++;
+            const node = this._parseOr(cursor);
+            if (this._peekType(cursor) !== 'rparen') {
+                this._fail('kurung buka belum ditutup', token.position);
+            }
+            cursor.index++;
+            return node;
+        }
+
+        cursor.index++;
+        return token;
+    }
+
+    _expectCondition(cursor, message, position) {
+        const type = this._peekType(cursor);
+        if (!type || type === 'or' || type === 'and' || type === 'rparen') {
+            this._fail(message, position);
+        }
+    }
+
+    _peekType(cursor) {
+        const token = cursor.tokens[cursor.index];
+        return token ? token.type : null;
+    }
+
+    // Private methods - compile AST menjadi predicate(task)
+    _compile(node) {
+        if (node.type === 'and') {
+            const predicates = node.children.map(child => this._compile(child));
+            return task => predicates.every(predicate => predicate(task));
+        }
+        if (node.type === 'or') {
+            const predicates = node.children.map(child => this._compile(child));
+            return task => predicates.some(predicate => predicate(task));
+        }
+        if (node.type === 'not') {
+            const predicate = this._compile(node.child);
+            return task => !predicate(task);
+        }
+        if (node.type === 'text') {
+            const term = node.value.toLowerCase();
+            return task =>
+                task.title.toLowerCase().includes(term) ||
+                task.description.toLowerCase().includes(term) ||
+                task.tags.some(tag => tag.toLowerCase().includes(term));
+        }
+        return this._compileTerm(node);
+    }
+
+    _compileTerm(term) {
+        const definition = QUERY_FIELDS[term.field];
+        const isRange = ['ordered', 'date', 'number'].includes(definition.type);
+        if (!isRange && !QUERY_EQUALITY_OPERATORS.includes(term.op)) {
+            this._fail(`operator "${term.op}" tidak bisa dipakai untuk "${term.field}"`, term.position);
+        }
+
+        const get = definition.get;
+        const value = term.value.toLowerCase();
+
+        if (definition.type === 'choice' || definition.type === 'ordered') {
+            const rank = definition.values.indexOf(value);
+            if (rank === -1) {
+                this._fail(`nilai "${term.value}" tidak valid untuk "${term.field}". Pilihan: ${definition.values.join(', ')}`, term.position);
+            }
+            return task => this._compare(definition.values.indexOf(get(task)), term.op, rank);
+        }
+
+        if (definition.type === 'keyword') {
+            return task => get(task).some(item => String(item).toLowerCase() === value);
+        }
+
+        if (definition.type === 'text') {
+            return task => String(get(task) || '').toLowerCase().includes(value);
+        }
+
+        if (definition.type === 'user') {
+            const userId = this._resolveUser(term);
+            return task => get(task) === userId;
+        }
+
+        if (definition.type === 'flag') {
+            const flag = definition.values[value];
+            if (!flag) {
+                this._fail(`nilai "${term.value}" tidak valid untuk "is". Pilihan: ${Object.keys(definition.values).join(', ')}`, term.position);
+            }
+            return task => Boolean(flag(task));
+        }
+
+        if (definition.type === 'number') {
+            if (!/^\d+(\.\d+)?$/.test(term.value)) {
+                this._fail(`angka tidak valid untuk "${term.field}": ${term.value}`, term.position);
+            }
+            const number = parseFloat(term.value);
+            return task => this._compare(get(task), term.op, number);
+        }
+
+        return this._compileDate(term, get);
+    }
+
+    _compileDate(term, get) {
+        if (term.value.toLowerCase() === 'none') {
+            if (!QUERY_EQUALITY_OPERATORS.includes(term.op)) {
+                this._fail(`"none" hanya bisa dipakai dengan ":" untuk "${term.field}"`, term.position);
+            }
+            return task => !get(task);
+        }
+
+        const dayStart = this._parseDate(term);
+        const dayEnd = new Date(dayStart);
+        dayEnd.setDate(dayEnd.getDate() + 1);
+
+        // Perbandingan per hari: "<=" berarti sampai akhir hari itu
+        return task => {
+            const date = get(task);
+            if (!date) return false;
+
+            const time = new Date(date).getTime();
+            if (term.op === '<') return time < dayStart.getTime();
+            if (term.op === '<=') return time < dayEnd.getTime();
+            if (term.op === '>') return time >= dayEnd.getTime();
+            if (term.op === '>=') return time >= dayStart.getTime();
+            return time >= dayStart.getTime() && time < dayEnd.getTime();
+        };
+    }
+
+    _parseDate(term) {
+        const value = term.value.toLowerCase();
+        const now = this._options.now ? new Date(this._options.now) : new Date();
+        const relativeDays = { yesterday: -1, today: 0, tomorrow: 1 }[value];
+
+        if (relativeDays !== undefined) {
+            return new Date(now.getFullYear(), now.getMonth(), now.getDate() + relativeDays);
+        }
+
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+        const date = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+        if (!date || date.getMonth() !== Number(match[2]) - 1 || date.getDate() !== Number(match[3])) {
+            this._fail(`tanggal tidak valid untuk "${term.field}": ${term.value} (pakai YYYY-MM-DD, today, tomorrow atau yesterday)`, term.position);
+        }
+        return date;
+    }
+
+    _resolveUser(term) {
+        if (term.value.toLowerCase() === 'me') {
+            if (!this._options.currentUserId) {
+                this._fail(`"${term.field}:me" membutuhkan user yang login`, term.position);
+            }
+            return this._options.currentUserId;
+        }
+
+        const userId = this._options.resolveUser ? this._options.resolveUser(term.value) : term.value;
+        if (!userId) {
+            this._fail(`user tidak ditemukan untuk "${term.field}": ${term.value}`, term.position);
+        }
+        return userId;
+    }
+
+    _compare(actual, op, expected) {
+        if (op === '<') return actual < expected;
+        if (op === '<=') return actual <= expected;
+        if (op === '>') return actual > expected;
+        if (op === '>=') return actual >= expected;
+        return actual === expected;
+    }
+
+    _fail(message, position) {
+        throw new Error(`Query tidak valid (posisi ${position}): ${message}`);
+    }
+}
+
+// Export untuk digunakan di file lain
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TaskQuery;
+} else {
+    window.TaskQuery = TaskQuery;
+}
@@ -0,0 +1,89 @@
+/**
+ * Token Service - Session token yang ditandatangani (HMAC-SHA256)
+ *
+ * Format token: <payload base64url>.<signature base64url>
+ * Payload: { sub: userId, iat: issuedAt (ms), exp: expiresAt (ms) }
+ *
+ * Token tidak disimpan di server. Pencabutan dilakukan lewat
+ * User.sessionsRevokedAt (token yang dibuat sebelumnya ditolak).
+ *
+ * Hanya berjalan di Node.js (server).
+ */
+const crypto = require('crypto');
+
+class TokenService {
+    /**
+     * @param {string} secret - Secret untuk tanda tangan token
+     * @param {Object} options - { ttlMinutes }
+     */
+    constructor(secret, options = {}) {
+        if (!secret) {
+            throw new Error('Secret token wajib diisi');
+        }
+
+        this.secret = secret;
+        this.ttlMinutes = options.ttlMinutes || 60 * 24;
+    }
+
+    /**
+     * Buat session token baru
+     * @param {string} userId - User ID
+     * @returns {Object} - { token, expiresAt }
+     */
+    issue(userId) {
+        const issuedAt = Date.now();
+        const payload = {
+            sub: userId,
+            iat: issuedAt,
+            exp: issuedAt + this.ttlMinutes * 60 * 1000
+        };
+
+        const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+        const token = `${encodedPayload}.${this._sign(encodedPayload)}`;
+
+        return {
+            token,
+            expiresAt: new Date(payload.exp)
+        };
+    }
+
+    /**
+     * Verifikasi session token
+     * @param {string} token - Token dari header Authorization
+     * @returns {Object|null} - { userId, issuedAt, expiresAt } atau null jika tidak valid
+     */
+    verify(token) {
+        if (typeof token !== 'string') return null;
+
+        const [encodedPayload, signature] = token.split('.');
+        if (!encodedPayload || !signature) return null;
+
+        const expected = Buffer.from(this._sign(encodedPayload));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return null;
+        }
+
+        try {
+            const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+            if (!payload.sub || Date.now() >= payload.exp) {
+                return null;
+            }
+
+            return {
+                userId: payload.sub,
+                issuedAt: new Date(payload.iat),
+                expiresAt: new Date(payload.exp)
+            };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Private methods
+    _sign(value) {
+        return crypto.createHmac('sha256', this.secret).update(value).digest('base64url');
+    }
+}
+
+module.exports = TokenService;
@@ -0,0 +1,306 @@
+/**
+ * Task Import View - Wizard import task dari file CSV atau export Trello/Todoist/Jira
+ *
+ * Langkah wizard di modal #importModal untuk CSV:
+ * 1. Pilih file CSV, kolom dipetakan otomatis dari header-nya
+ * 2. Ubah pemetaan kolom -> field task; preview dan error per baris
+ *    diperbarui setiap kali pemetaan berubah
+ * 3. Import, hanya bisa jika tidak ada baris yang error
+ *
+ * Untuk Trello, Todoist dan Jira langkah 2 menampilkan laporan pemetaan dari
+ * dry run (board/list/label -> kategori/status/tag, task yang akan dibuat dan
+ * yang dilewati karena sudah pernah diimport).
+ *
+ * Semua validasi ada di TaskController/TaskCsvService, view ini hanya
+ * menampilkan hasil preview.
+ */
+/* global TaskCsvService */
+class TaskImportView {
+    /**
+     * @param {TaskController} taskController - Controller task
+     * @param {TaskView} taskView - View utama (untuk pesan dan refresh setelah import)
+     */
+    constructor(taskController, taskView) {
+        this.taskController = taskController;
+        this.taskView = taskView;
+
+        // State wizard
+        this.source = 'csv'; // csv atau sumber ExternalImportService
+        this.fileName = null;
+        this.fileText = null;
+        this.mapping = null;
+        this.preview = null;
+
+        this._initializeElements();
+        this._setupEventListeners();
+    }
+
+    /**
+     * Buka wizard dari awal
+     */
+    open() {
+        this._reset();
+        if (this.modal) {
+            this.modal.style.display = 'flex';
+        }
+    }
+
+    /**
+     * Tutup wizard tanpa import
+     */
+    close() {
+        if (this.modal) {
+            this.modal.style.display = 'none';
+        }
+        this._reset();
+    }
+
+    // Private methods
+    _initializeElements() {
+        this.modal = document.getElementById('importModal');
+        this.sourceSelect = document.getElementById('importSource');
+        this.fileInput = document.getElementById('importFile');
+        this.stepTitle = document.getElementById('importStepTitle');
+        this.mappingContainer = document.getElementById('importMapping');
+        this.previewContainer = document.getElementById('importPreview');
+        this.summary = document.getElementById('importSummary');
+        this.confirmButton = document.getElementById('confirmImport');
+    }
+
+    _setupEventListeners() {
+        if (!this.modal) return;
+
+        this.sourceSelect.addEventListener('change', () => {
+            this._reset();
+            this.source = this.sourceSelect.value;
+            this.stepTitle.textContent = this.source === 'csv'
+                ? '2. Petakan kolom ke field task'
+                : '2. Periksa laporan pemetaan';
+        });
+        this.fileInput.addEventListener('change', () => this._handleFileChange());
+        this.confirmButton.addEventListener('click', () => this._handleImport());
+        this.modal.querySelectorAll('[data-import-close]').forEach(button => {
+            button.addEventListener('click', () => this.close());
+        });
+
+        // Select pemetaan dibuat ulang setiap preview, jadi pakai event delegation
+        this.mappingContainer.addEventListener('change', (e) => {
+            const header = e.target.dataset.importHeader;
+            if (header === undefined) return;
+
+            this.mapping = { ...this.mapping, [header]: e.target.value || null };
+            this._updatePreview();
+        });
+    }
+
+    _handleFileChange() {
+        const file = this.fileInput.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            this.fileName = file.name.replace(/\.[^.]+$/, '');
+            this.fileText = reader.result;
+            this.mapping = null; // Tebak ulang pemetaan dari header file baru
+            this._updatePreview();
+        };
+        reader.onerror = () => this.taskView.showMessage('Gagal membaca file', 'error');
+        reader.readAsText(file);
+    }
+
+    _updatePreview() {
+        const response = this.source === 'csv'
+            ? this.taskController.previewTaskImport(this.fileText, this.mapping)
+            : this._importExternal(true);
+
+        if (!response.success) {
+            // Pemetaan terakhir tetap ditampilkan supaya bisa diperbaiki
+            this.preview = null;
+            this.summary.textContent = response.error;
+            this.summary.className = 'import-summary import-summary-error';
+            this.previewContainer.innerHTML = '';
+            this.confirmButton.disabled = true;
+            return;
+        }
+
+        this.preview = response.data;
+        if (this.source !== 'csv') {
+            this._renderReport(response.message);
+            return;
+        }
+
+        this.mapping = response.data.mapping;
+        this._renderMapping();
+        this._renderPreview();
+    }
+
+    _importExternal(dryRun) {
+        return this.taskController.importExternalTasks(this.source, this.fileText, {
+            dryRun,
+            projectName: this.fileName
+        });
+    }
+
+    _handleImport() {
+        if (!this.preview) return;
+
+        if (this.source !== 'csv') {
+            this._finishImport(this._importExternal(false));
+            return;
+        }
+        if (this.preview.errorCount > 0) return;
+
+        const response = this.taskController.importTasksCsv(this.fileText, this.mapping);
+
+        if (!response.success) {
+            if (response.data) {
+                this.preview = response.data;
+                this._renderPreview();
+            }
+            this.taskView.showMessage(response.error, 'error');
+            return;
+        }
+
+        this._finishImport(response);
+    }
+
+    _finishImport(response) {
+        if (!response.success) {
+            this.taskView.showMessage(response.error, 'error');
+            return;
+        }
+
+        this.close();
+        this.taskView.showMessage(response.message, 'success');
+        this.taskView.refresh();
+    }
+
+    _renderMapping() {
+        const fields = TaskCsvService.getImportFields();
+
+        this.mappingContainer.innerHTML = this.preview.headers.map(header => `
+            <label class="import-mapping-row">
+                <span>${this._escapeHtml(header)}</span>
+                <select data-import-header="${this._escapeHtml(header)}">
+                    <option value="">— Abaikan kolom —</option>
+                    ${fields.map(field => `
+                        <option value="${field.key}" ${this.mapping[header] === field.key ? 'selected' : ''}>
+                            ${field.header} (${field.key})
+                        </option>
+                    `).join('')}
+                </select>
+            </label>
+        `).join('');
+    }
+
+    _renderPreview() {
+        const { rows, validCount, errorCount } = this.preview;
+        const fields = TaskCsvService.getImportFields()
+            .filter(field => Object.values(this.mapping).includes(field.key));
+
+        this.summary.textContent = errorCount > 0
+            ? `${errorCount} baris error, perbaiki file atau pemetaan kolom sebelum import`
+            : `${validCount} task siap diimport`;
+        this.summary.className = `import-summary ${errorCount > 0 ? 'import-summary-error' : ''}`;
+        this.confirmButton.disabled = errorCount > 0 || validCount === 0;
+
+        this.previewContainer.innerHTML = `
+            <table class="import-preview-table">
+                <thead>
+                    <tr>
+                        <th>Baris</th>
+                        ${fields.map(field => `<th>${field.header}</th>`).join('')}
+                        <th>Error</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr class="${row.errors.length > 0 ? 'import-row-error' : ''}">
+                            <td>${row.line}</td>
+                            ${fields.map(field => `<td>${this._escapeHtml(this._formatValue(row.task[field.key]))}</td>`).join('')}
+                            <td>${row.errors.map(error => this._escapeHtml(error)).join('<br>')}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    _renderReport(message) {
+        const { mapping, created, skipped, warnings } = this.preview;
+        const renderTable = (title, entries) => `
+            <table class="import-preview-table">
+                <thead><tr><th>${title}</th><th>Menjadi</th></tr></thead>
+                <tbody>
+                    ${Object.keys(entries).map(name => `
+                        <tr><td>${this._escapeHtml(name)}</td><td>${this._escapeHtml(entries[name])}</td></tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        this.mappingContainer.innerHTML = [
+            renderTable('Board / project', mapping.categories),
+            renderTable('List / section / status', mapping.statuses),
+            renderTable('Label', mapping.tags)
+        ].join('');
+
+        this.summary.textContent = message;
+        this.summary.className = 'import-summary';
+        this.confirmButton.disabled = created.length === 0;
+
+        this.previewContainer.innerHTML = `
+            ${warnings.length > 0 ? `
+                <ul class="import-warnings">
+                    ${warnings.map(warning => `<li>${this._escapeHtml(warning)}</li>`).join('')}
+                </ul>
+            ` : ''}
+            <table class="import-preview-table">
+                <thead><tr><th>Task</th><th>Keterangan</th></tr></thead>
+                <tbody>
+                    ${created.map(item => `<tr><td>${this._escapeHtml(item.title)}</td><td>Baru</td></tr>`).join('')}
+                    ${skipped.map(item => `
+                        <tr class="import-row-skipped"><td>${this._escapeHtml(item.title)}</td><td>Sudah pernah diimport</td></tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    _formatValue(value) {
+        if (value === undefined || value === null) return '';
+        if (value instanceof Date) return value.toLocaleString('id-ID');
+        if (Array.isArray(value)) {
+            return value.map(item => (typeof item === 'object' ? `${item.done ? '[x]' : '[ ]'} ${item.text}` : item)).join(', ');
+        }
+        return String(value);
+    }
+
+    _reset() {
+        this.fileName = null;
+        this.fileText = null;
+        this.mapping = null;
+        this.preview = null;
+
+        if (!this.modal) return;
+        this.fileInput.value = '';
+        this.mappingContainer.innerHTML = '';
+        this.previewContainer.innerHTML = '';
+        this.summary.textContent = 'Pilih file untuk mulai';
+        this.summary.className = 'import-summary';
+        this.confirmButton.disabled = true;
+    }
+
+    _escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+// Export untuk digunakan di file lain
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TaskImportView;
+} else {
+    window.TaskImportView = TaskImportView;
+}
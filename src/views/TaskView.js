@@ -7,6 +7,7 @@
  * - Display data dari Controller
  * - Tidak mengandung business logic
  */
+/* global EnhancedTask, SavedView, CalendarService */
 class TaskView {
     constructor(taskController, userController) {
         this.taskController = taskController;
@@ -14,6 +15,7 @@ class TaskView {
         
         // DOM elements
         this.taskForm = null;
+        this.recurrenceSelect = null;
         this.taskList = null;
         this.taskStats = null;
         this.filterButtons = null;
@@ -24,6 +26,14 @@ class TaskView {
         this.currentFilter = 'all';
         this.currentSort = 'createdAt';
         this.currentSortOrder = 'desc';
+        this.selectedTaskIds = new Set(); // Task yang dicentang untuk bulk action
+        this.currentViewId = null; // Saved view yang sedang dipakai
+        this.currentGroupBy = null;
+        this.savedViews = [];
+        this.viewMode = 'list'; // 'list', 'board' (Kanban) atau 'calendar'
+        this.calendarMode = 'month'; // month, week atau agenda
+        this.calendarDate = new Date(); // Tanggal acuan kalender
+        this.calendarColorBy = 'priority'; // Warna task di kalender: priority atau category
         
         this._initializeElements();
         this._setupEventListeners();
@@ -34,10 +44,18 @@ class TaskView {
      */
     _initializeElements() {
         this.taskForm = document.getElementById('taskForm');
+        this.recurrenceSelect = document.getElementById('taskRecurrence');
         this.taskList = document.getElementById('taskList');
         this.taskStats = document.getElementById('taskStats');
         this.filterButtons = document.querySelectorAll('.filter-btn');
         this.searchInput = document.getElementById('searchInput');
+        this.trashSection = document.getElementById('trashSection');
+        this.trashList = document.getElementById('trashList');
+        this.bulkToolbar = document.getElementById('bulkToolbar');
+        this.savedViewSelect = document.getElementById('savedViewSelect');
+        this.groupBySelect = document.getElementById('groupBySelect');
+        this.pinnedViews = document.getElementById('pinnedViews');
+        this.calendarToolbar = document.getElementById('calendarToolbar');
         this.messagesContainer = document.getElementById('messages');
         
         // Create elements jika belum ada
@@ -53,6 +71,13 @@ class TaskView {
         // Task form submission
         if (this.taskForm) {
             this.taskForm.addEventListener('submit', (e) => this._handleTaskFormSubmit(e));
+            this.taskForm.addEventListener('reset', () => setTimeout(() => this._updateRecurrenceFields(), 0));
+        }
+        
+        // Recurrence editor: tampilkan opsi sesuai frekuensi
+        if (this.recurrenceSelect) {
+            this.recurrenceSelect.addEventListener('change', () => this._updateRecurrenceFields());
+            this._updateRecurrenceFields();
         }
         
         // Filter buttons
@@ -76,6 +101,102 @@ class TaskView {
         if (clearAllBtn) {
             clearAllBtn.addEventListener('click', () => this._handleClearAllTasks());
         }
+        
+        // Trash
+        const toggleTrashBtn = document.getElementById('toggleTrash');
+        if (toggleTrashBtn && this.trashSection) {
+            toggleTrashBtn.addEventListener('click', () => {
+                this.trashSection.hidden = !this.trashSection.hidden;
+                this.renderTrash();
+            });
+        }
+        if (this.trashList) {
+            this.trashList.addEventListener('click', (e) => this._handleTrashAction(e));
+        }
+        
+        // Saved views
+        if (this.savedViewSelect) {
+            this.savedViewSelect.addEventListener('change', (e) => this._applyView(e.target.value || null));
+            this.groupBySelect.addEventListener('change', (e) => {
+                this.currentGroupBy = e.target.value || null;
+                this._clearActiveView();
+                this.renderTasks();
+            });
+            this.pinnedViews.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-view-id]');
+                if (button) {
+                    this._applyView(button.dataset.viewId);
+                }
+            });
+            document.getElementById('saveViewBtn').addEventListener('click', () => this._handleSaveView());
+            document.getElementById('pinViewBtn').addEventListener('click', () => this._handlePinView());
+            document.getElementById('shareViewBtn').addEventListener('click', () => this._handleShareView());
+            document.getElementById('deleteViewBtn').addEventListener('click', () => this._handleDeleteView());
+        }
+        
+        // Bulk actions
+        if (this.bulkToolbar) {
+            this.bulkToolbar.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-bulk-action]');
+                if (button) {
+                    this._handleBulkAction(button.dataset.bulkAction);
+                }
+            });
+            document.getElementById('bulkStatus').addEventListener('change', (e) => {
+                if (e.target.value) {
+                    this._handleBulkAction('status', e.target.value);
+                    e.target.value = '';
+                }
+            });
+            document.getElementById('bulkAssignee').addEventListener('change', (e) => {
+                if (e.target.value) {
+                    this._handleBulkAction('assign', e.target.value);
+                    e.target.value = '';
+                }
+            });
+            document.getElementById('bulkSelectAll').addEventListener('change', (e) => {
+                this.taskList.querySelectorAll('.task-item').forEach(item => {
+                    this._setTaskSelected(item.dataset.taskId, e.target.checked);
+                });
+                this.renderTasks();
+            });
+        }
+        
+        // Mode tampilan (list, board Kanban, kalender) dengan drag & drop kartu/task
+        const viewModeSelect = document.getElementById('viewModeSelect');
+        if (viewModeSelect && this.taskList) {
+            viewModeSelect.addEventListener('change', (e) => {
+                this.viewMode = e.target.value;
+                this.renderTasks();
+            });
+            this._setupDragAndDropListeners();
+        }
+        
+        // Kalender: navigasi, tampilan, warna dan hari pertama minggu
+        if (this.calendarToolbar) {
+            this.calendarToolbar.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-calendar-nav]');
+                if (!button) return;
+                
+                const step = Number(button.dataset.calendarNav);
+                this.calendarDate = step === 0 ? new Date() : CalendarService.shift(this.calendarDate, this.calendarMode, step);
+                this.renderTasks();
+            });
+            document.getElementById('calendarModeSelect').addEventListener('change', (e) => {
+                this.calendarMode = e.target.value;
+                this.renderTasks();
+            });
+            document.getElementById('calendarColorSelect').addEventListener('change', (e) => {
+                this.calendarColorBy = e.target.value;
+                this.renderTasks();
+            });
+            document.getElementById('weekStartSelect').addEventListener('change', (e) => {
+                this._handleWeekStartChange(Number(e.target.value));
+            });
+        }
+        
+        // Undo (Ctrl+Z) dan redo (Ctrl+Shift+Z / Ctrl+Y)
+        document.addEventListener('keydown', (e) => this._handleUndoShortcut(e));
     }
     
     /**
@@ -84,12 +205,26 @@ class TaskView {
     renderTasks() {
         if (!this.taskList) return;
         
-        // Get tasks dari controller
-        const response = this.taskController.getTasks({
-            status: this.currentFilter === 'all' ? undefined : this.currentFilter,
-            sortBy: this.currentSort,
-            sortOrder: this.currentSortOrder
-        });
+        if (this.calendarToolbar) {
+            this.calendarToolbar.hidden = this.viewMode !== 'calendar';
+        }
+        if (this.viewMode === 'board') {
+            this._renderBoard();
+            return;
+        }
+        if (this.viewMode === 'calendar') {
+            this._renderCalendar();
+            return;
+        }
+        
+        // Get tasks dari controller (saved view menentukan filter, sort dan grouping sendiri)
+        const response = this.currentViewId
+            ? this.taskController.getTasks({ viewId: this.currentViewId })
+            : this.taskController.getTasks({
+                ...this._getCurrentFilters(),
+                sortBy: this.currentSort,
+                sortOrder: this.currentSortOrder
+            });
         
         if (!response.success) {
             this.showMessage(response.error, 'error');
@@ -98,19 +233,219 @@ class TaskView {
         
         const tasks = response.data;
         
+        // Pilihan bulk hanya untuk task yang masih tampil
+        const visibleIds = new Set(tasks.map(task => task.id));
+        this.selectedTaskIds.forEach(taskId => {
+            if (!visibleIds.has(taskId)) this.selectedTaskIds.delete(taskId);
+        });
+        this._renderBulkToolbar(tasks.length);
+        
         if (tasks.length === 0) {
             this.taskList.innerHTML = this._getEmptyStateHTML();
             return;
         }
         
-        // Render tasks
-        const tasksHTML = tasks.map(task => this._createTaskHTML(task)).join('');
-        this.taskList.innerHTML = tasksHTML;
+        const groupBy = response.view ? response.view.groupBy : this.currentGroupBy;
+        const groups = response.groups || (groupBy ? SavedView.groupTasks(tasks, groupBy) : null);
+        
+        this.taskList.innerHTML = groups
+            ? groups.map(group => `
+                <h3 class="task-group-title">${this._escapeHtml(this._getGroupLabel(groupBy, group.key))} (${group.tasks.length})</h3>
+                ${this._createTaskListHTML(group.tasks)}
+            `).join('')
+            : this._createTaskListHTML(tasks);
         
         // Setup task-specific event listeners
         this._setupTaskEventListeners();
     }
     
+    /**
+     * Render board Kanban: satu kolom per status, kartu urut sesuai urutan manual
+     */
+    _renderBoard() {
+        const response = this.taskController.getBoard(
+            this.currentViewId ? { viewId: this.currentViewId } : this._getCurrentFilters()
+        );
+        
+        if (!response.success) {
+            this.showMessage(response.error, 'error');
+            return;
+        }
+        
+        // Kartu board tidak punya checkbox bulk action
+        this.selectedTaskIds.clear();
+        this._renderBulkToolbar(0);
+        
+        this.taskList.innerHTML = `
+            <div class="kanban-board">
+                ${response.data.columns.map(column => this._createBoardColumnHTML(column)).join('')}
+            </div>
+        `;
+    }
+    
+    /**
+     * Drag & drop di board (pindah kolom/urutan) dan kalender (pindah hari)
+     */
+    _setupDragAndDropListeners() {
+        const dropTargetSelector = '.kanban-column, .calendar-day[data-date]';
+        
+        this.taskList.addEventListener('dragstart', (e) => {
+            const item = e.target.closest('[draggable="true"][data-task-id]');
+            if (!item) return;
+            
+            e.dataTransfer.setData('text/plain', item.dataset.taskId);
+            e.dataTransfer.effectAllowed = 'move';
+            item.classList.add('dragging');
+        });
+        
+        this.taskList.addEventListener('dragover', (e) => {
+            const target = e.target.closest(dropTargetSelector);
+            if (!target) return;
+            
+            // preventDefault menandakan elemen ini boleh jadi tujuan drop
+            e.preventDefault();
+            this._clearDropTargets(target);
+            target.classList.add('drop-target');
+        });
+        
+        this.taskList.addEventListener('dragend', () => this._clearDropTargets());
+        
+        this.taskList.addEventListener('drop', (e) => {
+            const target = e.target.closest(dropTargetSelector);
+            if (!target) return;
+            
+            e.preventDefault();
+            this._clearDropTargets();
+            const taskId = e.dataTransfer.getData('text/plain');
+            
+            if (target.dataset.date) {
+                this._handleCalendarDrop(taskId, target.dataset.date);
+            } else {
+                this._handleBoardDrop(taskId, target.dataset.status, this._getDropBeforeTaskId(target, e.clientY));
+            }
+        });
+        
+        this.taskList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-wip-status]');
+            if (button) {
+                this._handleWipLimit(button.dataset.wipStatus, button.dataset.wipLimit);
+            }
+        });
+    }
+    
+    _clearDropTargets(except = null) {
+        this.taskList.querySelectorAll('.drop-target, .dragging').forEach(element => {
+            if (element !== except) {
+                element.classList.remove('drop-target', 'dragging');
+            }
+        });
+    }
+    
+    /**
+     * Cari kartu yang akan berada tepat di bawah kartu yang di-drop
+     * @param {HTMLElement} column - Kolom tujuan
+     * @param {number} clientY - Posisi vertikal pointer saat drop
+     * @returns {string|null} - Task ID, null jika kartu ditaruh paling bawah
+     */
+    _getDropBeforeTaskId(column, clientY) {
+        const next = Array.from(column.querySelectorAll('.kanban-card')).find(card => {
+            const box = card.getBoundingClientRect();
+            return clientY < box.top + box.height / 2;
+        });
+        return next ? next.dataset.taskId : null;
+    }
+    
+    _handleBoardDrop(taskId, status, beforeTaskId) {
+        if (!taskId || taskId === beforeTaskId) return;
+        
+        const response = this.taskController.moveTaskOnBoard(taskId, status, beforeTaskId);
+        if (response.success) {
+            this.refresh();
+        } else {
+            this.showMessage(response.error, 'error');
+        }
+    }
+    
+    _handleWipLimit(status, currentLimit) {
+        const input = prompt(`Batas WIP kolom ${status} (kosongkan untuk tanpa batas):`, currentLimit || '');
+        if (input === null) return;
+        
+        const response = this.taskController.setBoardWipLimits({ [status]: input.trim() || null });
+        this.showMessage(response.success ? response.message : response.error, response.success ? 'success' : 'error');
+        this.renderTasks();
+    }
+    
+    /**
+     * Render kalender task berdasarkan due date (month, week atau agenda)
+     */
+    _renderCalendar() {
+        const response = this.taskController.getCalendar({
+            ...(this.currentViewId ? { viewId: this.currentViewId } : this._getCurrentFilters()),
+            mode: this.calendarMode,
+            date: CalendarService.getDateKey(this.calendarDate)
+        });
+        
+        if (!response.success) {
+            this.showMessage(response.error, 'error');
+            return;
+        }
+        
+        // Task di kalender tidak punya checkbox bulk action
+        this.selectedTaskIds.clear();
+        this._renderBulkToolbar(0);
+        
+        const calendar = response.data;
+        document.getElementById('calendarTitle').textContent = this._getCalendarTitle(calendar);
+        document.getElementById('weekStartSelect').value = String(calendar.weekStart);
+        
+        if (calendar.mode === 'agenda') {
+            this.taskList.innerHTML = this._createAgendaHTML(calendar);
+            return;
+        }
+        
+        const days = calendar.mode === 'month' ? calendar.weeks.flat() : calendar.days;
+        this.taskList.innerHTML = `
+            <div class="calendar-grid calendar-${calendar.mode}">
+                ${calendar.weekdays.map(weekday => `<div class="calendar-weekday">${this._getWeekdayName(weekday)}</div>`).join('')}
+                ${days.map(day => this._createCalendarDayHTML(day)).join('')}
+            </div>
+        `;
+    }
+    
+    _handleCalendarDrop(taskId, date) {
+        if (!taskId) return;
+        
+        const response = this.taskController.rescheduleTask(taskId, date);
+        if (response.success) {
+            this.showMessage(response.message, 'success');
+            this.refresh();
+        } else {
+            this.showMessage(response.error, 'error');
+        }
+    }
+    
+    _handleWeekStartChange(weekStart) {
+        const response = this.userController.updatePreferences({ weekStart });
+        if (!response.success) {
+            this.showMessage(response.error, 'error');
+        }
+        this.renderTasks();
+    }
+    
+    _getCalendarTitle(calendar) {
+        if (calendar.mode === 'month') {
+            return new Date(calendar.year, calendar.month - 1, 1).toLocaleDateString('id-ID', { month: 'long', year: 'numeric' });
+        }
+        
+        const from = CalendarService.parseDate(calendar.range.from).toLocaleDateString('id-ID');
+        const to = CalendarService.parseDate(calendar.range.to).toLocaleDateString('id-ID');
+        return `${from} - ${to}`;
+    }
+    
+    _getWeekdayName(weekday) {
+        return ['Minggu', 'Senin', 'Selasa', 'Rabu', 'Kamis', 'Jumat', 'Sabtu'][weekday];
+    }
+    
     /**
      * Render task statistics
      */
@@ -182,8 +517,10 @@ class TaskView {
      * Refresh all views
      */
     refresh() {
+        this.renderSavedViews();
         this.renderTasks();
         this.renderStats();
+        this.renderTrash();
     }
     
     /**
@@ -209,6 +546,12 @@ class TaskView {
             taskData.assigneeId = assigneeId;
         }
         
+        // Handle recurrence
+        const recurrence = this._getRecurrenceFromForm(formData, taskData.dueDate);
+        if (recurrence) {
+            taskData.recurrence = recurrence;
+        }
+        
         const response = this.taskController.createTask(taskData);
         
         if (response.success) {
@@ -220,6 +563,55 @@ class TaskView {
         }
     }
     
+    /**
+     * Build recurrence rule dari recurrence editor
+     * @param {FormData} formData - Data form
+     * @param {string|null} dueDate - Due date task (acuan hari/tanggal default)
+     * @returns {Object|null} - Data RecurrenceRule atau null jika tidak berulang
+     */
+    _getRecurrenceFromForm(formData, dueDate) {
+        const frequency = formData.get('recurrenceFrequency');
+        if (!frequency) {
+            return null;
+        }
+        
+        const referenceDate = dueDate ? new Date(dueDate) : new Date();
+        const rule = {
+            frequency,
+            interval: parseInt(formData.get('recurrenceInterval'), 10) || 1,
+            endDate: formData.get('recurrenceEndDate') || null,
+            count: parseInt(formData.get('recurrenceCount'), 10) || null
+        };
+        
+        if (frequency === 'weekly') {
+            const weekdays = formData.getAll('recurrenceWeekdays').map(Number);
+            rule.weekdays = weekdays.length > 0 ? weekdays : [referenceDate.getDay()];
+        }
+        
+        if (frequency === 'monthly') {
+            if (formData.get('recurrenceMonthlyMode') === 'weekOfMonth') {
+                rule.weekOfMonth = Number(formData.get('recurrenceWeekOfMonth'));
+                rule.weekday = Number(formData.get('recurrenceWeekday'));
+            } else {
+                rule.dayOfMonth = referenceDate.getDate();
+            }
+        }
+        
+        return rule;
+    }
+    
+    /**
+     * Tampilkan hanya opsi recurrence yang relevan dengan frekuensi terpilih
+     */
+    _updateRecurrenceFields() {
+        const frequency = this.recurrenceSelect.value;
+        
+        document.querySelectorAll('.recurrence-option').forEach(element => {
+            const forFrequency = element.dataset.frequency;
+            element.hidden = !frequency || (forFrequency && forFrequency !== frequency);
+        });
+    }
+    
     /**
      * Handle filter change
      */
@@ -231,6 +623,7 @@ class TaskView {
         event.target.classList.add('active');
         
         this.currentFilter = filterType;
+        this._clearActiveView();
         this.renderTasks();
     }
     
@@ -253,7 +646,7 @@ class TaskView {
             if (tasks.length === 0) {
                 this.taskList.innerHTML = `
                     <div class="empty-state">
-                        <p>Tidak ada task yang ditemukan untuk "${query}"</p>
+                        <p>Tidak ada task yang ditemukan untuk "${this._escapeHtml(query)}"</p>
                         <small>Coba kata kunci yang berbeda</small>
                     </div>
                 `;
@@ -262,6 +655,217 @@ class TaskView {
                 this.taskList.innerHTML = tasksHTML;
                 this._setupTaskEventListeners();
             }
+        } else {
+            // Query yang belum selesai diketik tidak perlu memunculkan notifikasi
+            this.taskList.innerHTML = `
+                <div class="empty-state">
+                    <p>${this._escapeHtml(response.error)}</p>
+                    <small>Contoh: status:in-progress priority>=high tag:meeting due&lt;2026-11-01 -tag:personal "quarterly report"</small>
+                </div>
+            `;
+        }
+    }
+    
+    /**
+     * Render daftar saved view (select + view yang di-pin)
+     */
+    renderSavedViews() {
+        if (!this.savedViewSelect) return;
+        
+        const response = this.taskController.getSavedViews();
+        if (!response.success) return;
+        
+        this.savedViews = response.data;
+        
+        // View yang sudah dihapus owner-nya tidak bisa dipakai lagi
+        if (this.currentViewId && !this._getActiveView()) {
+            this.currentViewId = null;
+        }
+        
+        this.savedViewSelect.innerHTML = '<option value="">Semua task</option>' + this.savedViews.map(view => `
+            <option value="${view.id}" ${view.id === this.currentViewId ? 'selected' : ''}>
+                ${this._escapeHtml(view.name)}${view.isOwner ? '' : ` (dari ${this._escapeHtml(this._getUserDisplayName(view.ownerId))})`}
+            </option>
+        `).join('');
+        
+        const pinned = this.savedViews.filter(view => view.pinned);
+        this.pinnedViews.innerHTML = pinned.length > 0
+            ? pinned.map(view => `
+                <button class="btn btn-outline pinned-view ${view.id === this.currentViewId ? 'active' : ''}" data-view-id="${view.id}">
+                    📌 ${this._escapeHtml(view.name)}
+                </button>
+            `).join('')
+            : '<small>Belum ada view yang di-pin</small>';
+        
+        const active = this._getActiveView();
+        const pinButton = document.getElementById('pinViewBtn');
+        pinButton.disabled = !active;
+        pinButton.textContent = active && active.pinned ? 'Unpin' : '📌 Pin';
+        document.getElementById('shareViewBtn').disabled = !active || !active.isOwner;
+        document.getElementById('deleteViewBtn').disabled = !active || !active.isOwner;
+        this.groupBySelect.value = active ? active.groupBy || '' : this.currentGroupBy || '';
+    }
+    
+    _getActiveView() {
+        return this.savedViews.find(view => view.id === this.currentViewId) || null;
+    }
+    
+    _applyView(viewId) {
+        this.currentViewId = viewId;
+        this.renderSavedViews();
+        this.renderTasks();
+    }
+    
+    _clearActiveView() {
+        if (this.currentViewId) {
+            this.currentViewId = null;
+            this.renderSavedViews();
+        }
+    }
+    
+    /**
+     * Filter dari tombol filter (status, prioritas atau kategori)
+     * @returns {Object} - Filter untuk TaskController.getTasks
+     */
+    _getCurrentFilters() {
+        const filter = this.currentFilter;
+        
+        if (filter === 'all') return {};
+        if (['low', 'medium', 'high', 'urgent'].includes(filter)) return { priority: filter };
+        if (EnhancedTask.getAvailableCategories().includes(filter)) return { category: filter };
+        return { status: filter };
+    }
+    
+    _getGroupLabel(groupBy, key) {
+        if (key === 'none') return 'Tidak ada';
+        if (groupBy === 'assigneeId') return this._getUserDisplayName(key);
+        return key;
+    }
+    
+    /**
+     * Simpan filter, sort dan grouping yang sedang tampil sebagai view baru
+     */
+    _handleSaveView() {
+        const name = prompt('Nama view:');
+        if (!name || !name.trim()) return;
+        
+        const active = this._getActiveView();
+        let viewData;
+        
+        if (active) {
+            // Simpan salinan view yang sedang dipakai (mis. view dari teammate)
+            viewData = { name, filters: active.filters, sortBy: active.sortBy, sortOrder: active.sortOrder, groupBy: active.groupBy };
+        } else {
+            const filters = this._getCurrentFilters();
+            const query = this.searchInput ? this.searchInput.value.trim() : '';
+            if (query) {
+                filters.query = query;
+            }
+            viewData = { name, filters, sortBy: this.currentSort, sortOrder: this.currentSortOrder, groupBy: this.currentGroupBy };
+        }
+        
+        const response = this.taskController.saveView(viewData);
+        if (response.success) {
+            this.showMessage(response.message, 'success');
+            this._applyView(response.data.id);
+        } else {
+            this.showMessage(response.error, 'error');
+        }
+    }
+    
+    _handlePinView() {
+        const active = this._getActiveView();
+        if (!active) return;
+        
+        const response = this.taskController.pinView(active.id, !active.pinned);
+        this.showMessage(response.success ? response.message : response.error, response.success ? 'success' : 'error');
+        this.renderSavedViews();
+    }
+    
+    _handleShareView() {
+        const active = this._getActiveView();
+        if (!active) return;
+        
+        const current = active.sharedWith.map(userId => {
+            const userResponse = this.userController.getUserById(userId);
+            return userResponse.success ? userResponse.data.username : userId;
+        });
+        const input = prompt('Bagikan ke username (pisahkan dengan koma, kosongkan untuk berhenti berbagi):', current.join(', '));
+        if (input === null) return;
+        
+        const sharedWith = input.split(',').map(name => name.trim()).filter(Boolean);
+        const response = this.taskController.updateView(active.id, { sharedWith });
+        this.showMessage(response.success ? response.message : response.error, response.success ? 'success' : 'error');
+        this.renderSavedViews();
+    }
+    
+    _handleDeleteView() {
+        const active = this._getActiveView();
+        if (!active || !confirm(`Hapus view "${active.name}"?`)) return;
+        
+        const response = this.taskController.deleteView(active.id);
+        if (response.success) {
+            this.showMessage(response.message, 'success');
+            this.currentViewId = null;
+            this.refresh();
+        } else {
+            this.showMessage(response.error, 'error');
+        }
+    }
+    
+    /**
+     * Render daftar task di trash (hanya jika panel trash terbuka)
+     */
+    renderTrash() {
+        if (!this.trashList || !this.trashSection || this.trashSection.hidden) return;
+        
+        const response = this.taskController.getTrash();
+        if (!response.success) {
+            this.showMessage(response.error, 'error');
+            return;
+        }
+        
+        if (response.data.length === 0) {
+            this.trashList.innerHTML = '<p class="trash-empty">Trash kosong</p>';
+            return;
+        }
+        
+        this.trashList.innerHTML = response.data.map(task => `
+            <div class="trash-item" data-task-id="${task.id}">
+                <div>
+                    <strong>${this._escapeHtml(task.title)}</strong>
+                    <small>Dihapus oleh ${this._escapeHtml(this._getUserDisplayName(task.deletedBy))}
+                        pada ${task.deletedAt.toLocaleString('id-ID')}</small>
+                </div>
+                <div class="trash-actions">
+                    <button class="btn btn-outline" data-trash-action="restore">Restore</button>
+                    <button class="btn btn-danger" data-trash-action="purge">Hapus permanen</button>
+                </div>
+            </div>
+        `).join('');
+    }
+    
+    /**
+     * Handle restore / hapus permanen dari trash
+     */
+    _handleTrashAction(event) {
+        const button = event.target.closest('[data-trash-action]');
+        if (!button) return;
+        
+        const taskId = button.closest('.trash-item').dataset.taskId;
+        const action = button.dataset.trashAction;
+        
+        if (action === 'purge' && !confirm('Hapus task ini secara permanen?')) {
+            return;
+        }
+        
+        const response = action === 'restore'
+            ? this.taskController.restoreTask(taskId)
+            : this.taskController.purgeTask(taskId);
+        
+        if (response.success) {
+            this.showMessage(response.message, 'success');
+            this.refresh();
         } else {
             this.showMessage(response.error, 'error');
         }
@@ -274,6 +878,7 @@ class TaskView {
         const [sortBy, sortOrder] = event.target.value.split('-');
         this.currentSort = sortBy;
         this.currentSortOrder = sortOrder;
+        this._clearActiveView();
         this.renderTasks();
     }
     
@@ -281,10 +886,132 @@ class TaskView {
      * Handle clear all tasks
      */
     _handleClearAllTasks() {
-        if (confirm('Apakah Anda yakin ingin menghapus semua task?')) {
-            // Implementasi clear all tasks
-            // Untuk sekarang, kita refresh saja
+        if (confirm('Apakah Anda yakin ingin menghapus semua task milik Anda?')) {
+            const response = this.taskController.clearAllTasks();
+            
+            if (response.success) {
+                this.showMessage(`${response.message}. Tekan Ctrl+Z untuk membatalkan`, 'success');
+                this.refresh();
+            } else {
+                this.showMessage(response.error, 'error');
+            }
+        }
+    }
+    
+    /**
+     * Tampilkan toolbar bulk action sesuai jumlah task yang dipilih
+     * @param {number} visibleCount - Jumlah task yang tampil
+     */
+    _renderBulkToolbar(visibleCount) {
+        if (!this.bulkToolbar) return;
+        
+        const selectedCount = this.selectedTaskIds.size;
+        this.bulkToolbar.hidden = selectedCount === 0;
+        document.getElementById('bulkSelectedCount').textContent = `${selectedCount} dipilih`;
+        document.getElementById('bulkSelectAll').checked = selectedCount > 0 && selectedCount === visibleCount;
+        
+        // Daftar user untuk assign cukup diisi sekali
+        const assigneeSelect = document.getElementById('bulkAssignee');
+        if (selectedCount > 0 && assigneeSelect.options.length <= 1) {
+            const usersResponse = this.userController.getAllUsers();
+            if (usersResponse.success) {
+                assigneeSelect.innerHTML += usersResponse.data.map(user => `
+                    <option value="${user.id}">${this._escapeHtml(user.fullName || user.username)}</option>
+                `).join('');
+            }
+        }
+    }
+    
+    _setTaskSelected(taskId, selected) {
+        if (selected) {
+            this.selectedTaskIds.add(taskId);
+        } else {
+            this.selectedTaskIds.delete(taskId);
+        }
+    }
+    
+    /**
+     * Jalankan bulk action untuk task yang dipilih
+     * @param {string} action - status | assign | addTag | removeTag | delete | clear
+     * @param {string} value - Status / assignee ID untuk action status dan assign
+     */
+    _handleBulkAction(action, value) {
+        if (action === 'clear') {
+            this.selectedTaskIds.clear();
+            this.renderTasks();
+            return;
+        }
+        
+        const selection = { ids: Array.from(this.selectedTaskIds) };
+        const tagInput = document.getElementById('bulkTag');
+        const tag = tagInput.value.trim();
+        let response;
+        
+        if (action === 'status') {
+            response = this.taskController.bulkUpdateStatus(selection, value);
+        } else if (action === 'assign') {
+            response = this.taskController.bulkAssignTasks(selection, value);
+        } else if (action === 'addTag' || action === 'removeTag') {
+            if (!tag) {
+                this.showMessage('Isi tag terlebih dahulu', 'error');
+                return;
+            }
+            response = this.taskController.bulkTagTasks(selection, action === 'addTag' ? { add: [tag] } : { remove: [tag] });
+            tagInput.value = '';
+        } else if (action === 'delete') {
+            if (!confirm(`Hapus ${selection.ids.length} task yang dipilih?`)) {
+                return;
+            }
+            response = this.taskController.bulkDeleteTasks(selection);
+        } else {
+            return;
+        }
+        
+        if (!response.success) {
+            this.showMessage(response.error, 'error');
+            return;
+        }
+        
+        // Task yang gagal tetap dipilih supaya bisa dicoba lagi
+        response.data.results
+            .filter(result => result.success)
+            .forEach(result => this.selectedTaskIds.delete(result.id));
+        
+        const failures = response.data.results.filter(result => !result.success);
+        if (failures.length > 0) {
+            const reasons = Array.from(new Set(failures.map(result => result.error))).join('; ');
+            this.showMessage(`${response.message}. Gagal: ${reasons}`, 'warning');
+        } else {
+            this.showMessage(`${response.message}. Tekan Ctrl+Z untuk membatalkan`, 'success');
+        }
+        this.refresh();
+    }
+    
+    /**
+     * Handle shortcut undo/redo
+     */
+    _handleUndoShortcut(event) {
+        if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+        
+        // Di dalam input biarkan undo bawaan browser untuk teks
+        const target = event.target;
+        if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+            return;
+        }
+        
+        const key = event.key.toLowerCase();
+        const isRedo = (key === 'z' && event.shiftKey) || (key === 'y' && !event.shiftKey);
+        const isUndo = key === 'z' && !event.shiftKey;
+        if (!isUndo && !isRedo) return;
+        
+        event.preventDefault();
+        const response = isRedo ? this.taskController.redo() : this.taskController.undo();
+        
+        if (response.success) {
+            this.showMessage(response.message, 'success');
             this.refresh();
+        } else {
+            this.showMessage(response.error, 'info');
         }
     }
     
@@ -292,6 +1019,16 @@ class TaskView {
      * Setup task-specific event listeners
      */
     _setupTaskEventListeners() {
+        // Pilih task untuk bulk action
+        document.querySelectorAll('.task-select').forEach(checkbox => {
+            checkbox.addEventListener('change', (e) => {
+                const taskId = e.target.closest('.task-item').dataset.taskId;
+                this._setTaskSelected(taskId, e.target.checked);
+                e.target.closest('.task-item').classList.toggle('selected', e.target.checked);
+                this._renderBulkToolbar(this.taskList.querySelectorAll('.task-item').length);
+            });
+        });
+        
         // Toggle task status
         document.querySelectorAll('.btn-toggle').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -308,6 +1045,49 @@ class TaskView {
             });
         });
         
+        // Checklist item
+        document.querySelectorAll('.checklist-toggle').forEach(checkbox => {
+            checkbox.addEventListener('change', (e) => {
+                const taskId = e.target.closest('.task-item').dataset.taskId;
+                const itemId = e.target.closest('.checklist-item').dataset.itemId;
+                this._handleTaskUpdate(taskId, { toggleChecklistItem: itemId });
+            });
+        });
+        
+        // History panel
+        document.querySelectorAll('.btn-history').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this._handleToggleHistory(e.target.closest('.task-item'));
+            });
+        });
+        
+        // Timer: data-timer-action = start | pause | stop
+        document.querySelectorAll('.btn-timer').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const button = e.target.closest('.btn-timer');
+                const taskId = button.closest('.task-item').dataset.taskId;
+                this._handleTimer(taskId, button.dataset.timerAction);
+            });
+        });
+        
+        document.querySelectorAll('.btn-add-checklist').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const taskId = e.target.closest('.task-item').dataset.taskId;
+                const text = prompt('Checklist item baru:');
+                if (text && text.trim()) {
+                    this._handleTaskUpdate(taskId, { addChecklistItem: text });
+                }
+            });
+        });
+        
+        // Subtask
+        document.querySelectorAll('.btn-add-subtask').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const taskId = e.target.closest('.task-item').dataset.taskId;
+                this._handleAddSubtask(taskId);
+            });
+        });
+        
         // Edit task (jika ada)
         document.querySelectorAll('.btn-edit').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -331,6 +1111,88 @@ class TaskView {
         }
     }
     
+    /**
+     * Handle update sebagian field task (checklist, dsb.)
+     */
+    _handleTaskUpdate(taskId, updates) {
+        const response = this.taskController.updateTask(taskId, updates);
+        
+        if (response.success) {
+            this.refresh();
+        } else {
+            this.showMessage(response.error, 'error');
+        }
+    }
+    
+    /**
+     * Handle buka/tutup panel history task
+     */
+    _handleToggleHistory(taskElement) {
+        const panel = taskElement.querySelector(':scope > .task-content > .task-history');
+        
+        if (!panel.hidden) {
+            panel.hidden = true;
+            return;
+        }
+        
+        const response = this.taskController.getTaskHistory(taskElement.dataset.taskId);
+        if (!response.success) {
+            this.showMessage(response.error, 'error');
+            return;
+        }
+        
+        panel.innerHTML = this._createHistoryHTML(response.data);
+        panel.hidden = false;
+    }
+    
+    /**
+     * Handle start/pause/stop timer
+     */
+    _handleTimer(taskId, action) {
+        const handlers = {
+            start: () => this.taskController.startTimer(taskId),
+            pause: () => this.taskController.pauseTimer(taskId),
+            stop: () => this.taskController.stopTimer(taskId)
+        };
+        const response = handlers[action]();
+        
+        if (response.success) {
+            this.showMessage(response.message, 'success');
+            this.refresh();
+        } else {
+            this.showMessage(response.error, 'error');
+        }
+    }
+    
+    /**
+     * Handle tambah subtask
+     */
+    _handleAddSubtask(parentId) {
+        const parentResponse = this.taskController.getTask(parentId);
+        if (!parentResponse.success) {
+            this.showMessage(parentResponse.error, 'error');
+            return;
+        }
+        
+        const title = prompt(`Subtask baru untuk "${parentResponse.data.title}":`);
+        if (!title || !title.trim()) {
+            return;
+        }
+        
+        const response = this.taskController.createTask({
+            title: title.trim(),
+            parentId,
+            category: parentResponse.data.category
+        });
+        
+        if (response.success) {
+            this.showMessage(response.message, 'success');
+            this.refresh();
+        } else {
+            this.showMessage(response.error, 'error');
+        }
+    }
+    
     /**
      * Handle task delete
      */
@@ -348,7 +1210,7 @@ class TaskView {
             const response = this.taskController.deleteTask(taskId);
             
             if (response.success) {
-                this.showMessage(response.message, 'success');
+                this.showMessage(`${response.message}. Tekan Ctrl+Z untuk membatalkan`, 'success');
                 this.refresh();
             } else {
                 this.showMessage(response.error, 'error');
@@ -365,10 +1227,174 @@ class TaskView {
         alert('Edit task feature akan diimplementasikan nanti');
     }
     
+    /**
+     * Create HTML for task beserta subtask-nya (rekursif)
+     */
+    _createTaskListHTML(tasks) {
+        // Subtask tampil di bawah parent-nya (jika parent ikut tampil)
+        const visibleIds = new Set(tasks.map(task => task.id));
+        return tasks
+            .filter(task => !task.parentId || !visibleIds.has(task.parentId))
+            .map(task => this._createTaskTreeHTML(task, tasks))
+            .join('');
+    }
+    
+    _createTaskTreeHTML(task, tasks) {
+        const subtasksHTML = tasks
+            .filter(candidate => candidate.parentId === task.id)
+            .map(child => this._createTaskTreeHTML(child, tasks))
+            .join('');
+        
+        return this._createTaskHTML(task, subtasksHTML);
+    }
+    
+    /**
+     * Create HTML isi panel history (entry terbaru dulu)
+     */
+    _createHistoryHTML(history) {
+        if (history.length === 0) {
+            return '<p class="history-empty">Belum ada perubahan</p>';
+        }
+        
+        const fieldLabels = {
+            title: 'Judul',
+            description: 'Deskripsi',
+            category: 'Kategori',
+            tags: 'Tag',
+            priority: 'Prioritas',
+            status: 'Status',
+            dueDate: 'Due date',
+            assigneeId: 'Assignee',
+            estimatedHours: 'Estimasi',
+            actualHours: 'Jam tercatat',
+            parentId: 'Parent',
+            dependsOn: 'Dependency',
+            recurrence: 'Pengulangan',
+            checklist: 'Checklist'
+        };
+        
+        return `
+            <h4>History</h4>
+            <ul class="history-list">
+                ${history.map(entry => `
+                    <li class="history-entry">
+                        <small>${new Date(entry.changedAt).toLocaleString('id-ID')} · ${this._escapeHtml(this._getUserDisplayName(entry.actorId))}</small>
+                        <div>
+                            <strong>${fieldLabels[entry.field] || this._escapeHtml(entry.field)}</strong>:
+                            ${this._escapeHtml(this._formatHistoryValue(entry.field, entry.oldValue))}
+                            → ${this._escapeHtml(this._formatHistoryValue(entry.field, entry.newValue))}
+                        </div>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+    
+    /**
+     * Format nilai history (format toJSON) untuk ditampilkan
+     */
+    _formatHistoryValue(field, value) {
+        if (value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+            return '—';
+        }
+        
+        if (field === 'dueDate') {
+            return new Date(value).toLocaleString('id-ID');
+        }
+        if (field === 'assigneeId') {
+            return this._getUserDisplayName(value);
+        }
+        if (field === 'parentId' || field === 'dependsOn') {
+            return [].concat(value).map(taskId => {
+                const response = this.taskController.getTask(taskId);
+                return response.success ? response.data.title : taskId;
+            }).join(', ');
+        }
+        if (field === 'checklist') {
+            return `${value.filter(item => item.done).length}/${value.length} selesai`;
+        }
+        if (field === 'recurrence') {
+            return `${value.frequency}, interval ${value.interval}`;
+        }
+        if (field === 'actualHours' || field === 'estimatedHours') {
+            return `${Math.round(value * 100) / 100}h`;
+        }
+        if (Array.isArray(value)) {
+            return value.join(', ');
+        }
+        return String(value);
+    }
+    
+    /**
+     * Nama user untuk ditampilkan (null = perubahan otomatis oleh sistem)
+     */
+    _getUserDisplayName(userId) {
+        if (!userId) return 'Sistem';
+        
+        const response = this.userController.getUserById(userId);
+        return response.success ? response.data.fullName || response.data.username : userId;
+    }
+    
+    /**
+     * Create HTML tombol timer sesuai status timer current user
+     */
+    _createTimerButtonsHTML(task) {
+        const currentUser = this.taskController.currentUser;
+        if (!currentUser) return '';
+        
+        const state = task.getTimerState(currentUser.id);
+        const buttons = [];
+        
+        if (state === 'running') {
+            buttons.push('<button class="btn btn-timer timer-running" data-timer-action="pause" title="Pause timer">⏸️</button>');
+        } else {
+            buttons.push(`<button class="btn btn-timer" data-timer-action="start" title="${state === 'paused' ? 'Lanjutkan timer' : 'Mulai timer'}">▶️</button>`);
+        }
+        if (state !== 'idle') {
+            buttons.push('<button class="btn btn-timer" data-timer-action="stop" title="Stop timer">⏹️</button>');
+        }
+        
+        return buttons.join('');
+    }
+    
+    /**
+     * Create HTML untuk daftar task yang masih ditunggu (dependency belum selesai)
+     */
+    _createWaitingHTML(task) {
+        if (!task.isBlockedByDependencies) return '';
+        
+        const waitingFor = task.dependsOn
+            .map(id => this.taskController.getTask(id))
+            .filter(response => response.success && !response.data.isFinished)
+            .map(response => this._escapeHtml(response.data.title));
+        
+        return `<small class="task-waiting">⛔ Menunggu: ${waitingFor.join(', ') || 'task lain'}</small>`;
+    }
+    
+    /**
+     * Create HTML for checklist item di dalam task
+     */
+    _createChecklistHTML(task) {
+        if (task.checklist.length === 0) return '';
+        
+        return `
+            <ul class="task-checklist">
+                ${task.checklist.map(item => `
+                    <li class="checklist-item ${item.done ? 'done' : ''}" data-item-id="${item.id}">
+                        <label>
+                            <input type="checkbox" class="checklist-toggle" ${item.done ? 'checked' : ''}>
+                            ${this._escapeHtml(item.text)}
+                        </label>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+    
     /**
      * Create HTML for single task
      */
-    _createTaskHTML(task) {
+    _createTaskHTML(task, subtasksHTML = '') {
         const priorityClass = `priority-${task.priority}`;
         const statusClass = `status-${task.status}`;
         const overdueClass = task.isOverdue ? 'overdue' : '';
@@ -386,10 +1412,13 @@ class TaskView {
             }
         }
         
+        const selected = this.selectedTaskIds.has(task.id);
+        
         return `
-            <div class="task-item ${priorityClass} ${statusClass} ${overdueClass}" data-task-id="${task.id}">
+            <div class="task-item ${priorityClass} ${statusClass} ${overdueClass} ${selected ? 'selected' : ''}" data-task-id="${task.id}">
                 <div class="task-content">
                     <div class="task-header">
+                        <input type="checkbox" class="task-select" title="Pilih untuk bulk action" ${selected ? 'checked' : ''}>
                         <h3 class="task-title">${this._escapeHtml(task.title)}</h3>
                         <div class="task-badges">
                             <span class="task-priority badge-${task.priority}">${task.priority}</span>
@@ -411,13 +1440,39 @@ class TaskView {
                         ${dueDate ? `<small class="${task.isOverdue ? 'overdue-text' : ''}">Due: ${dueDate}</small>` : ''}
                         ${task.assigneeId !== task.ownerId ? `<small>Assigned to: ${assigneeName}</small>` : ''}
                         ${task.estimatedHours > 0 ? `<small>Estimasi: ${task.estimatedHours}h</small>` : ''}
+                        ${task.isRecurring ? `<small class="task-recurrence">🔁 ${this._escapeHtml(task.recurrence.describe())}</small>` : ''}
+                        ${this._createWaitingHTML(task)}
+                        ${task.actualHours > 0 ? `<small>Tercatat: ${task.actualHours.toFixed(1)}h</small>` : ''}
                     </div>
+                    
+                    ${task.hasSubtasks || task.checklist.length > 0 ? `
+                        <div class="task-progress" title="Progress">
+                            <div class="task-progress-bar" style="width: ${Math.round(task.progressPercentage)}%"></div>
+                            <small>${Math.round(task.progressPercentage)}%</small>
+                        </div>
+                    ` : ''}
+                    
+                    ${this._createChecklistHTML(task)}
+                    
+                    <div class="task-history" hidden></div>
+                    
+                    ${subtasksHTML ? `<div class="subtask-list">${subtasksHTML}</div>` : ''}
                 </div>
                 
                 <div class="task-actions">
                     <button class="btn btn-toggle" title="${task.isCompleted ? 'Mark incomplete' : 'Mark complete'}">
                         ${task.isCompleted ? '↶' : '✓'}
                     </button>
+                    <button class="btn btn-add-subtask" title="Tambah subtask">
+                        ➕
+                    </button>
+                    ${this._createTimerButtonsHTML(task)}
+                    <button class="btn btn-add-checklist" title="Tambah checklist item">
+                        ☑️
+                    </button>
+                    <button class="btn btn-history" title="History">
+                        🕘
+                    </button>
                     <button class="btn btn-edit" title="Edit task">
                         ✏️
                     </button>
@@ -432,6 +1487,87 @@ class TaskView {
     /**
      * Get empty state HTML
      */
+    _createBoardColumnHTML(column) {
+        const countLabel = column.wipLimit ? `${column.count} / ${column.wipLimit}` : `${column.count}`;
+        
+        return `
+            <div class="kanban-column ${column.overLimit ? 'over-limit' : ''}" data-status="${column.status}">
+                <div class="kanban-column-header">
+                    <h3>${column.status}</h3>
+                    <span class="kanban-count">${countLabel}</span>
+                    <button class="btn btn-outline kanban-wip-btn" data-wip-status="${column.status}" data-wip-limit="${column.wipLimit || ''}" title="Atur batas WIP">WIP</button>
+                </div>
+                ${column.overLimit ? `<div class="kanban-warning">⚠️ Melebihi batas WIP (${column.wipLimit})</div>` : ''}
+                <div class="kanban-cards">
+                    ${column.tasks.map(task => this._createBoardCardHTML(task)).join('')}
+                </div>
+            </div>
+        `;
+    }
+    
+    _createBoardCardHTML(task) {
+        const dueDate = task.dueDate ? new Date(task.dueDate).toLocaleDateString('id-ID') : null;
+        
+        return `
+            <div class="kanban-card priority-${task.priority} ${task.isOverdue ? 'overdue' : ''}" draggable="true" data-task-id="${task.id}">
+                <div class="kanban-card-title">${this._escapeHtml(task.title)}</div>
+                <small>
+                    <span class="task-priority badge-${task.priority}">${task.priority}</span>
+                    ${this._escapeHtml(this._getUserDisplayName(task.assigneeId))}
+                    ${dueDate ? ` · 📅 ${dueDate}` : ''}
+                </small>
+            </div>
+        `;
+    }
+    
+    _createCalendarDayHTML(day) {
+        const classes = ['calendar-day', day.inMonth === false ? 'outside-month' : '', day.isToday ? 'today' : ''];
+        
+        return `
+            <div class="${classes.join(' ')}" data-date="${day.date}">
+                <div class="calendar-day-number">${Number(day.date.slice(8))}</div>
+                ${day.tasks.map(task => this._createCalendarTaskHTML(task)).join('')}
+            </div>
+        `;
+    }
+    
+    _createAgendaHTML(calendar) {
+        if (calendar.days.length === 0 && calendar.overdue.length === 0) {
+            return '<div class="calendar-agenda"><p class="trash-empty">Tidak ada task dengan due date di rentang ini</p></div>';
+        }
+        
+        const overdueHTML = calendar.overdue.length > 0 ? `
+            <div class="agenda-day agenda-overdue">
+                <h4>⚠️ Overdue</h4>
+                ${calendar.overdue.map(task => this._createCalendarTaskHTML(task, true)).join('')}
+            </div>
+        ` : '';
+        
+        return `
+            <div class="calendar-agenda">
+                ${overdueHTML}
+                ${calendar.days.map(day => `
+                    <div class="calendar-day agenda-day ${day.isToday ? 'today' : ''}" data-date="${day.date}">
+                        <h4>${this._getWeekdayName(day.weekday)}, ${CalendarService.parseDate(day.date).toLocaleDateString('id-ID')}</h4>
+                        ${day.tasks.map(task => this._createCalendarTaskHTML(task, true)).join('')}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+    
+    _createCalendarTaskHTML(task, showTime = false) {
+        const color = this.calendarColorBy === 'category' ? `category-${task.category}` : `priority-${task.priority}`;
+        const dueTime = new Date(task.dueDate).toLocaleTimeString('id-ID', { hour: '2-digit', minute: '2-digit' });
+        const classes = ['calendar-task', `color-${color}`, task.isOverdue ? 'overdue' : '', task.isFinished ? 'finished' : ''];
+        
+        return `
+            <div class="${classes.join(' ')}" draggable="true" data-task-id="${task.id}" title="${this._escapeHtml(task.title).replace(/"/g, '&quot;')} (${dueTime})">
+                ${showTime ? `<small>${dueTime}</small> ` : ''}${this._escapeHtml(task.title)}
+            </div>
+        `;
+    }
+    
     _getEmptyStateHTML() {
         return `
             <div class="empty-state">
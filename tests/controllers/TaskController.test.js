@@ -1,5 +1,18 @@
 const TestDataFactory = require('../helpers/TestDataFactory');
 const TestAssertions = require('../helpers/TestAssertions');
+
+// Model dimuat sebagai global, sama seperti <script> di index.html
+global.User = require('../../src/models/User');
+global.EnhancedTask = require('../../src/models/EnhancedTask');
+global.PermissionService = require('../../src/services/PermissionService');
+global.TaskQuery = require('../../src/utils/TaskQuery');
+global.SavedView = require('../../src/models/SavedView');
+global.CalendarService = require('../../src/services/CalendarService');
+global.ICalendarFormat = require('../../src/utils/ICalendarFormat');
+global.CsvFormat = require('../../src/utils/CsvFormat');
+global.TaskCsvService = require('../../src/services/TaskCsvService');
+global.ExternalImportService = require('../../src/services/ExternalImportService');
+
 const TaskController = require('../../src/controllers/TaskController');
 const TaskRepository = require('../../src/repositories/TaskRepository');
 const UserRepository = require('../../src/repositories/UserRepository');
@@ -241,6 +254,36 @@ describe('TaskController', () => {
             expect(response.query).toBe('Task 1');
         });
         
+        test('should search with query language and report invalid queries', () => {
+            const otherUser = userRepository.create(TestDataFactory.createValidUserData({
+                username: 'john',
+                email: 'john@example.com'
+            }));
+            const assigned = taskController.createTask(TestDataFactory.createValidTaskData({
+                title: 'Quarterly report',
+                assigneeId: otherUser.id
+            })).data;
+            
+            const response = taskController.searchTasks('assignee:john OR priority>=high');
+            expect(response.data.map(task => task.title).sort()).toEqual([assigned.title, 'Task 3']);
+            
+            const invalid = taskController.searchTasks('priority>=critical');
+            TestAssertions.assertControllerResponse(invalid, false);
+            expect(invalid.error).toContain('nilai "critical" tidak valid untuk "priority"');
+            
+            const bulk = taskController.bulkUpdateStatus({ filter: { query: 'assignee:me' } }, 'completed');
+            expect(bulk.data.succeeded).toBe(3);
+        });
+        
+        test('should search text with a colon that is not a query field', () => {
+            taskController.createTask(TestDataFactory.createValidTaskData({ title: 'Re: jadwal rapat' }));
+            
+            const response = taskController.searchTasks('re: jadwal');
+            
+            TestAssertions.assertControllerResponse(response, true);
+            expect(response.data.map(task => task.title)).toEqual(['Re: jadwal rapat']);
+        });
+        
         test('should fail search with empty query', () => {
             // Act
             const response = taskController.searchTasks('');
@@ -312,4 +355,601 @@ describe('TaskController', () => {
             expect(response.error).toBe('Hanya owner yang bisa menghapus task');
         });
     });
-});
\ No newline at end of file
+    
+    describe('Undo and Redo', () => {
+        test('should undo and redo task creation', () => {
+            const created = taskController.createTask(TestDataFactory.createValidTaskData());
+            
+            const undone = taskController.undo();
+            TestAssertions.assertControllerResponse(undone, true);
+            expect(undone.message).toContain('Buat task');
+            expect(taskRepository.findById(created.data.id)).toBeNull();
+            
+            taskController.redo();
+            expect(taskRepository.findById(created.data.id).title).toBe(created.data.title);
+        });
+        
+        test('should undo side effects on subtasks and dependents of a deleted task', () => {
+            const parent = taskController.createTask(TestDataFactory.createValidTaskData({ title: 'Parent' })).data;
+            const child = taskController.createTask(TestDataFactory.createValidTaskData({ title: 'Child', parentId: parent.id })).data;
+            const dependent = taskController.createTask(TestDataFactory.createValidTaskData({ title: 'Dependent', dependsOn: [parent.id] })).data;
+            
+            taskController.deleteTask(parent.id);
+            expect(taskRepository.findById(child.id).parentId).toBeNull();
+            expect(taskRepository.findById(dependent.id).dependsOn).toEqual([]);
+            
+            taskController.undo();
+            expect(taskRepository.findById(child.id).parentId).toBe(parent.id);
+            expect(taskRepository.findById(dependent.id).dependsOn).toEqual([parent.id]);
+            expect(taskRepository.findById(dependent.id).status).toBe('blocked');
+        });
+        
+        test('should not record undo steps when undo is turned off', () => {
+            const apiController = new TaskController(taskRepository, userRepository, { undo: false });
+            apiController.currentUser = testUser;
+            
+            const created = apiController.createTask(TestDataFactory.createValidTaskData()).data;
+            apiController.updateTask(created.id, { priority: 'high' });
+            
+            expect(apiController.canUndo()).toBe(false);
+            expect(taskRepository.findById(created.id).priority).toBe('high');
+        });
+        
+        test('should restore deleted task with notes and time entries', () => {
+            const task = taskController.createTask(TestDataFactory.createValidTaskData()).data;
+            taskController.updateTask(task.id, {
+                addNote: 'Catatan penting',
+                addTimeEntry: { startedAt: '2024-01-01T09:00:00Z', endedAt: '2024-01-01T11:00:00Z' }
+            });
+            
+            taskController.deleteTask(task.id);
+            taskController.undo();
+            
+            const restored = taskRepository.findById(task.id);
+            expect(restored.notes.map(note => note.content)).toEqual(['Catatan penting']);
+            expect(restored.actualHours).toBe(2);
+            expect(mockStorage.load('tasks')).toHaveLength(1);
+        });
+        
+        test('should undo update and status toggle step by step', () => {
+            const task = taskController.createTask(TestDataFactory.createValidTaskData({ priority: 'low' })).data;
+            taskController.updateTask(task.id, { priority: 'urgent' });
+            taskController.toggleTaskStatus(task.id);
+            
+            taskController.undo();
+            expect(taskRepository.findById(task.id).status).toBe('pending');
+            expect(taskRepository.findById(task.id).priority).toBe('urgent');
+            
+            taskController.undo();
+            expect(taskRepository.findById(task.id).priority).toBe('low');
+            
+            // Undo tidak menghapus audit history, perubahannya dicatat
+            const fields = taskRepository.findHistory(task.id).map(entry => entry.field);
+            expect(fields.filter(field => field === 'priority')).toHaveLength(2);
+        });
+        
+        test('should undo clear all as one step', () => {
+            taskController.createTask(TestDataFactory.createValidTaskData({ title: 'Satu' }));
+            taskController.createTask(TestDataFactory.createValidTaskData({ title: 'Dua' }));
+            
+            const cleared = taskController.clearAllTasks();
+            expect(cleared.data.count).toBe(2);
+            expect(taskRepository.findAll()).toHaveLength(0);
+            
+            taskController.undo();
+            expect(taskRepository.findAll().map(task => task.title).sort()).toEqual(['Dua', 'Satu']);
+        });
+        
+        test('should only clear the tasks owned by the current user', () => {
+            const admin = userRepository.create(TestDataFactory.createValidUserData({
+                username: 'admin',
+                email: 'admin@example.com',
+                role: 'admin'
+            }));
+            taskController.createTask(TestDataFactory.createValidTaskData({ title: 'Milik user' }));
+            
+            taskController.setCurrentUser(admin.id);
+            taskController.createTask(TestDataFactory.createValidTaskData({ title: 'Milik admin 1' }));
+            taskController.createTask(TestDataFactory.createValidTaskData({ title: 'Milik admin 2' }));
+            mockStorage.save.mockClear();
+            
+            expect(taskController.clearAllTasks().data.count).toBe(2);
+            expect(taskRepository.findAll().map(task => task.title)).toEqual(['Milik user']);
+            expect(mockStorage.save.mock.calls.filter(([key]) => key === 'tasks')).toHaveLength(1);
+        });
+        
+        test('should clear redo stack after a new operation', () => {
+            const task = taskController.createTask(TestDataFactory.createValidTaskData()).data;
+            taskController.updateTask(task.id, { priority: 'high' });
+            taskController.undo();
+            expect(taskController.canRedo()).toBe(true);
+            
+            taskController.updateTask(task.id, { priority: 'low' });
+            
+            expect(taskController.canRedo()).toBe(false);
+            TestAssertions.assertControllerResponse(taskController.redo(), false);
+        });
+        
+        test('should fail when there is nothing to undo', () => {
+            const response = taskController.undo();
+            
+            TestAssertions.assertControllerResponse(response, false);
+            expect(response.error).toContain('Tidak ada operasi');
+        });
+    });
+    
+    describe('Trash', () => {
+        test('should list, restore and purge deleted tasks', () => {
+            const task = taskController.createTask(TestDataFactory.createValidTaskData()).data;
+            taskController.deleteTask(task.id);
+            
+            const trash = taskController.getTrash();
+            expect(trash.data.map(trashed => trashed.id)).toEqual([task.id]);
+            expect(trash.data[0].deletedBy).toBe(testUser.id);
+            
+            const restored = taskController.restoreTask(task.id);
+            TestAssertions.assertControllerResponse(restored, true);
+            expect(taskController.getTask(task.id).success).toBe(true);
+            
+            taskController.deleteTask(task.id);
+            TestAssertions.assertControllerResponse(taskController.purgeTask(task.id), true);
+            expect(taskRepository.findDeletedById(task.id)).toBeNull();
+            
+            // Hapus permanen tetap bisa di-undo dari controller
+            taskController.undo();
+            expect(taskRepository.findDeletedById(task.id)).not.toBeNull();
+        });
+        
+        test('should not let other users restore or purge a task', () => {
+            const task = taskController.createTask(TestDataFactory.createValidTaskData()).data;
+            taskController.deleteTask(task.id);
+            
+            const otherUser = userRepository.create(TestDataFactory.createValidUserData({
+                username: 'otheruser',
+                email: 'other@example.com'
+            }));
+            taskController.setCurrentUser(otherUser.id);
+            
+            expect(taskController.getTrash().data).toEqual([]);
+            expect(taskController.restoreTask(task.id).error).toBe('Hanya owner yang bisa menghapus task');
+            expect(taskController.purgeTask('task_missing').error).toBe('Task tidak ditemukan di trash');
+        });
+    });
+    
+    describe('Bulk Operations', () => {
+        let otherUser;
+        let ownTask;
+        let otherTask;
+        
+        beforeEach(() => {
+            otherUser = userRepository.create(TestDataFactory.createValidUserData({
+                username: 'otheruser',
+                email: 'other@example.com'
+            }));
+            ownTask = taskController.createTask(TestDataFactory.createValidTaskData({ title: 'Own' })).data;
+            otherTask = taskRepository.create(TestDataFactory.createValidTaskData({ title: 'Other', ownerId: otherUser.id }));
+        });
+        
+        test('should check permission per task and return per-item results', () => {
+            const response = taskController.bulkUpdateStatus({ ids: [ownTask.id, otherTask.id, 'task_missing'] }, 'in-progress');
+            
+            TestAssertions.assertControllerResponse(response, true);
+            expect(response.data.succeeded).toBe(1);
+            expect(response.data.failed).toBe(2);
+            expect(response.data.results.map(result => [result.id, result.success, result.error])).toEqual([
+                [ownTask.id, true, undefined],
+                [otherTask.id, false, 'Anda tidak memiliki akses ke task ini'],
+                ['task_missing', false, 'Task tidak ditemukan']
+            ]);
+            expect(ownTask.status).toBe('in-progress');
+            expect(otherTask.status).toBe('pending');
+        });
+        
+        test('should select tasks by filter and undo the whole operation in one step', () => {
+            const second = taskController.createTask(TestDataFactory.createValidTaskData({ title: 'Second', priority: 'high' })).data;
+            
+            const response = taskController.bulkTagTasks({ filter: { category: 'work' } }, { add: ['sprint-1'] });
+            
+            // Task user lain tidak terbaca, jadi tidak ikut terpilih oleh filter
+            expect(response.data.results.map(result => result.id).sort()).toEqual([ownTask.id, second.id].sort());
+            expect(ownTask.tags).toContain('sprint-1');
+            expect(second.tags).toContain('sprint-1');
+            
+            taskController.undo();
+            expect(taskRepository.findById(ownTask.id).tags).not.toContain('sprint-1');
+            expect(taskRepository.findById(second.id).tags).not.toContain('sprint-1');
+        });
+        
+        test('should bulk assign and delete tasks', () => {
+            const assigned = taskController.bulkAssignTasks({ ids: [ownTask.id] }, otherUser.id);
+            expect(assigned.data.succeeded).toBe(1);
+            expect(ownTask.assigneeId).toBe(otherUser.id);
+            
+            const unknownAssignee = taskController.bulkAssignTasks({ ids: [ownTask.id] }, 'user_missing');
+            expect(unknownAssignee.data.results[0].error).toBe('User yang di-assign tidak ditemukan');
+            
+            const deleted = taskController.bulkDeleteTasks({ ids: [ownTask.id, otherTask.id] });
+            expect(deleted.data.succeeded).toBe(1);
+            expect(taskRepository.findDeletedById(ownTask.id)).not.toBeNull();
+            expect(taskRepository.findById(otherTask.id)).not.toBeNull();
+        });
+        
+        test('should reject empty selections', () => {
+            expect(taskController.bulkDeleteTasks({ ids: [] }).error).toBe('Tidak ada task yang dipilih');
+            expect(taskController.bulkDeleteTasks({}).error).toBe('Pilih task dengan ids atau filter');
+            expect(taskController.bulkTagTasks({ ids: [ownTask.id] }, {}).success).toBe(false);
+        });
+    });
+    
+    describe('Saved Views', () => {
+        let teammate;
+        
+        beforeEach(() => {
+            teammate = userRepository.create(TestDataFactory.createValidUserData({
+                username: 'teammate',
+                email: 'teammate@example.com'
+            }));
+            taskController.createTask(TestDataFactory.createValidTaskData({ title: 'Rapat', priority: 'high', tags: ['meeting'] }));
+            taskController.createTask(TestDataFactory.createValidTaskData({ title: 'Review', priority: 'low', tags: ['meeting'] }));
+            taskController.createTask(TestDataFactory.createValidTaskData({ title: 'Belanja', category: 'personal' }));
+        });
+        
+        test('should apply a saved view through getTasks', () => {
+            const saved = taskController.saveView({
+                name: 'Meetings',
+                filters: { query: 'tag:meeting' },
+                sortBy: 'priority',
+                sortOrder: 'desc',
+                groupBy: 'priority',
+                pinned: true
+            });
+            TestAssertions.assertControllerResponse(saved, true);
+            expect(saved.data.pinned).toBe(true);
+            
+            const response = taskController.getTasks({ viewId: saved.data.id });
+            expect(response.data.map(task => task.title)).toEqual(['Rapat', 'Review']);
+            expect(response.groups.map(group => group.key)).toEqual(['high', 'low']);
+            expect(response.view.name).toBe('Meetings');
+            
+            // Filter lain menimpa isi view
+            expect(taskController.getTasks({ viewId: saved.data.id, priority: 'low' }).count).toBe(1);
+            
+            // Tersimpan di preferences user
+            expect(userRepository.findById(testUser.id).preferences.savedViews).toHaveLength(1);
+        });
+        
+        test('should share views with teammates who can pin but not edit them', () => {
+            const saved = taskController.saveView({ name: 'Urgent', filters: { priority: 'urgent' }, sharedWith: ['teammate'] }).data;
+            expect(saved.sharedWith).toEqual([teammate.id]);
+            
+            taskController.setCurrentUser(teammate.id);
+            const views = taskController.getSavedViews().data;
+            expect(views.map(view => [view.name, view.isOwner])).toEqual([['Urgent', false]]);
+            
+            expect(taskController.pinView(saved.id).data.pinned).toBe(true);
+            expect(taskController.getTasks({ viewId: saved.id }).success).toBe(true);
+            expect(taskController.updateView(saved.id, { name: 'Diubah' }).error).toBe('Hanya owner view yang bisa mengubah view ini');
+            expect(taskController.deleteView(saved.id).success).toBe(false);
+            
+            taskController.setCurrentUser(testUser.id);
+            TestAssertions.assertControllerResponse(taskController.deleteView(saved.id), true);
+            taskController.setCurrentUser(teammate.id);
+            expect(taskController.getTasks({ viewId: saved.id }).error).toBe('View tidak ditemukan');
+        });
+        
+        test('should reject invalid view data', () => {
+            expect(taskController.saveView({ name: 'Salah', filters: { query: 'priority>=critical' } }).error)
+                .toContain('nilai "critical" tidak valid untuk "priority"');
+            expect(taskController.saveView({ name: 'Salah', sharedWith: ['nobody'] }).error).toBe('User tidak ditemukan: nobody');
+            expect(taskController.saveView({}).error).toBe('Nama view wajib diisi');
+        });
+        
+        test('should skip broken stored views of other users', () => {
+            taskController.saveView({ name: 'Urgent', filters: { priority: 'urgent' }, sharedWith: ['teammate'] });
+            const owner = userRepository.findById(testUser.id);
+            owner.updatePreferences({ savedViews: [...owner.preferences.savedViews, { name: '' }] });
+            
+            taskController.setCurrentUser(teammate.id);
+            const response = taskController.getSavedViews();
+            
+            TestAssertions.assertControllerResponse(response, true);
+            expect(response.data.map(view => view.name)).toEqual(['Urgent']);
+        });
+    });
+    
+    describe('Kanban Board', () => {
+        let first;
+        let second;
+        let third;
+        
+        const columnTitles = (status) => taskController.getBoard().data.columns
+            .find(column => column.status === status).tasks.map(task => task.title);
+        
+        beforeEach(() => {
+            first = taskController.createTask(TestDataFactory.createValidTaskData({ title: 'Satu' })).data;
+            second = taskController.createTask(TestDataFactory.createValidTaskData({ title: 'Dua' })).data;
+            third = taskController.createTask(TestDataFactory.createValidTaskData({ title: 'Tiga' })).data;
+        });
+        
+        test('should return one column per status with WIP limits', () => {
+            TestAssertions.assertControllerResponse(taskController.setBoardWipLimits({ pending: 2, blocked: 5 }), true);
+            
+            const board = taskController.getBoard();
+            expect(board.data.columns.map(column => column.status))
+                .toEqual(['pending', 'in-progress', 'blocked', 'completed', 'cancelled']);
+            
+            const pending = board.data.columns[0];
+            expect(pending.tasks.map(task => task.title)).toEqual(['Satu', 'Dua', 'Tiga']);
+            expect(pending.wipLimit).toBe(2);
+            expect(pending.overLimit).toBe(true);
+            expect(board.data.columns[2].overLimit).toBe(false);
+            
+            // 0 menghapus batas, tersimpan di preferences user
+            expect(taskController.setBoardWipLimits({ pending: 0 }).data).toEqual({ blocked: 5 });
+            expect(userRepository.findById(testUser.id).preferences.boardWipLimits).toEqual({ blocked: 5 });
+        });
+        
+        test('should move cards between columns and reorder within a column', () => {
+            const moved = taskController.moveTaskOnBoard(second.id, 'in-progress');
+            TestAssertions.assertControllerResponse(moved, true);
+            expect(moved.data.status).toBe('in-progress');
+            expect(columnTitles('pending')).toEqual(['Satu', 'Tiga']);
+            
+            // Kartu belum punya rank -> kolom diberi rank ulang
+            taskController.moveTaskOnBoard(third.id, 'pending', first.id);
+            expect(columnTitles('pending')).toEqual(['Tiga', 'Satu']);
+            expect(taskRepository.findById(first.id).boardRank).toBeGreaterThan(taskRepository.findById(third.id).boardRank);
+            
+            taskController.moveTaskOnBoard(second.id, 'pending', first.id);
+            expect(columnTitles('pending')).toEqual(['Tiga', 'Dua', 'Satu']);
+            expect(taskRepository.findById(second.id).status).toBe('pending');
+        });
+        
+        test('should undo a move including the re-ranked cards', () => {
+            taskController.moveTaskOnBoard(third.id, 'pending', first.id);
+            expect(columnTitles('pending')).toEqual(['Tiga', 'Satu', 'Dua']);
+            
+            TestAssertions.assertControllerResponse(taskController.undo(), true);
+            expect(columnTitles('pending')).toEqual(['Satu', 'Dua', 'Tiga']);
+            expect(taskRepository.findById(first.id).boardRank).toBeNull();
+        });
+        
+        test('should reject invalid moves and WIP limits', () => {
+            expect(taskController.moveTaskOnBoard(first.id, 'done').error).toContain('Status tidak valid: done');
+            expect(taskController.moveTaskOnBoard(first.id, 'completed', second.id).error)
+                .toBe('Task tujuan tidak ada di kolom completed');
+            expect(taskController.setBoardWipLimits({ pending: -1 }).error).toBe('Batas WIP harus bilangan bulat positif');
+            expect(taskController.setBoardWipLimits({ done: 3 }).success).toBe(false);
+        });
+    });
+    
+    describe('Calendar', () => {
+        let review;
+        
+        beforeEach(() => {
+            review = taskController.createTask(TestDataFactory.createValidTaskData({
+                title: 'Review',
+                dueDate: new Date(2024, 4, 15, 10, 30)
+            })).data;
+            taskController.createTask(TestDataFactory.createValidTaskData({ title: 'Tanpa deadline' }));
+        });
+        
+        test('should build calendar views with the user week start preference', () => {
+            const monday = taskController.getCalendar({ mode: 'week', date: '2024-05-15' });
+            TestAssertions.assertControllerResponse(monday, true);
+            expect(monday.data.range.from).toBe('2024-05-13');
+            
+            userRepository.update(testUser.id, { preferences: { weekStart: 0 } });
+            const sunday = taskController.getCalendar({ mode: 'week', date: '2024-05-15' });
+            expect(sunday.data.range.from).toBe('2024-05-12');
+            expect(sunday.data.days[3].tasks.map(task => task.title)).toEqual(['Review']);
+            
+            // Filter getTasks tetap berlaku
+            const filtered = taskController.getCalendar({ mode: 'month', date: '2024-05-01', priority: 'urgent' });
+            expect(filtered.data.weeks.flat().every(day => day.tasks.length === 0)).toBe(true);
+            
+            expect(taskController.getCalendar({ mode: 'year' }).success).toBe(false);
+        });
+        
+        test('should reschedule a task to another day keeping its time', () => {
+            const response = taskController.rescheduleTask(review.id, '2024-05-17');
+            
+            TestAssertions.assertControllerResponse(response, true);
+            expect(response.message).toBe('Due date task dipindah ke 2024-05-17');
+            expect(taskRepository.findById(review.id).dueDate).toEqual(new Date(2024, 4, 17, 10, 30));
+            
+            taskController.undo();
+            expect(taskRepository.findById(review.id).dueDate).toEqual(new Date(2024, 4, 15, 10, 30));
+            
+            expect(taskController.rescheduleTask(review.id, 'besok').error).toBe('Tanggal tidak valid: besok');
+        });
+        
+        test('should only let users who can edit the task reschedule it', () => {
+            const otherUser = userRepository.create(TestDataFactory.createValidUserData({
+                username: 'other',
+                email: 'other@example.com'
+            }));
+            taskController.setCurrentUser(otherUser.id);
+            
+            expect(taskController.rescheduleTask(review.id, '2024-05-17').success).toBe(false);
+            expect(taskRepository.findById(review.id).dueDate).toEqual(new Date(2024, 4, 15, 10, 30));
+        });
+        
+        test('should export tasks with a due date as iCalendar honoring filters', () => {
+            const otherUser = userRepository.create(TestDataFactory.createValidUserData({
+                username: 'other',
+                email: 'other@example.com'
+            }));
+            const assigned = taskRepository.create(TestDataFactory.createValidTaskData({
+                title: 'Dari tim',
+                ownerId: otherUser.id,
+                assigneeId: testUser.id,
+                category: 'personal',
+                dueDate: new Date(2024, 4, 16)
+            }));
+            taskRepository.create(TestDataFactory.createValidTaskData({
+                title: 'Rahasia',
+                ownerId: otherUser.id,
+                dueDate: new Date(2024, 4, 16)
+            }));
+            
+            const own = taskController.exportCalendar();
+            TestAssertions.assertControllerResponse(own, true);
+            expect(own.count).toBe(1);
+            expect(own.data).toContain(`UID:${review.id}@task-management`);
+            expect(own.data).toContain(`X-WR-CALNAME:Tasks ${testUser.username}`);
+            
+            const mine = taskController.exportCalendar({ assigneeId: 'me', category: 'personal', type: 'event' });
+            expect(mine.count).toBe(1);
+            expect(mine.data).toContain(`UID:${assigned.id}@task-management`);
+            expect(mine.data).toContain('BEGIN:VEVENT');
+            
+            // Task orang lain yang tidak boleh dibaca tidak ikut meski difilter ownerId
+            expect(taskController.exportCalendar({ ownerId: otherUser.id }).data).not.toContain('Rahasia');
+            
+            taskController.currentUser = null;
+            expect(taskController.exportCalendar().error).toBe('User harus login terlebih dahulu');
+        });
+    });
+    
+    describe('CSV Import & Export', () => {
+        const csv = [
+            'Judul,Status,Kategori,Tag,Checklist,Catatan',
+            'Rapat,completed,work,"kantor, rutin","[x] Agenda\n[ ] Notulen","Ruang 2\nBawa laptop"',
+            'Belajar,,study,,,'
+        ].join('\n');
+        
+        test('should preview and import valid rows as one undoable step', () => {
+            const preview = taskController.previewTaskImport(csv);
+            TestAssertions.assertControllerResponse(preview, true);
+            expect(preview.data.mapping).toMatchObject({ Judul: 'title', Checklist: 'checklist', Catatan: 'notes' });
+            expect(taskRepository.findAll()).toHaveLength(0);
+            
+            const response = taskController.importTasksCsv(csv);
+            
+            TestAssertions.assertControllerResponse(response, true);
+            expect(response.message).toBe('2 task berhasil diimport');
+            const rapat = response.data[0];
+            expect(rapat).toMatchObject({ title: 'Rapat', status: 'completed', ownerId: testUser.id, tags: ['kantor', 'rutin'] });
+            expect(rapat.completedAt).toBeInstanceOf(Date);
+            expect(rapat.checklist.map(item => [item.text, item.done])).toEqual([['Agenda', true], ['Notulen', false]]);
+            expect(rapat.notes.map(note => note.content)).toEqual(['Ruang 2', 'Bawa laptop']);
+            
+            taskController.undo();
+            expect(taskRepository.findAll()).toHaveLength(0);
+        });
+        
+        test('should import a few hundred rows with one create per row', () => {
+            const rows = Array.from({ length: 300 }, (_, index) => `Task ${index},completed,work,,"[x] Langkah",Catatan`);
+            const createSpy = jest.spyOn(taskRepository, 'create');
+            const updateSpy = jest.spyOn(taskRepository, 'update');
+            
+            const response = taskController.importTasksCsv([csv.split('\n')[0], ...rows].join('\n'));
+            
+            TestAssertions.assertControllerResponse(response, true);
+            expect(response.count).toBe(300);
+            expect(createSpy).toHaveBeenCalledTimes(300);
+            expect(updateSpy).not.toHaveBeenCalled();
+            expect(mockStorage.save.mock.calls.filter(([key]) => key === 'tasks')).toHaveLength(1);
+            expect(response.data[299]).toMatchObject({ title: 'Task 299', status: 'completed' });
+            expect(response.data[299].checklist[0].done).toBe(true);
+        });
+        
+        test('should not import anything when a row is invalid', () => {
+            const response = taskController.importTasksCsv(csv + '\nLibur,,liburan,,,');
+            
+            TestAssertions.assertControllerResponse(response, false);
+            expect(response.error).toBe('Import dibatalkan: 1 baris tidak valid');
+            expect(response.data.rows[2].line).toBe(4);
+            expect(response.data.rows[2].errors[0]).toContain('Kategori tidak valid: liburan');
+            expect(taskRepository.findAll()).toHaveLength(0);
+        });
+        
+        test('should export the user tasks as CSV that imports back', () => {
+            taskController.importTasksCsv(csv);
+            
+            const exported = taskController.exportTasksCsv({ category: 'work' });
+            TestAssertions.assertControllerResponse(exported, true);
+            expect(exported.count).toBe(1);
+            
+            const preview = taskController.previewTaskImport(exported.data);
+            expect(preview.data.errorCount).toBe(0);
+            expect(preview.data.rows[0].task).toMatchObject({
+                title: 'Rapat',
+                assigneeId: testUser.id,
+                notes: ['Ruang 2', 'Bawa laptop']
+            });
+        });
+    });
+    
+    describe('External Import', () => {
+        const board = JSON.stringify({
+            name: 'Work',
+            lists: [{ id: 'l1', name: 'Done' }],
+            labels: [],
+            cards: [
+                { id: 'c1', name: 'Kirim laporan', idList: 'l1', idLabels: [] },
+                { id: 'c2', name: 'Rapat tim', idList: 'l1', idLabels: [] }
+            ],
+            checklists: [{ idCard: 'c2', checkItems: [{ name: 'Agenda', state: 'complete', pos: 1 }] }]
+        });
+        
+        test('should report the mapping on a dry run without creating tasks', () => {
+            const response = taskController.importExternalTasks('trello', board, { dryRun: true });
+            
+            TestAssertions.assertControllerResponse(response, true);
+            expect(response.message).toBe('2 task akan diimport, 0 dilewati karena sudah pernah diimport');
+            expect(response.data.mapping.statuses).toEqual({ Done: 'completed' });
+            expect(response.data.created.map(item => item.externalRef)).toEqual(['trello:c1', 'trello:c2']);
+            expect(taskRepository.findAll()).toHaveLength(0);
+        });
+        
+        test('should skip items that were already imported', () => {
+            const first = taskController.importExternalTasks('trello', board);
+            
+            TestAssertions.assertControllerResponse(first, true);
+            const task = taskRepository.findById(first.data.created[1].id);
+            expect(task).toMatchObject({ externalRef: 'trello:c2', status: 'completed', ownerId: testUser.id });
+            expect(task.checklist[0].done).toBe(true);
+            
+            // Task yang sudah di trash juga tidak diimport ulang
+            taskRepository.delete(first.data.created[0].id);
+            const second = taskController.importExternalTasks('trello', board);
+            
+            expect(second.message).toBe('0 task berhasil diimport, 2 dilewati karena sudah pernah diimport');
+            expect(taskRepository.findAll()).toHaveLength(1);
+        });
+        
+        test('should import a board with a few hundred cards in one write', () => {
+            const cards = Array.from({ length: 300 }, (_, index) => ({ id: `c${index}`, name: `Kartu ${index}`, idList: 'l1', idLabels: [] }));
+            const bigBoard = JSON.stringify({
+                name: 'Work',
+                lists: [{ id: 'l1', name: 'Done' }],
+                labels: [],
+                cards,
+                checklists: cards.map(card => ({ idCard: card.id, checkItems: [{ name: 'Cek', state: 'complete', pos: 1 }] })),
+                actions: cards.map(card => ({ type: 'commentCard', date: '2024-05-10T08:00:00.000Z', data: { card: { id: card.id }, text: `Komentar ${card.id}` } }))
+            });
+            
+            const response = taskController.importExternalTasks('trello', bigBoard);
+            
+            TestAssertions.assertControllerResponse(response, true);
+            expect(response.count).toBe(300);
+            expect(mockStorage.save.mock.calls.filter(([key]) => key === 'tasks')).toHaveLength(1);
+            const last = taskRepository.findById(response.data.created[299].id);
+            expect(last).toMatchObject({ title: 'Kartu 299', status: 'completed' });
+            expect(last.checklist[0].done).toBe(true);
+            expect(last.notes.map(note => note.content)).toEqual(['2024-05-10: Komentar c299']);
+            
+            const again = taskController.importExternalTasks('trello', bigBoard);
+            expect(again.data.skipped).toHaveLength(300);
+        });
+        
+        test('should undo the whole import in one step', () => {
+            taskController.importExternalTasks('trello', board);
+            
+            taskController.undo();
+            expect(taskRepository.findAll()).toHaveLength(0);
+        });
+    });
+});
@@ -0,0 +1,46 @@
+/**
+ * API Test Server - Helper untuk menjalankan express app di port acak
+ *
+ * Dipakai oleh test route supaya request benar-benar lewat HTTP
+ * (butuh @jest-environment node untuk global fetch).
+ */
+class ApiTestServer {
+    constructor(app) {
+        this.app = app;
+        this.server = null;
+        this.baseUrl = null;
+    }
+
+    /**
+     * Start server di port acak
+     */
+    async start() {
+        await new Promise(resolve => {
+            this.server = this.app.listen(0, resolve);
+        });
+        this.baseUrl = `http://127.0.0.1:${this.server.address().port}`;
+    }
+
+    /**
+     * Stop server
+     */
+    async stop() {
+        await new Promise(resolve => this.server.close(resolve));
+    }
+
+    /**
+     * Kirim request JSON dan kembalikan status + body (body hanya di-parse untuk response JSON)
+     */
+    async request(method, path, { body, headers = {} } = {}) {
+        const res = await fetch(this.baseUrl + path, {
+            method,
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const text = await res.text();
+        const isJson = (res.headers.get('content-type') || '').includes('application/json');
+        return { status: res.status, headers: res.headers, text, body: text && isJson ? JSON.parse(text) : null };
+    }
+}
+
+module.exports = ApiTestServer;
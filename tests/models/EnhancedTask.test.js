@@ -61,6 +61,38 @@ describe('EnhancedTask Model', () => {
             expect(task.status).toBe('pending'); // default status
             expect(task.assigneeId).toBe(taskData.ownerId); // default assigned to owner
         });
+        
+        test('should reject invalid due date, estimate, checklist and notes', () => {
+            // Arrange
+            const taskData = TestDataFactory.createValidTaskData();
+            const create = options => new EnhancedTask(taskData.title, taskData.description, taskData.ownerId, options);
+            
+            // Act & Assert
+            expect(() => create({ dueDate: 'not-a-date' })).toThrow('Due date tidak valid: not-a-date');
+            expect(() => create({ estimatedHours: 'abc' })).toThrow('Estimasi jam tidak valid: abc');
+            expect(() => create({ checklist: 'langkah' })).toThrow('Checklist tidak valid');
+            expect(() => create({ checklist: [{ text: 1 }] })).toThrow('Checklist tidak valid');
+            expect(() => create({ notes: [42] })).toThrow('Catatan tidak valid');
+            expect(() => new EnhancedTask(42, '', taskData.ownerId)).toThrow('Judul task wajib diisi');
+            expect(() => create().setDueDate('besok')).toThrow('Due date tidak valid: besok');
+        });
+        
+        test('should create task with initial status, checklist and notes', () => {
+            // Arrange
+            const taskData = TestDataFactory.createValidTaskData();
+            
+            // Act
+            const task = new EnhancedTask(taskData.title, taskData.description, taskData.ownerId, {
+                status: 'completed',
+                checklist: [{ text: 'Agenda', done: true }, { text: 'Notulen', done: false }],
+                notes: ['Ruang 2']
+            });
+            
+            // Assert
+            expect(task.completedAt).toBeInstanceOf(Date);
+            expect(task.checklist.map(item => [item.text, item.done])).toEqual([['Agenda', true], ['Notulen', false]]);
+            expect(task.notes.map(note => note.content)).toEqual(['Ruang 2']);
+        });
     });
     
     describe('Task Properties and Computed Values', () => {
@@ -222,5 +254,323 @@ describe('EnhancedTask Model', () => {
             expect(restoredTask.notes).toEqual(originalTask.notes);
             expect(restoredTask.dueDate.getTime()).toBe(originalTask.dueDate.getTime());
         });
+        
+        test('should keep the external reference of imported tasks', () => {
+            const task = new EnhancedTask('Imported', '', 'user_a', { externalRef: 'trello:c1' });
+            
+            const restoredTask = EnhancedTask.fromJSON(JSON.parse(JSON.stringify(task.toJSON())));
+            
+            expect(restoredTask.externalRef).toBe('trello:c1');
+            expect(new EnhancedTask('Manual', '', 'user_a').externalRef).toBeNull();
+        });
+    });
+    
+    describe('Recurrence', () => {
+        const createRecurringTask = (recurrence, dueDate = new Date(2024, 0, 1, 9)) => {
+            const taskData = TestDataFactory.createValidTaskData();
+            return new EnhancedTask(taskData.title, taskData.description, taskData.ownerId, {
+                ...taskData,
+                tags: ['chore'],
+                dueDate,
+                recurrence
+            });
+        };
+        
+        test('should create next occurrence with next due date', () => {
+            // Arrange
+            const task = createRecurringTask({ frequency: 'weekly', weekdays: [1] });
+            task.updateStatus('completed');
+            
+            // Act
+            const next = task.createNextOccurrence();
+            
+            // Assert
+            expect(next.dueDate).toEqual(new Date(2024, 0, 8, 9));
+            expect(next.status).toBe('pending');
+            expect(next.title).toBe(task.title);
+            expect(next.tags).toEqual(['chore']);
+            expect(next.seriesId).toBe(task.id);
+            expect(next.occurrenceIndex).toBe(2);
+            expect(task.nextOccurrenceId).toBe(next.id);
+        });
+        
+        test('should create next occurrence only once', () => {
+            const task = createRecurringTask({ frequency: 'daily' });
+            
+            task.createNextOccurrence();
+            
+            expect(task.createNextOccurrence()).toBeNull();
+        });
+        
+        test('should stop when occurrence count is reached', () => {
+            const first = createRecurringTask({ frequency: 'daily', count: 2 });
+            
+            const second = first.createNextOccurrence();
+            
+            expect(second.occurrenceIndex).toBe(2);
+            expect(second.createNextOccurrence()).toBeNull();
+        });
+        
+        test('should not create occurrence for non-recurring task', () => {
+            const taskData = TestDataFactory.createValidTaskData();
+            const task = new EnhancedTask(taskData.title, taskData.description, taskData.ownerId);
+            
+            expect(task.isRecurring).toBe(false);
+            expect(task.createNextOccurrence()).toBeNull();
+        });
+        
+        test('should keep recurrence through toJSON/fromJSON', () => {
+            const task = createRecurringTask({ frequency: 'monthly', weekOfMonth: -1, weekday: 5, endDate: '2024-12-31' });
+            const next = task.createNextOccurrence();
+            
+            const restoredTask = EnhancedTask.fromJSON(JSON.parse(JSON.stringify(task.toJSON())));
+            const restoredNext = EnhancedTask.fromJSON(JSON.parse(JSON.stringify(next.toJSON())));
+            
+            expect(restoredTask.recurrence.toJSON()).toEqual(task.recurrence.toJSON());
+            expect(restoredTask.nextOccurrenceId).toBe(next.id);
+            expect(restoredNext.seriesId).toBe(task.id);
+            expect(restoredNext.occurrenceIndex).toBe(2);
+        });
+        
+        test('should set and clear recurrence', () => {
+            const taskData = TestDataFactory.createValidTaskData();
+            const task = new EnhancedTask(taskData.title, taskData.description, taskData.ownerId);
+            
+            task.setRecurrence({ frequency: 'daily' });
+            expect(task.seriesId).toBe(task.id);
+            
+            task.setRecurrence(null);
+            expect(task.isRecurring).toBe(false);
+            expect(() => task.setRecurrence({ frequency: 'hourly' })).toThrow('Frekuensi tidak valid');
+        });
+    });
+    
+    describe('Checklist and Subtasks', () => {
+        let task;
+        
+        beforeEach(() => {
+            const taskData = TestDataFactory.createValidTaskData();
+            task = new EnhancedTask(taskData.title, taskData.description, taskData.ownerId, { estimatedHours: 4 });
+        });
+        
+        test('should add, toggle, rename and remove checklist items', () => {
+            // Act
+            const first = task.addChecklistItem('  Siapkan data ');
+            const second = task.addChecklistItem('Review');
+            task.toggleChecklistItem(first.id);
+            task.renameChecklistItem(second.id, 'Review final');
+            
+            // Assert
+            expect(task.checklist.map(item => item.text)).toEqual(['Siapkan data', 'Review final']);
+            expect(task.checklist[0].done).toBe(true);
+            expect(task.checklist[0].completedAt).not.toBeNull();
+            
+            task.removeChecklistItem(first.id);
+            expect(task.checklist).toHaveLength(1);
+            expect(() => task.toggleChecklistItem('missing')).toThrow('Checklist item tidak ditemukan');
+            expect(() => task.addChecklistItem(' ')).toThrow('Checklist item tidak boleh kosong');
+        });
+        
+        test('should not expose internal checklist array', () => {
+            task.addChecklistItem('Step');
+            
+            task.checklist[0].done = true;
+            
+            expect(task.checklist[0].done).toBe(false);
+        });
+        
+        test('should compute progress from checklist and subtasks instead of hours', () => {
+            task.addTimeSpent(4);
+            expect(task.progressPercentage).toBe(100);
+            
+            const item = task.addChecklistItem('Step');
+            task.setSubtaskProgress([100, 50]);
+            task.toggleChecklistItem(item.id);
+            
+            // (100 + 50 + 100) / 3
+            expect(task.progressPercentage).toBeCloseTo(83.33, 1);
+            expect(task.hasSubtasks).toBe(true);
+        });
+        
+        test('should keep parent and checklist through toJSON/fromJSON', () => {
+            task.setParent('task_parent');
+            task.addChecklistItem('Step');
+            
+            const restoredTask = EnhancedTask.fromJSON(JSON.parse(JSON.stringify(task.toJSON())));
+            
+            expect(restoredTask.parentId).toBe('task_parent');
+            expect(restoredTask.isSubtask).toBe(true);
+            expect(restoredTask.checklist).toEqual(task.checklist);
+        });
+        
+        test('should not allow task to be its own parent', () => {
+            expect(() => task.setParent(task.id)).toThrow('dirinya sendiri');
+        });
+    });
+    
+    describe('Dependencies', () => {
+        let task;
+        
+        beforeEach(() => {
+            const taskData = TestDataFactory.createValidTaskData();
+            task = new EnhancedTask(taskData.title, taskData.description, taskData.ownerId, { status: 'in-progress' });
+        });
+        
+        test('should add and remove dependencies without duplicates', () => {
+            task.addDependency('task_a');
+            task.addDependency('task_a');
+            task.addDependency('task_b');
+            expect(task.dependsOn).toEqual(['task_a', 'task_b']);
+            
+            task.removeDependency('task_a');
+            expect(task.dependsOn).toEqual(['task_b']);
+            expect(() => task.addDependency(task.id)).toThrow('dirinya sendiri');
+        });
+        
+        test('should restore previous status when unblocked', () => {
+            task.blockByDependencies();
+            expect(task.status).toBe('blocked');
+            expect(task.isBlockedByDependencies).toBe(true);
+            
+            task.unblockFromDependencies();
+            expect(task.status).toBe('in-progress');
+            expect(task.isBlockedByDependencies).toBe(false);
+        });
+        
+        test('should not unblock a manually blocked task', () => {
+            task.updateStatus('blocked');
+            task.unblockFromDependencies();
+            
+            expect(task.status).toBe('blocked');
+        });
+        
+        test('should keep dependencies and blocked state through toJSON/fromJSON', () => {
+            task.addDependency('task_a');
+            task.blockByDependencies();
+            
+            const restoredTask = EnhancedTask.fromJSON(JSON.parse(JSON.stringify(task.toJSON())));
+            
+            expect(restoredTask.dependsOn).toEqual(['task_a']);
+            expect(restoredTask.isBlockedByDependencies).toBe(true);
+            restoredTask.unblockFromDependencies();
+            expect(restoredTask.status).toBe('in-progress');
+        });
+    });
+    
+    describe('Time Tracking', () => {
+        let task;
+        
+        beforeEach(() => {
+            const taskData = TestDataFactory.createValidTaskData();
+            task = new EnhancedTask(taskData.title, taskData.description, taskData.ownerId, { estimatedHours: 4 });
+        });
+        
+        test('should derive actualHours from finished time entries', () => {
+            task.addTimeEntry({ userId: 'user_a', startedAt: '2024-01-01T09:00:00Z', endedAt: '2024-01-01T10:30:00Z', note: 'Riset' });
+            task.addTimeEntry({ userId: 'user_b', startedAt: '2024-01-01T13:00:00Z', endedAt: '2024-01-01T14:00:00Z' });
+            task.startTimer('user_a');
+            
+            expect(task.actualHours).toBe(2.5);
+            expect(task.timeEntries).toHaveLength(3);
+            expect(task.timeEntries[0]).toMatchObject({ userId: 'user_a', note: 'Riset', manual: true });
+        });
+        
+        test('should start, pause, resume and stop a timer', () => {
+            task.startTimer('user_a', 'Coding');
+            expect(task.getTimerState('user_a')).toBe('running');
+            expect(() => task.startTimer('user_a')).toThrow('Timer sudah berjalan');
+            
+            task.pauseTimer('user_a');
+            expect(task.getTimerState('user_a')).toBe('paused');
+            
+            const resumed = task.startTimer('user_a');
+            expect(resumed.note).toBe('Coding');
+            
+            task.stopTimer('user_a');
+            expect(task.getTimerState('user_a')).toBe('idle');
+            expect(task.timeEntries.every(entry => entry.endedAt !== null)).toBe(true);
+            expect(() => task.stopTimer('user_a')).toThrow('Tidak ada timer yang berjalan');
+        });
+        
+        test('should edit and remove manual entries', () => {
+            const entry = task.addTimeEntry({ userId: 'user_a', startedAt: '2024-01-01T09:00:00Z', endedAt: '2024-01-01T10:00:00Z' });
+            
+            task.updateTimeEntry(entry.id, { endedAt: '2024-01-01T11:00:00Z', note: 'Revisi' });
+            expect(task.actualHours).toBe(2);
+            expect(task.timeEntries[0].note).toBe('Revisi');
+            expect(() => task.updateTimeEntry(entry.id, { endedAt: '2024-01-01T08:00:00Z' })).toThrow('setelah waktu mulai');
+            
+            task.removeTimeEntry(entry.id);
+            expect(task.actualHours).toBe(0);
+            expect(() => task.removeTimeEntry(entry.id)).toThrow('Time entry tidak ditemukan');
+        });
+        
+        test('should not edit times of a running timer', () => {
+            const entry = task.startTimer('user_a');
+            
+            expect(() => task.updateTimeEntry(entry.id, { startedAt: '2024-01-01T09:00:00Z' })).toThrow('masih berjalan');
+        });
+        
+        test('should keep time entries through toJSON/fromJSON', () => {
+            task.addTimeSpent(1.5, 'user_a', 'Meeting');
+            task.startTimer('user_b');
+            task.pauseTimer('user_b');
+            
+            const restoredTask = EnhancedTask.fromJSON(JSON.parse(JSON.stringify(task.toJSON())));
+            
+            expect(restoredTask.timeEntries).toEqual(task.timeEntries);
+            expect(restoredTask.actualHours).toBeCloseTo(task.actualHours, 5);
+            expect(restoredTask.getTimerState('user_b')).toBe('paused');
+        });
+        
+        test('should convert legacy actualHours into a manual entry', () => {
+            const data = task.toJSON();
+            delete data.timeEntries;
+            data.actualHours = 3;
+            
+            const restoredTask = EnhancedTask.fromJSON(data);
+            
+            expect(restoredTask.actualHours).toBe(3);
+            expect(restoredTask.timeEntries[0]).toMatchObject({ userId: task.assigneeId, manual: true });
+        });
+    });
+    
+    describe('History', () => {
+        test('should append history entries and keep them through toJSON/fromJSON', () => {
+            const taskData = TestDataFactory.createValidTaskData();
+            const task = new EnhancedTask(taskData.title, taskData.description, taskData.ownerId);
+            
+            const entry = task.recordChange('priority', 'medium', 'high', 'user_a');
+            task.recordChange('status', 'pending', 'blocked');
+            
+            expect(entry).toMatchObject({ field: 'priority', oldValue: 'medium', newValue: 'high', actorId: 'user_a' });
+            expect(task.history[1].actorId).toBeNull();
+            
+            // Getter mengembalikan copy, history asli tidak bisa diubah dari luar
+            task.history[0].newValue = 'low';
+            expect(task.history[0].newValue).toBe('high');
+            
+            const restoredTask = EnhancedTask.fromJSON(JSON.parse(JSON.stringify(task.toJSON())));
+            expect(restoredTask.history).toEqual(task.history);
+        });
+    });
+    
+    describe('Trash', () => {
+        test('should move to trash and restore', () => {
+            const taskData = TestDataFactory.createValidTaskData();
+            const task = new EnhancedTask(taskData.title, taskData.description, taskData.ownerId);
+            
+            task.moveToTrash('user_a');
+            expect(task.isDeleted).toBe(true);
+            expect(task.deletedBy).toBe('user_a');
+            
+            const restoredTask = EnhancedTask.fromJSON(JSON.parse(JSON.stringify(task.toJSON())));
+            expect(restoredTask.deletedAt).toEqual(task.deletedAt);
+            expect(restoredTask.deletedBy).toBe('user_a');
+            
+            restoredTask.restoreFromTrash();
+            expect(restoredTask.isDeleted).toBe(false);
+            expect(restoredTask.deletedBy).toBeNull();
+        });
     });
-});
\ No newline at end of file
+});
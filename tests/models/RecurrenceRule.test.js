@@ -0,0 +1,86 @@
+const RecurrenceRule = require('../../src/models/RecurrenceRule');
+
+describe('RecurrenceRule Model', () => {
+    // Semua tanggal pakai waktu lokal supaya tidak bergantung timezone
+    const date = (year, month, day, hour = 9) => new Date(year, month - 1, day, hour);
+    
+    describe('Next Date', () => {
+        test('should repeat daily with interval', () => {
+            const rule = new RecurrenceRule({ frequency: 'daily', interval: 2 });
+            
+            expect(rule.getNextDate(date(2024, 1, 30))).toEqual(date(2024, 2, 1));
+        });
+        
+        test('should repeat weekly on chosen weekdays', () => {
+            // Senin dan Kamis
+            const rule = new RecurrenceRule({ frequency: 'weekly', weekdays: [4, 1] });
+            
+            // Senin 1 Jan 2024 -> Kamis 4 Jan -> Senin 8 Jan
+            expect(rule.getNextDate(date(2024, 1, 1))).toEqual(date(2024, 1, 4));
+            expect(rule.getNextDate(date(2024, 1, 4))).toEqual(date(2024, 1, 8));
+            expect(rule.weekdays).toEqual([1, 4]);
+        });
+        
+        test('should skip weeks when weekly interval is greater than one', () => {
+            const rule = new RecurrenceRule({ frequency: 'weekly', interval: 2, weekdays: [1] });
+            
+            expect(rule.getNextDate(date(2024, 1, 1))).toEqual(date(2024, 1, 15));
+        });
+        
+        test('should repeat monthly by day of month and clamp short months', () => {
+            const rule = new RecurrenceRule({ frequency: 'monthly', dayOfMonth: 31 });
+            
+            expect(rule.getNextDate(date(2024, 1, 31))).toEqual(date(2024, 2, 29));
+            expect(rule.getNextDate(date(2024, 2, 29))).toEqual(date(2024, 3, 31));
+        });
+        
+        test('should repeat monthly on nth weekday', () => {
+            // Selasa kedua setiap bulan
+            const rule = new RecurrenceRule({ frequency: 'monthly', weekOfMonth: 2, weekday: 2 });
+            
+            expect(rule.getNextDate(date(2024, 1, 9))).toEqual(date(2024, 2, 13));
+            expect(rule.getNextDate(date(2024, 1, 1))).toEqual(date(2024, 1, 9));
+        });
+        
+        test('should repeat monthly on last weekday', () => {
+            // Jumat terakhir setiap bulan
+            const rule = new RecurrenceRule({ frequency: 'monthly', weekOfMonth: -1, weekday: 5 });
+            
+            expect(rule.getNextDate(date(2024, 1, 26))).toEqual(date(2024, 2, 23));
+        });
+    });
+    
+    describe('Limits', () => {
+        test('should stop after count or end date', () => {
+            const byCount = new RecurrenceRule({ frequency: 'daily', count: 3 });
+            const byEndDate = new RecurrenceRule({ frequency: 'daily', endDate: date(2024, 1, 10, 23) });
+            
+            expect(byCount.allowsOccurrence(date(2024, 1, 2), 3)).toBe(true);
+            expect(byCount.allowsOccurrence(date(2024, 1, 3), 4)).toBe(false);
+            expect(byEndDate.allowsOccurrence(date(2024, 1, 10), 99)).toBe(true);
+            expect(byEndDate.allowsOccurrence(date(2024, 1, 11), 2)).toBe(false);
+        });
+    });
+    
+    describe('Validation', () => {
+        test('should reject invalid rules', () => {
+            expect(() => new RecurrenceRule({ frequency: 'yearly' })).toThrow('Frekuensi tidak valid');
+            expect(() => new RecurrenceRule({ frequency: 'weekly', weekdays: [] })).toThrow('minimal satu hari');
+            expect(() => new RecurrenceRule({ frequency: 'weekly', weekdays: [7] })).toThrow('Hari tidak valid');
+            expect(() => new RecurrenceRule({ frequency: 'monthly', dayOfMonth: 32 })).toThrow('Tanggal tidak valid');
+            expect(() => new RecurrenceRule({ frequency: 'monthly', weekOfMonth: 5, weekday: 1 })).toThrow('Minggu ke- tidak valid');
+            expect(() => new RecurrenceRule({ frequency: 'daily', interval: 0 })).toThrow('Interval harus bilangan bulat positif');
+        });
+    });
+    
+    describe('Serialization', () => {
+        test('should survive JSON round-trip and describe itself', () => {
+            const rule = new RecurrenceRule({ frequency: 'weekly', interval: 2, weekdays: [1, 3], count: 5 });
+            
+            const restored = RecurrenceRule.fromJSON(JSON.parse(JSON.stringify(rule.toJSON())));
+            
+            expect(restored.toJSON()).toEqual(rule.toJSON());
+            expect(restored.describe()).toBe('Setiap 2 minggu (Sen, Rab), 5x');
+        });
+    });
+});
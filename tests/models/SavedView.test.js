@@ -0,0 +1,53 @@
+const SavedView = require('../../src/models/SavedView');
+
+describe('SavedView Model', () => {
+    test('should keep filters, sort and grouping through JSON round-trip', () => {
+        const view = new SavedView({
+            name: '  Rapat minggu ini ',
+            filters: { status: 'pending', tags: ['meeting'], query: 'due<=today', priority: '' },
+            sortBy: 'dueDate',
+            sortOrder: 'asc',
+            groupBy: 'priority',
+            sharedWith: ['user_a', 'user_a', 'user_b']
+        });
+        
+        const restored = SavedView.fromJSON(JSON.parse(JSON.stringify(view)));
+        
+        expect(restored.id).toBe(view.id);
+        expect(restored.name).toBe('Rapat minggu ini');
+        expect(restored.filters).toEqual({ status: 'pending', tags: ['meeting'], query: 'due<=today' });
+        expect(restored.sortBy).toBe('dueDate');
+        expect(restored.groupBy).toBe('priority');
+        expect(restored.sharedWith).toEqual(['user_a', 'user_b']);
+        expect(restored.isSharedWith('user_b')).toBe(true);
+    });
+    
+    test('should apply changes without changing identity', () => {
+        const view = new SavedView({ name: 'Bugs', filters: { tags: ['bug'] } });
+        const updated = view.withChanges({ name: 'Bugs urgent', filters: { tags: ['bug'], priority: 'urgent' } });
+        
+        expect(updated.id).toBe(view.id);
+        expect(updated.createdAt).toEqual(view.createdAt);
+        expect(updated.filters).toEqual({ tags: ['bug'], priority: 'urgent' });
+    });
+    
+    test('should group tasks and keep their order', () => {
+        const tasks = [
+            { id: 't1', priority: 'high', dueDate: new Date(2026, 10, 1) },
+            { id: 't2', priority: 'low', dueDate: null },
+            { id: 't3', priority: 'high', dueDate: new Date(2026, 10, 1, 18) }
+        ];
+        
+        expect(SavedView.groupTasks(tasks, 'priority').map(group => [group.key, group.tasks.map(task => task.id)]))
+            .toEqual([['high', ['t1', 't3']], ['low', ['t2']]]);
+        expect(SavedView.groupTasks(tasks, 'dueDate').map(group => group.key)).toEqual(['2026-11-01', 'none']);
+        expect(new SavedView({ name: 'Flat' }).groupTasks(tasks)).toBeNull();
+    });
+    
+    test('should reject invalid views', () => {
+        expect(() => new SavedView({ name: ' ' })).toThrow('Nama view wajib diisi');
+        expect(() => new SavedView({ name: 'X', filters: { color: 'red' } })).toThrow('Filter tidak dikenal: color');
+        expect(() => new SavedView({ name: 'X', sortBy: 'color' })).toThrow('Sort tidak valid');
+        expect(() => new SavedView({ name: 'X', groupBy: 'title' })).toThrow('Grouping tidak valid');
+    });
+});
@@ -101,6 +101,17 @@ describe('User Model', () => {
             expect(user.isActive).toBe(false);
         });
         
+        test('should validate the calendar week start preference', () => {
+            expect(user.preferences.weekStart).toBe(1);
+            
+            user.updatePreferences({ weekStart: 0 });
+            expect(user.preferences.weekStart).toBe(0);
+            
+            expect(() => user.updatePreferences({ weekStart: 7 }))
+                .toThrow('Hari pertama minggu harus angka 0 (Minggu) sampai 6 (Sabtu)');
+            expect(user.preferences.weekStart).toBe(0);
+        });
+        
         test('should activate user', () => {
             // Arrange
             user.deactivate(); // First deactivate
@@ -147,4 +158,86 @@ describe('User Model', () => {
             expect(restoredUser.isActive).toBe(originalUser.isActive);
         });
     });
-});
\ No newline at end of file
+    
+    describe('Credentials', () => {
+        test('should store password hash and round-trip without plain password', () => {
+            // Arrange
+            const userData = TestDataFactory.createValidUserData();
+            const user = new User(userData.username, userData.email, userData.fullName);
+            
+            // Act
+            user.setPasswordHash('scrypt$salt$hash');
+            const json = user.toJSON();
+            const restoredUser = User.fromJSON(json);
+            
+            // Assert
+            expect(json.passwordHash).toBe('scrypt$salt$hash');
+            expect(json).not.toHaveProperty('password');
+            expect(restoredUser.hasPassword).toBe(true);
+            expect(restoredUser.passwordHash).toBe('scrypt$salt$hash');
+        });
+        
+        test('should lock account after max failed logins', () => {
+            // Arrange
+            const userData = TestDataFactory.createValidUserData();
+            const user = new User(userData.username, userData.email, userData.fullName);
+            
+            // Act
+            user.recordFailedLogin(2, 15);
+            expect(user.isLocked).toBe(false);
+            user.recordFailedLogin(2, 15);
+            
+            // Assert
+            expect(user.isLocked).toBe(true);
+            user.recordLogin();
+            expect(user.isLocked).toBe(false);
+        });
+        
+        test('should validate reset token only before expiry', () => {
+            // Arrange
+            const userData = TestDataFactory.createValidUserData();
+            const user = new User(userData.username, userData.email, userData.fullName);
+            
+            // Act
+            user.setPasswordResetToken('token-hash', new Date(Date.now() - 1000));
+            
+            // Assert
+            expect(user.isPasswordResetTokenValid('token-hash')).toBe(false);
+            user.setPasswordResetToken('token-hash', new Date(Date.now() + 60000));
+            expect(user.isPasswordResetTokenValid('token-hash')).toBe(true);
+            expect(user.isPasswordResetTokenValid('other')).toBe(false);
+        });
+        
+        test('should keep only the calendar feed token hash across serialization', () => {
+            // Arrange
+            const userData = TestDataFactory.createValidUserData();
+            const user = new User(userData.username, userData.email, userData.fullName);
+            
+            // Act
+            user.setCalendarFeedToken('feed-hash');
+            const restoredUser = User.fromJSON(user.toJSON());
+            
+            // Assert
+            expect(restoredUser.hasCalendarFeed).toBe(true);
+            expect(restoredUser.isCalendarFeedTokenValid('feed-hash')).toBe(true);
+            expect(restoredUser.isCalendarFeedTokenValid('other')).toBe(false);
+            restoredUser.setCalendarFeedToken(null);
+            expect(restoredUser.isCalendarFeedTokenValid('feed-hash')).toBe(false);
+        });
+        
+        test('should skip recording API key use within the interval', () => {
+            // Arrange
+            const userData = TestDataFactory.createValidUserData();
+            const user = new User(userData.username, userData.email, userData.fullName);
+            user.addApiKey({ id: 'key_1', keyHash: 'key-hash' });
+            
+            // Act & Assert
+            expect(user.recordApiKeyUse('key_1', 60000)).toBe(true);
+            const firstUse = user.findActiveApiKey('key-hash').lastUsedAt;
+            expect(user.recordApiKeyUse('key_1', 60000)).toBe(false);
+            expect(user.findActiveApiKey('key-hash').lastUsedAt).toBe(firstUse);
+            expect(user.recordApiKeyUse('key_1')).toBe(true);
+            expect(user.recordApiKeyUse('missing')).toBe(false);
+        });
+    });
+});
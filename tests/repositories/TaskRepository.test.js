@@ -0,0 +1,470 @@
+const TestDataFactory = require('../helpers/TestDataFactory');
+const EnhancedTask = require('../../src/models/EnhancedTask');
+
+// Repository memakai model sebagai global, sama seperti di browser
+global.EnhancedTask = EnhancedTask;
+
+const TaskRepository = require('../../src/repositories/TaskRepository');
+
+describe('TaskRepository', () => {
+    let taskRepository;
+    let mockStorage;
+    
+    beforeEach(() => {
+        mockStorage = TestDataFactory.createMockStorage();
+        taskRepository = new TaskRepository(mockStorage);
+    });
+    
+    describe('Recurring Tasks', () => {
+        test('should generate next occurrence when recurring task is completed', () => {
+            // Arrange
+            const task = taskRepository.create(TestDataFactory.createValidTaskData({
+                dueDate: new Date(2024, 0, 1, 9),
+                recurrence: { frequency: 'daily' }
+            }));
+            
+            // Act
+            taskRepository.update(task.id, { status: 'completed' });
+            
+            // Assert
+            const series = taskRepository.findBySeries(task.id);
+            expect(series).toHaveLength(2);
+            expect(series[1].dueDate).toEqual(new Date(2024, 0, 2, 9));
+            expect(series[1].status).toBe('pending');
+            expect(mockStorage.load('tasks')).toHaveLength(2);
+        });
+        
+        test('should not generate duplicate occurrence when completed twice', () => {
+            const task = taskRepository.create(TestDataFactory.createValidTaskData({ recurrence: { frequency: 'daily' } }));
+            
+            taskRepository.update(task.id, { status: 'completed' });
+            taskRepository.update(task.id, { status: 'pending' });
+            taskRepository.update(task.id, { status: 'completed' });
+            
+            expect(taskRepository.findAll()).toHaveLength(2);
+        });
+        
+        test('should leave recurring task untouched when another field is invalid', () => {
+            const task = taskRepository.create(TestDataFactory.createValidTaskData({
+                dueDate: new Date(2024, 0, 1, 9),
+                recurrence: { frequency: 'daily' }
+            }));
+            mockStorage.save.mockClear();
+            
+            expect(() => taskRepository.update(task.id, { status: 'completed', dueDate: 'bukan tanggal' }))
+                .toThrow('Due date tidak valid');
+            
+            expect(taskRepository.findAll()).toEqual([task]);
+            expect(task.status).toBe('pending');
+            expect(task.completedAt).toBeNull();
+            expect(task.dueDate).toEqual(new Date(2024, 0, 1, 9));
+            expect(taskRepository.findHistory(task.id)).toHaveLength(0);
+            expect(mockStorage.save).not.toHaveBeenCalled();
+        });
+        
+        test('should not generate occurrence for normal task', () => {
+            const task = taskRepository.create(TestDataFactory.createValidTaskData());
+            
+            taskRepository.update(task.id, { status: 'completed' });
+            
+            expect(taskRepository.findAll()).toHaveLength(1);
+        });
+        
+        test('should update recurrence rule', () => {
+            const task = taskRepository.create(TestDataFactory.createValidTaskData());
+            
+            taskRepository.update(task.id, { recurrence: { frequency: 'weekly', weekdays: [1, 5] } });
+            
+            expect(taskRepository.findById(task.id).recurrence.weekdays).toEqual([1, 5]);
+        });
+    });
+    
+    describe('Subtasks', () => {
+        let parent;
+        
+        beforeEach(() => {
+            parent = taskRepository.create(TestDataFactory.createValidTaskData({ title: 'Parent' }));
+        });
+        
+        const createChild = (parentId, title) =>
+            taskRepository.create(TestDataFactory.createValidTaskData({ title, parentId }));
+        
+        test('should find children, descendants and roots', () => {
+            // Arrange
+            const child = createChild(parent.id, 'Child');
+            const grandchild = createChild(child.id, 'Grandchild');
+            const otherRoot = taskRepository.create(TestDataFactory.createValidTaskData({ title: 'Other' }));
+            
+            // Assert
+            expect(taskRepository.findChildren(parent.id)).toEqual([child]);
+            expect(taskRepository.findDescendants(parent.id)).toEqual([child, grandchild]);
+            expect(taskRepository.findRoots()).toEqual([parent, otherRoot]);
+            expect(taskRepository.filter({ parentId: 'root' })).toEqual([parent, otherRoot]);
+            expect(taskRepository.filter({ parentId: child.id })).toEqual([grandchild]);
+        });
+        
+        test('should reject unknown parent and cycles', () => {
+            const child = createChild(parent.id, 'Child');
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            
+            expect(() => createChild('task_missing', 'Orphan')).toThrow('Parent task tidak ditemukan');
+            expect(() => taskRepository.update(parent.id, { parentId: child.id })).toThrow('turunannya');
+            console.error.mockRestore();
+        });
+        
+        test('should roll up progress from nested subtasks', () => {
+            const child = createChild(parent.id, 'Child');
+            const done = createChild(parent.id, 'Done');
+            const grandchild = createChild(child.id, 'Grandchild');
+            createChild(child.id, 'Grandchild 2');
+            
+            taskRepository.update(done.id, { status: 'completed' });
+            taskRepository.update(grandchild.id, { status: 'completed' });
+            
+            expect(child.progressPercentage).toBe(50);
+            // (50 + 100) / 2
+            expect(parent.progressPercentage).toBe(75);
+        });
+        
+        test('should ignore cancelled subtasks in progress', () => {
+            const done = createChild(parent.id, 'Done');
+            const cancelled = createChild(parent.id, 'Cancelled');
+            
+            taskRepository.update(done.id, { status: 'completed' });
+            taskRepository.update(cancelled.id, { status: 'cancelled' });
+            
+            expect(parent.progressPercentage).toBe(100);
+        });
+        
+        test('should manage checklist items through update', () => {
+            taskRepository.update(parent.id, { addChecklistItem: 'Step 1' });
+            const itemId = parent.checklist[0].id;
+            
+            taskRepository.update(parent.id, { toggleChecklistItem: itemId });
+            
+            expect(parent.progressPercentage).toBe(100);
+            expect(mockStorage.load('tasks')[0].checklist[0].done).toBe(true);
+        });
+        
+        test('should move children to grandparent when parent is deleted', () => {
+            const child = createChild(parent.id, 'Child');
+            const grandchild = createChild(child.id, 'Grandchild');
+            
+            taskRepository.delete(child.id);
+            
+            expect(grandchild.parentId).toBe(parent.id);
+            expect(taskRepository.findChildren(parent.id)).toEqual([grandchild]);
+        });
+        
+        test('should restore progress after reload from storage', () => {
+            const child = createChild(parent.id, 'Child');
+            taskRepository.update(child.id, { status: 'completed' });
+            
+            const reloaded = new TaskRepository(mockStorage);
+            
+            expect(reloaded.findById(parent.id).progressPercentage).toBe(100);
+        });
+    });
+    
+    describe('Dependencies', () => {
+        const createTask = (title, extra = {}) => taskRepository.create(
+            TestDataFactory.createValidTaskData({ title, ...extra })
+        );
+        
+        test('should block task until all dependencies are finished', () => {
+            const design = createTask('Design');
+            const review = createTask('Review');
+            const build = createTask('Build', { dependsOn: [design.id, review.id] });
+            
+            expect(build.status).toBe('blocked');
+            
+            taskRepository.update(design.id, { status: 'completed' });
+            expect(build.status).toBe('blocked');
+            
+            taskRepository.update(review.id, { status: 'cancelled' });
+            expect(build.status).toBe('pending');
+            expect(build.isBlockedByDependencies).toBe(false);
+        });
+        
+        test('should block again when a dependency is reopened', () => {
+            const design = createTask('Design');
+            const build = createTask('Build', { dependsOn: [design.id] });
+            
+            taskRepository.update(design.id, { status: 'completed' });
+            taskRepository.update(build.id, { status: 'in-progress' });
+            taskRepository.update(design.id, { status: 'pending' });
+            
+            expect(build.status).toBe('blocked');
+            taskRepository.update(design.id, { status: 'completed' });
+            expect(build.status).toBe('in-progress');
+        });
+        
+        test('should reject status change while waiting for dependencies', () => {
+            const design = createTask('Design');
+            const build = createTask('Build', { dependsOn: [design.id] });
+            
+            expect(() => taskRepository.update(build.id, { status: 'completed' }))
+                .toThrow('Task masih menunggu task lain selesai: Design');
+            
+            taskRepository.update(build.id, { status: 'cancelled' });
+            expect(build.status).toBe('cancelled');
+        });
+        
+        test('should reject missing dependency and cycles', () => {
+            const a = createTask('A');
+            const b = createTask('B', { dependsOn: [a.id] });
+            const c = createTask('C', { dependsOn: [b.id] });
+            
+            expect(() => createTask('D', { dependsOn: ['task_missing'] })).toThrow('Task dependency tidak ditemukan');
+            expect(() => taskRepository.update(a.id, { addDependency: c.id })).toThrow('cycle');
+            expect(() => taskRepository.update(a.id, { dependsOn: [a.id] })).toThrow('cycle');
+            expect(a.dependsOn).toEqual([]);
+        });
+        
+        test('should replace and remove dependencies', () => {
+            const a = createTask('A');
+            const b = createTask('B');
+            const c = createTask('C', { dependsOn: [a.id] });
+            
+            taskRepository.update(c.id, { dependsOn: [b.id] });
+            expect(c.dependsOn).toEqual([b.id]);
+            expect(taskRepository.findDependents(a.id)).toEqual([]);
+            
+            taskRepository.update(c.id, { removeDependency: b.id });
+            expect(c.dependsOn).toEqual([]);
+            expect(c.status).toBe('pending');
+        });
+        
+        test('should unblock dependents when dependency is deleted', () => {
+            const a = createTask('A');
+            const b = createTask('B', { dependsOn: [a.id] });
+            
+            taskRepository.delete(a.id);
+            
+            expect(b.dependsOn).toEqual([]);
+            expect(b.status).toBe('pending');
+            expect(mockStorage.load('tasks')[0].status).toBe('pending');
+        });
+        
+        test('should order tasks so prerequisites come first', () => {
+            const deploy = createTask('Deploy');
+            const build = createTask('Build');
+            const test = createTask('Test');
+            taskRepository.update(deploy.id, { dependsOn: [build.id, test.id] });
+            taskRepository.update(test.id, { addDependency: build.id });
+            
+            const order = taskRepository.getTopologicalOrder().map(task => task.title);
+            
+            expect(order).toEqual(['Build', 'Test', 'Deploy']);
+            expect(taskRepository.findDependencies(deploy.id)).toEqual([build, test]);
+        });
+    });
+    
+    describe('Time Tracking', () => {
+        test('should allow only one running timer per user across tasks', () => {
+            const first = taskRepository.create(TestDataFactory.createValidTaskData({ title: 'First' }));
+            const second = taskRepository.create(TestDataFactory.createValidTaskData({ title: 'Second' }));
+            
+            taskRepository.update(first.id, { startTimer: { userId: 'user_a' } });
+            taskRepository.update(second.id, { startTimer: { userId: 'user_b' } });
+            
+            expect(() => taskRepository.update(second.id, { startTimer: { userId: 'user_a' } }))
+                .toThrow('User masih punya timer berjalan di task "First"');
+            expect(taskRepository.findRunningTimer('user_a').task).toBe(first);
+            
+            taskRepository.update(first.id, { stopTimer: 'user_a' });
+            taskRepository.update(second.id, { startTimer: { userId: 'user_a' } });
+            expect(taskRepository.findRunningTimer('user_a').task).toBe(second);
+        });
+        
+        test('should persist time entries', () => {
+            const task = taskRepository.create(TestDataFactory.createValidTaskData());
+            
+            taskRepository.update(task.id, {
+                addTimeEntry: { userId: 'user_a', startedAt: '2024-01-01T09:00:00Z', endedAt: '2024-01-01T11:00:00Z' }
+            });
+            const entryId = task.timeEntries[0].id;
+            taskRepository.update(task.id, { updateTimeEntry: { id: entryId, note: 'Review' } });
+            
+            const reloaded = new TaskRepository(mockStorage).findById(task.id);
+            expect(reloaded.actualHours).toBe(2);
+            expect(reloaded.timeEntries[0].note).toBe('Review');
+        });
+    });
+    
+    describe('History', () => {
+        test('should record every changed field with actor', () => {
+            const task = taskRepository.create(TestDataFactory.createValidTaskData({ dueDate: '2024-03-01T10:00:00.000Z' }));
+            
+            taskRepository.update(task.id, {
+                priority: 'high',
+                title: task.title,
+                dueDate: '2024-03-05T10:00:00.000Z'
+            }, 'user_a');
+            
+            const history = taskRepository.findHistory(task.id);
+            expect(history.map(entry => entry.field).sort()).toEqual(['dueDate', 'priority']);
+            expect(history.find(entry => entry.field === 'dueDate')).toMatchObject({
+                oldValue: '2024-03-01T10:00:00.000Z',
+                newValue: '2024-03-05T10:00:00.000Z',
+                actorId: 'user_a'
+            });
+        });
+        
+        test('should record side effects on other tasks', () => {
+            const design = taskRepository.create(TestDataFactory.createValidTaskData({ title: 'Design' }));
+            const build = taskRepository.create(TestDataFactory.createValidTaskData({ title: 'Build', dependsOn: [design.id] }));
+            
+            taskRepository.update(design.id, { status: 'completed' }, 'user_a');
+            
+            expect(taskRepository.findHistory(build.id)[0]).toMatchObject({
+                field: 'status',
+                oldValue: 'blocked',
+                newValue: 'pending',
+                actorId: 'user_a'
+            });
+        });
+        
+        test('should query history per user and persist it', () => {
+            const first = taskRepository.create(TestDataFactory.createValidTaskData({ title: 'First' }));
+            const second = taskRepository.create(TestDataFactory.createValidTaskData({ title: 'Second' }));
+            
+            taskRepository.update(first.id, { priority: 'low' }, 'user_a');
+            taskRepository.update(second.id, { priority: 'urgent' }, 'user_a');
+            taskRepository.update(second.id, { category: 'study' }, 'user_b');
+            
+            const byUserA = taskRepository.findHistoryByActor('user_a');
+            expect(byUserA).toHaveLength(2);
+            expect(byUserA.map(entry => entry.taskTitle).sort()).toEqual(['First', 'Second']);
+            
+            const reloaded = new TaskRepository(mockStorage);
+            expect(reloaded.findHistory(second.id)).toHaveLength(2);
+            expect(reloaded.findHistoryByActor('user_b')[0]).toMatchObject({ field: 'category', newValue: 'study' });
+        });
+    });
+    
+    describe('Trash', () => {
+        test('should exclude deleted tasks from queries and stats', () => {
+            const kept = taskRepository.create(TestDataFactory.createValidTaskData({ title: 'Laporan bulanan' }));
+            const trashed = taskRepository.create(TestDataFactory.createValidTaskData({ title: 'Laporan lama' }));
+            
+            taskRepository.delete(trashed.id, 'user_a');
+            
+            expect(taskRepository.findById(trashed.id)).toBeNull();
+            expect(taskRepository.filter({}).map(task => task.id)).toEqual([kept.id]);
+            expect(taskRepository.search('laporan').map(task => task.id)).toEqual([kept.id]);
+            expect(taskRepository.getStats().total).toBe(1);
+            expect(taskRepository.findDeleted()).toEqual([trashed]);
+            expect(trashed.deletedBy).toBe('user_a');
+            expect(mockStorage.load('tasks')).toHaveLength(2);
+        });
+        
+        test('should restore task and drop links to tasks that are gone', () => {
+            const parent = taskRepository.create(TestDataFactory.createValidTaskData({ title: 'Parent' }));
+            const child = taskRepository.create(TestDataFactory.createValidTaskData({ title: 'Child', parentId: parent.id }));
+            
+            taskRepository.delete(child.id);
+            taskRepository.hardDelete(parent.id);
+            const restored = taskRepository.restore(child.id, 'user_a');
+            
+            expect(restored.isDeleted).toBe(false);
+            expect(restored.parentId).toBeNull();
+            expect(taskRepository.findAll()).toEqual([child]);
+            expect(taskRepository.findHistory(child.id)[0]).toMatchObject({ field: 'deletedAt', newValue: null });
+        });
+        
+        test('should purge tasks older than the retention period', () => {
+            const repository = new TaskRepository(mockStorage, { trashRetentionDays: 7 });
+            const old = repository.create(TestDataFactory.createValidTaskData({ title: 'Old' }));
+            const recent = repository.create(TestDataFactory.createValidTaskData({ title: 'Recent' }));
+            repository.delete(old.id);
+            repository.delete(recent.id);
+            
+            // Simulasikan task yang sudah 10 hari di trash
+            old._deletedAt = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000);
+            
+            expect(repository.purgeExpiredTrash()).toBe(1);
+            expect(repository.findDeleted()).toEqual([recent]);
+            expect(mockStorage.load('tasks')).toHaveLength(1);
+        });
+        
+        test('should never purge when retention is disabled', () => {
+            const repository = new TaskRepository(mockStorage, { trashRetentionDays: null });
+            const task = repository.create(TestDataFactory.createValidTaskData());
+            repository.delete(task.id);
+            
+            expect(repository.purgeExpiredTrash(new Date(Date.now() + 365 * 24 * 60 * 60 * 1000))).toBe(0);
+            expect(repository.findDeletedById(task.id)).toBe(task);
+        });
+    });
+    
+    describe('Bulk Operations', () => {
+        test('should update many tasks with a single storage write', () => {
+            const first = taskRepository.create(TestDataFactory.createValidTaskData({ title: 'First' }));
+            const second = taskRepository.create(TestDataFactory.createValidTaskData({ title: 'Second' }));
+            mockStorage.save.mockClear();
+            
+            const results = taskRepository.bulkUpdate([first.id, 'task_missing', second.id], { addTag: ['q1', 'review'] }, 'user_a');
+            
+            expect(results).toEqual([
+                { id: first.id, success: true, task: first },
+                { id: 'task_missing', success: false, error: 'Task tidak ditemukan' },
+                { id: second.id, success: true, task: second }
+            ]);
+            expect(second.tags).toEqual(['q1', 'review']);
+            expect(taskRepository.findHistory(first.id)[0]).toMatchObject({ field: 'tags', actorId: 'user_a' });
+            expect(mockStorage.save).toHaveBeenCalledTimes(1);
+        });
+        
+        test('should report per-item errors without stopping the batch', () => {
+            const blocker = taskRepository.create(TestDataFactory.createValidTaskData({ title: 'Blocker' }));
+            const waiting = taskRepository.create(TestDataFactory.createValidTaskData({ title: 'Waiting', dependsOn: [blocker.id] }));
+            const free = taskRepository.create(TestDataFactory.createValidTaskData({ title: 'Free' }));
+            
+            const results = taskRepository.bulkUpdate([waiting.id, free.id], { status: 'completed' });
+            
+            expect(results[0]).toMatchObject({ id: waiting.id, success: false });
+            expect(results[0].error).toContain('Blocker');
+            expect(results[1]).toMatchObject({ id: free.id, success: true });
+            expect(free.isCompleted).toBe(true);
+        });
+        
+        test('should move many tasks to trash with a single storage write', () => {
+            const first = taskRepository.create(TestDataFactory.createValidTaskData());
+            const second = taskRepository.create(TestDataFactory.createValidTaskData());
+            mockStorage.save.mockClear();
+            
+            const results = taskRepository.bulkDelete([first.id, second.id], 'user_a');
+            
+            expect(results).toEqual([{ id: first.id, success: true }, { id: second.id, success: true }]);
+            expect(taskRepository.findDeleted()).toHaveLength(2);
+            expect(mockStorage.save).toHaveBeenCalledTimes(1);
+        });
+    });
+    
+    describe('Board Rank', () => {
+        test('should sort ranked cards first and keep unranked cards by creation time', () => {
+            taskRepository.create(TestDataFactory.createValidTaskData({ title: 'Satu' }));
+            const second = taskRepository.create(TestDataFactory.createValidTaskData({ title: 'Dua' }));
+            const third = taskRepository.create(TestDataFactory.createValidTaskData({ title: 'Tiga' }));
+            
+            taskRepository.update(third.id, { boardRank: 500 });
+            taskRepository.update(second.id, { boardRank: 250 });
+            
+            const sorted = taskRepository.sortByBoardRank(taskRepository.findAll());
+            expect(sorted.map(task => task.title)).toEqual(['Dua', 'Tiga', 'Satu']);
+        });
+        
+        test('should persist rank without touching updatedAt or history', () => {
+            const task = taskRepository.create(TestDataFactory.createValidTaskData());
+            const updatedAt = task.updatedAt;
+            
+            taskRepository.update(task.id, { boardRank: 1500 }, 'user_a');
+            
+            expect(task.updatedAt).toBe(updatedAt);
+            expect(task.history).toHaveLength(0);
+            expect(EnhancedTask.fromJSON(task.toJSON()).boardRank).toBe(1500);
+            expect(() => taskRepository.update(task.id, { boardRank: 'atas' })).toThrow('Rank board harus berupa angka');
+        });
+    });
+});
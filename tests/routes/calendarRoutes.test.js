@@ -0,0 +1,100 @@
+/**
+ * @jest-environment node
+ */
+const express = require('express');
+const TestDataFactory = require('../helpers/TestDataFactory');
+const ApiTestServer = require('../helpers/ApiTestServer');
+
+// Model dimuat sebagai global, sama seperti <script> di index.html
+global.User = require('../../src/models/User');
+global.PermissionService = require('../../src/services/PermissionService');
+global.EnhancedTask = require('../../src/models/EnhancedTask');
+global.TaskQuery = require('../../src/utils/TaskQuery');
+global.SavedView = require('../../src/models/SavedView');
+global.ICalendarFormat = require('../../src/utils/ICalendarFormat');
+
+const TaskRepository = require('../../src/repositories/TaskRepository');
+const UserRepository = require('../../src/repositories/UserRepository');
+const PasswordHasher = require('../../src/utils/PasswordHasher');
+const TokenService = require('../../src/utils/TokenService');
+const { createUserRoutes } = require('../../src/routes/userRoutes');
+const { createCalendarRoutes } = require('../../src/routes/calendarRoutes');
+
+describe('Calendar Feed Routes', () => {
+    let server;
+    let tokenService;
+    let taskRepository;
+    let userRepository;
+    let testUser;
+
+    // Buat feed lewat API user dan kembalikan path feed-nya
+    async function createFeed() {
+        const { status, body } = await server.request('POST', '/api/v1/users/me/calendar-feed', {
+            headers: { Authorization: `Bearer ${tokenService.issue(testUser.id).token}` }
+        });
+        expect(status).toBe(201);
+        return body.data.path;
+    }
+
+    beforeEach(async () => {
+        const mockStorage = TestDataFactory.createMockStorage();
+        taskRepository = new TaskRepository(mockStorage);
+        userRepository = new UserRepository(mockStorage);
+        testUser = userRepository.create(TestDataFactory.createValidUserData());
+        tokenService = new TokenService('test-secret');
+
+        taskRepository.create(TestDataFactory.createValidTaskData({
+            title: 'Rapat',
+            ownerId: testUser.id,
+            dueDate: new Date(2024, 4, 15, 10, 0)
+        }));
+        taskRepository.create(TestDataFactory.createValidTaskData({
+            title: 'Belanja',
+            ownerId: testUser.id,
+            category: 'personal',
+            dueDate: new Date(2024, 4, 16, 10, 0)
+        }));
+
+        const app = express();
+        app.use(express.json());
+        app.use('/api/v1/users', createUserRoutes(userRepository, { passwordHasher: PasswordHasher, tokenService }));
+        app.use('/calendar', createCalendarRoutes(taskRepository, userRepository));
+
+        server = new ApiTestServer(app);
+        await server.start();
+    });
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    test('should serve the user tasks as an iCalendar feed with filters', async () => {
+        const path = await createFeed();
+        expect(path).toMatch(/^\/calendar\/[0-9a-f]{64}\.ics$/);
+
+        const all = await server.request('GET', path);
+        expect(all.status).toBe(200);
+        expect(all.headers.get('content-type')).toContain('text/calendar');
+        expect(all.text).toContain('SUMMARY:Rapat');
+        expect(all.text).toContain('SUMMARY:Belanja');
+
+        const filtered = await server.request('GET', `${path}?category=personal&type=event`);
+        expect(filtered.text).toContain('BEGIN:VEVENT');
+        expect(filtered.text).not.toContain('SUMMARY:Rapat');
+    });
+
+    test('should reject unknown, replaced and revoked tokens', async () => {
+        const first = await createFeed();
+        const second = await createFeed();
+
+        expect((await server.request('GET', '/calendar/tidak-ada.ics')).status).toBe(404);
+        expect((await server.request('GET', first)).status).toBe(404);
+        expect((await server.request('GET', second)).status).toBe(200);
+
+        const revoked = await server.request('DELETE', '/api/v1/users/me/calendar-feed', {
+            headers: { Authorization: `Bearer ${tokenService.issue(testUser.id).token}` }
+        });
+        expect(revoked.status).toBe(200);
+        expect((await server.request('GET', second)).status).toBe(404);
+    });
+});
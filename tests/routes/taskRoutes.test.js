@@ -0,0 +1,534 @@
+/**
+ * @jest-environment node
+ */
+const express = require('express');
+const TestDataFactory = require('../helpers/TestDataFactory');
+const TestAssertions = require('../helpers/TestAssertions');
+const ApiTestServer = require('../helpers/ApiTestServer');
+
+// Model dimuat sebagai global, sama seperti <script> di index.html
+global.User = require('../../src/models/User');
+global.PermissionService = require('../../src/services/PermissionService');
+global.EnhancedTask = require('../../src/models/EnhancedTask');
+global.CsvFormat = require('../../src/utils/CsvFormat');
+global.TaskQuery = require('../../src/utils/TaskQuery');
+global.SavedView = require('../../src/models/SavedView');
+global.TimesheetService = require('../../src/services/TimesheetService');
+global.CalendarService = require('../../src/services/CalendarService');
+global.TaskCsvService = require('../../src/services/TaskCsvService');
+global.ExternalImportService = require('../../src/services/ExternalImportService');
+
+const TaskRepository = require('../../src/repositories/TaskRepository');
+const UserRepository = require('../../src/repositories/UserRepository');
+const PasswordHasher = require('../../src/utils/PasswordHasher');
+const TokenService = require('../../src/utils/TokenService');
+const { createTaskRoutes, parseTaskFilters } = require('../../src/routes/taskRoutes');
+const { handleApiErrors } = require('../../src/routes/middleware');
+
+describe('Task API Routes', () => {
+    let server;
+    let tokenService;
+    let taskRepository;
+    let userRepository;
+    let mockStorage;
+    let testUser;
+    let otherUser;
+
+    // Helper kecil untuk request JSON dengan session token user
+    function request(method, path, { body, userId, token } = {}) {
+        const bearer = token || (userId ? tokenService.issue(userId).token : null);
+        const headers = bearer ? { Authorization: `Bearer ${bearer}` } : {};
+        return server.request(method, '/api/v1/tasks' + path, { body, headers });
+    }
+
+    beforeEach(async () => {
+        mockStorage = TestDataFactory.createMockStorage();
+        taskRepository = new TaskRepository(mockStorage);
+        userRepository = new UserRepository(mockStorage);
+        testUser = userRepository.create(TestDataFactory.createValidUserData());
+        otherUser = userRepository.create(TestDataFactory.createValidUserData({
+            username: 'other',
+            email: 'other@example.com'
+        }));
+
+        tokenService = new TokenService('test-secret');
+
+        const app = express();
+        app.use(express.json());
+        app.use('/api/v1/tasks', createTaskRoutes(taskRepository, userRepository, { tokenService }));
+        app.use('/api', handleApiErrors());
+
+        server = new ApiTestServer(app);
+        await server.start();
+    });
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    test('should create task and return 201', async () => {
+        const { status, body } = await request('POST', '/', {
+            userId: testUser.id,
+            body: TestDataFactory.createValidTaskData()
+        });
+
+        expect(status).toBe(201);
+        TestAssertions.assertControllerResponse(body, true);
+        expect(body.data.ownerId).toBe(testUser.id);
+        expect(taskRepository.findAll()).toHaveLength(1);
+    });
+
+    test('should reject invalid task fields with 400 without storing them', async () => {
+        const badDate = await request('POST', '/', {
+            userId: testUser.id,
+            body: TestDataFactory.createValidTaskData({ dueDate: 'not-a-date' })
+        });
+        const badHours = await request('POST', '/', {
+            userId: testUser.id,
+            body: TestDataFactory.createValidTaskData({ estimatedHours: 'abc' })
+        });
+        const badChecklist = await request('POST', '/', {
+            userId: testUser.id,
+            body: TestDataFactory.createValidTaskData({ checklist: 'langkah' })
+        });
+
+        expect(badDate.status).toBe(400);
+        expect(badDate.body).toMatchObject({ success: false, error: 'Due date tidak valid: not-a-date' });
+        expect(badHours.status).toBe(400);
+        expect(badHours.body.error).toBe('Estimasi jam tidak valid: abc');
+        expect(badChecklist.status).toBe(400);
+        expect(badChecklist.body.error).toBe('Checklist tidak valid');
+        expect(taskRepository.findAll()).toHaveLength(0);
+
+        const listed = await request('GET', '/', { userId: testUser.id });
+        expect(listed.status).toBe(200);
+    });
+
+    test('should return 500 when the task cannot be saved', async () => {
+        mockStorage.save.mockImplementation(() => {
+            throw new Error('Gagal menyimpan data tasks');
+        });
+
+        const { status, body } = await request('POST', '/', {
+            userId: testUser.id,
+            body: TestDataFactory.createValidTaskData()
+        });
+
+        expect(status).toBe(500);
+        expect(body).toMatchObject({ success: false, error: 'Gagal menyimpan data tasks' });
+    });
+
+    test('should answer malformed JSON with a JSON error envelope', async () => {
+        const res = await fetch(server.baseUrl + '/api/v1/tasks', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${tokenService.issue(testUser.id).token}` },
+            body: '{"title": '
+        });
+
+        expect(res.status).toBe(400);
+        expect(await res.json()).toEqual({ success: false, error: 'Body request bukan JSON yang valid' });
+    });
+
+    test('should return 401 without current user', async () => {
+        const { status, body } = await request('GET', '/');
+
+        expect(status).toBe(401);
+        expect(body.error).toBe('User harus login terlebih dahulu');
+    });
+
+    test('should return 401 for unknown user or tampered token', async () => {
+        const unknownUser = await request('GET', '/', { userId: 'user_unknown' });
+        expect(unknownUser.status).toBe(401);
+
+        const forged = new TokenService('other-secret').issue(testUser.id).token;
+        const tampered = await request('GET', '/', { token: forged });
+        expect(tampered.status).toBe(401);
+    });
+
+    test('should reject session token after logout revocation', async () => {
+        const { token } = tokenService.issue(testUser.id);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        userRepository.revokeSessions(testUser.id);
+
+        const { status } = await request('GET', '/', { token });
+
+        expect(status).toBe(401);
+    });
+
+    test('should enforce API key scopes', async () => {
+        const key = 'tk_' + PasswordHasher.generateToken();
+        userRepository.addApiKey(testUser.id, {
+            id: 'key_1',
+            keyHash: PasswordHasher.hashToken(key),
+            scopes: ['tasks:read']
+        });
+
+        const readResult = await request('GET', '/', { token: key });
+        expect(readResult.status).toBe(200);
+
+        const writeResult = await request('POST', '/', {
+            token: key,
+            body: TestDataFactory.createValidTaskData()
+        });
+        expect(writeResult.status).toBe(403);
+
+        userRepository.revokeApiKey(testUser.id, 'key_1');
+        const revokedResult = await request('GET', '/', { token: key });
+        expect(revokedResult.status).toBe(401);
+    });
+
+    test('should save API key last use at most once per minute', async () => {
+        const key = 'tk_' + PasswordHasher.generateToken();
+        userRepository.addApiKey(testUser.id, {
+            id: 'key_1',
+            keyHash: PasswordHasher.hashToken(key),
+            scopes: ['tasks:read']
+        });
+        mockStorage.save.mockClear();
+
+        await request('GET', '/', { token: key });
+        await request('GET', '/', { token: key });
+        await request('GET', '/', { token: key });
+
+        const userSaves = mockStorage.save.mock.calls.filter(([entity]) => entity === 'users');
+        expect(userSaves).toHaveLength(1);
+        expect(userRepository.findById(testUser.id).findActiveApiKey(PasswordHasher.hashToken(key)).lastUsedAt).not.toBeNull();
+    });
+
+    test('should keep current user separate per request', async () => {
+        taskRepository.create(TestDataFactory.createValidTaskData({ ownerId: testUser.id }));
+
+        const [mine, theirs] = await Promise.all([
+            request('GET', '/', { userId: testUser.id }),
+            request('GET', '/', { userId: otherUser.id })
+        ]);
+
+        expect(mine.body.count).toBe(1);
+        expect(theirs.body.count).toBe(0);
+    });
+
+    test('should list tasks with query filters', async () => {
+        taskRepository.create(TestDataFactory.createValidTaskData({ ownerId: testUser.id, priority: 'high' }));
+        taskRepository.create(TestDataFactory.createValidTaskData({ ownerId: testUser.id, priority: 'low' }));
+
+        const { status, body } = await request('GET', '/?priority=high', { userId: testUser.id });
+
+        expect(status).toBe(200);
+        expect(body.count).toBe(1);
+        expect(body.data[0].priority).toBe('high');
+    });
+
+    test('should get, patch and delete a task', async () => {
+        const task = taskRepository.create(TestDataFactory.createValidTaskData({ ownerId: testUser.id }));
+
+        const getResult = await request('GET', `/${task.id}`, { userId: testUser.id });
+        expect(getResult.status).toBe(200);
+        expect(getResult.body.data.id).toBe(task.id);
+
+        const patchResult = await request('PATCH', `/${task.id}`, {
+            userId: testUser.id,
+            body: { status: 'in-progress' }
+        });
+        expect(patchResult.status).toBe(200);
+        expect(patchResult.body.data.status).toBe('in-progress');
+
+        const deleteResult = await request('DELETE', `/${task.id}`, { userId: testUser.id });
+        expect(deleteResult.status).toBe(200);
+        expect(taskRepository.findById(task.id)).toBeNull();
+    });
+
+    test('should map controller errors to 404 and 403', async () => {
+        const task = taskRepository.create(TestDataFactory.createValidTaskData({ ownerId: testUser.id }));
+
+        const notFound = await request('GET', '/task_missing', { userId: testUser.id });
+        expect(notFound.status).toBe(404);
+
+        const forbidden = await request('DELETE', `/${task.id}`, { userId: otherUser.id });
+        expect(forbidden.status).toBe(403);
+        expect(forbidden.body.success).toBe(false);
+    });
+
+    test('should record timer and time entries for the current user', async () => {
+        const task = taskRepository.create(TestDataFactory.createValidTaskData({
+            ownerId: testUser.id,
+            assigneeId: otherUser.id
+        }));
+
+        const started = await request('POST', `/${task.id}/timer/start`, {
+            userId: otherUser.id,
+            body: { note: 'Coding', userId: testUser.id }
+        });
+        expect(started.status).toBe(200);
+        expect(started.body.data.timeEntries[0]).toMatchObject({ userId: otherUser.id, note: 'Coding' });
+
+        const running = await request('GET', '/timer', { userId: otherUser.id });
+        expect(running.body.data.entry.userId).toBe(otherUser.id);
+
+        const conflict = await request('POST', `/${task.id}/timer/start`, { userId: otherUser.id });
+        expect(conflict.status).toBe(409);
+
+        const stopped = await request('POST', `/${task.id}/timer/stop`, { userId: otherUser.id });
+        expect(stopped.status).toBe(200);
+
+        const created = await request('POST', `/${task.id}/time-entries`, {
+            userId: testUser.id,
+            body: { startedAt: '2024-01-01T09:00:00Z', endedAt: '2024-01-01T10:00:00Z' }
+        });
+        expect(created.status).toBe(201);
+        const ownerEntry = created.body.data.timeEntries.find(entry => entry.userId === testUser.id);
+
+        const forbidden = await request('DELETE', `/${task.id}/time-entries/${ownerEntry.id}`, { userId: otherUser.id });
+        expect(forbidden.status).toBe(403);
+
+        const edited = await request('PATCH', `/${task.id}/time-entries/${ownerEntry.id}`, {
+            userId: testUser.id,
+            body: { endedAt: '2024-01-01T11:00:00Z' }
+        });
+        expect(edited.status).toBe(200);
+        expect(taskRepository.findById(task.id).actualHours).toBeGreaterThanOrEqual(2);
+    });
+
+    test('should return timesheet as JSON or CSV for readable tasks only', async () => {
+        const ownTask = taskRepository.create(TestDataFactory.createValidTaskData({ ownerId: testUser.id, estimatedHours: 1 }));
+        const otherTask = taskRepository.create(TestDataFactory.createValidTaskData({ ownerId: otherUser.id }));
+        [ownTask, otherTask].forEach(task => taskRepository.update(task.id, {
+            addTimeEntry: { userId: task.ownerId, startedAt: '2024-03-04T09:00:00Z', endedAt: '2024-03-04T11:00:00Z' }
+        }));
+
+        const json = await request('GET', '/timesheet?from=2024-03-01&to=2024-03-31', { userId: testUser.id });
+        expect(json.status).toBe(200);
+        expect(json.body.data.tasks.map(row => row.taskId)).toEqual([ownTask.id]);
+        expect(json.body.data.tasks[0].overEstimate).toBe(true);
+
+        const csv = await request('GET', '/timesheet?format=csv', { userId: testUser.id });
+        expect(csv.status).toBe(200);
+        expect(csv.headers.get('content-type')).toContain('text/csv');
+        expect(csv.text.trim().split('\r\n')).toHaveLength(2);
+
+        const invalid = await request('GET', '/timesheet?from=kemarin', { userId: testUser.id });
+        expect(invalid.status).toBe(400);
+    });
+
+    test('should return task history and changes per user', async () => {
+        const task = taskRepository.create(TestDataFactory.createValidTaskData({ ownerId: testUser.id }));
+        await request('PATCH', `/${task.id}`, { userId: testUser.id, body: { priority: 'high' } });
+
+        const taskHistory = await request('GET', `/${task.id}/history`, { userId: testUser.id });
+        expect(taskHistory.status).toBe(200);
+        expect(taskHistory.body.data[0]).toMatchObject({ field: 'priority', newValue: 'high', actorId: testUser.id });
+
+        const forbidden = await request('GET', `/${task.id}/history`, { userId: otherUser.id });
+        expect(forbidden.status).toBe(403);
+
+        const userHistory = await request('GET', `/history?actorId=${testUser.id}`, { userId: otherUser.id });
+        expect(userHistory.body.data).toEqual([]);
+
+        const ownHistory = await request('GET', '/history', { userId: testUser.id });
+        expect(ownHistory.body.data[0].taskId).toBe(task.id);
+    });
+
+    test('should restore and purge tasks from the trash', async () => {
+        const task = taskRepository.create(TestDataFactory.createValidTaskData({ ownerId: testUser.id }));
+        await request('DELETE', `/${task.id}`, { userId: testUser.id });
+
+        const trash = await request('GET', '/trash', { userId: testUser.id });
+        expect(trash.body.data.map(trashed => trashed.id)).toEqual([task.id]);
+
+        const restored = await request('POST', `/trash/${task.id}/restore`, { userId: testUser.id });
+        expect(restored.status).toBe(200);
+        expect(taskRepository.findById(task.id)).not.toBeNull();
+
+        await request('DELETE', `/${task.id}`, { userId: testUser.id });
+        const purged = await request('DELETE', `/trash/${task.id}`, { userId: testUser.id });
+        expect(purged.status).toBe(200);
+
+        const missing = await request('DELETE', `/trash/${task.id}`, { userId: testUser.id });
+        expect(missing.status).toBe(404);
+    });
+
+    test('should let assignee update status but not other fields', async () => {
+        const task = taskRepository.create(TestDataFactory.createValidTaskData({
+            ownerId: testUser.id,
+            assigneeId: otherUser.id
+        }));
+
+        const statusResult = await request('PATCH', `/${task.id}`, {
+            userId: otherUser.id,
+            body: { status: 'completed' }
+        });
+        expect(statusResult.status).toBe(200);
+
+        const titleResult = await request('PATCH', `/${task.id}`, {
+            userId: otherUser.id,
+            body: { title: 'Diubah' }
+        });
+        expect(titleResult.status).toBe(403);
+    });
+
+    test('should apply role permissions to API requests', async () => {
+        const task = taskRepository.create(TestDataFactory.createValidTaskData({ ownerId: testUser.id }));
+
+        userRepository.update(otherUser.id, { role: 'manager' });
+        const managerResult = await request('PATCH', `/${task.id}`, {
+            userId: otherUser.id,
+            body: { priority: 'urgent' }
+        });
+        expect(managerResult.status).toBe(200);
+
+        userRepository.update(testUser.id, { role: 'viewer' });
+        const viewerResult = await request('POST', '/', {
+            userId: testUser.id,
+            body: TestDataFactory.createValidTaskData()
+        });
+        expect(viewerResult.status).toBe(403);
+    });
+
+    test('should run bulk operations with per-item results', async () => {
+        const own = taskRepository.create(TestDataFactory.createValidTaskData({ ownerId: testUser.id }));
+        const foreign = taskRepository.create(TestDataFactory.createValidTaskData({ ownerId: otherUser.id }));
+
+        const { status, body } = await request('POST', '/bulk/status', {
+            userId: testUser.id,
+            body: { ids: [own.id, foreign.id], status: 'completed' }
+        });
+
+        expect(status).toBe(200);
+        expect(body.data.succeeded).toBe(1);
+        expect(body.data.results[1]).toEqual({ id: foreign.id, success: false, error: 'Anda tidak memiliki akses ke task ini' });
+        expect(taskRepository.findById(own.id).isCompleted).toBe(true);
+
+        const invalid = await request('POST', '/bulk/delete', { userId: testUser.id, body: {} });
+        expect(invalid.status).toBe(400);
+    });
+
+    test('should save and apply views', async () => {
+        taskRepository.create(TestDataFactory.createValidTaskData({ ownerId: testUser.id, title: 'Rapat', tags: ['meeting'] }));
+        taskRepository.create(TestDataFactory.createValidTaskData({ ownerId: testUser.id, title: 'Laporan' }));
+
+        const created = await request('POST', '/views', {
+            userId: testUser.id,
+            body: { name: 'Meetings', filters: { tags: ['meeting'] }, sharedWith: [otherUser.username] }
+        });
+        expect(created.status).toBe(201);
+
+        const applied = await request('GET', `/?view=${created.body.data.id}`, { userId: testUser.id });
+        expect(applied.body.data.map(task => task.title)).toEqual(['Rapat']);
+
+        const pinned = await request('PUT', `/views/${created.body.data.id}/pin`, { userId: otherUser.id });
+        expect(pinned.body.data.pinned).toBe(true);
+
+        const forbidden = await request('DELETE', `/views/${created.body.data.id}`, { userId: otherUser.id });
+        expect(forbidden.status).toBe(403);
+
+        const missing = await request('GET', '/?view=view_missing', { userId: testUser.id });
+        expect(missing.status).toBe(404);
+    });
+
+    test('should show the board, move cards and save WIP limits', async () => {
+        const first = taskRepository.create(TestDataFactory.createValidTaskData({ ownerId: testUser.id, title: 'Satu' }));
+        const second = taskRepository.create(TestDataFactory.createValidTaskData({ ownerId: testUser.id, title: 'Dua' }));
+
+        const moved = await request('POST', `/${second.id}/move`, {
+            userId: testUser.id,
+            body: { status: 'in-progress' }
+        });
+        expect(moved.status).toBe(200);
+        expect(moved.body.data.status).toBe('in-progress');
+
+        const limits = await request('PUT', '/board/wip-limits', { userId: testUser.id, body: { 'in-progress': 1 } });
+        expect(limits.body.data).toEqual({ 'in-progress': 1 });
+
+        const board = await request('GET', '/board', { userId: testUser.id });
+        expect(board.status).toBe(200);
+        const columns = board.body.data.columns;
+        expect(columns[0].tasks.map(task => task.id)).toEqual([first.id]);
+        expect(columns[1]).toMatchObject({ status: 'in-progress', count: 1, wipLimit: 1, overLimit: false });
+
+        const forbidden = await request('POST', `/${first.id}/move`, { userId: otherUser.id, body: { status: 'completed' } });
+        expect(forbidden.status).toBe(403);
+    });
+
+    test('should show the calendar and reschedule tasks', async () => {
+        const task = taskRepository.create(TestDataFactory.createValidTaskData({
+            ownerId: testUser.id,
+            title: 'Review',
+            dueDate: new Date(2024, 4, 15, 10, 30)
+        }));
+
+        const calendar = await request('GET', '/calendar?mode=agenda&date=2024-05-13&days=7', { userId: testUser.id });
+        expect(calendar.status).toBe(200);
+        expect(calendar.body.data.days.map(day => day.date)).toEqual(['2024-05-15']);
+
+        const moved = await request('POST', `/${task.id}/reschedule`, { userId: testUser.id, body: { date: '2024-05-20' } });
+        expect(moved.status).toBe(200);
+        expect(new Date(moved.body.data.dueDate)).toEqual(new Date(2024, 4, 20, 10, 30));
+
+        const invalid = await request('GET', '/calendar?mode=year', { userId: testUser.id });
+        expect(invalid.status).toBe(400);
+    });
+
+    test('should export tasks as CSV and import them after a preview', async () => {
+        taskRepository.create(TestDataFactory.createValidTaskData({ ownerId: testUser.id, title: 'Rapat', tags: ['meeting'] }));
+
+        const exported = await request('GET', '/export', { userId: testUser.id });
+        expect(exported.status).toBe(200);
+        expect(exported.headers.get('content-type')).toContain('text/csv');
+        expect(exported.headers.get('content-disposition')).toContain('tasks.csv');
+        expect(exported.text).toContain('Rapat');
+
+        const preview = await request('POST', '/import/preview', { userId: otherUser.id, body: { csv: exported.text } });
+        expect(preview.status).toBe(200);
+        expect(preview.body.data.validCount).toBe(1);
+        expect(preview.body.data.rows[0].errors).toEqual([]);
+
+        const invalid = await request('POST', '/import', {
+            userId: otherUser.id,
+            body: { csv: 'Judul,Prioritas\nA,penting\n' }
+        });
+        expect(invalid.status).toBe(400);
+        expect(invalid.body.data.errorCount).toBe(1);
+
+        const imported = await request('POST', '/import', { userId: otherUser.id, body: { csv: 'Judul\nA\nB\n' } });
+        expect(imported.status).toBe(201);
+        expect(imported.body.count).toBe(2);
+        expect(taskRepository.filter({ ownerId: otherUser.id })).toHaveLength(2);
+    });
+
+    test('should import a Jira export once and report the mapping', async () => {
+        const content = 'Summary,Issue key,Status\nPerbaiki login,WEB-12,In Progress\n';
+
+        const dryRun = await request('POST', '/import/jira', { userId: testUser.id, body: { content, dryRun: true } });
+        expect(dryRun.status).toBe(200);
+        expect(dryRun.body.data.mapping.statuses).toEqual({ 'In Progress': 'in-progress' });
+
+        const imported = await request('POST', '/import/jira', { userId: testUser.id, body: { content } });
+        expect(imported.status).toBe(201);
+        expect(imported.body.count).toBe(1);
+
+        const again = await request('POST', '/import/jira', { userId: testUser.id, body: { content } });
+        expect(again.body.data.skipped).toHaveLength(1);
+        expect(taskRepository.filter({ ownerId: testUser.id })).toHaveLength(1);
+
+        const unknown = await request('POST', '/import/asana', { userId: testUser.id, body: { content } });
+        expect(unknown.status).toBe(400);
+    });
+
+    test('should search tasks with query language', async () => {
+        taskRepository.create(TestDataFactory.createValidTaskData({ ownerId: testUser.id, title: 'Rapat', tags: ['meeting'] }));
+        taskRepository.create(TestDataFactory.createValidTaskData({ ownerId: testUser.id, title: 'Laporan' }));
+
+        const found = await request('GET', `/?q=${encodeURIComponent('tag:meeting -status:completed')}`, { userId: testUser.id });
+        expect(found.status).toBe(200);
+        expect(found.body.data.map(task => task.title)).toEqual(['Rapat']);
+
+        const invalid = await request('GET', `/?q=${encodeURIComponent('due<besok')}`, { userId: testUser.id });
+        expect(invalid.status).toBe(400);
+        expect(invalid.body.error).toContain('tanggal tidak valid untuk "due"');
+    });
+
+    test('should parse query string into task filters', () => {
+        const filters = parseTaskFilters({ status: 'pending', tags: 'a, b', overdue: 'true', unknown: 'x' });
+
+        expect(filters).toEqual({ status: 'pending', tags: ['a', 'b'], overdue: true });
+    });
+});
@@ -0,0 +1,431 @@
+/**
+ * @jest-environment node
+ */
+const express = require('express');
+const TestDataFactory = require('../helpers/TestDataFactory');
+const TestAssertions = require('../helpers/TestAssertions');
+const ApiTestServer = require('../helpers/ApiTestServer');
+
+// Model dimuat sebagai global, sama seperti <script> di index.html
+global.User = require('../../src/models/User');
+global.PermissionService = require('../../src/services/PermissionService');
+
+const UserRepository = require('../../src/repositories/UserRepository');
+const PasswordHasher = require('../../src/utils/PasswordHasher');
+const TokenService = require('../../src/utils/TokenService');
+const { createUserRoutes, createSessionRoutes } = require('../../src/routes/userRoutes');
+
+describe('User API Routes', () => {
+    let server;
+    let userRepository;
+    let testUser;
+    let resetRequests;
+    let tokenService;
+
+    // Header Authorization dengan session token baru untuk user
+    function authHeader(user) {
+        return { Authorization: `Bearer ${tokenService.issue(user.id).token}` };
+    }
+
+    beforeEach(async () => {
+        userRepository = new UserRepository(TestDataFactory.createMockStorage());
+        testUser = userRepository.create(TestDataFactory.createValidUserData({
+            passwordHash: PasswordHasher.hash('rahasia123')
+        }));
+        resetRequests = [];
+        tokenService = new TokenService('test-secret');
+
+        const options = {
+            passwordHasher: PasswordHasher,
+            tokenService,
+            authOptions: { maxFailedLogins: 3 },
+            onPasswordResetRequested: data => resetRequests.push(data)
+        };
+
+        const app = express();
+        app.use(express.json());
+        app.use('/api/v1/users', createUserRoutes(userRepository, options));
+        app.use('/api/v1/session', createSessionRoutes(userRepository, options));
+
+        server = new ApiTestServer(app);
+        await server.start();
+    });
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    describe('Registration', () => {
+        test('should register user and return 201', async () => {
+            const { status, body } = await server.request('POST', '/api/v1/users', {
+                body: { username: 'newuser', email: 'new@example.com', fullName: 'New User', password: 'password123' }
+            });
+
+            expect(status).toBe(201);
+            TestAssertions.assertControllerResponse(body, true);
+            expect(body.data.username).toBe('newuser');
+            expect(body.data).not.toHaveProperty('passwordHash');
+            expect(userRepository.findByUsername('newuser').hasPassword).toBe(true);
+            expect(body.data.role).toBe('user');
+        });
+
+        test('should make the first registered user admin', async () => {
+            userRepository.hardDelete(testUser.id);
+
+            const { body } = await server.request('POST', '/api/v1/users', {
+                body: { username: 'founder', email: 'founder@example.com', password: 'password123', role: 'viewer' }
+            });
+
+            expect(body.data.role).toBe('admin');
+        });
+
+        test('should return 400 for short password', async () => {
+            const { status, body } = await server.request('POST', '/api/v1/users', {
+                body: { username: 'newuser', email: 'new@example.com', password: 'short' }
+            });
+
+            expect(status).toBe(400);
+            expect(body.error).toContain('minimal 8 karakter');
+        });
+
+        test('should return 409 for duplicate username', async () => {
+            const { status, body } = await server.request('POST', '/api/v1/users', {
+                body: { username: 'testuser', email: 'another@example.com', password: 'password123' }
+            });
+
+            expect(status).toBe(409);
+            expect(body.error).toContain('sudah digunakan');
+        });
+
+        test('should return 400 when username is missing', async () => {
+            const { status } = await server.request('POST', '/api/v1/users', {
+                body: { email: 'another@example.com' }
+            });
+
+            expect(status).toBe(400);
+        });
+    });
+
+    describe('Session', () => {
+        test('should login existing user with correct password', async () => {
+            const { status, body } = await server.request('POST', '/api/v1/session', {
+                body: { username: 'testuser', password: 'rahasia123' }
+            });
+
+            expect(status).toBe(201);
+            expect(body.data.id).toBe(testUser.id);
+            expect(userRepository.findById(testUser.id).lastLoginAt).not.toBeNull();
+
+            // Token dari login bisa dipakai untuk request berikutnya
+            const current = await server.request('GET', '/api/v1/session', {
+                headers: { Authorization: `Bearer ${body.data.token}` }
+            });
+            expect(current.status).toBe(200);
+            expect(current.body.data.id).toBe(testUser.id);
+        });
+
+        test('should revoke session token on logout', async () => {
+            const login = await server.request('POST', '/api/v1/session', {
+                body: { username: 'testuser', password: 'rahasia123' }
+            });
+            const headers = { Authorization: `Bearer ${login.body.data.token}` };
+
+            const logout = await server.request('DELETE', '/api/v1/session', { headers });
+            expect(logout.status).toBe(200);
+
+            await new Promise(resolve => setTimeout(resolve, 5));
+            const afterLogout = await server.request('GET', '/api/v1/session', { headers });
+            expect(afterLogout.status).toBe(401);
+        });
+
+        test('should return 401 for wrong password', async () => {
+            const { status, body } = await server.request('POST', '/api/v1/session', {
+                body: { username: 'testuser', password: 'salah12345' }
+            });
+
+            expect(status).toBe(401);
+            expect(body.error).toBe('Username atau password salah');
+            expect(testUser.failedLoginAttempts).toBe(1);
+        });
+
+        test('should lock account after repeated failures without revealing the lock', async () => {
+            for (let i = 0; i < 3; i++) {
+                await server.request('POST', '/api/v1/session', {
+                    body: { username: 'testuser', password: 'salah12345' }
+                });
+            }
+
+            const { status, body } = await server.request('POST', '/api/v1/session', {
+                body: { username: 'testuser', password: 'rahasia123' }
+            });
+
+            expect(status).toBe(401);
+            expect(body.error).toBe('Username atau password salah');
+            expect(testUser.isLocked).toBe(true);
+        });
+
+        test('should ask for the password before looking up the username', async () => {
+            const known = await server.request('POST', '/api/v1/session', { body: { username: 'testuser' } });
+            const unknown = await server.request('POST', '/api/v1/session', { body: { username: 'ghost' } });
+
+            expect(known.body).toEqual(unknown.body);
+            expect(known.body.error).toBe('Password wajib diisi');
+        });
+
+        test('should return the wrong password error for unknown username', async () => {
+            const verifySpy = jest.spyOn(PasswordHasher, 'verify');
+
+            const { status, body } = await server.request('POST', '/api/v1/session', {
+                body: { username: 'ghost', password: 'rahasia123' }
+            });
+
+            expect(status).toBe(401);
+            expect(body.error).toBe('Username atau password salah');
+            // scrypt tetap dijalankan supaya waktu respons sama dengan username yang ada
+            expect(verifySpy).toHaveBeenCalledTimes(1);
+            verifySpy.mockRestore();
+        });
+
+        test('should return the wrong password error for inactive account', async () => {
+            userRepository.delete(testUser.id);
+
+            const { status, body } = await server.request('POST', '/api/v1/session', {
+                body: { username: 'testuser', password: 'rahasia123' }
+            });
+
+            expect(status).toBe(401);
+            expect(body.error).toBe('Username atau password salah');
+        });
+
+        test('should return current user or 401', async () => {
+            const anonymous = await server.request('GET', '/api/v1/session');
+            expect(anonymous.status).toBe(401);
+
+            const loggedIn = await server.request('GET', '/api/v1/session', {
+                headers: authHeader(testUser)
+            });
+            expect(loggedIn.status).toBe(200);
+            expect(loggedIn.body.data.username).toBe('testuser');
+        });
+    });
+
+    describe('Password management', () => {
+        test('should change password with correct current password', async () => {
+            const { status } = await server.request('PUT', '/api/v1/users/me/password', {
+                headers: authHeader(testUser),
+                body: { currentPassword: 'rahasia123', newPassword: 'barubaru123' }
+            });
+
+            expect(status).toBe(200);
+            expect(PasswordHasher.verify('barubaru123', testUser.passwordHash)).toBe(true);
+        });
+
+        test('should reject change with wrong current password', async () => {
+            const { status } = await server.request('PUT', '/api/v1/users/me/password', {
+                headers: authHeader(testUser),
+                body: { currentPassword: 'salah12345', newPassword: 'barubaru123' }
+            });
+
+            expect(status).toBe(401);
+        });
+
+        test('should reset password with token and never expose it in response', async () => {
+            const requestResult = await server.request('POST', '/api/v1/users/password-reset', {
+                body: { identifier: 'test@example.com' }
+            });
+
+            expect(requestResult.status).toBe(202);
+            expect(requestResult.text).not.toContain(resetRequests[0].token);
+
+            const confirmResult = await server.request('POST', '/api/v1/users/password-reset/confirm', {
+                body: { token: resetRequests[0].token, newPassword: 'resetbaru123' }
+            });
+            expect(confirmResult.status).toBe(200);
+
+            const login = await server.request('POST', '/api/v1/session', {
+                body: { username: 'testuser', password: 'resetbaru123' }
+            });
+            expect(login.status).toBe(201);
+        });
+
+        test('should answer reset request the same way for unknown accounts', async () => {
+            const { status } = await server.request('POST', '/api/v1/users/password-reset', {
+                body: { identifier: 'ghost' }
+            });
+
+            expect(status).toBe(202);
+            expect(resetRequests).toHaveLength(0);
+        });
+
+        test('should reject invalid reset token', async () => {
+            const { status } = await server.request('POST', '/api/v1/users/password-reset/confirm', {
+                body: { token: 'invalid', newPassword: 'resetbaru123' }
+            });
+
+            expect(status).toBe(400);
+        });
+    });
+
+    describe('API keys', () => {
+        test('should create, use and revoke API key', async () => {
+            const created = await server.request('POST', '/api/v1/users/me/api-keys', {
+                headers: authHeader(testUser),
+                body: { name: 'script', scopes: ['read-only'] }
+            });
+
+            expect(created.status).toBe(201);
+            expect(created.body.data.key).toMatch(/^tk_/);
+            expect(created.body.data.scopes).toEqual(['tasks:read', 'users:read']);
+            expect(JSON.stringify(testUser.toJSON())).not.toContain(created.body.data.key);
+
+            const keyHeader = { Authorization: `Bearer ${created.body.data.key}` };
+            const readResult = await server.request('GET', '/api/v1/users', { headers: keyHeader });
+            expect(readResult.status).toBe(200);
+
+            const writeResult = await server.request('PATCH', '/api/v1/users/me', {
+                headers: keyHeader,
+                body: { fullName: 'Changed' }
+            });
+            expect(writeResult.status).toBe(403);
+
+            const listed = await server.request('GET', '/api/v1/users/me/api-keys', { headers: authHeader(testUser) });
+            expect(listed.body.count).toBe(1);
+            expect(listed.body.data[0]).not.toHaveProperty('keyHash');
+
+            const revoked = await server.request('DELETE', `/api/v1/users/me/api-keys/${created.body.data.id}`, {
+                headers: authHeader(testUser)
+            });
+            expect(revoked.status).toBe(200);
+
+            const afterRevoke = await server.request('GET', '/api/v1/users', { headers: keyHeader });
+            expect(afterRevoke.status).toBe(401);
+        });
+
+        test('should reject invalid scope', async () => {
+            const { status, body } = await server.request('POST', '/api/v1/users/me/api-keys', {
+                headers: authHeader(testUser),
+                body: { scopes: ['admin'] }
+            });
+
+            expect(status).toBe(400);
+            expect(body.error).toContain('Scope tidak valid');
+        });
+    });
+
+    describe('Roles', () => {
+        let admin;
+
+        beforeEach(() => {
+            admin = userRepository.create(TestDataFactory.createValidUserData({
+                username: 'admin',
+                email: 'admin@example.com',
+                role: 'admin'
+            }));
+        });
+
+        test('should let admin change role', async () => {
+            const { status, body } = await server.request('PUT', `/api/v1/users/${testUser.id}/role`, {
+                headers: authHeader(admin),
+                body: { role: 'manager' }
+            });
+
+            expect(status).toBe(200);
+            expect(body.data.role).toBe('manager');
+            expect(testUser.role).toBe('manager');
+        });
+
+        test('should forbid non-admin from changing roles', async () => {
+            const { status } = await server.request('PUT', `/api/v1/users/${testUser.id}/role`, {
+                headers: authHeader(testUser),
+                body: { role: 'admin' }
+            });
+
+            expect(status).toBe(403);
+            expect(testUser.role).toBe('user');
+        });
+
+        test('should not allow role change through profile update', async () => {
+            await server.request('PATCH', '/api/v1/users/me', {
+                headers: authHeader(testUser),
+                body: { fullName: 'Naik Pangkat', role: 'admin' }
+            });
+
+            expect(testUser.fullName).toBe('Naik Pangkat');
+            expect(testUser.role).toBe('user');
+        });
+
+        test('should keep at least one admin', async () => {
+            const { status, body } = await server.request('PUT', `/api/v1/users/${admin.id}/role`, {
+                headers: authHeader(admin),
+                body: { role: 'user' }
+            });
+
+            expect(status).toBe(400);
+            expect(body.error).toBe('Minimal harus ada satu admin aktif');
+        });
+
+        test('should reject unknown role', async () => {
+            const { status } = await server.request('PUT', `/api/v1/users/${testUser.id}/role`, {
+                headers: authHeader(admin),
+                body: { role: 'superuser' }
+            });
+
+            expect(status).toBe(400);
+        });
+    });
+
+    describe('Profile and lookup', () => {
+        test('should update preferences of current user', async () => {
+            const { status, body } = await server.request('PATCH', '/api/v1/users/me/preferences', {
+                headers: authHeader(testUser),
+                body: { theme: 'dark' }
+            });
+
+            expect(status).toBe(200);
+            expect(body.data.theme).toBe('dark');
+            expect(userRepository.findById(testUser.id).preferences.theme).toBe('dark');
+        });
+
+        test('should not write saved views through preferences or profile', async () => {
+            const preferences = await server.request('PATCH', '/api/v1/users/me/preferences', {
+                headers: authHeader(testUser),
+                body: { theme: 'dark', savedViews: [{ name: '' }], pinnedViewIds: ['view_x'] }
+            });
+            const profile = await server.request('PATCH', '/api/v1/users/me', {
+                headers: authHeader(testUser),
+                body: { preferences: { savedViews: [{ name: '' }] } }
+            });
+
+            expect(preferences.status).toBe(200);
+            expect(profile.status).toBe(200);
+            const stored = userRepository.findById(testUser.id).preferences;
+            expect(stored.theme).toBe('dark');
+            expect(stored.savedViews).toBeUndefined();
+            expect(stored.pinnedViewIds).toBeUndefined();
+        });
+
+        test('should search users', async () => {
+            const { status, body } = await server.request('GET', '/api/v1/users/search?q=test', {
+                headers: authHeader(testUser)
+            });
+
+            expect(status).toBe(200);
+            expect(body.count).toBe(1);
+        });
+
+        test('should return 404 for unknown user id', async () => {
+            const { status } = await server.request('GET', '/api/v1/users/user_missing', {
+                headers: authHeader(testUser)
+            });
+
+            expect(status).toBe(404);
+        });
+
+        test('should reject anonymous user lookup', async () => {
+            const { status, body } = await server.request('GET', `/api/v1/users/${testUser.id}`);
+
+            expect(status).toBe(401);
+            expect(body).toEqual({ success: false, error: 'User harus login terlebih dahulu' });
+        });
+    });
+});
@@ -0,0 +1,78 @@
+const EnhancedTask = require('../../src/models/EnhancedTask');
+const CalendarService = require('../../src/services/CalendarService');
+
+describe('CalendarService', () => {
+    let tasks;
+    const now = new Date(2024, 4, 10, 12, 0);
+
+    // Helper: task dengan due date waktu lokal
+    function createTask(title, dueDate, priority = 'medium') {
+        return new EnhancedTask(title, '', 'user_a', { dueDate, priority });
+    }
+
+    const titlesOn = (days, date) => days.find(day => day.date === date).tasks.map(task => task.title);
+
+    beforeEach(() => {
+        tasks = [
+            createTask('Review', new Date(2024, 4, 15, 10, 0), 'high'),
+            createTask('Standup', new Date(2024, 4, 15, 9, 0)),
+            createTask('Laporan', new Date(2024, 4, 31, 17, 0)),
+            createTask('Kickoff', new Date(2024, 3, 29, 8, 0)),
+            createTask('Tanpa deadline', null)
+        ];
+    });
+
+    test('should place tasks on full weeks of a month starting on Monday by default', () => {
+        const calendar = new CalendarService({ now }).build(tasks, { mode: 'month', date: '2024-05-20' });
+
+        expect(calendar).toMatchObject({ mode: 'month', weekStart: 1, year: 2024, month: 5 });
+        expect(calendar.range).toEqual({ from: '2024-04-29', to: '2024-06-02' });
+        expect(calendar.weekdays).toEqual([1, 2, 3, 4, 5, 6, 0]);
+        expect(calendar.weeks).toHaveLength(5);
+
+        const days = calendar.weeks.flat();
+        expect(titlesOn(days, '2024-05-15')).toEqual(['Standup', 'Review']);
+        expect(days[0]).toMatchObject({ date: '2024-04-29', inMonth: false, weekday: 1 });
+        expect(titlesOn(days, '2024-04-29')).toEqual(['Kickoff']);
+        expect(days.find(day => day.isToday).date).toBe('2024-05-10');
+        expect(days.reduce((sum, day) => sum + day.tasks.length, 0)).toBe(4);
+    });
+
+    test('should honor the week start preference in week view', () => {
+        const calendar = new CalendarService({ now, weekStart: 0 }).build(tasks, { mode: 'week', date: '2024-05-15' });
+
+        expect(calendar.range).toEqual({ from: '2024-05-12', to: '2024-05-18' });
+        expect(calendar.days.map(day => day.weekday)).toEqual([0, 1, 2, 3, 4, 5, 6]);
+        expect(titlesOn(calendar.days, '2024-05-15')).toEqual(['Standup', 'Review']);
+    });
+
+    test('should list only days with tasks in the agenda plus earlier overdue tasks', () => {
+        const calendar = new CalendarService({ now }).build(tasks, { mode: 'agenda', date: '2024-05-14', days: 7 });
+
+        expect(calendar.range).toEqual({ from: '2024-05-14', to: '2024-05-20' });
+        expect(calendar.days.map(day => day.date)).toEqual(['2024-05-15']);
+        expect(calendar.overdue.map(task => task.title)).toEqual(['Kickoff']);
+
+        expect(() => new CalendarService({ now }).build(tasks, { mode: 'agenda', days: 0 }))
+            .toThrow('Panjang agenda harus 1 sampai 366 hari');
+    });
+
+    test('should move a due date to another day keeping its time', () => {
+        const moved = CalendarService.moveToDay(new Date(2024, 4, 15, 10, 30), '2024-05-17');
+
+        expect(moved).toEqual(new Date(2024, 4, 17, 10, 30));
+        expect(CalendarService.moveToDay(null, '2024-05-17')).toEqual(new Date(2024, 4, 17));
+        expect(() => CalendarService.moveToDay(null, '2024-02-30')).toThrow('Tanggal tidak valid: 2024-02-30');
+    });
+
+    test('should navigate by month, week and agenda length', () => {
+        expect(CalendarService.shift('2024-01-31', 'month', 1)).toEqual(new Date(2024, 1, 1));
+        expect(CalendarService.shift('2024-05-15', 'week', -1)).toEqual(new Date(2024, 4, 8));
+        expect(CalendarService.shift('2024-05-15', 'agenda', 1, 7)).toEqual(new Date(2024, 4, 22));
+    });
+
+    test('should reject unknown views', () => {
+        expect(() => new CalendarService().build(tasks, { mode: 'year' }))
+            .toThrow('Tampilan kalender tidak valid: year. Harus salah satu dari: month, week, agenda');
+    });
+});
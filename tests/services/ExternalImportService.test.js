@@ -0,0 +1,121 @@
+const EnhancedTask = require('../../src/models/EnhancedTask');
+const CsvFormat = require('../../src/utils/CsvFormat');
+
+// ExternalImportService memakai CsvFormat dan EnhancedTask sebagai global, sama seperti di browser
+global.CsvFormat = CsvFormat;
+global.EnhancedTask = EnhancedTask;
+const ExternalImportService = require('../../src/services/ExternalImportService');
+
+describe('ExternalImportService', () => {
+    let service;
+
+    beforeEach(() => {
+        service = new ExternalImportService();
+    });
+
+    test('should map a Trello board export to tasks', () => {
+        const board = {
+            name: 'Study',
+            lists: [
+                { id: 'l1', name: 'To Do', closed: false },
+                { id: 'l2', name: 'Doing', closed: false }
+            ],
+            labels: [
+                { id: 'b1', name: 'High', color: 'red' },
+                { id: 'b2', name: 'Ujian Akhir', color: 'blue' }
+            ],
+            cards: [
+                { id: 'c1', name: 'Baca bab 3', desc: 'Halaman 40-60', idList: 'l2', idLabels: ['b1', 'b2'], due: '2024-05-15T10:00:00.000Z', closed: false },
+                { id: 'c2', name: 'Kartu lama', idList: 'l1', idLabels: [], closed: true }
+            ],
+            checklists: [
+                { idCard: 'c1', checkItems: [
+                    { name: 'Ringkasan', state: 'incomplete', pos: 2 },
+                    { name: 'Baca', state: 'complete', pos: 1 }
+                ] }
+            ],
+            actions: [
+                { type: 'commentCard', date: '2024-05-10T08:00:00.000Z', memberCreator: { fullName: 'Budi' }, data: { card: { id: 'c1' }, text: 'Jangan lupa latihan soal' } }
+            ]
+        };
+
+        const result = service.parse('trello', JSON.stringify(board));
+
+        expect(result.items).toHaveLength(1);
+        expect(result.items[0]).toMatchObject({
+            externalRef: 'trello:c1',
+            title: 'Baca bab 3',
+            description: 'Halaman 40-60',
+            category: 'study',
+            status: 'in-progress',
+            priority: 'high',
+            tags: ['ujian-akhir'],
+            checklist: [{ text: 'Baca', done: true }, { text: 'Ringkasan', done: false }],
+            notes: ['2024-05-10 Budi: Jangan lupa latihan soal']
+        });
+        expect(result.items[0].dueDate).toEqual(new Date('2024-05-15T10:00:00.000Z'));
+        expect(result.mapping).toEqual({
+            categories: { Study: 'study' },
+            statuses: { Doing: 'in-progress' },
+            tags: { 'Ujian Akhir': 'ujian-akhir' }
+        });
+        expect(result.warnings).toEqual(['Kartu yang diarsipkan dilewati: Kartu lama']);
+    });
+
+    test('should map a Todoist CSV export with sections, labels and notes', () => {
+        const csv = [
+            'TYPE,CONTENT,DESCRIPTION,PRIORITY,INDENT,AUTHOR,RESPONSIBLE,DATE,DATE_LANG,TIMEZONE',
+            'section,Done,,,,,,,,',
+            'task,Bayar listrik @rumah,,1,1,Budi (123),,2024-05-15,en,Asia/Jakarta',
+            'note,Sudah transfer,,,,Budi (123),,,,',
+            'task,Cek tagihan,,4,1,Budi (123),,besok sore,en,Asia/Jakarta'
+        ].join('\n');
+
+        const result = new ExternalImportService({ projectName: 'Personal' }).parse('todoist', csv);
+
+        expect(result.items.map(item => item.title)).toEqual(['Bayar listrik', 'Cek tagihan']);
+        expect(result.items[0]).toMatchObject({
+            category: 'personal',
+            status: 'completed',
+            priority: 'urgent',
+            tags: ['rumah'],
+            notes: ['Budi: Sudah transfer']
+        });
+        expect(result.items[0].dueDate).toEqual(new Date(2024, 4, 15));
+        expect(result.items[1]).toMatchObject({ priority: 'low', dueDate: null });
+        expect(result.warnings).toEqual(['Due date "besok sore" tidak dikenali, task "Cek tagihan" diimport tanpa due date']);
+
+        // ID dibentuk dari isi file, jadi import ulang menghasilkan externalRef yang sama
+        const again = new ExternalImportService({ projectName: 'Personal' }).parse('todoist', csv);
+        expect(again.items.map(item => item.externalRef)).toEqual(result.items.map(item => item.externalRef));
+    });
+
+    test('should map a Jira CSV export with repeated label and comment columns', () => {
+        const csv = [
+            'Summary,Issue key,Issue Type,Status,Status Category,Priority,Resolution,Project name,Due Date,Labels,Labels,Comment',
+            'Perbaiki login,WEB-12,Bug,Code Review,In Progress,Highest,,Website,15/May/24 3:30 PM,backend,auth,"10/May/24 9:00 AM;557058:abc;Sudah direproduksi"',
+            'Fitur lama,WEB-7,Story,Closed,Done,Low,Won\'t Do,Website,,,,'
+        ].join('\n');
+
+        const result = new ExternalImportService({ statusMap: { 'Code Review': 'blocked' } }).parse('jira', csv);
+
+        expect(result.items[0]).toMatchObject({
+            externalRef: 'jira:WEB-12',
+            category: 'work',
+            status: 'blocked',
+            priority: 'urgent',
+            tags: ['backend', 'auth', 'bug'],
+            notes: [`${new Date(2024, 4, 10, 9, 0).toISOString().split('T')[0]}: Sudah direproduksi`]
+        });
+        expect(result.items[0].dueDate).toEqual(new Date(2024, 4, 15, 15, 30));
+        expect(result.items[1]).toMatchObject({ externalRef: 'jira:WEB-7', status: 'cancelled', priority: 'low' });
+        expect(result.mapping.categories).toEqual({ Website: 'work' });
+    });
+
+    test('should reject unknown sources and files from another tool', () => {
+        expect(() => service.parse('asana', '{}')).toThrow('Sumber import tidak dikenal: asana');
+        expect(() => service.parse('trello', 'Summary,Issue key')).toThrow('File Trello tidak valid');
+        expect(() => service.parse('jira', '{"cards": []}')).toThrow('File Jira tidak valid');
+        expect(() => new ExternalImportService({ statusMap: { Doing: 'selesai' } })).toThrow('Status tidak valid');
+    });
+});
@@ -0,0 +1,91 @@
+const TestDataFactory = require('../helpers/TestDataFactory');
+const User = require('../../src/models/User');
+const EnhancedTask = require('../../src/models/EnhancedTask');
+const PermissionService = require('../../src/services/PermissionService');
+
+describe('PermissionService', () => {
+    let owner;
+    let assignee;
+    let stranger;
+    let task;
+    
+    // Helper untuk membuat user dengan role tertentu
+    function createUser(username, role = 'user') {
+        const user = new User(username, `${username}@example.com`, username);
+        user.changeRole(role);
+        return user;
+    }
+    
+    beforeEach(() => {
+        owner = createUser('owner');
+        assignee = createUser('assignee');
+        stranger = createUser('stranger');
+        task = new EnhancedTask('Task', 'Desc', owner.id, { assigneeId: assignee.id });
+    });
+    
+    describe('User role', () => {
+        test('should allow owner every task action', () => {
+            ['read', 'edit', 'updateStatus', 'assign', 'changeCategory', 'delete'].forEach(action => {
+                expect(PermissionService.can(owner, action, task)).toBe(true);
+            });
+        });
+        
+        test('should allow assignee only read and status update', () => {
+            expect(PermissionService.can(assignee, 'read', task)).toBe(true);
+            expect(PermissionService.can(assignee, 'updateStatus', task)).toBe(true);
+            expect(PermissionService.can(assignee, 'edit', task)).toBe(false);
+            expect(PermissionService.can(assignee, 'delete', task)).toBe(false);
+        });
+        
+        test('should deny unrelated user', () => {
+            expect(PermissionService.can(stranger, 'read', task)).toBe(false);
+            expect(PermissionService.authorize(stranger, 'read', task)).toEqual({
+                success: false,
+                error: 'Anda tidak memiliki akses ke task ini'
+            });
+        });
+    });
+    
+    describe('Other roles', () => {
+        test('should let admin do everything including manage roles', () => {
+            const admin = createUser('admin', 'admin');
+            
+            expect(PermissionService.can(admin, 'delete', task)).toBe(true);
+            expect(PermissionService.can(admin, 'manageRoles')).toBe(true);
+        });
+        
+        test('should let manager edit any task but not delete others', () => {
+            const manager = createUser('manager', 'manager');
+            
+            expect(PermissionService.can(manager, 'edit', task)).toBe(true);
+            expect(PermissionService.can(manager, 'assign', task)).toBe(true);
+            expect(PermissionService.can(manager, 'delete', task)).toBe(false);
+            expect(PermissionService.can(manager, 'manageRoles')).toBe(false);
+        });
+        
+        test('should keep viewer read-only', () => {
+            owner.changeRole('viewer');
+            
+            expect(PermissionService.can(owner, 'read', task)).toBe(true);
+            expect(PermissionService.can(owner, 'edit', task)).toBe(false);
+            expect(PermissionService.can(owner, 'createTask')).toBe(false);
+        });
+        
+        test('should deny inactive users', () => {
+            owner.deactivate();
+            
+            expect(PermissionService.can(owner, 'read', task)).toBe(false);
+        });
+    });
+    
+    test('should map update fields to required actions', () => {
+        const updates = TestDataFactory.createValidTaskData({ status: 'completed', assigneeId: 'x' });
+        const actions = PermissionService.getRequiredTaskActions(updates);
+        
+        expect(actions).toEqual(expect.arrayContaining(['edit', 'changeCategory', 'updateStatus', 'assign']));
+        expect(PermissionService.getRequiredTaskActions({ status: 'completed' })).toEqual(['updateStatus']);
+        expect(PermissionService.getRequiredTaskActions({ toggleChecklistItem: 'check_1' })).toEqual(['updateStatus']);
+        expect(PermissionService.getRequiredTaskActions({ status: 'pending', boardRank: 1000 })).toEqual(['updateStatus']);
+        expect(PermissionService.getRequiredTaskActions({ addChecklistItem: 'Step', parentId: 'task_1' })).toEqual(['edit']);
+    });
+});
@@ -0,0 +1,112 @@
+const EnhancedTask = require('../../src/models/EnhancedTask');
+const CsvFormat = require('../../src/utils/CsvFormat');
+
+// TaskCsvService memakai CsvFormat dan EnhancedTask sebagai global, sama seperti di browser
+global.CsvFormat = CsvFormat;
+global.EnhancedTask = EnhancedTask;
+const TaskCsvService = require('../../src/services/TaskCsvService');
+
+describe('TaskCsvService', () => {
+    let service;
+
+    beforeEach(() => {
+        // Username atau ID user, sama seperti TaskController
+        const users = { budi: 'user_budi', user_a: 'user_a' };
+        service = new TaskCsvService({ resolveUser: name => users[name] || null });
+    });
+
+    test('should export every field with tags, checklist and notes in one cell', () => {
+        const task = new EnhancedTask('Laporan, Q2', 'Ringkasan', 'user_a', {
+            tags: ['kantor', 'laporan'],
+            priority: 'high',
+            category: 'work',
+            dueDate: new Date('2024-05-15T10:00:00Z')
+        });
+        task.addChecklistItem('Data');
+        task.addNote('Catatan pertama');
+
+        const [header, row] = CsvFormat.parse(service.toCsv([task]));
+        const record = Object.fromEntries(header.map((name, index) => [name, row[index]]));
+
+        expect(header).toEqual(expect.arrayContaining(['ID', 'Judul', 'Tag', 'Checklist', 'Catatan', 'Owner ID', 'Dibuat']));
+        expect(record).toMatchObject({
+            ID: task.id,
+            Judul: 'Laporan, Q2',
+            Prioritas: 'high',
+            Tag: 'kantor, laporan',
+            'Due Date': '2024-05-15T10:00:00.000Z',
+            Checklist: '[ ] Data',
+            Catatan: 'Catatan pertama'
+        });
+    });
+
+    test('should guess the mapping from field names and export headers', () => {
+        expect(TaskCsvService.suggestMapping(['Judul', 'status', 'Due Date', 'ID', 'Owner ID', 'title'])).toEqual({
+            Judul: 'title',
+            status: 'status',
+            'Due Date': 'dueDate',
+            ID: null,
+            'Owner ID': null,
+            title: null
+        });
+    });
+
+    test('should validate every row and report errors per line', () => {
+        const csv = [
+            'Nama,Kategori,Prioritas,Status,Deadline,Jam,PIC,Checklist',
+            'Rapat,Work,urgent,in-progress,2024-05-15,"1,5",budi,"[x] Agenda\n[ ] Notulen"',
+            ',hobi,penting,selesai,besok,-1,andi,',
+            '',
+            'Belanja,,,,,,,'
+        ].join('\n');
+        const mapping = {
+            Nama: 'title', Kategori: 'category', Prioritas: 'priority', Status: 'status',
+            Deadline: 'dueDate', Jam: 'estimatedHours', PIC: 'assigneeId', Checklist: 'checklist'
+        };
+
+        const preview = service.preview(csv, mapping);
+
+        expect(preview).toMatchObject({ validCount: 2, errorCount: 1 });
+        expect(preview.rows.map(row => row.line)).toEqual([2, 3, 5]);
+        expect(preview.rows[0].task).toMatchObject({
+            title: 'Rapat',
+            category: 'work',
+            priority: 'urgent',
+            status: 'in-progress',
+            dueDate: new Date(2024, 4, 15),
+            estimatedHours: 1.5,
+            assigneeId: 'user_budi',
+            checklist: [{ text: 'Agenda', done: true }, { text: 'Notulen', done: false }]
+        });
+        expect(preview.rows[1].errors).toEqual([
+            'Judul task wajib diisi',
+            'Kategori tidak valid: hobi. Harus salah satu dari: work, personal, study, health, finance, other',
+            'Prioritas tidak valid: penting. Harus salah satu dari: low, medium, high, urgent',
+            'Status tidak valid: selesai. Harus salah satu dari: pending, in-progress, blocked, completed, cancelled',
+            'Due date tidak valid: besok',
+            'Estimasi jam tidak valid: -1',
+            'User yang di-assign tidak ditemukan: andi'
+        ]);
+    });
+
+    test('should round-trip an export through the suggested mapping', () => {
+        const task = new EnhancedTask('Olahraga', '=1+1', 'user_a', { category: 'health', tags: ['pagi'] });
+
+        const csv = service.toCsv([task]);
+        const preview = service.preview(csv);
+
+        expect(csv).toContain(',\'=1+1,');
+        expect(preview.errorCount).toBe(0);
+        expect(preview.rows[0].task).toMatchObject({ title: 'Olahraga', description: '=1+1', category: 'health', tags: ['pagi'], status: 'pending' });
+    });
+
+    test('should reject invalid mappings', () => {
+        const csv = 'Judul,Catatan\nA,B\n';
+
+        expect(() => service.preview(csv, { Catatan: 'notes' })).toThrow('Kolom judul (title) wajib dipetakan');
+        expect(() => service.preview(csv, { Judul: 'title', Catatan: 'title' })).toThrow('Field title dipetakan ke lebih dari satu kolom');
+        expect(() => service.preview(csv, { Judul: 'title', Catatan: 'ownerId' })).toThrow('Field import tidak dikenal: ownerId');
+        expect(() => service.preview(csv, { Judul: 'title', Lain: 'notes' })).toThrow('Kolom tidak ada di CSV: Lain');
+        expect(() => service.preview('Judul\n')).toThrow('File CSV kosong atau hanya berisi header');
+    });
+});
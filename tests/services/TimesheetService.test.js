@@ -0,0 +1,132 @@
+const TestDataFactory = require('../helpers/TestDataFactory');
+const EnhancedTask = require('../../src/models/EnhancedTask');
+const CsvFormat = require('../../src/utils/CsvFormat');
+
+// Repository dan service memakai class lain sebagai global, sama seperti di browser
+global.EnhancedTask = EnhancedTask;
+global.CsvFormat = CsvFormat;
+
+const TaskRepository = require('../../src/repositories/TaskRepository');
+const TimesheetService = require('../../src/services/TimesheetService');
+
+describe('TimesheetService', () => {
+    let taskRepository;
+    let service;
+    let design;
+    let build;
+    
+    // Helper untuk mencatat jam kerja manual
+    function logTime(task, userId, startedAt, endedAt, note = '') {
+        taskRepository.update(task.id, { addTimeEntry: { userId, startedAt, endedAt, note } });
+    }
+    
+    beforeEach(() => {
+        taskRepository = new TaskRepository(TestDataFactory.createMockStorage());
+        service = new TimesheetService(taskRepository);
+        
+        design = taskRepository.create(TestDataFactory.createValidTaskData({
+            title: 'Design',
+            ownerId: 'owner_a',
+            assigneeId: 'user_a',
+            tags: ['ui', 'client'],
+            estimatedHours: 2
+        }));
+        build = taskRepository.create(TestDataFactory.createValidTaskData({
+            title: 'Build',
+            ownerId: 'owner_a',
+            assigneeId: 'user_b',
+            category: 'personal',
+            estimatedHours: 5
+        }));
+        
+        logTime(design, 'user_a', '2024-03-04T09:00:00Z', '2024-03-04T11:00:00Z', 'Wireframe');
+        logTime(design, 'user_a', '2024-03-05T09:00:00Z', '2024-03-05T10:30:00Z');
+        logTime(build, 'user_b', '2024-03-05T13:00:00Z', '2024-03-05T17:00:00Z');
+        logTime(build, 'user_a', '2024-04-01T09:00:00Z', '2024-04-01T10:00:00Z');
+    });
+    
+    test('should compare estimate to actual and flag tasks over estimate', () => {
+        const report = service.generateReport();
+        
+        const designRow = report.tasks.find(row => row.taskId === design.id);
+        expect(designRow).toMatchObject({ estimatedHours: 2, actualHours: 3.5, varianceHours: 1.5, overEstimate: true });
+        expect(report.tasks.find(row => row.taskId === build.id).overEstimate).toBe(false);
+        expect(report.summary).toMatchObject({ taskCount: 2, estimatedHours: 7, actualHours: 8.5, overEstimateCount: 1 });
+    });
+    
+    test('should only count hours inside the date range', () => {
+        const report = service.generateReport({ from: '2024-03-01T00:00:00Z', to: '2024-03-05T10:00:00Z' });
+        
+        expect(report.summary.actualHours).toBe(3);
+        expect(report.tasks).toHaveLength(1);
+        // Flag over estimate tetap memakai total jam task
+        expect(report.tasks[0].totalActualHours).toBe(3.5);
+        expect(report.tasks[0].overEstimate).toBe(true);
+    });
+    
+    test('should group hours by owner, assignee, logging user, category and tag', () => {
+        const { groups } = service.generateReport({ to: '2024-03-31T23:59:59Z' });
+        
+        expect(groups.owner).toEqual([expect.objectContaining({ key: 'owner_a', actualHours: 7.5 })]);
+        expect(groups.assignee.map(group => [group.key, group.actualHours])).toEqual([['user_a', 3.5], ['user_b', 4]]);
+        expect(groups.user.map(group => [group.key, group.actualHours])).toEqual([['user_a', 3.5], ['user_b', 4]]);
+        expect(groups.category.map(group => group.key)).toEqual(['personal', 'work']);
+        expect(groups.tag.map(group => [group.key, group.actualHours])).toEqual([
+            ['client', 3.5],
+            ['tanpa-tag', 4],
+            ['ui', 3.5]
+        ]);
+    });
+    
+    test('should group by completion week and month', () => {
+        taskRepository.update(design.id, { status: 'completed' });
+        const completedAt = design.completedAt;
+        
+        const { groups } = service.generateReport();
+        
+        expect(groups.week.map(group => group.key)).toEqual(
+            [TimesheetService.getWeekKey(completedAt), 'belum-selesai'].sort()
+        );
+        expect(groups.month.find(group => group.key === TimesheetService.getMonthKey(completedAt)).taskCount).toBe(1);
+    });
+    
+    test('should filter by user and task filter', () => {
+        const byUser = service.generateReport({ userId: 'user_a' });
+        expect(byUser.entries.every(entry => entry.userId === 'user_a')).toBe(true);
+        expect(byUser.summary.actualHours).toBe(4.5);
+        
+        const filtered = service.generateReport({ taskFilter: task => task.id === build.id });
+        expect(filtered.tasks.map(row => row.title)).toEqual(['Build']);
+    });
+    
+    test('should calculate ISO week keys', () => {
+        expect(TimesheetService.getWeekKey(new Date(2024, 0, 1))).toBe('2024-W01');
+        expect(TimesheetService.getWeekKey(new Date(2021, 0, 3))).toBe('2020-W53');
+        expect(TimesheetService.getWeekKey(new Date(2024, 11, 30))).toBe('2025-W01');
+    });
+    
+    test('should export one CSV row per time entry', () => {
+        const csv = service.toCsv(service.generateReport({ to: '2024-03-31T23:59:59Z' }));
+        const lines = csv.trim().split('\r\n');
+        
+        expect(lines).toHaveLength(4);
+        expect(lines[0]).toBe('Tanggal,User ID,User,Task ID,Task,Kategori,Owner ID,Assignee ID,Mulai,Selesai,Jam,Catatan');
+        expect(lines[1]).toContain(',2,Wireframe');
+    });
+    
+    test('should read date-only ranges and entry dates in local time', () => {
+        const late = taskRepository.create(TestDataFactory.createValidTaskData({ title: 'Lembur', ownerId: 'owner_a' }));
+        logTime(late, 'user_a', new Date(2024, 0, 31, 23, 0).toISOString(), new Date(2024, 0, 31, 23, 30).toISOString());
+        
+        const report = service.generateReport({ from: '2024-01-31', to: '2024-01-31' });
+        
+        expect(report.tasks.map(row => row.title)).toEqual(['Lembur']);
+        expect(report.entries[0]).toMatchObject({ date: '2024-01-31', hours: 0.5 });
+        expect(report.range.to).toBe(new Date(2024, 0, 31, 23, 59, 59, 999).toISOString());
+    });
+    
+    test('should reject invalid date range', () => {
+        expect(() => service.generateReport({ from: 'bukan tanggal' })).toThrow('Rentang tanggal tidak valid');
+        expect(() => service.generateReport({ from: '2024-03-02', to: '2024-03-01' })).toThrow('setelah tanggal awal');
+    });
+});
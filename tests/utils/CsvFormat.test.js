@@ -0,0 +1,50 @@
+const CsvFormat = require('../../src/utils/CsvFormat');
+
+describe('CsvFormat', () => {
+    test('should quote fields with delimiter, quotes or newlines', () => {
+        const csv = CsvFormat.stringify([
+            ['a', 'b,c', 'say "hi"'],
+            ['line\nbreak', null, 3]
+        ]);
+        
+        expect(csv).toBe('a,"b,c","say ""hi"""\r\n"line\nbreak",,3\r\n');
+    });
+    
+    test('should build CSV from records and columns', () => {
+        const csv = CsvFormat.fromRecords(
+            [{ name: 'Budi', hours: 1.5, date: new Date('2024-01-01T00:00:00Z') }],
+            [{ key: 'name', header: 'Nama' }, { key: 'hours' }, { key: 'date', header: 'Tanggal' }]
+        );
+        
+        expect(csv).toBe('Nama,hours,Tanggal\r\nBudi,1.5,2024-01-01T00:00:00.000Z\r\n');
+    });
+    
+    test('should neutralize text that spreadsheets would run as a formula', () => {
+        const csv = CsvFormat.stringify([['=HYPERLINK("http://x")', '+1', '-abc', '@SUM(A1)', -2, 'a=b']]);
+        
+        expect(csv).toBe('"\'=HYPERLINK(""http://x"")",\'+1,\'-abc,\'@SUM(A1),-2,a=b\r\n');
+        expect(CsvFormat.parse(csv)[0].map(CsvFormat.unescapeFormula))
+            .toEqual(['=HYPERLINK("http://x")', '+1', '-abc', '@SUM(A1)', '-2', 'a=b']);
+    });
+    
+    test('should support custom delimiter', () => {
+        expect(CsvFormat.stringify([['a;b', 'c']], { delimiter: ';' })).toBe('"a;b";c\r\n');
+        expect(CsvFormat.parse('"a;b";c\n', { delimiter: ';' })).toEqual([['a;b', 'c']]);
+    });
+    
+    test('should parse what stringify writes', () => {
+        const rows = [['a', 'b,c', 'say "hi"'], ['line\r\nbreak', '', '3']];
+        
+        expect(CsvFormat.parse(CsvFormat.stringify(rows))).toEqual(rows);
+    });
+    
+    test('should parse LF line endings, a BOM and a last line without line break', () => {
+        expect(CsvFormat.parse('\uFEFFjudul,status\nA,pending\nB,')).toEqual([
+            ['judul', 'status'],
+            ['A', 'pending'],
+            ['B', '']
+        ]);
+        expect(CsvFormat.parse('')).toEqual([]);
+        expect(() => CsvFormat.parse('a,"b\n')).toThrow('CSV tidak valid: tanda kutip tidak ditutup');
+    });
+});
@@ -0,0 +1,308 @@
+const TestDataFactory = require('../helpers/TestDataFactory');
+
+const User = require('../../src/models/User');
+const EnhancedTask = require('../../src/models/EnhancedTask');
+
+// Model dipakai sebagai global, sama seperti di browser
+global.User = User;
+global.EnhancedTask = EnhancedTask;
+
+const EnhancedStorageManager = require('../../src/utils/EnhancedStorageManager');
+const MemoryStorageAdapter = require('../../src/utils/MemoryStorageAdapter');
+
+describe('EnhancedStorageManager', () => {
+    let adapter;
+    let storage;
+    
+    beforeEach(() => {
+        adapter = new MemoryStorageAdapter();
+        storage = new EnhancedStorageManager('testApp', '2.0', adapter);
+    });
+    
+    test('should save and load entity through adapter', () => {
+        // Act
+        const saved = storage.save('tasks', [{ id: 't1' }]);
+        
+        // Assert
+        expect(saved).toBe(true);
+        expect(storage.load('tasks')).toEqual([{ id: 't1' }]);
+        expect(JSON.parse(adapter.getItem('testApp_tasks')).data).toEqual([{ id: 't1' }]);
+        expect(storage.getMetadata().entities.tasks).toBeDefined();
+    });
+    
+    test('should list entities and clear only app keys', () => {
+        adapter.setItem('otherApp_tasks', '[]');
+        storage.save('tasks', []);
+        storage.save('users', []);
+        
+        expect(storage.getEntities().sort()).toEqual(['tasks', 'users']);
+        
+        storage.clear();
+        
+        expect(adapter.keys()).toEqual(['otherApp_tasks']);
+    });
+    
+    test('should export data and report storage info from adapter', () => {
+        storage.save('tasks', [{ id: 't1' }]);
+        
+        const exported = storage.exportData();
+        const info = storage.getStorageInfo();
+        
+        expect(exported.data['testApp_tasks'].data).toEqual([{ id: 't1' }]);
+        expect(info.available).toBe(true);
+        expect(info.appKeys).toBe(2);
+    });
+    
+    test('should throw failed saves only when asked to', () => {
+        adapter.setItem = jest.fn(() => {
+            throw new Error('lock dipegang proses lain');
+        });
+        const strictStorage = new EnhancedStorageManager('strictApp', '2.0', new MemoryStorageAdapter(), { throwOnSaveError: true });
+        strictStorage.adapter.setItem = adapter.setItem;
+        
+        expect(storage.save('tasks', [])).toBe(false);
+        expect(() => strictStorage.save('tasks', [])).toThrow('Gagal menyimpan data tasks');
+    });
+    
+    test('should use localStorage adapter by default', () => {
+        const defaultStorage = new EnhancedStorageManager('defaultApp');
+        defaultStorage.save('settings', { theme: 'dark' });
+        
+        expect(defaultStorage.adapter.constructor.name).toBe('LocalStorageAdapter');
+        expect(JSON.parse(localStorage.getItem('defaultApp_settings')).data).toEqual({ theme: 'dark' });
+        
+        localStorage.clear();
+    });
+    
+    describe('Migrations', () => {
+        const storeAs = (entity, version, data) => {
+            adapter.setItem(`testApp_${entity}`, JSON.stringify({ data, version, timestamp: new Date().toISOString() }));
+        };
+        
+        const createStorage = version => new EnhancedStorageManager('testApp', version, adapter)
+            .registerMigration({
+                from: '1.0',
+                to: '2.0',
+                description: 'Status dari field completed',
+                transforms: {
+                    tasks: task => ({ ...task, status: task.completed ? 'completed' : 'pending' })
+                }
+            })
+            .registerMigration({
+                from: '2.0',
+                to: '2.1',
+                description: 'Default category dan role',
+                transforms: {
+                    tasks: task => ({ ...task, category: task.category || 'other' }),
+                    users: user => ({ ...user, role: user.role || 'user' })
+                }
+            });
+        
+        test('should run ordered migrations on load and persist result', () => {
+            // Arrange
+            storeAs('tasks', '1.0', [{ id: 't1', completed: true }, { id: 't2', completed: false, category: 'work' }]);
+            const migratedStorage = createStorage('2.1');
+            
+            // Act
+            const tasks = migratedStorage.load('tasks');
+            
+            // Assert
+            expect(tasks).toEqual([
+                { id: 't1', completed: true, status: 'completed', category: 'other' },
+                { id: 't2', completed: false, status: 'pending', category: 'work' }
+            ]);
+            expect(JSON.parse(adapter.getItem('testApp_tasks')).version).toBe('2.1');
+            
+            const metadata = migratedStorage.getMetadata();
+            expect(metadata.version).toBe('2.1');
+            expect(metadata.entities.tasks.version).toBe('2.1');
+            expect(metadata.migrations[0]).toMatchObject({
+                entity: 'tasks',
+                fromVersion: '1.0',
+                toVersion: '2.1',
+                steps: ['1.0 -> 2.0', '2.0 -> 2.1'],
+                recordsChanged: 2
+            });
+        });
+        
+        test('should start from stored version', () => {
+            storeAs('users', '2.0', [{ id: 'u1' }, { id: 'u2', role: 'admin' }]);
+            
+            expect(createStorage('2.1').load('users')).toEqual([{ id: 'u1', role: 'user' }, { id: 'u2', role: 'admin' }]);
+        });
+        
+        test('should report changes without writing in dry run', () => {
+            storeAs('tasks', '1.0', [{ id: 't1', completed: true }]);
+            storeAs('users', '2.1', []);
+            const before = adapter.getItem('testApp_tasks');
+            
+            const report = createStorage('2.1').migrate({ dryRun: true });
+            
+            expect(report.dryRun).toBe(true);
+            expect(report.entities).toEqual(expect.arrayContaining([
+                expect.objectContaining({ entity: 'tasks', status: 'pending', recordsChanged: 1, recordsTotal: 1 }),
+                expect.objectContaining({ entity: 'users', status: 'up-to-date' })
+            ]));
+            expect(adapter.getItem('testApp_tasks')).toBe(before);
+        });
+        
+        test('should migrate all entities when not dry run', () => {
+            storeAs('tasks', '1.0', [{ id: 't1', completed: false }]);
+            const migratedStorage = createStorage('2.1');
+            
+            const report = migratedStorage.migrate();
+            
+            expect(report.entities).toEqual([expect.objectContaining({ entity: 'tasks', status: 'migrated' })]);
+            expect(JSON.parse(adapter.getItem('testApp_tasks')).data[0].status).toBe('pending');
+            expect(migratedStorage.migrate().entities[0].status).toBe('up-to-date');
+        });
+        
+        test('should keep data unchanged when no migration path exists', () => {
+            storeAs('tasks', '0.9', [{ id: 't1' }]);
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            
+            const tasks = createStorage('2.1').load('tasks');
+            
+            expect(tasks).toEqual([{ id: 't1' }]);
+            expect(JSON.parse(adapter.getItem('testApp_tasks')).version).toBe('0.9');
+            console.warn.mockRestore();
+        });
+        
+        test('should reject invalid or duplicate migrations', () => {
+            expect(() => storage.registerMigration({ from: '2.0', to: '1.0', transforms: {} })).toThrow('lebih baru');
+            expect(() => storage.registerMigration({ from: '1.0' })).toThrow('from dan to');
+            
+            storage.registerMigration({ from: '1.0', to: '2.0', transforms: {} });
+            expect(() => storage.registerMigration({ from: '1.0', to: '1.5', transforms: {} })).toThrow('sudah terdaftar');
+        });
+        
+        test('should compare versions numerically', () => {
+            expect(EnhancedStorageManager.compareVersions('2.10', '2.9')).toBeGreaterThan(0);
+            expect(EnhancedStorageManager.compareVersions('2.0', '2')).toBe(0);
+            expect(EnhancedStorageManager.compareVersions('1.0', '2.0')).toBeLessThan(0);
+        });
+    });
+    
+    describe('Import', () => {
+        const createTask = overrides => {
+            const data = TestDataFactory.createValidTaskData(overrides);
+            return new EnhancedTask(data.title, data.description, data.ownerId, data).toJSON();
+        };
+        const createUser = overrides => {
+            const data = TestDataFactory.createValidUserData(overrides);
+            return new User(data.username, data.email, data.fullName).toJSON();
+        };
+        const backupOf = (entities, appName = 'testApp') => ({
+            appName,
+            version: '2.0',
+            exportedAt: new Date().toISOString(),
+            data: Object.fromEntries(Object.entries(entities).map(([entity, data]) => [
+                `${appName}_${entity}`,
+                { data, version: '2.0', timestamp: new Date().toISOString() }
+            ]))
+        });
+        
+        let localTask;
+        
+        beforeEach(() => {
+            localTask = createTask({ title: 'Local Task' });
+            storage.save('tasks', [localTask]);
+        });
+        
+        test('should merge by id and report added, updated and rejected records', () => {
+            // Arrange
+            const newTask = createTask({ title: 'New Task' });
+            const changedLocal = { ...localTask, title: 'Changed', updatedAt: new Date(Date.now() + 1000).toISOString() };
+            const invalidTask = { ...createTask(), title: '' };
+            
+            // Act
+            const report = storage.importData(backupOf({ tasks: [changedLocal, newTask, invalidTask, { title: 'no id' }] }));
+            
+            // Assert
+            expect(report.success).toBe(true);
+            expect(report.entities.tasks.added).toEqual([newTask.id]);
+            expect(report.entities.tasks.updated).toEqual([localTask.id]);
+            expect(report.entities.tasks.rejected).toHaveLength(2);
+            expect(report.summary).toMatchObject({ added: 1, updated: 1, rejected: 2 });
+            expect(storage.load('tasks').map(task => task.title)).toEqual(['Changed', 'New Task']);
+        });
+        
+        test('should keep newer local record as conflict in merge mode', () => {
+            const olderCopy = { ...localTask, title: 'Old Title', updatedAt: new Date(0).toISOString() };
+            
+            const report = storage.importData(backupOf({ tasks: [olderCopy] }));
+            
+            expect(report.entities.tasks.conflicts).toEqual([{ id: localTask.id, reason: 'Data lokal lebih baru' }]);
+            expect(storage.load('tasks')[0].title).toBe('Local Task');
+        });
+        
+        test('should not touch existing records in skip-existing mode', () => {
+            const newTask = createTask({ title: 'New Task' });
+            const changedLocal = { ...localTask, title: 'Changed', updatedAt: new Date(Date.now() + 1000).toISOString() };
+            
+            const report = storage.importData(backupOf({ tasks: [changedLocal, newTask] }), { mode: 'skip-existing' });
+            
+            expect(report.entities.tasks.added).toEqual([newTask.id]);
+            expect(report.entities.tasks.conflicts).toHaveLength(1);
+            expect(storage.load('tasks').map(task => task.title)).toEqual(['Local Task', 'New Task']);
+        });
+        
+        test('should replace entity content and report removed records', () => {
+            const newTask = createTask({ title: 'New Task' });
+            
+            const report = storage.importData(backupOf({ tasks: [newTask] }), { mode: 'replace' });
+            
+            expect(report.entities.tasks.removed).toEqual([localTask.id]);
+            expect(storage.load('tasks')).toEqual([newTask]);
+        });
+        
+        test('should report unchanged records from own export', () => {
+            const report = storage.importData(storage.exportData());
+            
+            expect(report.entities.tasks.unchanged).toEqual([localTask.id]);
+            expect(report.summary.updated).toBe(0);
+        });
+        
+        test('should validate users and detect username conflicts', () => {
+            const existingUser = createUser({ username: 'alice', email: 'alice@example.com' });
+            storage.save('users', [existingUser]);
+            const clash = createUser({ username: 'alice', email: 'other@example.com' });
+            const invalid = { ...createUser({ username: 'bob', email: 'bob@example.com' }), role: 'superuser' };
+            
+            const report = storage.importData(backupOf({ users: [clash, invalid] }));
+            
+            expect(report.entities.users.conflicts).toEqual([{ id: clash.id, reason: `username sudah digunakan oleh ${existingUser.id}` }]);
+            expect(report.entities.users.rejected[0].error).toContain('Role tidak valid');
+            expect(storage.load('users')).toEqual([existingUser]);
+        });
+        
+        test('should import into own keys when backup comes from another app', () => {
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            const newTask = createTask({ title: 'New Task' });
+            
+            storage.importData(backupOf({ tasks: [newTask] }, 'otherApp'));
+            
+            expect(storage.load('tasks')).toHaveLength(2);
+            expect(adapter.getItem('otherApp_tasks')).toBeNull();
+            console.warn.mockRestore();
+        });
+        
+        test('should not write anything in preview', () => {
+            const before = adapter.getItem('testApp_tasks');
+            
+            const report = storage.previewImport(backupOf({ tasks: [createTask({ title: 'New Task' })] }), { mode: 'replace' });
+            
+            expect(report.dryRun).toBe(true);
+            expect(report.summary).toMatchObject({ added: 1, removed: 1 });
+            expect(adapter.getItem('testApp_tasks')).toBe(before);
+        });
+        
+        test('should reject invalid format and unknown mode', () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            
+            expect(storage.importData({ foo: 'bar' })).toMatchObject({ success: false, error: 'Format data import tidak valid' });
+            expect(storage.importData(backupOf({}), { mode: 'overwrite' }).error).toBe('Mode import tidak valid: overwrite');
+            console.error.mockRestore();
+        });
+    });
+});
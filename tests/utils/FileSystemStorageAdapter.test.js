@@ -0,0 +1,111 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const childProcess = require('child_process');
+const os = require('os');
+const path = require('path');
+const FileSystemStorageAdapter = require('../../src/utils/FileSystemStorageAdapter');
+const EnhancedStorageManager = require('../../src/utils/EnhancedStorageManager');
+
+describe('FileSystemStorageAdapter', () => {
+    let dataDir;
+    let adapter;
+    
+    beforeEach(() => {
+        dataDir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'fs-adapter-')), 'data');
+        adapter = new FileSystemStorageAdapter(dataDir, { keyPrefix: 'app_' });
+    });
+    
+    afterEach(() => {
+        fs.rmSync(path.dirname(dataDir), { recursive: true, force: true });
+    });
+    
+    test('should write each entity to its own file', () => {
+        // Arrange
+        const storage = new EnhancedStorageManager('app', '2.0', adapter);
+        
+        // Act
+        storage.save('tasks', [{ id: 't1' }]);
+        storage.save('users', []);
+        
+        // Assert
+        expect(fs.readdirSync(dataDir).sort()).toEqual(['_metadata.json', 'tasks.json', 'users.json']);
+        expect(JSON.parse(fs.readFileSync(path.join(dataDir, 'tasks.json'), 'utf8')).data).toEqual([{ id: 't1' }]);
+    });
+    
+    test('should persist data across adapter instances', () => {
+        new EnhancedStorageManager('app', '2.0', adapter).save('tasks', [{ id: 't1' }]);
+        
+        const reopened = new EnhancedStorageManager('app', '2.0', new FileSystemStorageAdapter(dataDir, { keyPrefix: 'app_' }));
+        
+        expect(reopened.load('tasks')).toEqual([{ id: 't1' }]);
+        expect(reopened.getEntities()).toEqual(['tasks']);
+    });
+    
+    test('should leave no temp or lock files after write', () => {
+        adapter.setItem('app_tasks', '[]');
+        adapter.removeItem('app_missing');
+        
+        expect(fs.readdirSync(dataDir)).toEqual(['tasks.json']);
+        expect(adapter.keys()).toEqual(['app_tasks']);
+    });
+    
+    test('should keep previous file when write fails before rename', () => {
+        adapter.setItem('app_tasks', '["old"]');
+        const renameSpy = jest.spyOn(fs, 'renameSync').mockImplementation(() => {
+            throw new Error('disk full');
+        });
+        
+        expect(() => adapter.setItem('app_tasks', '["new"]')).toThrow('disk full');
+        renameSpy.mockRestore();
+        
+        expect(adapter.getItem('app_tasks')).toBe('["old"]');
+        expect(fs.readdirSync(dataDir)).toEqual(['tasks.json']);
+    });
+    
+    test('should fail right away while another process holds the lock', () => {
+        adapter.setItem('app_tasks', '[]');
+        // Parent proses jest masih hidup selama test berjalan
+        fs.writeFileSync(path.join(dataDir, 'tasks.json.lock'), String(process.ppid));
+        
+        const startedAt = Date.now();
+        expect(() => adapter.setItem('app_tasks', '[1]')).toThrow('sedang dipakai proses lain');
+        expect(Date.now() - startedAt).toBeLessThan(1000);
+        expect(adapter.getItem('app_tasks')).toBe('[]');
+    });
+    
+    test('should take over stale lock', () => {
+        const lockPath = path.join(dataDir, 'tasks.json.lock');
+        fs.mkdirSync(dataDir, { recursive: true });
+        fs.writeFileSync(lockPath, '');
+        const old = new Date(Date.now() - 60000);
+        fs.utimesSync(lockPath, old, old);
+        
+        adapter.setItem('app_tasks', '[1]');
+        
+        expect(adapter.getItem('app_tasks')).toBe('[1]');
+        expect(fs.existsSync(lockPath)).toBe(false);
+    });
+    
+    test('should take over lock of a process that is gone without waiting', () => {
+        const lockPath = path.join(dataDir, 'tasks.json.lock');
+        fs.mkdirSync(dataDir, { recursive: true });
+        const { pid } = childProcess.spawnSync(process.execPath, ['-e', '']);
+        fs.writeFileSync(lockPath, String(pid));
+        
+        adapter.setItem('app_tasks', '[1]');
+        
+        // Server di container sering restart dengan PID yang sama
+        fs.writeFileSync(lockPath, String(process.pid));
+        adapter.setItem('app_tasks', '[2]');
+        
+        expect(adapter.getItem('app_tasks')).toBe('[2]');
+        expect(fs.existsSync(lockPath)).toBe(false);
+    });
+    
+    test('should reject keys outside prefix', () => {
+        expect(() => adapter.setItem('other_tasks', '[]')).toThrow('tidak diawali prefix');
+        expect(adapter.getItem('app_unknown')).toBeNull();
+    });
+});
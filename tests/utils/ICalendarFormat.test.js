@@ -0,0 +1,73 @@
+const EnhancedTask = require('../../src/models/EnhancedTask');
+const ICalendarFormat = require('../../src/utils/ICalendarFormat');
+
+describe('ICalendarFormat', () => {
+    const now = new Date(Date.UTC(2024, 4, 10, 12, 0));
+    let task;
+
+    // Helper: baris iCalendar tanpa folding
+    const unfold = ics => ics.replace(/\r\n /g, '').split('\r\n');
+
+    beforeEach(() => {
+        task = new EnhancedTask('Review; kontrak, final', 'Baris 1\nBaris 2', 'user_a', {
+            dueDate: new Date(Date.UTC(2024, 4, 15, 10, 0)),
+            priority: 'high',
+            category: 'work',
+            tags: ['legal'],
+            estimatedHours: 2
+        });
+    });
+
+    test('should write a VTODO per task with a due date', () => {
+        const undated = new EnhancedTask('Tanpa deadline', '', 'user_a');
+        const ics = ICalendarFormat.fromTasks([task, undated], { name: 'Tasks demo', now });
+        const lines = unfold(ics);
+
+        expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+        expect(lines.slice(0, 2)).toEqual(['BEGIN:VCALENDAR', 'VERSION:2.0']);
+        expect(lines).toContain('X-WR-CALNAME:Tasks demo');
+        expect(lines.filter(line => line === 'BEGIN:VTODO')).toHaveLength(1);
+        expect(lines).toEqual(expect.arrayContaining([
+            `UID:${task.id}@task-management`,
+            'DTSTAMP:20240510T120000Z',
+            'SUMMARY:Review\\; kontrak\\, final',
+            'DESCRIPTION:Baris 1\\nBaris 2',
+            'CATEGORIES:work,legal',
+            'PRIORITY:3',
+            'DUE:20240515T100000Z',
+            'STATUS:NEEDS-ACTION'
+        ]));
+    });
+
+    test('should map task status and completion time', () => {
+        task.updateStatus('completed');
+        const lines = unfold(ICalendarFormat.fromTasks([task], { now }));
+
+        expect(lines).toContain('STATUS:COMPLETED');
+        expect(lines).toContain(`COMPLETED:${ICalendarFormat.formatDate(task.completedAt)}`);
+        expect(lines).toContain('PERCENT-COMPLETE:100');
+    });
+
+    test('should write VEVENTs ending at the due date', () => {
+        const lines = unfold(ICalendarFormat.fromTasks([task], { type: 'event', now }));
+
+        expect(lines).toContain('BEGIN:VEVENT');
+        expect(lines).toContain('DTSTART:20240515T080000Z');
+        expect(lines).toContain('DTEND:20240515T100000Z');
+        expect(lines).toContain('STATUS:CONFIRMED');
+        expect(lines).not.toContain('BEGIN:VTODO');
+
+        expect(() => ICalendarFormat.fromTasks([task], { type: 'journal' }))
+            .toThrow('Tipe kalender tidak valid: journal. Harus salah satu dari: todo, event');
+    });
+
+    test('should fold long lines at 75 octets without splitting characters', () => {
+        const line = 'SUMMARY:' + 'é'.repeat(80);
+        const folded = ICalendarFormat.foldLine(line).split('\r\n');
+
+        expect(folded.length).toBeGreaterThan(1);
+        folded.forEach(part => expect(Buffer.byteLength(part)).toBeLessThanOrEqual(75));
+        expect(folded.slice(1).every(part => part.startsWith(' '))).toBe(true);
+        expect(folded.map((part, index) => index === 0 ? part : part.slice(1)).join('')).toBe(line);
+    });
+});
@@ -0,0 +1,36 @@
+const PasswordHasher = require('../../src/utils/PasswordHasher');
+
+describe('PasswordHasher', () => {
+    test('should hash and verify password', () => {
+        // Act
+        const hash = PasswordHasher.hash('rahasia123');
+        
+        // Assert
+        expect(hash).toMatch(/^scrypt\$[0-9a-f]+\$[0-9a-f]+$/);
+        expect(hash).not.toContain('rahasia123');
+        expect(PasswordHasher.verify('rahasia123', hash)).toBe(true);
+        expect(PasswordHasher.verify('salah12345', hash)).toBe(false);
+    });
+    
+    test('should use random salt per hash', () => {
+        expect(PasswordHasher.hash('rahasia123')).not.toBe(PasswordHasher.hash('rahasia123'));
+    });
+    
+    test('should reject short or empty password', () => {
+        expect(() => PasswordHasher.hash('')).toThrow('Password wajib diisi');
+        expect(() => PasswordHasher.hash('short')).toThrow('Password minimal 8 karakter');
+    });
+    
+    test('should not verify against malformed hash', () => {
+        expect(PasswordHasher.verify('rahasia123', null)).toBe(false);
+        expect(PasswordHasher.verify('rahasia123', 'md5$abc')).toBe(false);
+    });
+    
+    test('should hash tokens deterministically', () => {
+        const token = PasswordHasher.generateToken();
+        
+        expect(token).toHaveLength(64);
+        expect(PasswordHasher.hashToken(token)).toBe(PasswordHasher.hashToken(token));
+        expect(PasswordHasher.hashToken(token)).not.toBe(token);
+    });
+});
@@ -0,0 +1,141 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StorageAdapter = require('../../src/utils/StorageAdapter');
+const MemoryStorageAdapter = require('../../src/utils/MemoryStorageAdapter');
+const JsonFileStorageAdapter = require('../../src/utils/JsonFileStorageAdapter');
+const LocalStorageAdapter = require('../../src/utils/LocalStorageAdapter');
+const IndexedDBStorageAdapter = require('../../src/utils/IndexedDBStorageAdapter');
+const EnhancedStorageManager = require('../../src/utils/EnhancedStorageManager');
+
+// IndexedDB minimal di memory: setiap request selesai secara async seperti aslinya
+function createFakeIndexedDB(initialData = {}) {
+    const data = new Map(Object.entries(initialData));
+    const later = callback => setTimeout(callback, 0);
+    const store = {
+        put(value, key) { data.set(key, value); },
+        delete(key) { data.delete(key); },
+        openCursor() {
+            const entries = Array.from(data.entries());
+            const request = {};
+            const step = index => later(() => {
+                const entry = entries[index];
+                request.result = entry ? { key: entry[0], value: entry[1], continue: () => step(index + 1) } : null;
+                request.onsuccess();
+            });
+            step(0);
+            return request;
+        }
+    };
+    const db = {
+        transaction() {
+            const transaction = { objectStore: () => store };
+            later(() => transaction.oncomplete && transaction.oncomplete());
+            return transaction;
+        }
+    };
+    
+    return {
+        data,
+        open() {
+            const request = {};
+            later(() => {
+                request.result = db;
+                request.onsuccess();
+            });
+            return request;
+        }
+    };
+}
+
+describe('Storage adapters', () => {
+    let tempDir;
+    
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-adapter-'));
+    });
+    
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+    
+    const implementations = [
+        ['MemoryStorageAdapter', () => new MemoryStorageAdapter()],
+        ['JsonFileStorageAdapter', () => new JsonFileStorageAdapter(path.join(tempDir, 'data.json'))]
+    ];
+    
+    describe.each(implementations)('%s contract', (name, createAdapter) => {
+        test('should store, read and remove string values', () => {
+            const adapter = createAdapter();
+            
+            adapter.setItem('app_tasks', '[1,2]');
+            
+            expect(adapter.isAvailable()).toBe(true);
+            expect(StorageAdapter.isStorageAdapter(adapter)).toBe(true);
+            expect(adapter.getItem('app_tasks')).toBe('[1,2]');
+            expect(adapter.keys()).toEqual(['app_tasks']);
+            
+            adapter.removeItem('app_tasks');
+            
+            expect(adapter.getItem('app_tasks')).toBeNull();
+            expect(adapter.keys()).toEqual([]);
+        });
+        
+        test('should resolve ready()', async () => {
+            await expect(createAdapter().ready()).resolves.toBeUndefined();
+        });
+    });
+    
+    test('JsonFileStorageAdapter should persist data across instances', () => {
+        const filePath = path.join(tempDir, 'nested', 'data.json');
+        new JsonFileStorageAdapter(filePath).setItem('app_users', '{"a":1}');
+        
+        const reopened = new JsonFileStorageAdapter(filePath);
+        
+        expect(reopened.getItem('app_users')).toBe('{"a":1}');
+    });
+    
+    test('IndexedDBStorageAdapter should refuse reads and writes until ready()', async () => {
+        const fakeIndexedDB = createFakeIndexedDB({ app__metadata: '{"data":{"createdAt":"2024-01-01"}}' });
+        const adapter = new IndexedDBStorageAdapter('db', { indexedDB: fakeIndexedDB });
+        
+        expect(() => adapter.getItem('app_tasks')).toThrow('belum siap');
+        expect(() => adapter.setItem('app_tasks', '[]')).toThrow('belum siap');
+        expect(() => new EnhancedStorageManager('app', '2.0', adapter)).toThrow('belum siap');
+        
+        await adapter.ready();
+        expect(adapter.keys()).toEqual(['app__metadata']);
+    });
+    
+    test('IndexedDBStorageAdapter should keep stored data when the manager is created after open()', async () => {
+        const stored = { data: { version: '2.0', createdAt: '2024-01-01T00:00:00.000Z', entities: {} }, version: '2.0' };
+        const fakeIndexedDB = createFakeIndexedDB({
+            app__metadata: JSON.stringify(stored),
+            app_tasks: JSON.stringify({ data: [{ id: 't1' }], version: '2.0' })
+        });
+        
+        const adapter = await IndexedDBStorageAdapter.open('db', { indexedDB: fakeIndexedDB });
+        const storage = new EnhancedStorageManager('app', '2.0', adapter);
+        storage.save('users', []);
+        await adapter.flush();
+        
+        expect(storage.getMetadata().createdAt).toBe('2024-01-01T00:00:00.000Z');
+        expect(storage.load('tasks')).toEqual([{ id: 't1' }]);
+        expect(JSON.parse(fakeIndexedDB.data.get('app__metadata')).data.createdAt).toBe('2024-01-01T00:00:00.000Z');
+        expect(JSON.parse(fakeIndexedDB.data.get('app_users')).data).toEqual([]);
+    });
+    
+    test('LocalStorageAdapter should report unavailable without localStorage', () => {
+        expect(new LocalStorageAdapter().isAvailable()).toBe(false);
+    });
+    
+    test('base StorageAdapter should require implementation', () => {
+        const adapter = new StorageAdapter();
+        
+        expect(() => adapter.getItem('x')).toThrow('StorageAdapter.getItem belum diimplementasikan');
+        expect(StorageAdapter.isStorageAdapter({ getItem() {} })).toBe(false);
+    });
+});
@@ -0,0 +1,109 @@
+const TestDataFactory = require('../helpers/TestDataFactory');
+const EnhancedTask = require('../../src/models/EnhancedTask');
+const TaskQuery = require('../../src/utils/TaskQuery');
+
+describe('TaskQuery', () => {
+    let tasks;
+    
+    // Cari judul task yang cocok dengan query
+    function search(text, options = {}) {
+        const query = new TaskQuery(text, { now: new Date(2026, 9, 20), ...options });
+        return tasks.filter(task => query.matches(task)).map(task => task.title);
+    }
+    
+    function createTask(overrides) {
+        const data = TestDataFactory.createValidTaskData(overrides);
+        return new EnhancedTask(data.title, data.description, data.ownerId, data);
+    }
+    
+    beforeEach(() => {
+        tasks = [
+            createTask({
+                title: 'Quarterly report',
+                description: 'Rangkum angka Q3',
+                priority: 'high',
+                status: 'in-progress',
+                tags: ['meeting', 'finance'],
+                assigneeId: 'user_john',
+                dueDate: new Date(2026, 9, 31, 17),
+                estimatedHours: 4
+            }),
+            createTask({
+                title: 'Weekly sync',
+                priority: 'medium',
+                tags: ['meeting', 'personal'],
+                dueDate: new Date(2026, 10, 1, 9)
+            }),
+            createTask({
+                title: 'Fix login bug',
+                priority: 'urgent',
+                category: 'personal',
+                tags: ['bug']
+            })
+        ];
+    });
+    
+    test('should combine field terms with AND by default', () => {
+        expect(search('status:in-progress priority>=high tag:meeting due<2026-11-01 -tag:personal')).toEqual(['Quarterly report']);
+        expect(search('tag:meeting AND priority:medium')).toEqual(['Weekly sync']);
+    });
+    
+    test('should support OR, NOT and grouping', () => {
+        expect(search('tag:bug OR priority:high')).toEqual(['Quarterly report', 'Fix login bug']);
+        expect(search('NOT tag:meeting')).toEqual(['Fix login bug']);
+        expect(search('(tag:bug OR tag:finance) -priority:urgent')).toEqual(['Quarterly report']);
+    });
+    
+    test('should search free text and quoted phrases in title, description and tags', () => {
+        expect(search('"quarterly report"')).toEqual(['Quarterly report']);
+        expect(search('q3')).toEqual(['Quarterly report']);
+        expect(search('weekly meeting')).toEqual(['Weekly sync']);
+        expect(search('title:"login bug"')).toEqual(['Fix login bug']);
+    });
+    
+    test('should compare dates by day and hours by value', () => {
+        expect(search('due<=2026-11-01')).toEqual(['Quarterly report', 'Weekly sync']);
+        expect(search('due>2026-10-31')).toEqual(['Weekly sync']);
+        expect(search('due:2026-10-31')).toEqual(['Quarterly report']);
+        expect(search('due:none')).toEqual(['Fix login bug']);
+        expect(search('due<tomorrow')).toEqual([]);
+        expect(search('estimate>=4 estimate<4.5')).toEqual(['Quarterly report']);
+    });
+    
+    test('should resolve users through options', () => {
+        const resolveUser = name => (name === 'john' ? 'user_john' : null);
+        
+        expect(search('assignee:john', { resolveUser })).toEqual(['Quarterly report']);
+        expect(search('owner:me', { currentUserId: 'user123' })).toHaveLength(3);
+        expect(() => search('assignee:budi', { resolveUser })).toThrow('user tidak ditemukan untuk "assignee": budi');
+    });
+    
+    test('should search words with a colon that are not fields as plain text', () => {
+        tasks.push(createTask({ title: 'Note: beli susu' }), createTask({ title: 'Re: meeting budget' }));
+        
+        expect(search('Note: beli susu')).toEqual(['Note: beli susu']);
+        expect(search('re: meeting')).toEqual(['Re: meeting budget']);
+        expect(search('constructor:x')).toEqual([]);
+        expect(() => new TaskQuery('status: done')).toThrow('nilai untuk "status" kosong');
+    });
+    
+    test('should report syntax and value errors with position', () => {
+        expect(() => new TaskQuery('status:done')).toThrow('Query tidak valid (posisi 1): nilai "done" tidak valid untuk "status"');
+        expect(() => new TaskQuery('tag>a')).toThrow('operator ">" tidak bisa dipakai untuk "tag"');
+        expect(() => new TaskQuery('due<2026-02-30')).toThrow('tanggal tidak valid untuk "due"');
+        expect(() => new TaskQuery('estimate>abc')).toThrow('angka tidak valid');
+        expect(() => new TaskQuery('(tag:a OR tag:b')).toThrow('(posisi 1): kurung buka belum ditutup');
+        expect(() => new TaskQuery('tag:a )')).toThrow('kurung tutup tanpa kurung buka');
+        expect(() => new TaskQuery('tag:a OR')).toThrow('query berakhir sebelum kondisi');
+        expect(() => new TaskQuery('NOT')).toThrow('harus diikuti kondisi');
+        expect(() => new TaskQuery('"quarterly')).toThrow('tanda kutip belum ditutup');
+        expect(() => new TaskQuery('tag:')).toThrow('nilai untuk "tag" kosong');
+    });
+    
+    test('should match everything with an empty query', () => {
+        const query = new TaskQuery('   ');
+        
+        expect(query.isEmpty).toBe(true);
+        expect(tasks.every(task => query.matches(task))).toBe(true);
+    });
+});
@@ -0,0 +1,50 @@
+const TokenService = require('../../src/utils/TokenService');
+
+describe('TokenService', () => {
+    let tokenService;
+    
+    beforeEach(() => {
+        tokenService = new TokenService('test-secret', { ttlMinutes: 30 });
+    });
+    
+    test('should issue and verify session token', () => {
+        // Act
+        const { token, expiresAt } = tokenService.issue('user123');
+        const session = tokenService.verify(token);
+        
+        // Assert
+        expect(session.userId).toBe('user123');
+        expect(session.expiresAt).toEqual(expiresAt);
+        expect(session.issuedAt).toBeInstanceOf(Date);
+    });
+    
+    test('should reject token signed with different secret', () => {
+        const { token } = new TokenService('other-secret').issue('user123');
+        
+        expect(tokenService.verify(token)).toBeNull();
+    });
+    
+    test('should reject tampered payload', () => {
+        const { token } = tokenService.issue('user123');
+        const [, signature] = token.split('.');
+        const forgedPayload = Buffer.from(JSON.stringify({ sub: 'admin', iat: Date.now(), exp: Date.now() + 60000 })).toString('base64url');
+        
+        expect(tokenService.verify(`${forgedPayload}.${signature}`)).toBeNull();
+        expect(tokenService.verify('garbage')).toBeNull();
+        expect(tokenService.verify(null)).toBeNull();
+    });
+    
+    test('should reject expired token', () => {
+        jest.useFakeTimers();
+        const { token } = tokenService.issue('user123');
+        
+        jest.advanceTimersByTime(31 * 60 * 1000);
+        
+        expect(tokenService.verify(token)).toBeNull();
+        jest.useRealTimers();
+    });
+    
+    test('should require secret', () => {
+        expect(() => new TokenService('')).toThrow('Secret token wajib diisi');
+    });
+});